@@ -1,9 +1,159 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import prisma from '../prisma.config.js';
-import { authenticateAdmin, requirePermission } from '../middleware/adminAuth.js';
+import {
+    authenticateAdmin,
+    authenticateAdminForTwoFactorSetup,
+    requireAdminPermission
+} from '../middleware/adminAuth.js';
 import { setCache, getCache, deleteCache } from '../utils/redis.js';
+import { createSession, revokeAllSessions, getAvailableRoles } from '../utils/session.js';
+import { isTwoFactorEnabled, createLoginChallenge } from '../utils/twoFactor.js';
+import { getSetting, setSetting, SETTINGS } from '../utils/settings.js';
+import {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    getAccountLock,
+    getLockedAccounts,
+    unlockAccount
+} from '../utils/loginProtection.js';
+import {
+    refreshAccessToken,
+    logout,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions
+} from '../controllers/session.js';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin
+} from '../controllers/twoFactor.js';
+import { changePassword } from '../controllers/account.js';
+import {
+    validatePassword,
+    getPasswordPolicy,
+    normalizePasswordPolicy
+} from '../utils/passwordPolicy.js';
+import {
+    ADMIN_PERMISSIONS,
+    isValidPermissionList,
+    countActiveSuperAdmins,
+    isValidSetupSecret,
+    createAdminInvitation,
+    findPendingInvitation,
+    sendAdminInvitationEmail
+} from '../utils/adminManagement.js';
+import {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    SUPER_ADMIN_ROLE,
+    getPermissionRoles,
+    clearPermissionRolesCache,
+    getAdminRoleNames,
+    resolveAdminPermissions,
+    isValidPermissionNames,
+    visibleEmail
+} from '../utils/permissions.js';
+import {
+    MAX_IMPERSONATION_MINUTES,
+    startImpersonation,
+    endImpersonation,
+    isImpersonationActive
+} from '../utils/impersonation.js';
+import {
+    REPORT_TRANSITIONS,
+    REPORT_ACTIONS,
+    getReportTargetDetails,
+    applyReportEnforcement,
+    sendReportResolvedEmail
+} from '../utils/reports.js';
+import { recordAudit, withAuditActors } from '../utils/auditLog.js';
+import {
+    parseSuspensionEnd,
+    getSuspensionDetails,
+    suspendUser,
+    liftSuspension,
+    sendAppealDecisionEmail
+} from '../utils/suspension.js';
+import {
+    getScreeningConfig,
+    normalizeScreeningConfig,
+    screenProject,
+    screenApplication
+} from '../utils/contentScreening.js';
+import {
+    parseAnalyticsRange,
+    getAnalyticsTimeSeries,
+    timeSeriesToCsv
+} from '../utils/analytics.js';
+import {
+    exportResource,
+    listExportJobs,
+    getExportJob
+} from '../controllers/adminExports.js';
+import {
+    MIN_REJECTION_REASON_LENGTH,
+    getVerificationConfig,
+    normalizeVerificationConfig,
+    isVerificationCurrent,
+    getVerificationBadge,
+    grantVerification,
+    revokeVerification,
+    withDocumentUrls,
+    deleteVerificationDocuments,
+    serializeVerificationRequest,
+    sendVerificationEmail
+} from '../utils/identityVerification.js';
+import {
+    normalizeAnnouncement,
+    buildAudienceWhere,
+    getAnnouncementState,
+    clearAnnouncementCache,
+    serializeAnnouncement
+} from '../utils/announcements.js';
+import {
+    normalizeFieldComments,
+    recordProjectReview,
+    getReviewHistory,
+    sendChangesRequestedEmail
+} from '../utils/projectReview.js';
+import {
+    BULK_USER_ACTIONS,
+    resolveBulkTargets,
+    getSkipReason,
+    countUserContent,
+    applyBulkAction
+} from '../utils/bulkModeration.js';
+import {
+    RATING_STATUSES,
+    RATING_MODERATION_ACTIONS,
+    MIN_MODERATION_REASON_LENGTH,
+    moderateRating,
+    serializeRating
+} from '../utils/ratingModeration.js';
+import {
+    CLEARED_CLAIM,
+    getQueueConfig,
+    normalizeQueueConfig,
+    getQueueEnteredAt,
+    isClaimActive,
+    isClaimedByOther,
+    getOwnClaimedAt,
+    getSlaState,
+    serializeClaim,
+    getAdminNames,
+    claimProject,
+    assignProject,
+    parseMetricsRange,
+    getQueueMetrics,
+    getQueueSnapshot
+} from '../utils/verificationQueue.js';
 
 export const adminRouter = Router();
 
@@ -12,6 +162,25 @@ adminRouter.post('/login', async (req, res) => {
     try {
         const { email, password } = req.body;
 
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        // Brute-force protection (per-email and per-IP)
+        const loginCheck = await checkLoginAllowed(email, req.ip);
+        if (!loginCheck.allowed) {
+            return res.status(loginCheck.status).json({
+                success: false,
+                message: loginCheck.message,
+                errorCode: loginCheck.errorCode,
+                ...(loginCheck.retryAfter && { retryAfter: loginCheck.retryAfter }),
+                ...(loginCheck.lockedUntil && { lockedUntil: loginCheck.lockedUntil })
+            });
+        }
+
         // Find admin user
         const user = await prisma.user.findUnique({
             where: { email },
@@ -21,6 +190,7 @@ adminRouter.post('/login', async (req, res) => {
         });
 
         if (!user || user.role !== 'ADMIN' || !user.admin) {
+            await recordFailedLogin(email, req.ip);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -37,30 +207,62 @@ adminRouter.post('/login', async (req, res) => {
         // Verify password
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
+            const failure = await recordFailedLogin(email, req.ip, user);
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Too many failed login attempts. Your account has been temporarily locked and we have emailed you an unlock link.',
+                    errorCode: 'ACCOUNT_LOCKED',
+                    lockedUntil: failure.lockedUntil
+                });
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user.id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '8h' }
-        );
+        await clearFailedLogins(email);
+
+        // Second login step for admins with 2FA
+        if (await isTwoFactorEnabled(user.id)) {
+            const challengeToken = await createLoginChallenge(user.id, 'ADMIN');
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken,
+                    expiresIn: '5 minutes'
+                }
+            });
+        }
+
+        const twoFactorSetupRequired = await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false);
+
+        // Start a new session
+        const session = await createSession(user, req);
+
+        await prisma.admin.update({
+            where: { userId: user.id },
+            data: { lastLoginAt: new Date() }
+        });
 
         res.status(200).json({
             success: true,
             message: 'Login successful',
             data: {
-                token,
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn,
                 admin: {
                     id: user.id,
                     name: user.name,
                     email: user.email,
                     permissions: user.admin.permissions
-                }
+                },
+                // Admin must enroll before any other admin route is accessible
+                ...(twoFactorSetupRequired && { twoFactorSetupRequired: true })
             }
         });
 
@@ -73,102 +275,38 @@ adminRouter.post('/login', async (req, res) => {
     }
 });
 
-// Get Dashboard Stats
-adminRouter.get('/dashboard', authenticateAdmin, async (req, res) => {
-    try {
-        const cacheKey = 'admin:dashboard:stats';
-        
-        // Check cache
-        const cachedData = await getCache(cacheKey);
-        if (cachedData) {
-            return res.status(200).json({
-                success: true,
-                data: cachedData
-            });
-        }
+adminRouter.post('/login/2fa', verifyTwoFactorLogin);
 
-        const [
-            totalUsers,
-            totalFreelancers,
-            totalClients,
-            totalProjects,
-            completedProjects,
-            openProjects,
-            pendingReports,
-            activeUsers,
-            recentUsers,
-            recentProjects
-        ] = await Promise.all([
-            prisma.user.count(),
-            prisma.freelancer.count(),
-            prisma.client.count(),
-            prisma.project.count(),
-            prisma.project.count({ where: { status: 'COMPLETED' } }),
-            prisma.project.count({ where: { status: 'OPEN' } }),
-            prisma.report.count({ where: { status: 'PENDING' } }),
-            prisma.user.count({ where: { isActive: true } }),
-            prisma.user.findMany({
-                orderBy: { createdAt: 'desc' },
-                take: 5,
-                select: {
-                    id: true,
-                    name: true,
-                    email: true,
-                    role: true,
-                    createdAt: true
-                }
-            }),
-            prisma.project.findMany({
-                orderBy: { createdAt: 'desc' },
-                take: 5,
-                include: {
-                    client: {
-                        include: {
-                            user: {
-                                select: {
-                                    name: true
-                                }
-                            }
-                        }
-                    }
-                }
-            })
-        ]);
+// Session Management
+adminRouter.post('/refresh-token', refreshAccessToken);
+adminRouter.post('/logout', authenticateAdminForTwoFactorSetup, logout);
+adminRouter.get('/sessions', authenticateAdmin, getSessions);
+adminRouter.delete('/sessions', authenticateAdmin, deleteOtherSessions);
+adminRouter.delete('/sessions/:sessionId', authenticateAdmin, deleteSession);
 
-        const dashboardData = {
-            stats: {
-                totalUsers,
-                totalFreelancers,
-                totalClients,
-                totalProjects,
-                completedProjects,
-                openProjects,
-                pendingReports,
-                activeUsers,
-                successRate: totalProjects > 0 ? ((completedProjects / totalProjects) * 100).toFixed(1) : 0
-            },
-            recentActivity: {
-                recentUsers,
-                recentProjects: recentProjects.map(project => ({
-                    id: project.id,
-                    title: project.title,
-                    status: project.status,
-                    clientName: project.client.user.name,
-                    createdAt: project.createdAt
-                }))
-            }
-        };
+// Two-Factor Authentication
+adminRouter.get('/2fa/status', authenticateAdminForTwoFactorSetup, getTwoFactorStatus);
+adminRouter.post('/2fa/setup', authenticateAdminForTwoFactorSetup, setupTwoFactor);
+adminRouter.post('/2fa/enable', authenticateAdminForTwoFactorSetup, enableTwoFactor);
+adminRouter.post('/2fa/disable', authenticateAdmin, disableTwoFactor);
+adminRouter.post('/2fa/recovery-codes', authenticateAdmin, regenerateRecoveryCodes);
 
-        // Cache for 5 minutes
-        await setCache(cacheKey, dashboardData, 300);
+// Password Change (Protected)
+adminRouter.put('/me/password', authenticateAdmin, changePassword);
 
+// Permissions of the Current Admin (drives what the admin UI shows)
+adminRouter.get('/me/permissions', authenticateAdminForTwoFactorSetup, async (req, res) => {
+    try {
         res.status(200).json({
             success: true,
-            data: dashboardData
+            data: {
+                roles: getAdminRoleNames(req.admin),
+                permissions: req.adminPermissions
+            }
         });
 
     } catch (error) {
-        console.error('Admin dashboard error:', error);
+        console.error('Get current admin permissions error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -176,96 +314,32 @@ adminRouter.get('/dashboard', authenticateAdmin, async (req, res) => {
     }
 });
 
-// Get All Users with Filtering
-adminRouter.get('/users', authenticateAdmin, requirePermission(['MODERATOR', 'SUPPORT']), async (req, res) => {
-    try {
-        const {
-            role,
-            isActive,
-            search,
-            page = 1,
-            limit = 20
-        } = req.query;
-
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const whereClause = {};
-
-        if (role && role !== 'all') {
-            whereClause.role = role.toUpperCase();
-        }
-
-        if (isActive !== undefined) {
-            whereClause.isActive = isActive === 'true';
-        }
+// Permission Roles
 
-        if (search) {
-            whereClause.OR = [
-                { name: { contains: search, mode: 'insensitive' } },
-                { email: { contains: search, mode: 'insensitive' } }
-            ];
+// List Available Permissions
+adminRouter.get('/permissions', authenticateAdmin, requireAdminPermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            permissions: ALL_PERMISSIONS
         }
+    });
+});
 
-        const [users, totalUsers] = await Promise.all([
-            prisma.user.findMany({
-                where: whereClause,
-                include: {
-                    freelancer: true,
-                    client: true,
-                    admin: true
-                },
-                orderBy: { createdAt: 'desc' },
-                skip,
-                take: parseInt(limit)
-            }),
-            prisma.user.count({ where: whereClause })
-        ]);
-
-        const userData = users.map(user => ({
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            isActive: user.isActive,
-            profileImage: user.profileImage,
-            location: user.location,
-            createdAt: user.createdAt,
-            ...(user.freelancer && {
-                freelancerData: {
-                    projectsCompleted: user.freelancer.projectsCompleted,
-                    ratings: user.freelancer.ratings,
-                    isVerified: user.freelancer.isVerified
-                }
-            }),
-            ...(user.client && {
-                clientData: {
-                    projectsPosted: user.client.projectsPosted,
-                    companyName: user.client.companyName,
-                    isVerified: user.client.isVerified
-                }
-            }),
-            ...(user.admin && {
-                adminData: {
-                    permissions: user.admin.permissions
-                }
-            })
-        }));
+// List Roles with Their Permissions
+adminRouter.get('/roles', authenticateAdmin, requireAdminPermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+    try {
+        const roles = await getPermissionRoles();
 
         res.status(200).json({
             success: true,
             data: {
-                users: userData,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: totalUsers,
-                    pages: Math.ceil(totalUsers / parseInt(limit))
-                }
+                roles: Object.values(roles)
             }
         });
 
     } catch (error) {
-        console.error('Get users error:', error);
+        console.error('Get roles error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -273,52 +347,52 @@ adminRouter.get('/users', authenticateAdmin, requirePermission(['MODERATOR', 'SU
     }
 });
 
-// Suspend/Unsuspend User
-adminRouter.patch('/users/:userId/toggle-status', authenticateAdmin, requirePermission(['MODERATOR']), async (req, res) => {
+// Create Custom Role
+adminRouter.post('/roles', authenticateAdmin, requireAdminPermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
     try {
-        const { userId } = req.params;
-        const { reason } = req.body;
+        const { name, description, permissions } = req.body;
 
-        const user = await prisma.user.findUnique({
-            where: { id: userId }
-        });
+        if (!name || !/^[A-Z][A-Z0-9_]{2,39}$/.test(name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role name must be 3-40 uppercase letters, digits or underscores, starting with a letter'
+            });
+        }
 
-        if (!user) {
-            return res.status(404).json({
+        if (!isValidPermissionNames(permissions)) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                message: 'Permissions must be a list of known permission names'
             });
         }
 
-        // Prevent suspending other admins (unless super admin)
-        if (user.role === 'ADMIN' && !req.admin.permissions.includes('SUPER_ADMIN')) {
-            return res.status(403).json({
+        const roles = await getPermissionRoles();
+        if (Object.hasOwn(roles, name)) {
+            return res.status(409).json({
                 success: false,
-                message: 'Cannot suspend admin users'
+                message: 'A role with this name already exists'
             });
         }
 
-        const updatedUser = await prisma.user.update({
-            where: { id: userId },
+        const role = await prisma.adminPermissionRole.create({
             data: {
-                isActive: !user.isActive
+                name,
+                description,
+                permissions: [...new Set(permissions)],
+                updatedBy: req.user.userId
             }
         });
 
-        // Clear user cache
-        await deleteCache(`user:${userId}`);
+        await clearPermissionRolesCache();
 
-        res.status(200).json({
+        res.status(201).json({
             success: true,
-            message: `User ${updatedUser.isActive ? 'activated' : 'suspended'} successfully`,
-            data: {
-                userId: updatedUser.id,
-                isActive: updatedUser.isActive
-            }
+            message: 'Role created successfully',
+            data: role
         });
 
     } catch (error) {
-        console.error('Toggle user status error:', error);
+        console.error('Create role error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -326,56 +400,59 @@ adminRouter.patch('/users/:userId/toggle-status', authenticateAdmin, requirePerm
     }
 });
 
-// Verify Freelancer/Client
-adminRouter.patch('/users/:userId/verify', authenticateAdmin, requirePermission(['MODERATOR']), async (req, res) => {
+// Update Role Permissions (built-in MODERATOR/SUPPORT included)
+adminRouter.put('/roles/:name', authenticateAdmin, requireAdminPermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
     try {
-        const { userId } = req.params;
+        const { name } = req.params;
+        const { description, permissions } = req.body;
 
-        const user = await prisma.user.findUnique({
-            where: { id: userId },
-            include: {
-                freelancer: true,
-                client: true
-            }
-        });
+        if (name === SUPER_ADMIN_ROLE) {
+            return res.status(400).json({
+                success: false,
+                message: 'The SUPER_ADMIN role always has every permission and cannot be edited'
+            });
+        }
 
-        if (!user) {
+        const roles = await getPermissionRoles();
+        if (!Object.hasOwn(roles, name)) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Role not found'
             });
         }
 
-        let updatedData = {};
-
-        if (user.freelancer) {
-            updatedData = await prisma.freelancer.update({
-                where: { userId },
-                data: { isVerified: !user.freelancer.isVerified }
-            });
-        } else if (user.client) {
-            updatedData = await prisma.client.update({
-                where: { userId },
-                data: { isVerified: !user.client.isVerified }
-            });
-        } else {
+        if (!isValidPermissionNames(permissions)) {
             return res.status(400).json({
                 success: false,
-                message: 'User is not a freelancer or client'
+                message: 'Permissions must be a list of known permission names'
             });
         }
 
+        const role = await prisma.adminPermissionRole.upsert({
+            where: { name },
+            update: {
+                permissions: [...new Set(permissions)],
+                ...(description !== undefined && { description }),
+                updatedBy: req.user.userId
+            },
+            create: {
+                name,
+                description,
+                permissions: [...new Set(permissions)],
+                updatedBy: req.user.userId
+            }
+        });
+
+        await clearPermissionRolesCache();
+
         res.status(200).json({
             success: true,
-            message: `${user.role.toLowerCase()} ${updatedData.isVerified ? 'verified' : 'unverified'} successfully`,
-            data: {
-                userId,
-                isVerified: updatedData.isVerified
-            }
+            message: 'Role updated successfully',
+            data: role
         });
 
     } catch (error) {
-        console.error('Verify user error:', error);
+        console.error('Update role error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -383,109 +460,89 @@ adminRouter.patch('/users/:userId/verify', authenticateAdmin, requirePermission(
     }
 });
 
-// Get All Projects
-adminRouter.get('/projects', authenticateAdmin, requirePermission(['MODERATOR', 'SUPPORT']), async (req, res) => {
+// Delete Custom Role (built-in roles are reset to their defaults)
+adminRouter.delete('/roles/:name', authenticateAdmin, requireAdminPermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
     try {
-        const {
-            status,
-            search,
-            page = 1,
-            limit = 20
-        } = req.query;
-
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const whereClause = {};
+        const { name } = req.params;
 
-        if (status && status !== 'all') {
-            whereClause.status = status.toUpperCase();
+        const roles = await getPermissionRoles();
+        if (!Object.hasOwn(roles, name) || name === SUPER_ADMIN_ROLE) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
         }
 
-        if (search) {
-            whereClause.OR = [
-                { title: { contains: search, mode: 'insensitive' } },
-                { description: { contains: search, mode: 'insensitive' } }
-            ];
+        await prisma.adminPermissionRole.deleteMany({
+            where: { name }
+        });
+
+        if (!roles[name].builtIn) {
+            const holders = await prisma.admin.findMany({
+                where: { customRoles: { has: name } },
+                select: { id: true, customRoles: true }
+            });
+
+            await Promise.all(holders.map(admin => prisma.admin.update({
+                where: { id: admin.id },
+                data: { customRoles: admin.customRoles.filter(role => role !== name) }
+            })));
         }
 
-        const [projects, totalProjects] = await Promise.all([
-            prisma.project.findMany({
-                where: whereClause,
-                include: {
-                    client: {
-                        include: {
-                            user: {
-                                select: {
-                                    name: true,
-                                    email: true
-                                }
-                            }
-                        }
-                    },
-                    freelancer: {
-                        include: {
-                            user: {
-                                select: {
-                                    name: true,
-                                    email: true
-                                }
-                            }
-                        }
-                    },
-                    applications: {
-                        select: {
-                            id: true
+        await clearPermissionRolesCache();
+
+        res.status(200).json({
+            success: true,
+            message: roles[name].builtIn ? 'Role reset to its default permissions' : 'Role deleted successfully',
+            data: { name }
+        });
+
+    } catch (error) {
+        console.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get 2FA Enforcement Policy
+adminRouter.get('/settings/two-factor', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const required = await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false);
+
+        const admins = await prisma.admin.findMany({
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true,
+                        twoFactor: {
+                            select: { enabledAt: true }
                         }
                     }
-                },
-                orderBy: { createdAt: 'desc' },
-                skip,
-                take: parseInt(limit)
-            }),
-            prisma.project.count({ where: whereClause })
-        ]);
-
-        const projectData = projects.map(project => ({
-            id: project.id,
-            title: project.title,
-            description: project.description,
-            status: project.status,
-            skillsRequired: project.skillsRequired,
-            budget: {
-                min: project.budgetMin,
-                max: project.budgetMax
-            },
-            duration: project.duration,
-            isFeatured: project.isFeatured,
-            applicationsCount: project.applications.length,
-            client: {
-                name: project.client.user.name,
-                email: project.client.user.email,
-                company: project.client.companyName
-            },
-            freelancer: project.freelancer ? {
-                name: project.freelancer.user.name,
-                email: project.freelancer.user.email
-            } : null,
-            createdAt: project.createdAt,
-            updatedAt: project.updatedAt
-        }));
+                }
+            }
+        });
 
         res.status(200).json({
             success: true,
             data: {
-                projects: projectData,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: totalProjects,
-                    pages: Math.ceil(totalProjects / parseInt(limit))
-                }
+                required,
+                admins: admins.map(admin => ({
+                    id: admin.user.id,
+                    name: admin.user.name,
+                    email: admin.user.email,
+                    permissions: admin.permissions,
+                    twoFactorEnabled: !!admin.user.twoFactor,
+                    twoFactorEnabledAt: admin.user.twoFactor?.enabledAt || null
+                }))
             }
         });
 
     } catch (error) {
-        console.error('Get projects error:', error);
+        console.error('Get 2FA policy error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -493,43 +550,55 @@ adminRouter.get('/projects', authenticateAdmin, requirePermission(['MODERATOR',
     }
 });
 
-// Feature/Unfeature Project
-adminRouter.patch('/projects/:projectId/toggle-featured', authenticateAdmin, requirePermission(['MODERATOR']), async (req, res) => {
+// Require/Unrequire 2FA for Every Admin
+adminRouter.put('/settings/two-factor', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
     try {
-        const { projectId } = req.params;
+        const { required } = req.body;
 
-        const project = await prisma.project.findUnique({
-            where: { id: projectId }
-        });
+        if (typeof required !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'required must be a boolean value'
+            });
+        }
 
-        if (!project) {
-            return res.status(404).json({
+        // Don't let a super admin lock themselves out of the policy they just set
+        if (required && !(await isTwoFactorEnabled(req.user.userId))) {
+            return res.status(400).json({
                 success: false,
-                message: 'Project not found'
+                message: 'Enable two-factor authentication on your own account before requiring it for all admins'
             });
         }
 
-        const updatedProject = await prisma.project.update({
-            where: { id: projectId },
-            data: {
-                isFeatured: !project.isFeatured
-            }
+        await setSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, required, req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: `Two-factor authentication ${required ? 'is now required' : 'is no longer required'} for admin accounts`,
+            data: { required }
         });
 
-        // Clear featured projects cache
-        await deleteCache('public:featured:projects');
+    } catch (error) {
+        console.error('Update 2FA policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Password Policy
+adminRouter.get('/settings/password-policy', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const policy = await getPasswordPolicy();
 
         res.status(200).json({
             success: true,
-            message: `Project ${updatedProject.isFeatured ? 'featured' : 'unfeatured'} successfully`,
-            data: {
-                projectId: updatedProject.id,
-                isFeatured: updatedProject.isFeatured
-            }
+            data: { policy }
         });
 
     } catch (error) {
-        console.error('Toggle project featured error:', error);
+        console.error('Get password policy error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -537,64 +606,48 @@ adminRouter.patch('/projects/:projectId/toggle-featured', authenticateAdmin, req
     }
 });
 
-// Create Super Admin (Only for initial setup)
-adminRouter.post('/create-super-admin', async (req, res) => {
+// Update Password Policy (applies to new passwords only)
+adminRouter.put('/settings/password-policy', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
     try {
-        // Check if any super admin exists
-        const existingSuperAdmin = await prisma.admin.findFirst({
-            where: {
-                permissions: {
-                    has: 'SUPER_ADMIN'
-                }
-            }
-        });
+        const currentPolicy = await getPasswordPolicy();
+        const result = normalizePasswordPolicy(req.body, currentPolicy);
 
-        if (existingSuperAdmin) {
+        if (!result.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'Super admin already exists'
+                message: result.error
             });
         }
 
-        const { name, email, password } = req.body;
-
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 12);
-
-        // Create user and admin in transaction
-        const result = await prisma.$transaction(async (tx) => {
-            const user = await tx.user.create({
-                data: {
-                    name,
-                    email,
-                    password: hashedPassword,
-                    role: 'ADMIN'
-                }
-            });
+        await setSetting(SETTINGS.PASSWORD_POLICY, result.policy, req.user.userId);
 
-            const admin = await tx.admin.create({
-                data: {
-                    userId: user.id,
-                    permissions: ['SUPER_ADMIN']
-                }
-            });
+        res.status(200).json({
+            success: true,
+            message: 'Password policy updated successfully',
+            data: { policy: result.policy }
+        });
 
-            return { user, admin };
+    } catch (error) {
+        console.error('Update password policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
         });
+    }
+});
 
-        res.status(201).json({
+// Get Content Screening Rules
+adminRouter.get('/settings/content-screening', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const config = await getScreeningConfig();
+
+        res.status(200).json({
             success: true,
-            message: 'Super admin created successfully',
-            data: {
-                id: result.user.id,
-                name: result.user.name,
-                email: result.user.email,
-                permissions: result.admin.permissions
-            }
+            data: { config }
         });
 
     } catch (error) {
-        console.error('Create super admin error:', error);
+        console.error('Get content screening config error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -602,91 +655,3587 @@ adminRouter.post('/create-super-admin', async (req, res) => {
     }
 });
 
-// Update Project Status (Approve/Reject)
-adminRouter.patch('/projects/:projectId/status', authenticateAdmin, requirePermission(['MODERATOR']), async (req, res) => {
+// Update Content Screening Rules (applies to content screened from now on)
+adminRouter.put('/settings/content-screening', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
     try {
-        const { projectId } = req.params;
-        const { action, rejectedReason } = req.body;
+        const currentConfig = await getScreeningConfig();
+        const result = normalizeScreeningConfig(req.body, currentConfig);
 
-        // Validate input
-        if (!action || !['approve', 'reject'].includes(action)) {
+        if (!result.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'Action must be either "approve" or "reject"'
+                message: result.error
             });
         }
 
-        // If rejecting, reason is required
-        if (action === 'reject' && !rejectedReason) {
-            return res.status(400).json({
-                success: false,
-                message: 'Rejection reason is required when rejecting a project'
-            });
-        }
+        await setSetting(SETTINGS.CONTENT_SCREENING, result.config, req.user.userId);
 
-        if (rejectedReason && rejectedReason.trim().length < 10) {
-            return res.status(400).json({
-                success: false,
-                message: 'Rejection reason must be at least 10 characters long'
-            });
-        }
+        res.status(200).json({
+            success: true,
+            message: 'Content screening rules updated successfully',
+            data: { config: result.config }
+        });
 
-        // Find the project
-        const project = await prisma.project.findUnique({
-            where: { id: projectId },
-            include: {
-                client: {
-                    include: {
-                        user: {
-                            select: {
-                                name: true,
-                                email: true
-                            }
-                        }
-                    }
-                }
-            }
+    } catch (error) {
+        console.error('Update content screening config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
         });
+    }
+});
 
-        if (!project) {
-            return res.status(404).json({
-                success: false,
-                message: 'Project not found'
-            });
-        }
+// Get Identity Verification Settings
+adminRouter.get('/settings/identity-verification', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const config = await getVerificationConfig();
 
-        // Check if project is in ADMIN_VERIFICATION status
-        if (project.status !== 'ADMIN_VERIFICATION') {
+        res.status(200).json({
+            success: true,
+            data: { config }
+        });
+
+    } catch (error) {
+        console.error('Get identity verification config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Update Identity Verification Settings (applies to verifications approved from now on)
+adminRouter.put('/settings/identity-verification', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const currentConfig = await getVerificationConfig();
+        const result = normalizeVerificationConfig(req.body, currentConfig);
+
+        if (!result.valid) {
             return res.status(400).json({
                 success: false,
-                message: `Cannot update status. Project is currently ${project.status}. Only projects under ADMIN_VERIFICATION can be approved or rejected.`
+                message: result.error
             });
         }
 
+        await setSetting(SETTINGS.IDENTITY_VERIFICATION, result.config, req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Identity verification settings updated successfully',
+            data: { config: result.config }
+        });
+
+    } catch (error) {
+        console.error('Update identity verification config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Verification Queue Settings
+adminRouter.get('/settings/verification-queue', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const config = await getQueueConfig();
+
+        res.status(200).json({
+            success: true,
+            data: { config }
+        });
+
+    } catch (error) {
+        console.error('Get verification queue config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Update Verification Queue Settings (claim lengths, SLA and alert recipients)
+adminRouter.put('/settings/verification-queue', authenticateAdmin, requireAdminPermission(PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+    try {
+        const currentConfig = await getQueueConfig();
+        const result = normalizeQueueConfig(req.body, currentConfig);
+
+        if (!result.valid) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        await setSetting(SETTINGS.VERIFICATION_QUEUE, result.config, req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification queue settings updated successfully',
+            data: { config: result.config }
+        });
+
+    } catch (error) {
+        console.error('Update verification queue config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Dashboard Stats
+adminRouter.get('/dashboard', authenticateAdmin, async (req, res) => {
+    try {
+        const cacheKey = 'admin:dashboard:stats';
+        
+        // Check cache
+        const cachedData = await getCache(cacheKey);
+        if (cachedData) {
+            return res.status(200).json({
+                success: true,
+                data: cachedData
+            });
+        }
+
+        const [
+            totalUsers,
+            totalFreelancers,
+            totalClients,
+            totalProjects,
+            completedProjects,
+            openProjects,
+            pendingReports,
+            activeUsers,
+            recentUsers,
+            recentProjects
+        ] = await Promise.all([
+            prisma.user.count(),
+            prisma.freelancer.count(),
+            prisma.client.count(),
+            prisma.project.count(),
+            prisma.project.count({ where: { status: 'COMPLETED' } }),
+            prisma.project.count({ where: { status: 'OPEN' } }),
+            prisma.report.count({ where: { status: 'PENDING' } }),
+            prisma.user.count({ where: { isActive: true } }),
+            prisma.user.findMany({
+                orderBy: { createdAt: 'desc' },
+                take: 5,
+                select: {
+                    id: true,
+                    name: true,
+                    email: true,
+                    role: true,
+                    createdAt: true
+                }
+            }),
+            prisma.project.findMany({
+                orderBy: { createdAt: 'desc' },
+                take: 5,
+                include: {
+                    client: {
+                        include: {
+                            user: {
+                                select: {
+                                    name: true
+                                }
+                            }
+                        }
+                    }
+                }
+            })
+        ]);
+
+        const dashboardData = {
+            stats: {
+                totalUsers,
+                totalFreelancers,
+                totalClients,
+                totalProjects,
+                completedProjects,
+                openProjects,
+                pendingReports,
+                activeUsers,
+                successRate: totalProjects > 0 ? ((completedProjects / totalProjects) * 100).toFixed(1) : 0
+            },
+            recentActivity: {
+                recentUsers,
+                recentProjects: recentProjects.map(project => ({
+                    id: project.id,
+                    title: project.title,
+                    status: project.status,
+                    clientName: project.client.user.name,
+                    createdAt: project.createdAt
+                }))
+            }
+        };
+
+        // Cache for 5 minutes
+        await setCache(cacheKey, dashboardData, 300);
+
+        res.status(200).json({
+            success: true,
+            data: dashboardData
+        });
+
+    } catch (error) {
+        console.error('Admin dashboard error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Dashboard Time Series
+adminRouter.get('/analytics', authenticateAdmin, requireAdminPermission(PERMISSIONS.ANALYTICS_READ), async (req, res) => {
+    try {
+        const { from, to, granularity, format = 'json' } = req.query;
+
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'format must be json or csv'
+            });
+        }
+
+        const parsed = parseAnalyticsRange({ from, to, granularity });
+        if (!parsed.valid) {
+            return res.status(400).json({
+                success: false,
+                message: parsed.error
+            });
+        }
+
+        const analytics = await getAnalyticsTimeSeries(parsed.range);
+
+        if (format === 'csv') {
+            const filename = `analytics-${analytics.range.granularity}-${analytics.range.from.slice(0, 10)}-${analytics.range.to.slice(0, 10)}.csv`;
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).send(timeSeriesToCsv(analytics));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: analytics
+        });
+
+    } catch (error) {
+        console.error('Admin analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get All Users with Filtering
+adminRouter.get('/users', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const {
+            role,
+            isActive,
+            locked,
+            search,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {};
+
+        if (role && role !== 'all') {
+            whereClause.role = role.toUpperCase();
+        }
+
+        // Locks live in Redis, so filter by the currently locked emails
+        if (locked === 'true') {
+            const lockedAccounts = await getLockedAccounts();
+            whereClause.email = {
+                in: lockedAccounts.map(lock => lock.email)
+            };
+        }
+
+        if (isActive !== undefined) {
+            whereClause.isActive = isActive === 'true';
+        }
+
+        // Searching by email would reveal addresses to admins without users.read_pii
+        if (search) {
+            whereClause.OR = [
+                { name: { contains: search, mode: 'insensitive' } },
+                ...(req.adminPermissions.includes(PERMISSIONS.USERS_READ_PII) ?
+                    [{ email: { contains: search, mode: 'insensitive' } }] :
+                    [])
+            ];
+        }
+
+        const [users, totalUsers] = await Promise.all([
+            prisma.user.findMany({
+                where: whereClause,
+                include: {
+                    freelancer: true,
+                    client: true,
+                    admin: true
+                },
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.user.count({ where: whereClause })
+        ]);
+
+        const locks = await Promise.all(users.map(user => getAccountLock(user.email)));
+
+        const userData = users.map((user, index) => ({
+            id: user.id,
+            name: user.name,
+            email: visibleEmail(req, user.email),
+            role: user.role,
+            isActive: user.isActive,
+            emailVerifiedAt: user.emailVerifiedAt,
+            isLocked: !!locks[index],
+            lockedUntil: locks[index]?.lockedUntil || null,
+            profileImage: user.profileImage,
+            location: user.location,
+            createdAt: user.createdAt,
+            ...(user.freelancer && {
+                freelancerData: {
+                    projectsCompleted: user.freelancer.projectsCompleted,
+                    ratings: user.freelancer.ratings,
+                    isVerified: user.freelancer.isVerified
+                }
+            }),
+            ...(user.client && {
+                clientData: {
+                    projectsPosted: user.client.projectsPosted,
+                    companyName: user.client.companyName,
+                    isVerified: user.client.isVerified
+                }
+            }),
+            ...(user.admin && {
+                adminData: {
+                    permissions: user.admin.permissions
+                }
+            })
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                users: userData,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: totalUsers,
+                    pages: Math.ceil(totalUsers / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Accounts Locked by Failed Logins
+adminRouter.get('/users/locked', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const lockedAccounts = await getLockedAccounts();
+
+        const users = await prisma.user.findMany({
+            where: {
+                email: {
+                    in: lockedAccounts.map(lock => lock.email)
+                }
+            },
+            select: {
+                id: true,
+                name: true,
+                email: true,
+                role: true,
+                isActive: true
+            }
+        });
+
+        const usersByEmail = users.reduce((acc, user) => {
+            acc[user.email] = user;
+            return acc;
+        }, {});
+
+        res.status(200).json({
+            success: true,
+            data: {
+                lockedAccounts: lockedAccounts.map(lock => ({
+                    email: visibleEmail(req, lock.email),
+                    user: usersByEmail[lock.email] ? {
+                        ...usersByEmail[lock.email],
+                        email: visibleEmail(req, lock.email)
+                    } : null,
+                    failures: lock.failures,
+                    ipAddress: lock.ipAddress,
+                    lockedAt: lock.lockedAt,
+                    lockedUntil: lock.lockedUntil
+                })),
+                total: lockedAccounts.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get locked accounts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Accounts Pending Deletion
+adminRouter.get('/users/pending-deletions', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {
+            deletedAt: null,
+            deletionScheduledFor: { not: null }
+        };
+
+        const [users, total] = await Promise.all([
+            prisma.user.findMany({
+                where: whereClause,
+                select: {
+                    id: true,
+                    name: true,
+                    email: true,
+                    role: true,
+                    isActive: true,
+                    createdAt: true,
+                    deletionRequestedAt: true,
+                    deletionScheduledFor: true
+                },
+                orderBy: { deletionScheduledFor: 'asc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.user.count({ where: whereClause })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                users: users.map(user => ({
+                    ...user,
+                    email: visibleEmail(req, user.email)
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get pending deletions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Unlock Account Locked by Failed Logins
+adminRouter.patch('/users/:userId/unlock', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_UNLOCK), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, email: true }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await unlockAccount(user.email);
+
+        res.status(200).json({
+            success: true,
+            message: 'Account unlocked successfully',
+            data: {
+                userId: user.id,
+                isLocked: false
+            }
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Suspend/Unsuspend User
+adminRouter.patch('/users/:userId/toggle-status', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_SUSPEND), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { reason, durationDays, suspendedUntil } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Prevent suspending other admins (unless super admin)
+        if (user.role === 'ADMIN' && !req.adminPermissions.includes(PERMISSIONS.ADMINS_MANAGE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Cannot suspend admin users'
+            });
+        }
+
+        let updatedUser;
+
+        if (user.isActive) {
+            if (!reason || reason.trim().length < 10) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A suspension reason of at least 10 characters is required'
+                });
+            }
+
+            const suspensionEnd = parseSuspensionEnd({ durationDays, suspendedUntil });
+            if (!suspensionEnd.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: suspensionEnd.error
+                });
+            }
+
+            // Emails the user; their requests are rejected with the suspension details from now on
+            updatedUser = await suspendUser(userId, {
+                reason: reason.trim(),
+                suspendedUntil: suspensionEnd.endsAt,
+                suspendedBy: req.user.userId
+            });
+        } else {
+            updatedUser = await liftSuspension(userId);
+
+            // Lifting by hand settles any appeal still waiting
+            await prisma.suspensionAppeal.updateMany({
+                where: { userId, status: 'PENDING' },
+                data: {
+                    status: 'APPROVED',
+                    reviewedBy: req.user.userId,
+                    reviewNote: 'Suspension lifted by an admin',
+                    reviewedAt: new Date()
+                }
+            });
+        }
+
+        await recordAudit(req, {
+            action: updatedUser.isActive ? 'user.activated' : 'user.suspended',
+            targetType: 'USER',
+            targetId: userId,
+            before: { isActive: user.isActive, suspensionReason: user.suspensionReason, suspendedUntil: user.suspendedUntil },
+            after: { isActive: updatedUser.isActive, suspensionReason: updatedUser.suspensionReason, suspendedUntil: updatedUser.suspendedUntil }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `User ${updatedUser.isActive ? 'activated' : 'suspended'} successfully`,
+            data: {
+                userId: updatedUser.id,
+                isActive: updatedUser.isActive,
+                suspension: updatedUser.isActive ? null : getSuspensionDetails(updatedUser)
+            }
+        });
+
+    } catch (error) {
+        console.error('Toggle user status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Bulk Suspend/Unsuspend/Verify Users (by ID list or filter; dryRun previews without changing anything)
+adminRouter.post('/users/bulk-action', authenticateAdmin, async (req, res) => {
+    try {
+        const {
+            action,
+            userIds,
+            filter,
+            reason,
+            durationDays,
+            suspendedUntil,
+            cleanup = true,
+            dryRun = false
+        } = req.body;
+
+        if (!Object.hasOwn(BULK_USER_ACTIONS, action)) {
+            return res.status(400).json({
+                success: false,
+                message: `Action must be one of: ${Object.keys(BULK_USER_ACTIONS).join(', ')}`
+            });
+        }
+
+        if (typeof cleanup !== 'boolean' || typeof dryRun !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'cleanup and dryRun must be boolean values'
+            });
+        }
+
+        if (!req.adminPermissions.includes(BULK_USER_ACTIONS[action])) {
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions',
+                requiredPermissions: [BULK_USER_ACTIONS[action]]
+            });
+        }
+
+        let suspensionEnd = { endsAt: null };
+
+        if (action === 'suspend') {
+            if (typeof reason !== 'string' || reason.trim().length < 10) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A suspension reason of at least 10 characters is required'
+                });
+            }
+
+            suspensionEnd = parseSuspensionEnd({ durationDays, suspendedUntil });
+            if (!suspensionEnd.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: suspensionEnd.error
+                });
+            }
+        }
+
+        const targets = await resolveBulkTargets({ userIds, filter });
+        if (!targets.valid) {
+            return res.status(400).json({
+                success: false,
+                message: targets.error
+            });
+        }
+
+        const runCleanup = action === 'suspend' && cleanup !== false;
+        const bulkId = crypto.randomUUID();
+        const results = [];
+
+        for (const user of targets.users) {
+            const result = {
+                userId: user.id,
+                name: user.name,
+                email: visibleEmail(req, user.email),
+                role: user.role,
+                createdAt: user.createdAt
+            };
+
+            const skipReason = getSkipReason(action, user, req.user.userId);
+
+            if (skipReason) {
+                results.push({ ...result, status: 'skipped', reason: skipReason });
+                continue;
+            }
+
+            if (dryRun) {
+                results.push({
+                    ...result,
+                    status: 'would_apply',
+                    ...(runCleanup && { cleanup: await countUserContent(user) })
+                });
+                continue;
+            }
+
+            try {
+                const applied = await applyBulkAction(req, action, user, {
+                    reason: reason?.trim(),
+                    suspendedUntil: suspensionEnd.endsAt,
+                    cleanup: runCleanup,
+                    bulkId
+                });
+                results.push({ ...result, status: 'applied', ...applied });
+            } catch (error) {
+                // One bad row shouldn't stop the rest of the batch
+                console.error(`Bulk ${action} error for user ${user.id}:`, error);
+                results.push({ ...result, status: 'failed', reason: 'Internal error' });
+            }
+        }
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        const cleanupTotals = runCleanup ? results.reduce((totals, result) => ({
+            projectsCancelled: totals.projectsCancelled + (result.cleanup?.projectsCancelled || 0),
+            applicationsRejected: totals.applicationsRejected + (result.cleanup?.applicationsRejected || 0)
+        }), { projectsCancelled: 0, applicationsRejected: 0 }) : null;
+
+        if (!dryRun && count('applied') > 0) {
+            await deleteCache('admin:dashboard:stats');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: dryRun ?
+                `Dry run: ${count('would_apply')} users would be affected, ${count('skipped')} skipped` :
+                `Bulk ${action}: ${count('applied')} applied, ${count('skipped')} skipped, ${count('failed')} failed`,
+            data: {
+                action,
+                dryRun: !!dryRun,
+                bulkId: dryRun ? null : bulkId,
+                summary: {
+                    matched: targets.users.length,
+                    ...(dryRun ? { wouldApply: count('would_apply') } : { applied: count('applied'), failed: count('failed') }),
+                    skipped: count('skipped'),
+                    notFound: targets.notFound.length
+                },
+                cleanup: cleanupTotals,
+                results,
+                notFound: targets.notFound.length > 0 ? targets.notFound : undefined,
+                ...(action === 'suspend' && {
+                    suspension: {
+                        reason: reason.trim(),
+                        suspendedUntil: suspensionEnd.endsAt
+                    }
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Bulk user action error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Suspension Appeals Queue
+adminRouter.get('/suspension-appeals', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_SUSPEND), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = 'PENDING', userId } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {};
+
+        if (status !== 'all') {
+            if (!['PENDING', 'APPROVED', 'REJECTED'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status must be one of: all, PENDING, APPROVED, REJECTED'
+                });
+            }
+            whereClause.status = status;
+        }
+
+        if (userId) {
+            whereClause.userId = userId;
+        }
+
+        const [appeals, total] = await Promise.all([
+            prisma.suspensionAppeal.findMany({
+                where: whereClause,
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true,
+                            role: true,
+                            isActive: true,
+                            suspensionReason: true,
+                            suspendedAt: true,
+                            suspendedUntil: true,
+                            suspendedBy: true
+                        }
+                    }
+                },
+                orderBy: { createdAt: 'asc' }, // Oldest first
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.suspensionAppeal.count({ where: whereClause })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                appeals: appeals.map(appeal => ({
+                    ...appeal,
+                    user: {
+                        ...appeal.user,
+                        email: visibleEmail(req, appeal.user.email)
+                    }
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get suspension appeals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Decide a Suspension Appeal
+adminRouter.patch('/suspension-appeals/:appealId', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_SUSPEND), async (req, res) => {
+    try {
+        const { appealId } = req.params;
+        const { decision, reviewNote } = req.body;
+
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Decision must be either "approve" or "reject"'
+            });
+        }
+
+        if (decision === 'reject' && (!reviewNote || reviewNote.trim().length < 10)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A note of at least 10 characters is required when rejecting an appeal'
+            });
+        }
+
+        const appeal = await prisma.suspensionAppeal.findUnique({
+            where: { id: appealId },
+            include: {
+                user: {
+                    select: { id: true, name: true, email: true, isActive: true }
+                }
+            }
+        });
+
+        if (!appeal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appeal not found'
+            });
+        }
+
+        if (appeal.status !== 'PENDING') {
+            return res.status(400).json({
+                success: false,
+                message: `Appeal has already been ${appeal.status.toLowerCase()}`
+            });
+        }
+
+        const approved = decision === 'approve';
+
+        const updatedAppeal = await prisma.suspensionAppeal.update({
+            where: { id: appealId },
+            data: {
+                status: approved ? 'APPROVED' : 'REJECTED',
+                reviewedBy: req.user.userId,
+                reviewNote: reviewNote?.trim() || null,
+                reviewedAt: new Date()
+            }
+        });
+
+        if (approved && !appeal.user.isActive) {
+            await liftSuspension(appeal.userId);
+        }
+
+        sendAppealDecisionEmail(appeal.user, approved, updatedAppeal.reviewNote);
+
+        await recordAudit(req, {
+            action: approved ? 'suspension_appeal.approved' : 'suspension_appeal.rejected',
+            targetType: 'USER',
+            targetId: appeal.userId,
+            before: { appealStatus: 'PENDING', isActive: appeal.user.isActive },
+            after: { appealStatus: updatedAppeal.status, isActive: approved || appeal.user.isActive },
+            metadata: { appealId }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: approved ? 'Appeal approved and suspension lifted' : 'Appeal rejected',
+            data: { appeal: updatedAppeal }
+        });
+
+    } catch (error) {
+        console.error('Decide suspension appeal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Verify Freelancer/Client
+adminRouter.patch('/users/:userId/verify', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_VERIFY), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            include: {
+                freelancer: true,
+                client: true
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const profileType = user.freelancer ? 'FREELANCER' : user.client ? 'CLIENT' : null;
+
+        if (!profileType) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not a freelancer or client'
+            });
+        }
+
+        // Manual verification lasts as long as an approved request would
+        const updatedData = isVerificationCurrent(user.freelancer || user.client) ?
+            await revokeVerification(userId, profileType) :
+            await grantVerification(userId, profileType);
+
+        await recordAudit(req, {
+            action: updatedData.isVerified ? 'user.verified' : 'user.unverified',
+            targetType: 'USER',
+            targetId: userId,
+            before: { isVerified: !updatedData.isVerified },
+            after: { isVerified: updatedData.isVerified },
+            metadata: { profile: profileType, manual: true }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${user.role.toLowerCase()} ${updatedData.isVerified ? 'verified' : 'unverified'} successfully`,
+            data: {
+                userId,
+                ...getVerificationBadge(updatedData)
+            }
+        });
+
+    } catch (error) {
+        console.error('Verify user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Identity Verification Queue
+adminRouter.get('/verification-requests', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_VERIFY), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = 'PENDING', profileType, userId } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {};
+
+        if (status !== 'all') {
+            if (!['PENDING', 'APPROVED', 'REJECTED'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status must be one of: all, PENDING, APPROVED, REJECTED'
+                });
+            }
+            whereClause.status = status;
+        }
+
+        if (profileType) {
+            whereClause.profileType = profileType.toUpperCase();
+        }
+
+        if (userId) {
+            whereClause.userId = userId;
+        }
+
+        const [requests, total] = await Promise.all([
+            prisma.verificationRequest.findMany({
+                where: whereClause,
+                include: {
+                    user: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true,
+                            role: true,
+                            isActive: true
+                        }
+                    }
+                },
+                orderBy: { createdAt: 'asc' }, // Oldest first
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.verificationRequest.count({ where: whereClause })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                requests: requests.map(request => ({
+                    ...serializeVerificationRequest(request),
+                    reviewedBy: request.reviewedBy,
+                    user: {
+                        ...request.user,
+                        email: visibleEmail(req, request.user.email)
+                    }
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get verification requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Verification Request with Documents
+adminRouter.get('/verification-requests/:requestId', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_VERIFY), async (req, res) => {
+    try {
+        const request = await prisma.verificationRequest.findUnique({
+            where: { id: req.params.requestId },
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true,
+                        role: true,
+                        location: true,
+                        isActive: true,
+                        createdAt: true,
+                        freelancer: true,
+                        client: true
+                    }
+                }
+            }
+        });
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Verification request not found'
+            });
+        }
+
+        const { freelancer, client, ...user } = request.user;
+        const profile = request.profileType === 'FREELANCER' ? freelancer : client;
+
+        const previousRequests = await prisma.verificationRequest.findMany({
+            where: {
+                userId: request.userId,
+                profileType: request.profileType,
+                id: { not: request.id }
+            },
+            orderBy: { createdAt: 'desc' },
+            take: 10
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                request: {
+                    ...serializeVerificationRequest(request),
+                    reviewedBy: request.reviewedBy,
+                    documents: withDocumentUrls(request.documents)
+                },
+                user: {
+                    ...user,
+                    email: visibleEmail(req, user.email)
+                },
+                profile: profile ? {
+                    id: profile.id,
+                    ...(request.profileType === 'CLIENT' && {
+                        companyName: profile.companyName,
+                        industry: profile.industry,
+                        website: profile.website
+                    }),
+                    ...getVerificationBadge(profile)
+                } : null,
+                previousRequests: previousRequests.map(serializeVerificationRequest)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get verification request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Decide a Verification Request
+adminRouter.patch('/verification-requests/:requestId', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_VERIFY), async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const { decision, reason } = req.body;
+
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Decision must be either "approve" or "reject"'
+            });
+        }
+
+        if (decision === 'reject' && (!reason || reason.trim().length < MIN_REJECTION_REASON_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `A reason of at least ${MIN_REJECTION_REASON_LENGTH} characters is required when rejecting a request`
+            });
+        }
+
+        const request = await prisma.verificationRequest.findUnique({
+            where: { id: requestId },
+            include: {
+                user: {
+                    select: { id: true, name: true, email: true, deletedAt: true }
+                }
+            }
+        });
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Verification request not found'
+            });
+        }
+
+        if (request.status !== 'PENDING') {
+            return res.status(400).json({
+                success: false,
+                message: `Request has already been ${request.status.toLowerCase()}`
+            });
+        }
+
+        const approved = decision === 'approve';
+        let profile = null;
+
+        if (approved) {
+            profile = await grantVerification(request.userId, request.profileType);
+        } else {
+            // Rejected documents aren't needed any more
+            await deleteVerificationDocuments(request.documents);
+        }
+
+        const updatedRequest = await prisma.verificationRequest.update({
+            where: { id: requestId },
+            data: {
+                status: approved ? 'APPROVED' : 'REJECTED',
+                rejectionReason: approved ? null : reason.trim(),
+                reviewedBy: req.user.userId,
+                reviewedAt: new Date(),
+                expiresAt: profile?.verificationExpiresAt || null,
+                ...(!approved && { documents: [] })
+            }
+        });
+
+        sendVerificationEmail(request.user, approved ? 'APPROVED' : 'REJECTED', {
+            reason: updatedRequest.rejectionReason,
+            expiresAt: updatedRequest.expiresAt
+        });
+
+        await recordAudit(req, {
+            action: approved ? 'verification.approved' : 'verification.rejected',
+            targetType: 'USER',
+            targetId: request.userId,
+            after: approved ? { isVerified: true, verificationExpiresAt: updatedRequest.expiresAt } : undefined,
+            metadata: {
+                requestId,
+                profile: request.profileType,
+                documentType: request.documentType,
+                ...(!approved && { reason: updatedRequest.rejectionReason })
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: approved ? 'Verification approved' : 'Verification rejected',
+            data: { request: serializeVerificationRequest(updatedRequest) }
+        });
+
+    } catch (error) {
+        console.error('Decide verification request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Start "View As User" Impersonation
+adminRouter.post('/users/:userId/impersonate', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { reason, role, readOnly = true, durationMinutes = MAX_IMPERSONATION_MINUTES } = req.body;
+
+        if (typeof reason !== 'string' || reason.trim().length < 10) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason of at least 10 characters is required'
+            });
+        }
+
+        if (role !== undefined && !['CLIENT', 'FREELANCER'].includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be either "CLIENT" or "FREELANCER"'
+            });
+        }
+
+        if (typeof readOnly !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'readOnly must be a boolean'
+            });
+        }
+
+        if (!readOnly && !req.adminPermissions.includes(PERMISSIONS.USERS_IMPERSONATE_WRITE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions',
+                requiredPermissions: [PERMISSIONS.USERS_IMPERSONATE_WRITE]
+            });
+        }
+
+        const minutes = parseInt(durationMinutes);
+        if (!minutes || minutes < 1 || minutes > MAX_IMPERSONATION_MINUTES) {
+            return res.status(400).json({
+                success: false,
+                message: `Duration must be between 1 and ${MAX_IMPERSONATION_MINUTES} minutes`
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            include: {
+                client: { select: { id: true } },
+                freelancer: { select: { id: true } }
+            }
+        });
+
+        if (!user || user.deletedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.role === 'ADMIN') {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin accounts cannot be impersonated'
+            });
+        }
+
+        if (!user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Suspended accounts cannot be impersonated'
+            });
+        }
+
+        const roles = getAvailableRoles(user);
+        const activeRole = role || user.role;
+
+        if (!roles.includes(activeRole)) {
+            return res.status(400).json({
+                success: false,
+                message: `User has no ${activeRole.toLowerCase()} profile`,
+                data: { roles }
+            });
+        }
+
+        const { session, token } = await startImpersonation({
+            adminUserId: req.user.userId,
+            targetUser: user,
+            role: activeRole,
+            reason: reason.trim(),
+            readOnly,
+            durationMinutes: minutes,
+            req
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Impersonation session started (${readOnly ? 'read-only' : 'read-write'})`,
+            data: {
+                token,
+                expiresAt: session.expiresAt,
+                session
+            }
+        });
+
+    } catch (error) {
+        console.error('Start impersonation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Impersonation Sessions (audit trail)
+adminRouter.get('/impersonations', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const { page = 1, limit = 20, adminUserId, targetUserId, active } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {};
+
+        if (adminUserId) {
+            whereClause.adminUserId = adminUserId;
+        }
+
+        if (targetUserId) {
+            whereClause.targetUserId = targetUserId;
+        }
+
+        if (active === 'true') {
+            whereClause.endedAt = null;
+            whereClause.expiresAt = { gt: new Date() };
+        }
+
+        const [sessions, total] = await Promise.all([
+            prisma.impersonationSession.findMany({
+                where: whereClause,
+                orderBy: { startedAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.impersonationSession.count({ where: whereClause })
+        ]);
+
+        const userIds = [...new Set(sessions.flatMap(session => [session.adminUserId, session.targetUserId]))];
+        const users = await prisma.user.findMany({
+            where: { id: { in: userIds } },
+            select: { id: true, name: true, email: true }
+        });
+        const usersById = Object.fromEntries(users.map(user => [
+            user.id,
+            { ...user, email: visibleEmail(req, user.email) }
+        ]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sessions: sessions.map(session => ({
+                    ...session,
+                    active: isImpersonationActive(session),
+                    admin: usersById[session.adminUserId] || null,
+                    targetUser: usersById[session.targetUserId] || null
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get impersonation sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// End Impersonation Session
+adminRouter.post('/impersonations/:sessionId/end', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_IMPERSONATE), async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await prisma.impersonationSession.findUnique({
+            where: { id: sessionId }
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Impersonation session not found'
+            });
+        }
+
+        // Ending someone else's session is an admin-management action
+        if (session.adminUserId !== req.user.userId && !req.adminPermissions.includes(PERMISSIONS.ADMINS_MANAGE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only end your own impersonation sessions'
+            });
+        }
+
+        if (!isImpersonationActive(session)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Impersonation session has already ended'
+            });
+        }
+
+        const endedSession = await endImpersonation(session);
+
+        res.status(200).json({
+            success: true,
+            message: 'Impersonation session ended',
+            data: { session: endedSession }
+        });
+
+    } catch (error) {
+        console.error('End impersonation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Reports Queue
+adminRouter.get('/reports', authenticateAdmin, requireAdminPermission(PERMISSIONS.REPORTS_MANAGE), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status,
+            reportType,
+            targetType,
+            reportedId,
+            reporterId,
+            sortOrder = 'asc'
+        } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {};
+
+        if (status && status !== 'all' && !Object.hasOwn(REPORT_TRANSITIONS, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: all, ${Object.keys(REPORT_TRANSITIONS).join(', ')}`
+            });
+        }
+
+        // Open reports by default
+        if (status && status !== 'all') {
+            whereClause.status = status;
+        } else if (!status) {
+            whereClause.status = { in: ['PENDING', 'INVESTIGATING'] };
+        }
+
+        if (reportType) {
+            whereClause.reportType = reportType;
+        }
+
+        if (targetType) {
+            whereClause.targetType = targetType;
+        }
+
+        if (reportedId) {
+            whereClause.reportedId = reportedId;
+        }
+
+        if (reporterId) {
+            whereClause.reporterId = reporterId;
+        }
+
+        const [reports, total, statusCounts] = await Promise.all([
+            prisma.report.findMany({
+                where: whereClause,
+                orderBy: { createdAt: sortOrder === 'desc' ? 'desc' : 'asc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.report.count({ where: whereClause }),
+            prisma.report.groupBy({
+                by: ['status'],
+                _count: { status: true }
+            })
+        ]);
+
+        const userIds = [...new Set(reports.flatMap(report => [report.reporterId, report.reportedId]))];
+        const users = await prisma.user.findMany({
+            where: { id: { in: userIds } },
+            select: { id: true, name: true, email: true, role: true, isActive: true }
+        });
+        const usersById = Object.fromEntries(users.map(user => [
+            user.id,
+            { ...user, email: visibleEmail(req, user.email) }
+        ]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reports: reports.map(report => ({
+                    ...report,
+                    reporter: usersById[report.reporterId] || null,
+                    reported: usersById[report.reportedId] || null
+                })),
+                statusCounts: Object.fromEntries(statusCounts.map(item => [item.status, item._count.status])),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Report Details
+adminRouter.get('/reports/:reportId', authenticateAdmin, requireAdminPermission(PERMISSIONS.REPORTS_MANAGE), async (req, res) => {
+    try {
+        const { reportId } = req.params;
+
+        const report = await prisma.report.findUnique({
+            where: { id: reportId }
+        });
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        const [users, target, previousReports] = await Promise.all([
+            prisma.user.findMany({
+                where: { id: { in: [report.reporterId, report.reportedId] } },
+                select: { id: true, name: true, email: true, role: true, isActive: true, createdAt: true }
+            }),
+            getReportTargetDetails(report),
+            // Other reports against the same user help spot repeat offenders
+            prisma.report.groupBy({
+                by: ['status'],
+                where: {
+                    reportedId: report.reportedId,
+                    id: { not: report.id }
+                },
+                _count: { status: true }
+            })
+        ]);
+        const usersById = Object.fromEntries(users.map(user => [
+            user.id,
+            { ...user, email: visibleEmail(req, user.email) }
+        ]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                report: {
+                    ...report,
+                    reporter: usersById[report.reporterId] || null,
+                    reported: usersById[report.reportedId] || null
+                },
+                target,
+                otherReportsAgainstUser: Object.fromEntries(previousReports.map(item => [item.status, item._count.status])),
+                allowedTransitions: REPORT_TRANSITIONS[report.status],
+                enforcementActions: Object.keys(REPORT_ACTIONS)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Update Report Status / Resolve With Enforcement
+adminRouter.patch('/reports/:reportId', authenticateAdmin, requireAdminPermission(PERMISSIONS.REPORTS_MANAGE), async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { status, adminNotes, action, reporterMessage, suspensionReason } = req.body;
+
+        const report = await prisma.report.findUnique({
+            where: { id: reportId }
+        });
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (status && status !== report.status && !REPORT_TRANSITIONS[report.status]?.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot move a ${report.status} report to ${status}`,
+                data: { allowedTransitions: REPORT_TRANSITIONS[report.status] }
+            });
+        }
+
+        if (action) {
+            if (!Object.hasOwn(REPORT_ACTIONS, action)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Action must be one of: ${Object.keys(REPORT_ACTIONS).join(', ')}`
+                });
+            }
+
+            if (status !== 'RESOLVED') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Enforcement actions can only be taken when resolving a report'
+                });
+            }
+
+            if (!req.adminPermissions.includes(REPORT_ACTIONS[action])) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Insufficient permissions',
+                    requiredPermissions: [REPORT_ACTIONS[action]]
+                });
+            }
+        }
+
+        if (adminNotes !== undefined && adminNotes !== null && adminNotes.length > 5000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Admin notes must be at most 5000 characters'
+            });
+        }
+
+        if (action) {
+            const enforcement = await applyReportEnforcement(report, action, {
+                adminUserId: req.user.userId,
+                suspensionReason: suspensionReason?.trim() || null
+            });
+            if (!enforcement.applied) {
+                return res.status(400).json({
+                    success: false,
+                    message: enforcement.error
+                });
+            }
+        }
+
+        const closing = ['RESOLVED', 'DISMISSED'].includes(status) && status !== report.status;
+
+        const updatedReport = await prisma.report.update({
+            where: { id: reportId },
+            data: {
+                ...(status && { status }),
+                ...(adminNotes !== undefined && { adminNotes: adminNotes?.trim() || null }),
+                ...(action && { enforcementAction: action }),
+                ...(closing && {
+                    resolvedBy: req.user.userId,
+                    resolvedAt: new Date()
+                })
+            }
+        });
+
+        if (closing) {
+            await sendReportResolvedEmail(updatedReport, reporterMessage?.trim() || null);
+            await deleteCache('admin:dashboard:stats');
+        }
+
+        await recordAudit(req, {
+            action: 'report.updated',
+            targetType: 'REPORT',
+            targetId: reportId,
+            before: { status: report.status, adminNotes: report.adminNotes },
+            after: { status: updatedReport.status, adminNotes: updatedReport.adminNotes, enforcementAction: updatedReport.enforcementAction }
+        });
+
+        // Enforcement shows up on the affected user's / project's own timeline too
+        if (action === 'SUSPEND_USER') {
+            await recordAudit(req, {
+                action: 'user.suspended',
+                targetType: 'USER',
+                targetId: report.reportedId,
+                before: { isActive: true },
+                after: { isActive: false },
+                metadata: { reportId }
+            });
+        } else if (action === 'UNPUBLISH_PROJECT') {
+            await recordAudit(req, {
+                action: 'project.unpublished',
+                targetType: 'PROJECT',
+                targetId: report.targetId,
+                projectId: report.targetId,
+                before: { status: 'OPEN' },
+                after: { status: 'ADMIN_VERIFICATION' },
+                metadata: { reportId }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: closing ? `Report ${updatedReport.status.toLowerCase()} and reporter notified` : 'Report updated successfully',
+            data: { report: updatedReport }
+        });
+
+    } catch (error) {
+        console.error('Update report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Ratings for Moderation
+adminRouter.get('/ratings', authenticateAdmin, requireAdminPermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status,
+            raterType,
+            ratedId,
+            raterId,
+            projectId,
+            minRating,
+            maxRating,
+            search,
+            reported,
+            sortOrder = 'desc'
+        } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {};
+
+        if (status && status !== 'all') {
+            if (!RATING_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Status must be one of: all, ${RATING_STATUSES.join(', ')}`
+                });
+            }
+            whereClause.status = status;
+        }
+
+        if (raterType) {
+            whereClause.raterType = raterType;
+        }
+
+        if (ratedId) {
+            whereClause.ratedId = ratedId;
+        }
+
+        if (raterId) {
+            whereClause.raterId = raterId;
+        }
+
+        if (projectId) {
+            whereClause.projectId = projectId;
+        }
+
+        if (minRating || maxRating) {
+            whereClause.rating = {
+                ...(minRating && { gte: parseInt(minRating) }),
+                ...(maxRating && { lte: parseInt(maxRating) })
+            };
+        }
+
+        if (search) {
+            whereClause.review = { contains: search, mode: 'insensitive' };
+        }
+
+        // Only reviews someone has reported
+        if (reported === 'true') {
+            const reports = await prisma.report.findMany({
+                where: { targetType: 'REVIEW' },
+                select: { targetId: true },
+                distinct: ['targetId']
+            });
+            whereClause.id = { in: reports.map(report => report.targetId).filter(Boolean) };
+        }
+
+        const [ratings, total, statusCounts] = await Promise.all([
+            prisma.rating.findMany({
+                where: whereClause,
+                include: { project: { select: { title: true } } },
+                orderBy: { createdAt: sortOrder === 'asc' ? 'asc' : 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.rating.count({ where: whereClause }),
+            prisma.rating.groupBy({
+                by: ['status'],
+                _count: { status: true }
+            })
+        ]);
+
+        const [users, reportCounts] = await Promise.all([
+            prisma.user.findMany({
+                where: { id: { in: [...new Set(ratings.flatMap(rating => [rating.raterId, rating.ratedId]))] } },
+                select: { id: true, name: true, email: true, role: true }
+            }),
+            prisma.report.groupBy({
+                by: ['targetId'],
+                where: { targetType: 'REVIEW', targetId: { in: ratings.map(rating => rating.id) } },
+                _count: { targetId: true }
+            })
+        ]);
+        const usersById = Object.fromEntries(users.map(user => [
+            user.id,
+            { ...user, email: visibleEmail(req, user.email) }
+        ]));
+        const reportsById = Object.fromEntries(reportCounts.map(item => [item.targetId, item._count.targetId]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ratings: ratings.map(rating => ({
+                    ...serializeRating(rating, usersById),
+                    reportCount: reportsById[rating.id] || 0
+                })),
+                statusCounts: Object.fromEntries(statusCounts.map(item => [item.status, item._count.status])),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get ratings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Hide, Remove or Restore a Rating
+adminRouter.patch('/ratings/:ratingId/moderation', authenticateAdmin, requireAdminPermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+    try {
+        const { ratingId } = req.params;
+        const { action, reason } = req.body;
+
+        if (!Object.hasOwn(RATING_MODERATION_ACTIONS, action)) {
+            return res.status(400).json({
+                success: false,
+                message: `Action must be one of: ${Object.keys(RATING_MODERATION_ACTIONS).join(', ')}`
+            });
+        }
+
+        const status = RATING_MODERATION_ACTIONS[action];
+
+        if (action !== 'restore' && (typeof reason !== 'string' || reason.trim().length < MIN_MODERATION_REASON_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `A reason of at least ${MIN_MODERATION_REASON_LENGTH} characters is required`
+            });
+        }
+
+        const rating = await prisma.rating.findUnique({
+            where: { id: ratingId }
+        });
+
+        if (!rating) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rating not found'
+            });
+        }
+
+        if (rating.status === status) {
+            return res.status(400).json({
+                success: false,
+                message: `Rating is already ${status.toLowerCase()}`
+            });
+        }
+
+        const result = await moderateRating(req, rating, status, reason?.trim() || null);
+
+        res.status(200).json({
+            success: true,
+            message: `Rating ${action === 'restore' ? 'restored' : status.toLowerCase()} and the rated user notified`,
+            data: {
+                rating: serializeRating(result.rating),
+                ratedUserAverage: result.average
+            }
+        });
+
+    } catch (error) {
+        console.error('Moderate rating error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get All Projects
+adminRouter.get('/projects', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_READ), async (req, res) => {
+    try {
+        const {
+            status,
+            search,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = {};
+
+        if (status && status !== 'all') {
+            whereClause.status = status.toUpperCase();
+        }
+
+        if (search) {
+            whereClause.OR = [
+                { title: { contains: search, mode: 'insensitive' } },
+                { description: { contains: search, mode: 'insensitive' } }
+            ];
+        }
+
+        const [projects, totalProjects] = await Promise.all([
+            prisma.project.findMany({
+                where: whereClause,
+                include: {
+                    client: {
+                        include: {
+                            user: {
+                                select: {
+                                    name: true,
+                                    email: true
+                                }
+                            }
+                        }
+                    },
+                    freelancer: {
+                        include: {
+                            user: {
+                                select: {
+                                    name: true,
+                                    email: true
+                                }
+                            }
+                        }
+                    },
+                    applications: {
+                        select: {
+                            id: true
+                        }
+                    }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.project.count({ where: whereClause })
+        ]);
+
+        const projectData = projects.map(project => ({
+            id: project.id,
+            title: project.title,
+            description: project.description,
+            status: project.status,
+            skillsRequired: project.skillsRequired,
+            budget: {
+                min: project.budgetMin,
+                max: project.budgetMax
+            },
+            duration: project.duration,
+            isFeatured: project.isFeatured,
+            applicationsCount: project.applications.length,
+            client: {
+                name: project.client.user.name,
+                email: visibleEmail(req, project.client.user.email),
+                company: project.client.companyName
+            },
+            freelancer: project.freelancer ? {
+                name: project.freelancer.user.name,
+                email: visibleEmail(req, project.freelancer.user.email)
+            } : null,
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                projects: projectData,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: totalProjects,
+                    pages: Math.ceil(totalProjects / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get projects error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Feature/Unfeature Project
+adminRouter.patch('/projects/:projectId/toggle-featured', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_FEATURE), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        const project = await prisma.project.findUnique({
+            where: { id: projectId }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        const updatedProject = await prisma.project.update({
+            where: { id: projectId },
+            data: {
+                isFeatured: !project.isFeatured
+            }
+        });
+
+        // Clear featured projects cache
+        await deleteCache('public:featured:projects');
+
+        await recordAudit(req, {
+            action: updatedProject.isFeatured ? 'project.featured' : 'project.unfeatured',
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { isFeatured: project.isFeatured },
+            after: { isFeatured: updatedProject.isFeatured }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Project ${updatedProject.isFeatured ? 'featured' : 'unfeatured'} successfully`,
+            data: {
+                projectId: updatedProject.id,
+                isFeatured: updatedProject.isFeatured
+            }
+        });
+
+    } catch (error) {
+        console.error('Toggle project featured error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Create Super Admin (Only for initial setup, requires the ADMIN_SETUP_SECRET)
+adminRouter.post('/create-super-admin', async (req, res) => {
+    try {
+        // Disabled unless the server was started with a setup secret
+        if (!isValidSetupSecret(req.header('X-Setup-Secret'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid or missing setup secret'
+            });
+        }
+
+        // Check if any super admin exists
+        const existingSuperAdmin = await prisma.admin.findFirst({
+            where: {
+                permissions: {
+                    has: 'SUPER_ADMIN'
+                }
+            }
+        });
+
+        if (existingSuperAdmin) {
+            return res.status(400).json({
+                success: false,
+                message: 'Super admin already exists'
+            });
+        }
+
+        const { name, email, password } = req.body;
+
+        if (!name || !email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name, email, and password are required'
+            });
+        }
+
+        const passwordCheck = await validatePassword(password, { email });
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        // Create user and admin in transaction
+        const result = await prisma.$transaction(async (tx) => {
+            const user = await tx.user.create({
+                data: {
+                    name,
+                    email,
+                    password: hashedPassword,
+                    role: 'ADMIN'
+                }
+            });
+
+            const admin = await tx.admin.create({
+                data: {
+                    userId: user.id,
+                    permissions: ['SUPER_ADMIN']
+                }
+            });
+
+            return { user, admin };
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Super admin created successfully',
+            data: {
+                id: result.user.id,
+                name: result.user.name,
+                email: result.user.email,
+                permissions: result.admin.permissions
+            }
+        });
+
+    } catch (error) {
+        console.error('Create super admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Admin Management (SUPER_ADMIN only)
+
+// List Admins with Last Login
+adminRouter.get('/admins', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const admins = await prisma.admin.findMany({
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true,
+                        isActive: true,
+                        twoFactor: {
+                            select: { enabledAt: true }
+                        }
+                    }
+                }
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                admins: admins.map(admin => ({
+                    id: admin.user.id,
+                    name: admin.user.name,
+                    email: admin.user.email,
+                    permissions: admin.permissions,
+                    customRoles: admin.customRoles,
+                    isActive: admin.user.isActive,
+                    twoFactorEnabled: !!admin.user.twoFactor,
+                    lastLoginAt: admin.lastLoginAt,
+                    invitedBy: admin.invitedBy,
+                    createdAt: admin.createdAt
+                })),
+                total: admins.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get admins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Invite Admin by Email
+adminRouter.post('/admins/invitations', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const { email, permissions = ['MODERATOR'] } = req.body;
+
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid email address'
+            });
+        }
+
+        if (!isValidPermissionList(permissions)) {
+            return res.status(400).json({
+                success: false,
+                message: `Permissions must be a non-empty list of: ${ADMIN_PERMISSIONS.join(', ')}`
+            });
+        }
+
+        const existingUser = await prisma.user.findUnique({
+            where: { email },
+            select: { id: true, role: true }
+        });
+
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: existingUser.role === 'ADMIN' ?
+                    'This email already belongs to an admin' :
+                    'This email belongs to a client or freelancer account. Invite a different address.'
+            });
+        }
+
+        const inviter = await prisma.user.findUnique({
+            where: { id: req.user.userId },
+            select: { name: true }
+        });
+
+        const { invitation, token } = await createAdminInvitation(email, permissions, req.user.userId);
+        await sendAdminInvitationEmail(email, inviter.name, permissions, token);
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent successfully',
+            data: {
+                id: invitation.id,
+                email: invitation.email,
+                permissions: invitation.permissions,
+                expiresAt: invitation.expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Invite admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// List Pending Invitations
+adminRouter.get('/admins/invitations', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const invitations = await prisma.adminInvitation.findMany({
+            where: {
+                acceptedAt: null,
+                revokedAt: null,
+                expiresAt: { gt: new Date() }
+            },
+            select: {
+                id: true,
+                email: true,
+                permissions: true,
+                invitedBy: true,
+                expiresAt: true,
+                createdAt: true
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                invitations,
+                total: invitations.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get admin invitations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Revoke Invitation
+adminRouter.delete('/admins/invitations/:invitationId', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const { invitationId } = req.params;
+
+        const result = await prisma.adminInvitation.updateMany({
+            where: {
+                id: invitationId,
+                acceptedAt: null,
+                revokedAt: null
+            },
+            data: { revokedAt: new Date() }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending invitation not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation revoked successfully',
+            data: { invitationId }
+        });
+
+    } catch (error) {
+        console.error('Revoke admin invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Accept Invitation (Public - the token is the credential)
+adminRouter.post('/admins/invitations/accept', async (req, res) => {
+    try {
+        const { token, name, password } = req.body;
+
+        if (!token || !name || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token, name, and password are required'
+            });
+        }
+
+        const invitation = await findPendingInvitation(token);
+        if (!invitation) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation is invalid or has expired'
+            });
+        }
+
+        const passwordCheck = await validatePassword(password, { email: invitation.email });
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 12);
+
+        const result = await prisma.$transaction(async (tx) => {
+            const user = await tx.user.create({
+                data: {
+                    name,
+                    email: invitation.email,
+                    password: hashedPassword,
+                    role: 'ADMIN',
+                    emailVerifiedAt: new Date()
+                }
+            });
+
+            const admin = await tx.admin.create({
+                data: {
+                    userId: user.id,
+                    permissions: invitation.permissions,
+                    invitedBy: invitation.invitedBy
+                }
+            });
+
+            await tx.adminInvitation.update({
+                where: { id: invitation.id },
+                data: { acceptedAt: new Date() }
+            });
+
+            return { user, admin };
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Admin account created successfully. You can now log in.',
+            data: {
+                id: result.user.id,
+                name: result.user.name,
+                email: result.user.email,
+                permissions: result.admin.permissions
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({
+                success: false,
+                message: 'An account with this email already exists'
+            });
+        }
+
+        console.error('Accept admin invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Set Admin Permissions
+adminRouter.patch('/admins/:userId/permissions', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { permissions } = req.body;
+
+        if (!isValidPermissionList(permissions)) {
+            return res.status(400).json({
+                success: false,
+                message: `Permissions must be a non-empty list of: ${ADMIN_PERMISSIONS.join(', ')}`
+            });
+        }
+
+        const admin = await prisma.admin.findUnique({
+            where: { userId },
+            include: { user: { select: { isActive: true } } }
+        });
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        // Never drop the last active super admin
+        const losesSuperAdmin = admin.permissions.includes('SUPER_ADMIN') && !permissions.includes('SUPER_ADMIN');
+        if (losesSuperAdmin && admin.user.isActive && await countActiveSuperAdmins() <= 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot remove the last active super admin'
+            });
+        }
+
+        const updatedAdmin = await prisma.admin.update({
+            where: { userId },
+            data: { permissions: [...new Set(permissions)] }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin permissions updated successfully',
+            data: {
+                userId,
+                permissions: updatedAdmin.permissions
+            }
+        });
+
+    } catch (error) {
+        console.error('Update admin permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Assign Custom Roles to an Admin
+adminRouter.patch('/admins/:userId/custom-roles', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { customRoles } = req.body;
+
+        const roles = await getPermissionRoles();
+
+        if (!Array.isArray(customRoles) || customRoles.some(role => !Object.hasOwn(roles, role) || roles[role].builtIn)) {
+            return res.status(400).json({
+                success: false,
+                message: 'customRoles must be a list of existing custom role names'
+            });
+        }
+
+        const admin = await prisma.admin.findUnique({
+            where: { userId }
+        });
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        const updatedAdmin = await prisma.admin.update({
+            where: { userId },
+            data: { customRoles: [...new Set(customRoles)] }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin roles updated successfully',
+            data: {
+                userId,
+                permissions: updatedAdmin.permissions,
+                customRoles: updatedAdmin.customRoles,
+                effectivePermissions: await resolveAdminPermissions(updatedAdmin)
+            }
+        });
+
+    } catch (error) {
+        console.error('Update admin custom roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Deactivate/Reactivate Admin
+adminRouter.patch('/admins/:userId/status', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isActive must be a boolean value'
+            });
+        }
+
+        if (userId === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change the status of your own account'
+            });
+        }
+
+        const admin = await prisma.admin.findUnique({
+            where: { userId },
+            include: { user: { select: { isActive: true } } }
+        });
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        if (!isActive && admin.user.isActive && admin.permissions.includes('SUPER_ADMIN') && await countActiveSuperAdmins() <= 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot deactivate the last active super admin'
+            });
+        }
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: { isActive }
+        });
+
+        if (!isActive) {
+            await revokeAllSessions(userId);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Admin ${isActive ? 'reactivated' : 'deactivated'} successfully`,
+            data: {
+                userId,
+                isActive
+            }
+        });
+
+    } catch (error) {
+        console.error('Update admin status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Remove Admin
+adminRouter.delete('/admins/:userId', authenticateAdmin, requireAdminPermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (userId === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove your own account'
+            });
+        }
+
+        const admin = await prisma.admin.findUnique({
+            where: { userId },
+            include: { user: { select: { isActive: true } } }
+        });
+
+        if (!admin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Admin not found'
+            });
+        }
+
+        if (admin.user.isActive && admin.permissions.includes('SUPER_ADMIN') && await countActiveSuperAdmins() <= 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot remove the last active super admin'
+            });
+        }
+
+        await revokeAllSessions(userId);
+
+        // Admin accounts have no client/freelancer history, so the user row goes too
+        await prisma.user.delete({
+            where: { id: userId }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Admin removed successfully',
+            data: { userId }
+        });
+
+    } catch (error) {
+        console.error('Remove admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Update Project Status (Approve/Reject/Request Changes)
+adminRouter.patch('/projects/:projectId/status', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_APPROVE), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { action, rejectedReason, fieldComments, note } = req.body;
+
+        // Validate input
+        if (!action || !['approve', 'reject', 'request_changes'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be "approve", "reject" or "request_changes"'
+            });
+        }
+
+        // If rejecting, reason is required
+        if (action === 'reject' && !rejectedReason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason is required when rejecting a project'
+            });
+        }
+
+        if (rejectedReason && rejectedReason.trim().length < 10) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason must be at least 10 characters long'
+            });
+        }
+
+        // Changes need something for the client to act on
+        const comments = normalizeFieldComments(fieldComments);
+        if (!comments.valid) {
+            return res.status(400).json({
+                success: false,
+                message: comments.error
+            });
+        }
+
+        if (action === 'request_changes' && Object.keys(comments.comments).length === 0 && (!note || note.trim().length < 10)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Add at least one field comment or a note of at least 10 characters when requesting changes'
+            });
+        }
+
+        // Find the project
+        const project = await prisma.project.findUnique({
+            where: { id: projectId },
+            include: {
+                client: {
+                    include: {
+                        user: {
+                            select: {
+                                name: true,
+                                email: true
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        // Check if project is in ADMIN_VERIFICATION status
+        if (project.status !== 'ADMIN_VERIFICATION') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot update status. Project is currently ${project.status}. Only projects under ADMIN_VERIFICATION can be reviewed.`
+            });
+        }
+
+        if (isClaimedByOther(project, req.user.userId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Another admin is reviewing this project',
+                errorCode: 'PROJECT_CLAIMED',
+                data: { claim: serializeClaim(project, req.user.userId, await getAdminNames([project.claimedBy])) }
+            });
+        }
+
+        // Prepare update data
+        const updateData = {
+            updatedAt: new Date(),
+            ...CLEARED_CLAIM
+        };
+
+        if (action === 'approve') {
+            updateData.status = 'OPEN';
+            updateData.rejectedReason = null; // Clear any previous rejection reason
+        } else if (action === 'reject') {
+            updateData.status = 'CANCELLED';
+            updateData.rejectedReason = rejectedReason.trim();
+        } else {
+            updateData.status = 'CHANGES_REQUESTED';
+        }
+
+        // Update the project
+        const updatedProject = await prisma.project.update({
+            where: { id: projectId },
+            data: updateData,
+            include: {
+                client: {
+                    include: {
+                        user: {
+                            select: {
+                                name: true,
+                                email: true
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        const review = await recordProjectReview(projectId, {
+            outcome: { approve: 'APPROVED', reject: 'REJECTED', request_changes: 'CHANGES_REQUESTED' }[action],
+            fieldComments: comments.comments,
+            note: action === 'reject' ? updatedProject.rejectedReason : note?.trim(),
+            reviewedBy: req.user.userId,
+            queuedAt: getQueueEnteredAt(project),
+            claimedAt: getOwnClaimedAt(project, req.user.userId)
+        });
+
+        if (action === 'request_changes') {
+            sendChangesRequestedEmail(updatedProject.client.user, updatedProject, review.fieldComments, review.note);
+        }
+
+        // Clear relevant caches
+        await Promise.all([
+            deleteCache('admin:dashboard:stats'),
+            deleteCache('public:projects:recent'),
+            deleteCache('public:featured:projects'),
+            deleteCache(`project:${projectId}`),
+            deleteCache(`client:projects:${project.clientId}`),
+            deleteCache(`client:dashboard:${project.client.userId}`)
+        ]);
+
+        await recordAudit(req, {
+            action: { approve: 'project.approved', reject: 'project.rejected', request_changes: 'project.changes_requested' }[action],
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { status: project.status },
+            after: { status: updatedProject.status, rejectedReason: updatedProject.rejectedReason },
+            metadata: { round: review.round, ...(action === 'request_changes' && { fieldComments: review.fieldComments, note: review.note }) }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: {
+                approve: 'Project approved successfully',
+                reject: 'Project rejected successfully',
+                request_changes: 'Changes requested from the client'
+            }[action],
+            data: {
+                projectId: updatedProject.id,
+                title: updatedProject.title,
+                status: updatedProject.status,
+                action: action,
+                rejectedReason: updatedProject.rejectedReason,
+                review: {
+                    round: review.round,
+                    fieldComments: review.fieldComments || {},
+                    note: review.note
+                },
+                client: {
+                    name: updatedProject.client.user.name,
+                    email: updatedProject.client.user.email
+                },
+                updatedAt: updatedProject.updatedAt,
+                adminAction: {
+                    performedBy: req.admin.name,
+                    performedAt: new Date()
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Update project status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Get Projects Pending Admin Verification
+adminRouter.get('/projects/pending-verification', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_READ), async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            claim = 'all', // all, mine, claimed, unclaimed
+            sortBy = 'oldest' // oldest, newest, budget-high, budget-low
+        } = req.query;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const now = new Date();
+
+        const whereClause = {
+            status: 'ADMIN_VERIFICATION'
+        };
+
+        if (claim === 'mine') {
+            whereClause.claimedBy = req.user.userId;
+            whereClause.claimExpiresAt = { gt: now };
+        } else if (claim === 'claimed') {
+            whereClause.claimedBy = { not: null };
+            whereClause.claimExpiresAt = { gt: now };
+        } else if (claim === 'unclaimed') {
+            whereClause.AND = [{ OR: [{ claimedBy: null }, { claimExpiresAt: { lte: now } }] }];
+        }
+
+        if (search) {
+            whereClause.OR = [
+                { title: { contains: search, mode: 'insensitive' } },
+                { description: { contains: search, mode: 'insensitive' } },
+                { skillsRequired: { hasSome: [search] } }
+            ];
+        }
+
+        // Determine sort order
+        let orderBy = { createdAt: 'asc' }; // Default: oldest first (fairness)
+        
+        switch (sortBy) {
+            case 'newest':
+                orderBy = { createdAt: 'desc' };
+                break;
+            case 'budget-high':
+                orderBy = { budgetMax: 'desc' };
+                break;
+            case 'budget-low':
+                orderBy = { budgetMin: 'asc' };
+                break;
+            default:
+                orderBy = { createdAt: 'asc' };
+        }
+
+        const [projects, totalProjects] = await Promise.all([
+            prisma.project.findMany({
+                where: whereClause,
+                include: {
+                    client: {
+                        include: {
+                            user: {
+                                select: {
+                                    name: true,
+                                    email: true,
+                                    profileImage: true,
+                                    location: true,
+                                    createdAt: true
+                                }
+                            }
+                        }
+                    }
+                },
+                orderBy,
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.project.count({ where: whereClause })
+        ]);
+
+        const screenings = await prisma.contentScreening.findMany({
+            where: {
+                targetType: 'PROJECT',
+                targetId: { in: projects.map(project => project.id) }
+            },
+            select: { targetId: true, riskScore: true, riskLevel: true }
+        });
+        const screeningsByProject = Object.fromEntries(screenings.map(screening => [screening.targetId, screening]));
+
+        const [{ slaHours }, claimants] = await Promise.all([
+            getQueueConfig(),
+            getAdminNames(projects.map(project => project.claimedBy))
+        ]);
+
+        const projectData = projects.map(project => {
+            const waitingDays = Math.floor((now - new Date(getQueueEnteredAt(project))) / (1000 * 60 * 60 * 24));
+            
+            return {
+                id: project.id,
+                title: project.title,
+                description: project.description.length > 200 ? 
+                    project.description.substring(0, 200) + '...' : 
+                    project.description,
+                skillsRequired: project.skillsRequired,
+                budget: {
+                    min: project.budgetMin,
+                    max: project.budgetMax,
+                    display: project.budgetMin && project.budgetMax ? 
+                        `$${project.budgetMin.toLocaleString()} - $${project.budgetMax.toLocaleString()}` : 
+                        'Budget not specified'
+                },
+                duration: project.duration || 'Not specified',
+                status: project.status,
+                client: {
+                    id: project.client.id,
+                    name: project.client.user.name,
+                    email: visibleEmail(req, project.client.user.email),
+                    profileImage: project.client.user.profileImage,
+                    location: project.client.user.location,
+                    companyName: project.client.companyName,
+                    isVerified: project.client.isVerified,
+                    memberSince: project.client.user.createdAt
+                },
+                waitingTime: {
+                    since: getQueueEnteredAt(project),
+                    days: waitingDays,
+                    display: waitingDays === 0 ? 'Today' : 
+                            waitingDays === 1 ? '1 day ago' : 
+                            `${waitingDays} days ago`,
+                    urgency: waitingDays >= 7 ? 'high' : 
+                            waitingDays >= 3 ? 'medium' : 'low'
+                },
+                claim: serializeClaim(project, req.user.userId, claimants),
+                sla: getSlaState(project, slaHours, now),
+                createdAt: project.createdAt,
+                screening: screeningsByProject[project.id] ?
+                    {
+                        riskScore: screeningsByProject[project.id].riskScore,
+                        riskLevel: screeningsByProject[project.id].riskLevel
+                    } :
+                    null,
+                priority: waitingDays >= 7 ? 'high' : 
+                         waitingDays >= 3 ? 'medium' : 'normal'
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                projects: projectData,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total: totalProjects,
+                    pages: Math.ceil(totalProjects / parseInt(limit)),
+                    hasNext: (parseInt(page) * parseInt(limit)) < totalProjects,
+                    hasPrev: parseInt(page) > 1
+                },
+                stats: {
+                    totalPending: totalProjects,
+                    highPriority: projectData.filter(p => p.priority === 'high').length,
+                    mediumPriority: projectData.filter(p => p.priority === 'medium').length,
+                    highRisk: projectData.filter(p => p.screening?.riskLevel === 'HIGH').length,
+                    slaBreached: projectData.filter(p => p.sla.breached).length,
+                    oldestWaiting: totalProjects > 0 ? projectData[0].waitingTime.days : 0
+                },
+                claim,
+                sortBy: sortBy
+            }
+        });
+
+    } catch (error) {
+        console.error('Get pending projects error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Claim a Project for Review (renews the lock if you already hold it)
+adminRouter.post('/projects/:projectId/claim', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_APPROVE), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        const project = await prisma.project.findUnique({
+            where: { id: projectId }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        if (project.status !== 'ADMIN_VERIFICATION') {
+            return res.status(400).json({
+                success: false,
+                message: `Only projects under ADMIN_VERIFICATION can be claimed. Project is currently ${project.status}.`
+            });
+        }
+
+        const { claimMinutes, slaHours } = await getQueueConfig();
+        const renewing = isClaimActive(project) && project.claimedBy === req.user.userId;
+        const claimed = await claimProject(projectId, req.user.userId, claimMinutes);
+
+        if (!claimed) {
+            const current = await prisma.project.findUnique({ where: { id: projectId } });
+            return res.status(409).json({
+                success: false,
+                message: 'Another admin is reviewing this project',
+                errorCode: 'PROJECT_CLAIMED',
+                data: { claim: serializeClaim(current, req.user.userId, await getAdminNames([current.claimedBy])) }
+            });
+        }
+
+        if (!renewing) {
+            await recordAudit(req, {
+                action: 'project.claimed',
+                targetType: 'PROJECT',
+                targetId: projectId,
+                projectId,
+                after: { claimExpiresAt: claimed.claimExpiresAt }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: renewing ? 'Claim renewed' : 'Project claimed',
+            data: {
+                projectId,
+                claim: serializeClaim(claimed, req.user.userId, await getAdminNames([req.user.userId])),
+                sla: getSlaState(claimed, slaHours)
+            }
+        });
+
+    } catch (error) {
+        console.error('Claim project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Release a Project Claim (your own, or anyone's with admins.manage)
+adminRouter.delete('/projects/:projectId/claim', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_APPROVE), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        const project = await prisma.project.findUnique({
+            where: { id: projectId }
+        });
+
+        if (!project || !isClaimActive(project)) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active claim on this project'
+            });
+        }
+
+        if (project.claimedBy !== req.user.userId && !req.adminPermissions.includes(PERMISSIONS.ADMINS_MANAGE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the claiming admin can release this claim',
+                errorCode: 'PROJECT_CLAIMED'
+            });
+        }
+
+        await prisma.project.update({
+            where: { id: projectId },
+            data: CLEARED_CLAIM
+        });
+
+        await recordAudit(req, {
+            action: 'project.claim_released',
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { claimedBy: project.claimedBy, claimExpiresAt: project.claimExpiresAt },
+            after: { claimedBy: null }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Claim released',
+            data: { projectId }
+        });
+
+    } catch (error) {
+        console.error('Release project claim error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Reassign a Project Review to Another Admin (your own claims or unclaimed projects; anyone's with admins.manage)
+adminRouter.post('/projects/:projectId/assign', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_APPROVE), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { adminUserId } = req.body;
+
+        if (!adminUserId) {
+            return res.status(400).json({
+                success: false,
+                message: 'adminUserId is required'
+            });
+        }
+
+        const project = await prisma.project.findUnique({
+            where: { id: projectId }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        if (project.status !== 'ADMIN_VERIFICATION') {
+            return res.status(400).json({
+                success: false,
+                message: `Only projects under ADMIN_VERIFICATION can be assigned. Project is currently ${project.status}.`
+            });
+        }
+
+        if (isClaimedByOther(project, req.user.userId) && !req.adminPermissions.includes(PERMISSIONS.ADMINS_MANAGE)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Another admin is reviewing this project. Only they or an admin manager can reassign it.',
+                errorCode: 'PROJECT_CLAIMED'
+            });
+        }
+
+        const assignee = await prisma.user.findUnique({
+            where: { id: adminUserId },
+            include: { admin: true }
+        });
+
+        if (!assignee || assignee.role !== 'ADMIN' || !assignee.admin || !assignee.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignee must be an active admin'
+            });
+        }
+
+        if (!(await resolveAdminPermissions(assignee.admin)).includes(PERMISSIONS.PROJECTS_APPROVE)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignee cannot approve projects'
+            });
+        }
+
+        const { assignmentHours } = await getQueueConfig();
+        const assigned = await assignProject(projectId, adminUserId, assignmentHours);
+
+        await recordAudit(req, {
+            action: 'project.reassigned',
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { claimedBy: isClaimActive(project) ? project.claimedBy : null },
+            after: { claimedBy: adminUserId, claimExpiresAt: assigned.claimExpiresAt }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Project assigned to ${assignee.name}`,
+            data: {
+                projectId,
+                claim: serializeClaim(assigned, req.user.userId, { [assignee.id]: { id: assignee.id, name: assignee.name } })
+            }
+        });
+
+    } catch (error) {
+        console.error('Assign project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Verification Queue Assignments (who is reviewing what)
+adminRouter.get('/verification-queue/assignments', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_READ), async (req, res) => {
+    try {
+        const now = new Date();
+
+        const { slaHours } = await getQueueConfig();
+
+        const [claimedProjects, snapshot] = await Promise.all([
+            prisma.project.findMany({
+                where: {
+                    status: 'ADMIN_VERIFICATION',
+                    claimedBy: { not: null },
+                    claimExpiresAt: { gt: now }
+                },
+                select: {
+                    id: true,
+                    title: true,
+                    createdAt: true,
+                    verificationQueuedAt: true,
+                    claimedBy: true,
+                    claimedAt: true,
+                    claimExpiresAt: true
+                },
+                orderBy: { claimedAt: 'asc' }
+            }),
+            getQueueSnapshot(slaHours)
+        ]);
+
+        const admins = await getAdminNames(claimedProjects.map(project => project.claimedBy));
+
+        const assignments = Object.values(claimedProjects.reduce((acc, project) => {
+            acc[project.claimedBy] = acc[project.claimedBy] || {
+                admin: admins[project.claimedBy] || { id: project.claimedBy },
+                projects: []
+            };
+            acc[project.claimedBy].projects.push({
+                id: project.id,
+                title: project.title,
+                claimedAt: project.claimedAt,
+                claimExpiresAt: project.claimExpiresAt,
+                sla: getSlaState(project, slaHours, now)
+            });
+            return acc;
+        }, {})).sort((a, b) => b.projects.length - a.projects.length);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                assignments,
+                queue: snapshot
+            }
+        });
+
+    } catch (error) {
+        console.error('Get verification assignments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Verification Queue Metrics (time in ADMIN_VERIFICATION, overall and per moderator)
+adminRouter.get('/verification-queue/metrics', authenticateAdmin, requireAdminPermission(PERMISSIONS.ANALYTICS_READ), async (req, res) => {
+    try {
+        const parsed = parseMetricsRange(req.query);
+
+        if (!parsed.valid) {
+            return res.status(400).json({
+                success: false,
+                message: parsed.error
+            });
+        }
+
+        const { slaHours } = await getQueueConfig();
+
+        const [metrics, snapshot] = await Promise.all([
+            getQueueMetrics(parsed.range, slaHours),
+            getQueueSnapshot(slaHours)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                range: parsed.range,
+                slaHours,
+                ...metrics,
+                queue: snapshot
+            }
+        });
+
+    } catch (error) {
+        console.error('Get verification metrics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Bulk Update Project Status (Approve/Reject multiple projects)
+adminRouter.patch('/projects/bulk-status', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_APPROVE), async (req, res) => {
+    try {
+        const { projectIds, action, rejectedReason } = req.body;
+
+        // Validate input
+        if (!projectIds || !Array.isArray(projectIds) || projectIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Project IDs array is required and cannot be empty'
+            });
+        }
+
+        if (projectIds.length > 50) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot update more than 50 projects at once'
+            });
+        }
+
+        if (!action || !['approve', 'reject'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be either "approve" or "reject"'
+            });
+        }
+
+        // If rejecting, reason is required
+        if (action === 'reject' && !rejectedReason) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason is required when rejecting projects'
+            });
+        }
+
+        if (rejectedReason && rejectedReason.trim().length < 10) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejection reason must be at least 10 characters long'
+            });
+        }
+
+        // Find projects that are in ADMIN_VERIFICATION status
+        const queuedProjects = await prisma.project.findMany({
+            where: {
+                id: { in: projectIds },
+                status: 'ADMIN_VERIFICATION'
+            },
+            include: {
+                client: {
+                    include: {
+                        user: {
+                            select: {
+                                name: true,
+                                email: true
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        // Projects another admin has claimed are left to them
+        const projects = queuedProjects.filter(p => !isClaimedByOther(p, req.user.userId));
+        const claimedProjectIds = queuedProjects.filter(p => isClaimedByOther(p, req.user.userId)).map(p => p.id);
+
+        if (projects.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: claimedProjectIds.length > 0 ?
+                    'All matching projects are claimed by other admins' :
+                    'No projects found in ADMIN_VERIFICATION status'
+            });
+        }
+
+        const validProjectIds = projects.map(p => p.id);
+        const invalidProjectIds = projectIds.filter(id => !validProjectIds.includes(id) && !claimedProjectIds.includes(id));
+
         // Prepare update data
         const updateData = {
-            updatedAt: new Date()
+            updatedAt: new Date(),
+            ...CLEARED_CLAIM
         };
 
-        if (action === 'approve') {
-            updateData.status = 'OPEN';
-            updateData.rejectedReason = null; // Clear any previous rejection reason
-        } else {
-            updateData.status = 'CANCELLED';
-            updateData.rejectedReason = rejectedReason.trim();
-        }
+        if (action === 'approve') {
+            updateData.status = 'OPEN';
+            updateData.rejectedReason = null;
+        } else {
+            updateData.status = 'CANCELLED';
+            updateData.rejectedReason = rejectedReason.trim();
+        }
+
+        // Bulk update projects
+        const updateResult = await prisma.project.updateMany({
+            where: {
+                id: { in: validProjectIds }
+            },
+            data: updateData
+        });
+
+        for (const p of projects) {
+            await recordProjectReview(p.id, {
+                outcome: action === 'approve' ? 'APPROVED' : 'REJECTED',
+                note: updateData.rejectedReason,
+                reviewedBy: req.user.userId,
+                queuedAt: getQueueEnteredAt(p),
+                claimedAt: getOwnClaimedAt(p, req.user.userId)
+            });
+        }
+
+        // Clear caches for all affected projects
+        const cacheKeysToDelete = [
+            'admin:dashboard:stats',
+            'public:projects:recent',
+            'public:featured:projects',
+            ...validProjectIds.map(id => `project:${id}`),
+            ...projects.map(p => `client:projects:${p.clientId}`),
+            ...projects.map(p => `client:dashboard:${p.client.userId}`)
+        ];
+
+        await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
+
+        await Promise.all(projects.map(p => recordAudit(req, {
+            action: action === 'approve' ? 'project.approved' : 'project.rejected',
+            targetType: 'PROJECT',
+            targetId: p.id,
+            projectId: p.id,
+            before: { status: p.status },
+            after: { status: updateData.status, rejectedReason: updateData.rejectedReason },
+            metadata: { bulk: true }
+        })));
+
+        res.status(200).json({
+            success: true,
+            message: `${updateResult.count} projects ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
+            data: {
+                action: action,
+                updatedCount: updateResult.count,
+                totalRequested: projectIds.length,
+                invalidCount: invalidProjectIds.length,
+                status: action === 'approve' ? 'OPEN' : 'CANCELLED',
+                rejectedReason: action === 'reject' ? rejectedReason.trim() : null,
+                validProjects: projects.map(p => ({
+                    id: p.id,
+                    title: p.title,
+                    clientName: p.client.user.name
+                })),
+                invalidProjectIds: invalidProjectIds.length > 0 ? invalidProjectIds : undefined,
+                claimedProjectIds: claimedProjectIds.length > 0 ? claimedProjectIds : undefined,
+                adminAction: {
+                    performedBy: req.admin.name,
+                    performedAt: new Date()
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Bulk update project status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
 
-        // Update the project
-        const updatedProject = await prisma.project.update({
+// Get Project Details for Admin Review
+adminRouter.get('/projects/:projectId/review', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_READ), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        const project = await prisma.project.findUnique({
             where: { id: projectId },
-            data: updateData,
             include: {
                 client: {
                     include: {
                         user: {
                             select: {
+                                id: true,
                                 name: true,
-                                email: true
+                                email: true,
+                                profileImage: true,
+                                location: true,
+                                createdAt: true,
+                                isActive: true
+                            }
+                        }
+                    }
+                },
+                applications: {
+                    include: {
+                        freelancer: {
+                            include: {
+                                user: {
+                                    select: {
+                                        name: true,
+                                        email: true
+                                    }
+                                }
                             }
                         }
                     }
@@ -694,183 +4243,404 @@ adminRouter.patch('/projects/:projectId/status', authenticateAdmin, requirePermi
             }
         });
 
-        // Clear relevant caches
-        await Promise.all([
-            deleteCache('admin:dashboard:stats'),
-            deleteCache('public:projects:recent'),
-            deleteCache('public:featured:projects'),
-            deleteCache(`project:${projectId}`),
-            deleteCache(`client:projects:${project.clientId}`),
-            deleteCache(`client:dashboard:${project.client.userId}`)
-        ]);
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        // Get client's project history and screening results for context
+        const [clientProjects, clientStats, screenings, reviewHistory] = await Promise.all([
+            prisma.project.findMany({
+                where: {
+                    clientId: project.clientId,
+                    id: { not: projectId }
+                },
+                select: {
+                    id: true,
+                    title: true,
+                    status: true,
+                    budgetMin: true,
+                    budgetMax: true,
+                    createdAt: true,
+                    rejectedReason: true
+                },
+                orderBy: { createdAt: 'desc' },
+                take: 10
+            }),
+            prisma.project.groupBy({
+                by: ['status'],
+                where: {
+                    clientId: project.clientId
+                },
+                _count: {
+                    status: true
+                }
+            }),
+            prisma.contentScreening.findMany({
+                where: { projectId }
+            }),
+            getReviewHistory(projectId)
+        ]);
+
+        const projectScreening = screenings.find(screening => screening.targetType === 'PROJECT') || null;
+        const applicationScreenings = screenings.filter(screening => screening.targetType === 'APPLICATION');
+
+        const statusCounts = clientStats.reduce((acc, stat) => {
+            acc[stat.status] = stat._count.status;
+            return acc;
+        }, {});
+
+        // A resubmitted project has been waiting since its latest resubmission
+        const lastResubmission = reviewHistory.filter(review => review.resubmission).pop()?.resubmission.resubmittedAt;
+        const waitingSince = project.verificationQueuedAt || lastResubmission || project.createdAt;
+        const waitingDays = Math.floor((new Date() - new Date(waitingSince)) / (1000 * 60 * 60 * 24));
+
+        const [{ slaHours }, claimants] = await Promise.all([
+            getQueueConfig(),
+            getAdminNames([project.claimedBy])
+        ]);
+
+        const detailedProject = {
+            id: project.id,
+            title: project.title,
+            description: project.description,
+            skillsRequired: project.skillsRequired,
+            budget: {
+                min: project.budgetMin,
+                max: project.budgetMax,
+                display: project.budgetMin && project.budgetMax ? 
+                    `$${project.budgetMin.toLocaleString()} - $${project.budgetMax.toLocaleString()}` : 
+                    'Budget not specified'
+            },
+            duration: project.duration || 'Not specified',
+            status: project.status,
+            rejectedReason: project.rejectedReason,
+            isFeatured: project.isFeatured,
+            applicationsCount: project.applications.length,
+            client: {
+                id: project.client.id,
+                user: {
+                    ...project.client.user,
+                    email: visibleEmail(req, project.client.user.email)
+                },
+                companyName: project.client.companyName,
+                industry: project.client.industry,
+                projectsPosted: project.client.projectsPosted,
+                ratings: project.client.ratings,
+                website: project.client.website,
+                isVerified: project.client.isVerified,
+                memberSince: project.client.user.createdAt
+            },
+            clientHistory: {
+                totalProjects: clientProjects.length + 1,
+                projectsByStatus: statusCounts,
+                recentProjects: clientProjects.map(p => ({
+                    id: p.id,
+                    title: p.title,
+                    status: p.status,
+                    budget: p.budgetMin && p.budgetMax ? 
+                        `$${p.budgetMin.toLocaleString()} - $${p.budgetMax.toLocaleString()}` : 
+                        'Not specified',
+                    createdAt: p.createdAt,
+                    rejectedReason: p.rejectedReason
+                })),
+                rejectedCount: clientProjects.filter(p => p.status === 'CANCELLED').length,
+                approvedCount: clientProjects.filter(p => p.status !== 'CANCELLED').length
+            },
+            waitingTime: {
+                since: waitingSince,
+                days: waitingDays,
+                display: waitingDays === 0 ? 'Today' : 
+                        waitingDays === 1 ? '1 day ago' : 
+                        `${waitingDays} days ago`,
+                urgency: waitingDays >= 7 ? 'high' : 
+                        waitingDays >= 3 ? 'medium' : 'low'
+            },
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt,
+            reviewHistory: {
+                rounds: reviewHistory,
+                changesRequestedCount: reviewHistory.filter(review => review.outcome === 'CHANGES_REQUESTED').length,
+                resubmissionCount: reviewHistory.filter(review => review.resubmission).length
+            },
+            screening: {
+                project: projectScreening,
+                applications: applicationScreenings
+                    .map(screening => {
+                        const application = project.applications.find(app => app.id === screening.targetId);
+                        return {
+                            ...screening,
+                            freelancerName: application?.freelancer.user.name || null
+                        };
+                    })
+                    .sort((a, b) => b.riskScore - a.riskScore)
+            },
+            claim: serializeClaim(project, req.user.userId, claimants),
+            sla: project.status === 'ADMIN_VERIFICATION' ? getSlaState({ ...project, verificationQueuedAt: waitingSince }, slaHours) : null,
+            reviewFlags: {
+                highRisk: projectScreening?.riskLevel === 'HIGH',
+                duplicateContent: (projectScreening?.duplicates || []).length > 0,
+                longWait: waitingDays >= 7,
+                resubmitted: !!lastResubmission,
+                newClient: statusCounts.ADMIN_VERIFICATION <= 1,
+                frequentRejections: (statusCounts.CANCELLED || 0) >= 3,
+                suspiciousBudget: project.budgetMax && project.budgetMax > 100000,
+                incompleteProfile: !project.client.companyName || !project.client.industry
+            }
+        };
+
+        res.status(200).json({
+            success: true,
+            data: detailedProject
+        });
+
+    } catch (error) {
+        console.error('Get project review details error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Re-run Content Screening (e.g. after the rules changed)
+adminRouter.post('/projects/:projectId/rescreen', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_APPROVE), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+
+        const project = await prisma.project.findUnique({
+            where: { id: projectId },
+            include: { applications: true }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        // Re-screening never auto-approves; that only happens on creation
+        const { screening } = await screenProject(project);
+        const applicationScreenings = [];
+        for (const application of project.applications) {
+            applicationScreenings.push(await screenApplication(application));
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Project re-screened successfully',
+            data: {
+                project: screening,
+                applications: applicationScreenings.filter(Boolean)
+            }
+        });
+
+    } catch (error) {
+        console.error('Rescreen project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Project Status History/Activity
+adminRouter.get('/projects/:projectId/activity', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_READ), async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const project = await prisma.project.findUnique({
+            where: { id: projectId },
+            select: {
+                id: true,
+                title: true,
+                status: true
+            }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        const whereClause = { projectId };
+
+        const [entries, total] = await Promise.all([
+            prisma.auditLog.findMany({
+                where: whereClause,
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.auditLog.count({ where: whereClause })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                projectId: project.id,
+                title: project.title,
+                currentStatus: project.status,
+                activities: await withAuditActors(entries, (email) => visibleEmail(req, email)), // Most recent first
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get project activity error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get User Activity (actions by and against the user)
+adminRouter.get('/users/:userId/activity', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, name: true, email: true, role: true, isActive: true }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const whereClause = {
+            OR: [
+                { actorId: userId },
+                { targetType: 'USER', targetId: userId }
+            ]
+        };
 
-        // Log admin action
-        console.log(`Admin ${req.admin.name} (${req.admin.email}) ${action === 'approve' ? 'approved' : 'rejected'} project ${projectId} - ${project.title}`);
+        const [entries, total] = await Promise.all([
+            prisma.auditLog.findMany({
+                where: whereClause,
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.auditLog.count({ where: whereClause })
+        ]);
 
         res.status(200).json({
             success: true,
-            message: `Project ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
             data: {
-                projectId: updatedProject.id,
-                title: updatedProject.title,
-                status: updatedProject.status,
-                action: action,
-                rejectedReason: updatedProject.rejectedReason,
-                client: {
-                    name: updatedProject.client.user.name,
-                    email: updatedProject.client.user.email
-                },
-                updatedAt: updatedProject.updatedAt,
-                adminAction: {
-                    performedBy: req.admin.name,
-                    performedAt: new Date()
+                user: { ...user, email: visibleEmail(req, user.email) },
+                activities: await withAuditActors(entries, (email) => visibleEmail(req, email)),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
                 }
             }
         });
 
     } catch (error) {
-        console.error('Update project status error:', error);
+        console.error('Get user activity error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error',
-            error: error.message
+            message: 'Internal server error'
         });
     }
 });
 
-// Get Projects Pending Admin Verification
-adminRouter.get('/projects/pending-verification', authenticateAdmin, requirePermission(['MODERATOR', 'SUPPORT']), async (req, res) => {
+// Search Audit Log
+adminRouter.get('/audit-logs', authenticateAdmin, requireAdminPermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
     try {
         const {
             page = 1,
-            limit = 20,
-            search,
-            sortBy = 'oldest' // oldest, newest, budget-high, budget-low
+            limit = 50,
+            actorId,
+            actorRole,
+            action,
+            targetType,
+            targetId,
+            projectId,
+            ipAddress,
+            from,
+            to
         } = req.query;
+        const take = Math.min(parseInt(limit), 200);
+        const skip = (parseInt(page) - 1) * take;
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const whereClause = {};
 
-        const whereClause = {
-            status: 'ADMIN_VERIFICATION'
-        };
+        if (actorId) whereClause.actorId = actorId;
+        if (actorRole) whereClause.actorRole = actorRole;
+        if (targetType) whereClause.targetType = targetType;
+        if (targetId) whereClause.targetId = targetId;
+        if (projectId) whereClause.projectId = projectId;
+        if (ipAddress) whereClause.ipAddress = ipAddress;
 
-        if (search) {
-            whereClause.OR = [
-                { title: { contains: search, mode: 'insensitive' } },
-                { description: { contains: search, mode: 'insensitive' } },
-                { skillsRequired: { hasSome: [search] } }
-            ];
+        // "project." matches every project action
+        if (action) {
+            whereClause.action = action.endsWith('.') ? { startsWith: action } : action;
         }
 
-        // Determine sort order
-        let orderBy = { createdAt: 'asc' }; // Default: oldest first (fairness)
-        
-        switch (sortBy) {
-            case 'newest':
-                orderBy = { createdAt: 'desc' };
-                break;
-            case 'budget-high':
-                orderBy = { budgetMax: 'desc' };
-                break;
-            case 'budget-low':
-                orderBy = { budgetMin: 'asc' };
-                break;
-            default:
-                orderBy = { createdAt: 'asc' };
+        if (from || to) {
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+
+            if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'from and to must be valid dates'
+                });
+            }
+
+            whereClause.createdAt = {
+                ...(fromDate && { gte: fromDate }),
+                ...(toDate && { lte: toDate })
+            };
         }
 
-        const [projects, totalProjects] = await Promise.all([
-            prisma.project.findMany({
+        const [entries, total] = await Promise.all([
+            prisma.auditLog.findMany({
                 where: whereClause,
-                include: {
-                    client: {
-                        include: {
-                            user: {
-                                select: {
-                                    name: true,
-                                    email: true,
-                                    profileImage: true,
-                                    location: true,
-                                    createdAt: true
-                                }
-                            }
-                        }
-                    }
-                },
-                orderBy,
+                orderBy: { createdAt: 'desc' },
                 skip,
-                take: parseInt(limit)
+                take
             }),
-            prisma.project.count({ where: whereClause })
+            prisma.auditLog.count({ where: whereClause })
         ]);
 
-        const projectData = projects.map(project => {
-            const waitingDays = Math.floor((new Date() - new Date(project.createdAt)) / (1000 * 60 * 60 * 24));
-            
-            return {
-                id: project.id,
-                title: project.title,
-                description: project.description.length > 200 ? 
-                    project.description.substring(0, 200) + '...' : 
-                    project.description,
-                skillsRequired: project.skillsRequired,
-                budget: {
-                    min: project.budgetMin,
-                    max: project.budgetMax,
-                    display: project.budgetMin && project.budgetMax ? 
-                        `$${project.budgetMin.toLocaleString()} - $${project.budgetMax.toLocaleString()}` : 
-                        'Budget not specified'
-                },
-                duration: project.duration || 'Not specified',
-                status: project.status,
-                client: {
-                    id: project.client.id,
-                    name: project.client.user.name,
-                    email: project.client.user.email,
-                    profileImage: project.client.user.profileImage,
-                    location: project.client.user.location,
-                    companyName: project.client.companyName,
-                    isVerified: project.client.isVerified,
-                    memberSince: project.client.user.createdAt
-                },
-                waitingTime: {
-                    days: waitingDays,
-                    display: waitingDays === 0 ? 'Today' : 
-                            waitingDays === 1 ? '1 day ago' : 
-                            `${waitingDays} days ago`,
-                    urgency: waitingDays >= 7 ? 'high' : 
-                            waitingDays >= 3 ? 'medium' : 'low'
-                },
-                createdAt: project.createdAt,
-                priority: waitingDays >= 7 ? 'high' : 
-                         waitingDays >= 3 ? 'medium' : 'normal'
-            };
-        });
-
         res.status(200).json({
             success: true,
             data: {
-                projects: projectData,
+                entries: await withAuditActors(entries, (email) => visibleEmail(req, email)),
                 pagination: {
                     page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: totalProjects,
-                    pages: Math.ceil(totalProjects / parseInt(limit)),
-                    hasNext: (parseInt(page) * parseInt(limit)) < totalProjects,
-                    hasPrev: parseInt(page) > 1
-                },
-                stats: {
-                    totalPending: totalProjects,
-                    highPriority: projectData.filter(p => p.priority === 'high').length,
-                    mediumPriority: projectData.filter(p => p.priority === 'medium').length,
-                    oldestWaiting: totalProjects > 0 ? projectData[0].waitingTime.days : 0
-                },
-                sortBy: sortBy
+                    limit: take,
+                    total,
+                    pages: Math.ceil(total / take)
+                }
             }
         });
 
     } catch (error) {
-        console.error('Get pending projects error:', error);
+        console.error('Search audit log error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -878,301 +4648,227 @@ adminRouter.get('/projects/pending-verification', authenticateAdmin, requirePerm
     }
 });
 
-// Bulk Update Project Status (Approve/Reject multiple projects)
-adminRouter.patch('/projects/bulk-status', authenticateAdmin, requirePermission(['MODERATOR']), async (req, res) => {
+// Create Announcement
+adminRouter.post('/announcements', authenticateAdmin, requireAdminPermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (req, res) => {
     try {
-        const { projectIds, action, rejectedReason } = req.body;
+        const result = normalizeAnnouncement(req.body);
 
-        // Validate input
-        if (!projectIds || !Array.isArray(projectIds) || projectIds.length === 0) {
+        if (!result.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'Project IDs array is required and cannot be empty'
+                message: result.error
             });
         }
 
-        if (projectIds.length > 50) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot update more than 50 projects at once'
-            });
-        }
+        const announcement = await prisma.announcement.create({
+            data: {
+                ...result.data,
+                createdBy: req.user.userId,
+                emailStatus: result.data.sendEmail ? 'PENDING' : null
+            }
+        });
 
-        if (!action || !['approve', 'reject'].includes(action)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Action must be either "approve" or "reject"'
-            });
-        }
+        await clearAnnouncementCache();
 
-        // If rejecting, reason is required
-        if (action === 'reject' && !rejectedReason) {
-            return res.status(400).json({
-                success: false,
-                message: 'Rejection reason is required when rejecting projects'
-            });
-        }
+        const audienceSize = await prisma.user.count({ where: buildAudienceWhere(announcement) });
 
-        if (rejectedReason && rejectedReason.trim().length < 10) {
+        await recordAudit(req, {
+            action: 'announcement.created',
+            targetType: 'ANNOUNCEMENT',
+            targetId: announcement.id,
+            after: serializeAnnouncement(announcement),
+            metadata: { audienceSize }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: announcement.sendEmail ?
+                'Announcement created. Emails will go out in batches once it starts.' :
+                'Announcement created',
+            data: {
+                announcement: serializeAnnouncement(announcement),
+                audienceSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Create announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Get Announcements
+adminRouter.get('/announcements', authenticateAdmin, requireAdminPermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (req, res) => {
+    try {
+        const { state = 'all', page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const now = new Date();
+
+        const stateFilters = {
+            SCHEDULED: { cancelledAt: null, startsAt: { gt: now } },
+            ACTIVE: { cancelledAt: null, startsAt: { lte: now }, OR: [{ endsAt: null }, { endsAt: { gt: now } }] },
+            ENDED: { cancelledAt: null, endsAt: { lte: now } },
+            CANCELLED: { cancelledAt: { not: null } }
+        };
+
+        if (state !== 'all' && !stateFilters[state]) {
             return res.status(400).json({
                 success: false,
-                message: 'Rejection reason must be at least 10 characters long'
+                message: `State must be one of: all, ${Object.keys(stateFilters).join(', ')}`
             });
         }
 
-        // Find projects that are in ADMIN_VERIFICATION status
-        const projects = await prisma.project.findMany({
-            where: {
-                id: { in: projectIds },
-                status: 'ADMIN_VERIFICATION'
-            },
-            include: {
-                client: {
-                    include: {
-                        user: {
-                            select: {
-                                name: true,
-                                email: true
-                            }
-                        }
-                    }
+        const whereClause = state === 'all' ? {} : stateFilters[state];
+
+        const [announcements, total] = await Promise.all([
+            prisma.announcement.findMany({
+                where: whereClause,
+                include: {
+                    _count: { select: { dismissals: true } }
+                },
+                orderBy: { startsAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.announcement.count({ where: whereClause })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                announcements: announcements.map(announcement => ({
+                    ...serializeAnnouncement(announcement),
+                    dismissals: announcement._count.dismissals
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
                 }
             }
         });
 
-        if (projects.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'No projects found in ADMIN_VERIFICATION status'
-            });
-        }
-
-        const validProjectIds = projects.map(p => p.id);
-        const invalidProjectIds = projectIds.filter(id => !validProjectIds.includes(id));
-
-        // Prepare update data
-        const updateData = {
-            updatedAt: new Date()
-        };
-
-        if (action === 'approve') {
-            updateData.status = 'OPEN';
-            updateData.rejectedReason = null;
-        } else {
-            updateData.status = 'CANCELLED';
-            updateData.rejectedReason = rejectedReason.trim();
-        }
-
-        // Bulk update projects
-        const updateResult = await prisma.project.updateMany({
-            where: {
-                id: { in: validProjectIds }
-            },
-            data: updateData
+    } catch (error) {
+        console.error('Get announcements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
         });
+    }
+});
 
-        // Clear caches for all affected projects
-        const cacheKeysToDelete = [
-            'admin:dashboard:stats',
-            'public:projects:recent',
-            'public:featured:projects',
-            ...validProjectIds.map(id => `project:${id}`),
-            ...projects.map(p => `client:projects:${p.clientId}`),
-            ...projects.map(p => `client:dashboard:${p.client.userId}`)
-        ];
+// Get Announcement with Audience and Delivery Stats
+adminRouter.get('/announcements/:announcementId', authenticateAdmin, requireAdminPermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (req, res) => {
+    try {
+        const announcement = await prisma.announcement.findUnique({
+            where: { id: req.params.announcementId },
+            include: {
+                _count: { select: { dismissals: true } }
+            }
+        });
 
-        await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
+        if (!announcement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
 
-        // Log admin action
-        console.log(`Admin ${req.admin.name} bulk ${action === 'approve' ? 'approved' : 'rejected'} ${updateResult.count} projects`);
+        const audienceSize = await prisma.user.count({ where: buildAudienceWhere(announcement) });
 
         res.status(200).json({
             success: true,
-            message: `${updateResult.count} projects ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
             data: {
-                action: action,
-                updatedCount: updateResult.count,
-                totalRequested: projectIds.length,
-                invalidCount: invalidProjectIds.length,
-                status: action === 'approve' ? 'OPEN' : 'CANCELLED',
-                rejectedReason: action === 'reject' ? rejectedReason.trim() : null,
-                validProjects: projects.map(p => ({
-                    id: p.id,
-                    title: p.title,
-                    clientName: p.client.user.name
-                })),
-                invalidProjectIds: invalidProjectIds.length > 0 ? invalidProjectIds : undefined,
-                adminAction: {
-                    performedBy: req.admin.name,
-                    performedAt: new Date()
-                }
+                announcement: serializeAnnouncement(announcement),
+                audienceSize,
+                dismissals: announcement._count.dismissals
             }
         });
 
     } catch (error) {
-        console.error('Bulk update project status error:', error);
+        console.error('Get announcement error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error',
-            error: error.message
+            message: 'Internal server error'
         });
     }
 });
 
-// Get Project Details for Admin Review
-adminRouter.get('/projects/:projectId/review', authenticateAdmin, requirePermission(['MODERATOR', 'SUPPORT']), async (req, res) => {
+// Update Announcement
+adminRouter.patch('/announcements/:announcementId', authenticateAdmin, requireAdminPermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (req, res) => {
     try {
-        const { projectId } = req.params;
+        const { announcementId } = req.params;
 
-        const project = await prisma.project.findUnique({
-            where: { id: projectId },
-            include: {
-                client: {
-                    include: {
-                        user: {
-                            select: {
-                                id: true,
-                                name: true,
-                                email: true,
-                                profileImage: true,
-                                location: true,
-                                createdAt: true,
-                                isActive: true
-                            }
-                        }
-                    }
-                },
-                applications: {
-                    include: {
-                        freelancer: {
-                            include: {
-                                user: {
-                                    select: {
-                                        name: true,
-                                        email: true
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
-            }
+        const announcement = await prisma.announcement.findUnique({
+            where: { id: announcementId }
         });
 
-        if (!project) {
+        if (!announcement) {
             return res.status(404).json({
                 success: false,
-                message: 'Project not found'
+                message: 'Announcement not found'
             });
         }
 
-        // Get client's project history for context
-        const [clientProjects, clientStats] = await Promise.all([
-            prisma.project.findMany({
-                where: {
-                    clientId: project.clientId,
-                    id: { not: projectId }
-                },
-                select: {
-                    id: true,
-                    title: true,
-                    status: true,
-                    budgetMin: true,
-                    budgetMax: true,
-                    createdAt: true,
-                    rejectedReason: true
-                },
-                orderBy: { createdAt: 'desc' },
-                take: 10
-            }),
-            prisma.project.groupBy({
-                by: ['status'],
-                where: {
-                    clientId: project.clientId
-                },
-                _count: {
-                    status: true
-                }
-            })
-        ]);
+        const state = getAnnouncementState(announcement);
+        if (['ENDED', 'CANCELLED'].includes(state)) {
+            return res.status(400).json({
+                success: false,
+                message: `Announcement has ${state === 'ENDED' ? 'ended' : 'been cancelled'} and can no longer be edited`
+            });
+        }
 
-        const statusCounts = clientStats.reduce((acc, stat) => {
-            acc[stat.status] = stat._count.status;
-            return acc;
-        }, {});
+        // Emails already sent can't follow a new audience or be recalled
+        const emailStarted = ['SENDING', 'SENT'].includes(announcement.emailStatus);
+        const lockedFields = ['targetRoles', 'verification', 'targetSkills', 'sendEmail', 'startsAt'];
+        if (emailStarted && lockedFields.some(field => req.body[field] !== undefined)) {
+            return res.status(400).json({
+                success: false,
+                message: `Emails have already been sent, so ${lockedFields.join(', ')} can no longer change`
+            });
+        }
 
-        const waitingDays = Math.floor((new Date() - new Date(project.createdAt)) / (1000 * 60 * 60 * 24));
+        const result = normalizeAnnouncement(req.body, announcement);
 
-        const detailedProject = {
-            id: project.id,
-            title: project.title,
-            description: project.description,
-            skillsRequired: project.skillsRequired,
-            budget: {
-                min: project.budgetMin,
-                max: project.budgetMax,
-                display: project.budgetMin && project.budgetMax ? 
-                    `$${project.budgetMin.toLocaleString()} - $${project.budgetMax.toLocaleString()}` : 
-                    'Budget not specified'
-            },
-            duration: project.duration || 'Not specified',
-            status: project.status,
-            rejectedReason: project.rejectedReason,
-            isFeatured: project.isFeatured,
-            applicationsCount: project.applications.length,
-            client: {
-                id: project.client.id,
-                user: project.client.user,
-                companyName: project.client.companyName,
-                industry: project.client.industry,
-                projectsPosted: project.client.projectsPosted,
-                ratings: project.client.ratings,
-                website: project.client.website,
-                isVerified: project.client.isVerified,
-                memberSince: project.client.user.createdAt
-            },
-            clientHistory: {
-                totalProjects: clientProjects.length + 1,
-                projectsByStatus: statusCounts,
-                recentProjects: clientProjects.map(p => ({
-                    id: p.id,
-                    title: p.title,
-                    status: p.status,
-                    budget: p.budgetMin && p.budgetMax ? 
-                        `$${p.budgetMin.toLocaleString()} - $${p.budgetMax.toLocaleString()}` : 
-                        'Not specified',
-                    createdAt: p.createdAt,
-                    rejectedReason: p.rejectedReason
-                })),
-                rejectedCount: clientProjects.filter(p => p.status === 'CANCELLED').length,
-                approvedCount: clientProjects.filter(p => p.status !== 'CANCELLED').length
-            },
-            waitingTime: {
-                days: waitingDays,
-                display: waitingDays === 0 ? 'Today' : 
-                        waitingDays === 1 ? '1 day ago' : 
-                        `${waitingDays} days ago`,
-                urgency: waitingDays >= 7 ? 'high' : 
-                        waitingDays >= 3 ? 'medium' : 'low'
-            },
-            createdAt: project.createdAt,
-            updatedAt: project.updatedAt,
-            reviewFlags: {
-                longWait: waitingDays >= 7,
-                newClient: statusCounts.ADMIN_VERIFICATION <= 1,
-                frequentRejections: (statusCounts.CANCELLED || 0) >= 3,
-                suspiciousBudget: project.budgetMax && project.budgetMax > 100000,
-                incompleteProfile: !project.client.companyName || !project.client.industry
-            }
-        };
+        if (!result.valid) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const data = { ...result.data };
+        if (data.sendEmail !== undefined && !emailStarted) {
+            data.emailStatus = data.sendEmail ? 'PENDING' : null;
+        }
+
+        const updatedAnnouncement = await prisma.announcement.update({
+            where: { id: announcementId },
+            data
+        });
+
+        await clearAnnouncementCache();
+
+        await recordAudit(req, {
+            action: 'announcement.updated',
+            targetType: 'ANNOUNCEMENT',
+            targetId: announcementId,
+            before: serializeAnnouncement(announcement),
+            after: serializeAnnouncement(updatedAnnouncement)
+        });
 
         res.status(200).json({
             success: true,
-            data: detailedProject
+            message: 'Announcement updated',
+            data: { announcement: serializeAnnouncement(updatedAnnouncement) }
         });
 
     } catch (error) {
-        console.error('Get project review details error:', error);
+        console.error('Update announcement error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -1180,76 +4876,67 @@ adminRouter.get('/projects/:projectId/review', authenticateAdmin, requirePermiss
     }
 });
 
-// Get Project Status History/Activity
-adminRouter.get('/projects/:projectId/activity', authenticateAdmin, requirePermission(['MODERATOR', 'SUPPORT']), async (req, res) => {
+// Cancel Announcement (hides it and stops pending emails)
+adminRouter.delete('/announcements/:announcementId', authenticateAdmin, requireAdminPermission(PERMISSIONS.ANNOUNCEMENTS_MANAGE), async (req, res) => {
     try {
-        const { projectId } = req.params;
+        const { announcementId } = req.params;
 
-        const project = await prisma.project.findUnique({
-            where: { id: projectId },
-            select: {
-                id: true,
-                title: true,
-                status: true,
-                createdAt: true,
-                updatedAt: true,
-                rejectedReason: true
-            }
+        const announcement = await prisma.announcement.findUnique({
+            where: { id: announcementId }
         });
 
-        if (!project) {
+        if (!announcement) {
             return res.status(404).json({
                 success: false,
-                message: 'Project not found'
+                message: 'Announcement not found'
             });
         }
 
-        // For now, create activity timeline based on available data
-        // In a real app, you'd have an audit log table
-        const activities = [
-            {
-                id: 1,
-                type: 'CREATED',
-                description: 'Project created and submitted for admin verification',
-                timestamp: project.createdAt,
-                actor: 'System',
-                details: {
-                    status: 'ADMIN_VERIFICATION'
-                }
-            }
-        ];
-
-        if (project.status !== 'ADMIN_VERIFICATION') {
-            activities.push({
-                id: 2,
-                type: project.status === 'OPEN' ? 'APPROVED' : 'REJECTED',
-                description: project.status === 'OPEN' ? 
-                    'Project approved by admin and made public' : 
-                    `Project rejected by admin: ${project.rejectedReason}`,
-                timestamp: project.updatedAt,
-                actor: 'Admin',
-                details: {
-                    status: project.status,
-                    rejectedReason: project.rejectedReason
-                }
+        if (announcement.cancelledAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Announcement has already been cancelled'
             });
         }
 
-        res.status(200).json({
-            success: true,
+        const updatedAnnouncement = await prisma.announcement.update({
+            where: { id: announcementId },
             data: {
-                projectId: project.id,
-                title: project.title,
-                currentStatus: project.status,
-                activities: activities.reverse() // Most recent first
+                cancelledAt: new Date(),
+                ...(['PENDING', 'SENDING'].includes(announcement.emailStatus) && {
+                    emailStatus: 'CANCELLED',
+                    emailCompletedAt: new Date()
+                })
             }
         });
 
+        await clearAnnouncementCache();
+
+        await recordAudit(req, {
+            action: 'announcement.cancelled',
+            targetType: 'ANNOUNCEMENT',
+            targetId: announcementId,
+            metadata: { emailsSent: announcement.emailSentCount }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Announcement cancelled',
+            data: { announcement: serializeAnnouncement(updatedAnnouncement) }
+        });
+
     } catch (error) {
-        console.error('Get project activity error:', error);
+        console.error('Cancel announcement error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
         });
     }
-});
\ No newline at end of file
+});
+
+// Bulk Exports (streamed, or queued as a background job when large)
+adminRouter.get('/users/export', authenticateAdmin, requireAdminPermission(PERMISSIONS.USERS_READ, PERMISSIONS.DATA_EXPORT), exportResource('users'));
+adminRouter.get('/projects/export', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_READ, PERMISSIONS.DATA_EXPORT), exportResource('projects'));
+adminRouter.get('/applications/export', authenticateAdmin, requireAdminPermission(PERMISSIONS.PROJECTS_READ, PERMISSIONS.DATA_EXPORT), exportResource('applications'));
+adminRouter.get('/exports', authenticateAdmin, requireAdminPermission(PERMISSIONS.DATA_EXPORT), listExportJobs);
+adminRouter.get('/exports/:jobId', authenticateAdmin, requireAdminPermission(PERMISSIONS.DATA_EXPORT), getExportJob);
\ No newline at end of file
@@ -7,22 +7,35 @@ import {
     sendOTPEmail 
 } from '../utils/passwordReset.js';
 import { setCache, getCache, deleteCache } from '../utils/redis.js';
+import { invalidateUserEmailCaches } from '../utils/emailChange.js';
 import transporter from '../nodemailer.config.js';
+import {
+    isEmailVerificationTokenValid,
+    invalidateEmailVerificationOTP
+} from '../utils/emailVerification.js';
+import {
+    createSession,
+    revokeAllSessions,
+    switchSessionRole,
+    getAvailableRoles
+} from '../utils/session.js';
+import { isTwoFactorEnabled, createLoginChallenge } from '../utils/twoFactor.js';
+import {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount
+} from '../utils/loginProtection.js';
+import {
+    validatePassword,
+    isPasswordReused,
+    recordPasswordHistory
+} from '../utils/passwordPolicy.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { v2 as cloudinary } from 'cloudinary';
 import prisma from '../prisma.config.js';
 import { uploadImage, deleteImage } from '../utils/cloudinary.js';
 
-// Helper function to generate JWT token
-const generateToken = (userId, role) => {
-    return jwt.sign(
-        { userId, role },
-        process.env.JWT_SECRET,
-        { expiresIn: '30d' }
-    );
-};
-
 // Helper function to validate email
 const isValidEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -101,6 +114,7 @@ export const signup = async (req, res) => {
             name,
             email,
             password,
+            emailVerificationToken,
             companyName,
             industry,
             website,
@@ -123,22 +137,37 @@ export const signup = async (req, res) => {
             });
         }
 
-        if (password.length < 6) {
+        const passwordCheck = await validatePassword(password, { email });
+        if (!passwordCheck.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 6 characters long'
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+
+        // Email ownership must be proven through /api/v1/email/verify-otp first
+        if (!isEmailVerificationTokenValid(emailVerificationToken, email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please verify your email address before signing up',
+                errorCode: 'EMAIL_NOT_VERIFIED'
             });
         }
 
         // Check if user already exists
         const existingUser = await prisma.user.findUnique({
-            where: { email }
+            where: { email },
+            include: { client: true }
         });
 
         if (existingUser) {
             return res.status(400).json({
                 success: false,
-                message: 'User with this email already exists'
+                message: existingUser.client ?
+                    'User with this email already exists' :
+                    'User with this email already exists. Log in to your account and add a client profile instead.',
+                errorCode: existingUser.client ? 'EMAIL_IN_USE' : 'ADD_PROFILE_AVAILABLE'
             });
         }
 
@@ -163,6 +192,7 @@ export const signup = async (req, res) => {
                     email,
                     password: hashedPassword,
                     role: 'CLIENT',
+                    emailVerifiedAt: new Date(),
                     profileImage: profileImageUrl,
                     bio,
                     location
@@ -182,8 +212,10 @@ export const signup = async (req, res) => {
             return { user, client };
         });
 
-        // Generate JWT token
-        const token = generateToken(result.user.id, result.user.role);
+        await invalidateEmailVerificationOTP(email);
+
+        // Start a session (short-lived access token + refresh token)
+        const session = await createSession(result.user, req);
 
         // Remove password from response
         const { password: _, ...userWithoutPassword } = result.user;
@@ -194,7 +226,9 @@ export const signup = async (req, res) => {
             data: {
                 user: userWithoutPassword,
                 client: result.client,
-                token
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn
             }
         });
 
@@ -208,55 +242,177 @@ export const signup = async (req, res) => {
     }
 };
 
+// POST /api/client/add-profile - Add a client profile to an existing freelancer account
+export const addClientProfile = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { companyName, industry, website } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            include: {
+                client: true,
+                freelancer: true
+            }
+        });
+
+        if (!user || user.role === 'ADMIN') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only freelancer accounts can add a client profile'
+            });
+        }
+
+        if (user.client) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account already has a client profile'
+            });
+        }
+
+        const client = await prisma.client.create({
+            data: {
+                userId,
+                companyName,
+                industry,
+                website
+            }
+        });
+
+        // Continue this session as a client
+        const session = await switchSessionRole(user, req.user.sid, 'CLIENT', req);
+
+        await Promise.all([
+            deleteCache(`client:login:${user.email}`),
+            deleteCache(`freelancer:login:${user.email}`)
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Client profile added. You are now acting as a client.',
+            data: {
+                client,
+                activeRole: 'CLIENT',
+                roles: getAvailableRoles({ ...user, client }),
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn
+            }
+        });
+
+    } catch (error) {
+        console.error('Add client profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+};
+
 // POST /api/client/login
 export const login = async (req, res) => {
     try {
         const { email, password } = req.body;
         const cacheKey = `client:login:${email}`;
 
-        // Check cache
-        const cachedUser = await getCache(cacheKey);
-        if (cachedUser) {
-            return res.status(200).json({
-                success: true,
-                message: 'Login successful',
-                data: cachedUser
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        // Brute-force protection (per-email and per-IP)
+        const loginCheck = await checkLoginAllowed(email, req.ip);
+        if (!loginCheck.allowed) {
+            return res.status(loginCheck.status).json({
+                success: false,
+                message: loginCheck.message,
+                errorCode: loginCheck.errorCode,
+                ...(loginCheck.retryAfter && { retryAfter: loginCheck.retryAfter }),
+                ...(loginCheck.lockedUntil && { lockedUntil: loginCheck.lockedUntil })
             });
         }
 
+        // Check cache (the account record only - every login is password-checked
+        // and gets its own session, so tokens are never served from cache)
+        let user = await getCache(cacheKey);
+
         // Fetch user from database
-        const user = await prisma.user.findUnique({
-            where: { email },
-            include: {
-                client: true
+        if (!user) {
+            user = await prisma.user.findUnique({
+                where: { email },
+                include: {
+                    client: true,
+                    freelancer: true
+                }
+            });
+
+            if (user) {
+                // Cache for 10 minutes, without the password hash
+                await setCache(cacheKey, { ...user, password: undefined }, 600);
             }
-        });
+        }
 
-        if (!user || user.role !== 'CLIENT') {
+        if (!user || !user.client) {
+            await recordFailedLogin(email, req.ip);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials or not a client account'
             });
         }
 
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        // Always compare against the stored hash, never a cached copy
+        const credentials = await prisma.user.findUnique({
+            where: { id: user.id },
+            select: { password: true }
+        });
+        const isPasswordValid = !!credentials?.password && await bcrypt.compare(password, credentials.password);
         if (!isPasswordValid) {
+            const failure = await recordFailedLogin(email, req.ip, user);
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Too many failed login attempts. Your account has been temporarily locked and we have emailed you an unlock link.',
+                    errorCode: 'ACCOUNT_LOCKED',
+                    lockedUntil: failure.lockedUntil
+                });
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        const token = generateToken(user.id, user.role);
+        await clearFailedLogins(email);
+
+        // Second factor required - hand out a short-lived challenge instead of a session
+        if (await isTwoFactorEnabled(user.id)) {
+            const challengeToken = await createLoginChallenge(user.id, 'CLIENT');
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken,
+                    expiresIn: '5 minutes'
+                }
+            });
+        }
+
+        // Start a new session for this device, acting as a client
+        const session = await createSession(user, req, 'CLIENT');
 
         const responseData = {
             user: { ...user, password: undefined },
-            token
+            activeRole: 'CLIENT',
+            roles: getAvailableRoles(user),
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
         };
 
-        // Cache the login data
-        await setCache(cacheKey, responseData, 600); // Cache for 10 minutes
-
         res.status(200).json({
             success: true,
             message: 'Login successful',
@@ -290,7 +446,7 @@ export const updateProfile = async (req, res) => {
             include: { client: true }
         });
 
-        if (!existingUser || existingUser.role !== 'CLIENT') {
+        if (!existingUser || !existingUser.client) {
             return res.status(404).json({
                 success: false,
                 message: 'Client profile not found'
@@ -443,7 +599,7 @@ export const getProfile = async (req, res) => {
             }
         });
 
-        if (!user || user.role !== 'CLIENT') {
+        if (!user || !user.client) {
             return res.status(404).json({
                 success: false,
                 message: 'Client not found'
@@ -596,7 +752,7 @@ export const forgotPassword = async (req, res) => {
             include: { client: true }
         });
 
-        if (!user || user.role !== 'CLIENT') {
+        if (!user || !user.client) {
             return res.status(200).json({
                 success: true,
                 message: 'If a client account with this email exists, you will receive an OTP shortly.'
@@ -682,10 +838,12 @@ export const verifyOTPEndpoint = async (req, res) => {
             });
         }
 
-        if (newPassword.length < 6) {
+        const passwordCheck = await validatePassword(newPassword, { email });
+        if (!passwordCheck.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 6 characters long'
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
             });
         }
 
@@ -705,7 +863,7 @@ export const verifyOTPEndpoint = async (req, res) => {
             include: { client: true }
         });
 
-        if (!user || user.role !== 'CLIENT') {
+        if (!user || !user.client) {
             return res.status(404).json({
                 success: false,
                 message: 'Client account not found'
@@ -720,6 +878,13 @@ export const verifyOTPEndpoint = async (req, res) => {
             });
         }
 
+        if (await isPasswordReused(user.id, newPassword, user.password)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose a password you have not used recently'
+            });
+        }
+
         // Hash new password
         const hashedPassword = await bcrypt.hash(newPassword, 12);
 
@@ -731,15 +896,22 @@ export const verifyOTPEndpoint = async (req, res) => {
                 updatedAt: new Date()
             }
         });
+        await recordPasswordHistory(user.id, user.password);
 
-        // Generate new JWT token
-        const token = generateToken(user.id, user.role);
+        // Sign out every existing session and start a fresh one
+        // (accounts with 2FA still have to pass the second factor)
+        await revokeAllSessions(user.id);
+        const twoFactorRequired = await isTwoFactorEnabled(user.id);
+        const session = twoFactorRequired ?
+            { challengeToken: await createLoginChallenge(user.id, 'CLIENT') } :
+            await createSession(user, req, 'CLIENT');
 
         // Invalidate OTP
         await invalidateOTP(email, 'CLIENT');
 
-        // Clear login cache
-        await deleteCache(`client:login:${email}`);
+        // Clear the login caches for both roles and any lockout - the owner just proved access to the inbox
+        await invalidateUserEmailCaches(user.id, [email]);
+        await unlockAccount(email);
 
         // Send confirmation email
         const mailOptions = {
@@ -760,7 +932,7 @@ export const verifyOTPEndpoint = async (req, res) => {
                         </div>
                         <div style="background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0;">
                             <strong>🔐 Login Information:</strong>
-                            <p>You have been automatically logged in with a new authentication token.</p>
+                            <p>You have been automatically logged in with a new authentication token. All other devices have been signed out.</p>
                         </div>
                         <p>You can now access your account with the new password.</p>
                         <p>Best regards,<br>The FreeLanceAog Team</p>
@@ -788,7 +960,14 @@ export const verifyOTPEndpoint = async (req, res) => {
                 verified: true,
                 passwordReset: true,
                 user: userWithoutPassword,
-                token: token
+                ...(twoFactorRequired ? {
+                    twoFactorRequired: true,
+                    challengeToken: session.challengeToken
+                } : {
+                    token: session.token,
+                    refreshToken: session.refreshToken,
+                    expiresIn: session.expiresIn
+                })
             }
         });
 
@@ -10,9 +10,52 @@ import {
     getAllFreelancers,
     forgotPassword,
     verifyOTPEndpoint,
+    addClientProfile,
 } from "./auth.js";
-import { authenticateToken, checkClientActive } from "../middleware/auth.js";
+import {
+    refreshAccessToken,
+    logout,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    switchRole
+} from "../controllers/session.js";
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin
+} from "../controllers/twoFactor.js";
+import {
+    exportAccountData,
+    getAccountDeletionStatus,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+    changePassword
+} from "../controllers/account.js";
+import { createReport, getMyReports } from "../controllers/reports.js";
+import { getSuspensionStatus, createSuspensionAppeal } from "../controllers/suspension.js";
+import { getVerificationStatus, submitVerificationRequest } from "../controllers/identityVerification.js";
+import { receiveVerificationDocuments, isVerificationCurrent } from "../utils/identityVerification.js";
+import { getMyAnnouncements, dismissAnnouncement } from "../controllers/announcements.js";
+import {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+} from "../controllers/apiKeys.js";
+import { authenticateToken, checkClientActive, rejectImpersonation, allowApiKey, allowSuspended } from "../middleware/auth.js";
 import { setCache, getCache, deleteCache } from "../utils/redis.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { screenProject } from "../utils/contentScreening.js";
+import {
+    REVIEWABLE_FIELDS,
+    parseResubmissionEdits,
+    diffProjectFields,
+    getReviewHistory
+} from "../utils/projectReview.js";
+import { requeueFields } from "../utils/verificationQueue.js";
 
 export const clientRouter = Router();
 
@@ -71,6 +114,53 @@ clientRouter.post('/signup', upload.single('profileImage'), signup);
 clientRouter.post('/login', login);
 clientRouter.post('/forgot-password', forgotPassword);
 clientRouter.post('/verify-otp', verifyOTPEndpoint);
+clientRouter.post('/login/2fa', verifyTwoFactorLogin);
+clientRouter.post('/refresh-token', refreshAccessToken);
+
+// Session Management Routes (Protected)
+clientRouter.post('/logout', authenticateToken, rejectImpersonation, logout);
+clientRouter.get('/sessions', authenticateToken, getSessions);
+clientRouter.delete('/sessions', authenticateToken, rejectImpersonation, deleteOtherSessions);
+clientRouter.delete('/sessions/:sessionId', authenticateToken, rejectImpersonation, deleteSession);
+
+// Dual-Role Account Routes (Protected)
+clientRouter.post('/add-profile', authenticateToken, rejectImpersonation, addClientProfile);
+clientRouter.post('/switch-role', authenticateToken, rejectImpersonation, switchRole);
+
+// Two-Factor Authentication Routes (Protected, opt-in)
+clientRouter.get('/2fa/status', authenticateToken, getTwoFactorStatus);
+clientRouter.post('/2fa/setup', authenticateToken, rejectImpersonation, setupTwoFactor);
+clientRouter.post('/2fa/enable', authenticateToken, rejectImpersonation, enableTwoFactor);
+clientRouter.post('/2fa/disable', authenticateToken, rejectImpersonation, disableTwoFactor);
+clientRouter.post('/2fa/recovery-codes', authenticateToken, rejectImpersonation, regenerateRecoveryCodes);
+
+// Personal data export and account deletion
+clientRouter.get('/me/export', authenticateToken, exportAccountData);
+clientRouter.get('/me/delete', authenticateToken, getAccountDeletionStatus);
+clientRouter.post('/me/delete', authenticateToken, rejectImpersonation, requestAccountDeletion);
+clientRouter.delete('/me/delete', authenticateToken, rejectImpersonation, cancelAccountDeletion);
+clientRouter.put('/me/password', authenticateToken, rejectImpersonation, changePassword);
+
+// Suspension status and appeals (Protected, reachable while suspended)
+clientRouter.get('/suspension', allowSuspended, authenticateToken, getSuspensionStatus);
+clientRouter.post('/suspension/appeal', allowSuspended, authenticateToken, rejectImpersonation, createSuspensionAppeal);
+
+// Reports to the moderation team (Protected)
+clientRouter.post('/reports', authenticateToken, rejectImpersonation, checkClientActive, createReport);
+clientRouter.get('/reports', authenticateToken, getMyReports);
+
+// Identity verification (Protected, documents are stored privately)
+clientRouter.get('/verification', authenticateToken, getVerificationStatus);
+clientRouter.post('/verification', authenticateToken, rejectImpersonation, checkClientActive, receiveVerificationDocuments, submitVerificationRequest);
+
+// Announcements from the platform (Protected)
+clientRouter.get('/announcements', authenticateToken, getMyAnnouncements);
+clientRouter.post('/announcements/:announcementId/dismiss', authenticateToken, rejectImpersonation, dismissAnnouncement);
+
+// API Keys for integrations (Protected, session login only)
+clientRouter.post('/api-keys', authenticateToken, rejectImpersonation, checkClientActive, createApiKey);
+clientRouter.get('/api-keys', authenticateToken, listApiKeys);
+clientRouter.delete('/api-keys/:keyId', authenticateToken, rejectImpersonation, revokeApiKey);
 
 // Profile Management Routes (Protected)
 clientRouter.get('/profile', authenticateToken, async (req, res) => {
@@ -99,19 +189,20 @@ clientRouter.get('/profile', authenticateToken, async (req, res) => {
             }
         });
 
-        if (!user || user.role !== 'CLIENT') {
+        if (!user || !user.client) {
             return res.status(404).json({
                 success: false,
                 message: 'Client not found'
             });
         }
 
-        // Cache the profile
-        await setCache(cacheKey, user, 600); // Cache for 10 minutes
+        // Cache the profile (never the password hash)
+        const profile = { ...user, password: undefined };
+        await setCache(cacheKey, profile, 600); // Cache for 10 minutes
 
         res.status(200).json({
             success: true,
-            data: user
+            data: profile
         });
     } catch (error) {
         console.error('Get profile error:', error);
@@ -151,7 +242,7 @@ clientRouter.get('/freelancers', authenticateToken, getAllFreelancers);
 
 // Project Management Routes (Protected)
 // POST /api/client/projects - Create a new project
-clientRouter.post('/projects', authenticateToken, checkClientActive, async (req, res) => {
+clientRouter.post('/projects', allowApiKey('projects:write'), authenticateToken, checkClientActive, async (req, res) => {
     try {
         const userId = req.user.userId;
         const {
@@ -218,6 +309,20 @@ clientRouter.post('/projects', authenticateToken, checkClientActive, async (req,
             }
         });
 
+        // Automated screening; low-risk projects from trusted clients can skip the verification queue
+        const { screening, autoApprove } = await screenProject(project);
+        if (autoApprove) {
+            await prisma.project.update({
+                where: { id: project.id },
+                data: { status: 'OPEN' }
+            });
+            await prisma.contentScreening.update({
+                where: { id: screening.id },
+                data: { autoApproved: true }
+            });
+            project.status = 'OPEN';
+        }
+
         // COMPREHENSIVE CACHE INVALIDATION - Add this section
         const cacheKeysToDelete = [
             // Client specific caches
@@ -250,9 +355,29 @@ clientRouter.post('/projects', authenticateToken, checkClientActive, async (req,
             console.log('Pattern cache deletion not supported, using individual deletion');
         }
 
+        await recordAudit(req, {
+            action: 'project.created',
+            targetType: 'PROJECT',
+            targetId: project.id,
+            projectId: project.id,
+            after: { status: 'ADMIN_VERIFICATION', title: project.title }
+        });
+
+        if (autoApprove) {
+            await recordAudit(null, {
+                action: 'project.auto_approved',
+                targetType: 'PROJECT',
+                targetId: project.id,
+                projectId: project.id,
+                before: { status: 'ADMIN_VERIFICATION' },
+                after: { status: 'OPEN' },
+                metadata: { riskScore: screening.riskScore }
+            });
+        }
+
         res.status(201).json({
             success: true,
-            message: 'Project created successfully',
+            message: autoApprove ? 'Project created and published successfully' : 'Project created successfully',
             data: project
         });
 
@@ -266,8 +391,163 @@ clientRouter.post('/projects', authenticateToken, checkClientActive, async (req,
     }
 });
 
+// GET /api/client/projects/:projectId/review-history - Moderator feedback and resubmissions
+clientRouter.get('/projects/:projectId/review-history', allowApiKey('projects:read'), authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { projectId } = req.params;
+
+        const project = await prisma.project.findFirst({
+            where: {
+                id: projectId,
+                client: { userId }
+            },
+            select: { id: true, title: true, status: true, rejectedReason: true }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        // Which admin reviewed is internal
+        const rounds = (await getReviewHistory(projectId)).map(({ reviewedBy, ...round }) => round);
+        const openRequest = project.status === 'CHANGES_REQUESTED' ? rounds[rounds.length - 1] : null;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                project,
+                changesRequested: openRequest ? {
+                    fieldComments: openRequest.fieldComments,
+                    note: openRequest.note,
+                    requestedAt: openRequest.reviewedAt
+                } : null,
+                rounds
+            }
+        });
+
+    } catch (error) {
+        console.error('Get project review history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// PUT /api/client/projects/:projectId/resubmit - Edit a project sent back for changes and return it to verification
+clientRouter.put('/projects/:projectId/resubmit', allowApiKey('projects:write'), authenticateToken, checkClientActive, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { projectId } = req.params;
+
+        const project = await prisma.project.findFirst({
+            where: {
+                id: projectId,
+                clientId: req.client.id
+            }
+        });
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        if (project.status !== 'CHANGES_REQUESTED') {
+            return res.status(400).json({
+                success: false,
+                message: `Only projects with changes requested can be resubmitted. This project is ${project.status}.`
+            });
+        }
+
+        const edits = parseResubmissionEdits(req.body);
+        if (!edits.valid) {
+            return res.status(400).json({
+                success: false,
+                message: edits.error
+            });
+        }
+
+        const budgetMin = edits.data.budgetMin !== undefined ? edits.data.budgetMin : project.budgetMin;
+        const budgetMax = edits.data.budgetMax !== undefined ? edits.data.budgetMax : project.budgetMax;
+        if (budgetMin !== null && budgetMax !== null && budgetMin > budgetMax) {
+            return res.status(400).json({
+                success: false,
+                message: 'budgetMin cannot be greater than budgetMax'
+            });
+        }
+
+        const changes = diffProjectFields(project, edits.data);
+
+        const openReview = await prisma.projectReview.findFirst({
+            where: { projectId, outcome: 'CHANGES_REQUESTED', resubmittedAt: null },
+            orderBy: { round: 'desc' }
+        });
+
+        const updatedProject = await prisma.project.update({
+            where: { id: projectId },
+            data: {
+                ...edits.data,
+                ...requeueFields()
+            }
+        });
+
+        if (openReview) {
+            await prisma.projectReview.update({
+                where: { id: openReview.id },
+                data: {
+                    resubmittedAt: new Date(),
+                    changes: Object.keys(changes).length > 0 ? changes : undefined
+                }
+            });
+        }
+
+        // Screen the edited text again; a moderator still reviews it (no auto-approval on resubmission)
+        await screenProject(updatedProject);
+
+        await invalidateClientCaches(userId, req.client.id);
+        await deleteCache(`project:${projectId}`);
+
+        await recordAudit(req, {
+            action: 'project.resubmitted',
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { status: 'CHANGES_REQUESTED' },
+            after: { status: 'ADMIN_VERIFICATION' },
+            metadata: { round: openReview?.round, changedFields: Object.keys(changes) }
+        });
+
+        // Commented fields the client left as they were
+        const unaddressedFields = Object.keys(openReview?.fieldComments || {})
+            .filter(field => REVIEWABLE_FIELDS.includes(field) && !changes[field]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Project resubmitted for verification',
+            data: {
+                project: updatedProject,
+                changedFields: Object.keys(changes),
+                unaddressedFields
+            }
+        });
+
+    } catch (error) {
+        console.error('Resubmit project error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
 // GET /api/client/projects - Get client's posted projects
-clientRouter.get('/projects', authenticateToken, async (req, res) => {
+clientRouter.get('/projects', allowApiKey('projects:read'), authenticateToken, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { status, page = 1, limit = 10 } = req.query;
@@ -382,7 +662,7 @@ clientRouter.get('/projects', authenticateToken, async (req, res) => {
 });
 
 // GET /api/client/projects/:projectId/applications - Get all applications for a specific project
-clientRouter.get('/projects/:projectId/applications', authenticateToken, async (req, res) => {
+clientRouter.get('/projects/:projectId/applications', allowApiKey('applications:read'), authenticateToken, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { projectId } = req.params;
@@ -505,7 +785,7 @@ clientRouter.get('/projects/:projectId/applications', authenticateToken, async (
 });
 
 // PUT /api/client/projects/:projectId/applications/:applicationId/reject - Reject an application
-clientRouter.put('/projects/:projectId/applications/:applicationId/reject', authenticateToken, async (req, res) => {
+clientRouter.put('/projects/:projectId/applications/:applicationId/reject', allowApiKey('applications:write'), authenticateToken, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { projectId, applicationId } = req.params;
@@ -632,6 +912,15 @@ clientRouter.put('/projects/:projectId/applications/:applicationId/reject', auth
         // Execute cache deletion
         await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
 
+        await recordAudit(req, {
+            action: 'application.rejected',
+            targetType: 'APPLICATION',
+            targetId: applicationId,
+            projectId,
+            before: { status: application.status },
+            after: { status: rejectedApplication.status }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Application rejected successfully',
@@ -649,7 +938,7 @@ clientRouter.put('/projects/:projectId/applications/:applicationId/reject', auth
 });
 
 // GET /api/client/applications - Get all applications for all projects
-clientRouter.get('/applications', authenticateToken, async (req, res) => {
+clientRouter.get('/applications', allowApiKey('applications:read'), authenticateToken, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { status, page = 1, limit = 10 } = req.query;
@@ -966,6 +1255,15 @@ clientRouter.put('/projects/:projectId/approve-completion', authenticateToken, a
         // Execute cache deletion
         await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
 
+        await recordAudit(req, {
+            action: 'project.completion_approved',
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { status: project.status },
+            after: { status: updatedProject.status }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Project completion approved successfully.',
@@ -1068,6 +1366,16 @@ clientRouter.put('/projects/:projectId/reject-completion', authenticateToken, as
         // Execute cache deletion
         await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
 
+        await recordAudit(req, {
+            action: 'project.completion_rejected',
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { status: project.status },
+            after: { status: updatedProject.status },
+            metadata: { rejectionReason }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Project completion request rejected. Freelancer has been notified.',
@@ -1178,7 +1486,8 @@ clientRouter.post('/projects/:projectId/rate-freelancer', authenticateToken, che
             const freelancerRatings = await tx.rating.findMany({
                 where: {
                     ratedId: project.freelancer.userId,
-                    raterType: 'CLIENT_TO_FREELANCER'
+                    raterType: 'CLIENT_TO_FREELANCER',
+                    status: 'VISIBLE'
                 },
                 select: {
                     rating: true
@@ -1244,20 +1553,22 @@ clientRouter.get('/ratings', authenticateToken, async (req, res) => {
             // Ratings given by this client to freelancers
             whereClause = {
                 raterId: userId,
-                raterType: 'CLIENT_TO_FREELANCER'
+                raterType: 'CLIENT_TO_FREELANCER',
+                status: { not: 'REMOVED' }
             };
         } else if (type === 'received') {
             // Ratings received by this client from freelancers
             whereClause = {
                 ratedId: userId,
-                raterType: 'FREELANCER_TO_CLIENT'
+                raterType: 'FREELANCER_TO_CLIENT',
+                status: 'VISIBLE'
             };
         } else {
             // All ratings (given and received)
             whereClause = {
                 OR: [
-                    { raterId: userId },
-                    { ratedId: userId }
+                    { raterId: userId, status: { not: 'REMOVED' } },
+                    { ratedId: userId, status: 'VISIBLE' }
                 ]
             };
         }
@@ -1308,6 +1619,7 @@ clientRouter.get('/ratings', authenticateToken, async (req, res) => {
             review: rating.review,
             type: rating.raterType,
             isGivenByMe: rating.raterId === userId,
+            status: rating.status,
             project: {
                 title: rating.project.title
             },
@@ -1368,7 +1680,8 @@ clientRouter.put('/ratings/:ratingId', authenticateToken, checkClientActive, asy
             where: {
                 id: ratingId,
                 raterId: userId,
-                raterType: 'CLIENT_TO_FREELANCER'
+                raterType: 'CLIENT_TO_FREELANCER',
+                status: { not: 'REMOVED' }
             },
             include: {
                 project: {
@@ -1386,6 +1699,15 @@ clientRouter.put('/ratings/:ratingId', authenticateToken, checkClientActive, asy
             });
         }
 
+        // A hidden review can't be edited back into view
+        if (existingRating.status !== 'VISIBLE') {
+            return res.status(403).json({
+                success: false,
+                message: 'This review has been hidden by a moderator and can no longer be edited',
+                errorCode: 'RATING_MODERATED'
+            });
+        }
+
         // Update rating in transaction to recalculate freelancer's average rating
         const result = await prisma.$transaction(async (tx) => {
             // Update the rating
@@ -1402,7 +1724,8 @@ clientRouter.put('/ratings/:ratingId', authenticateToken, checkClientActive, asy
             const freelancerRatings = await tx.rating.findMany({
                 where: {
                     ratedId: existingRating.project.freelancer.userId,
-                    raterType: 'CLIENT_TO_FREELANCER'
+                    raterType: 'CLIENT_TO_FREELANCER',
+                    status: 'VISIBLE'
                 },
                 select: {
                     rating: true
@@ -2339,7 +2662,7 @@ clientRouter.use((error, req, res, next) => {
 });
 
 // UPDATE: PUT /api/client/projects/:projectId/applications/:applicationId/approve - Approve without mandatory meeting
-clientRouter.put('/projects/:projectId/applications/:applicationId/approve', authenticateToken, checkClientActive, async (req, res) => {
+clientRouter.put('/projects/:projectId/applications/:applicationId/approve', allowApiKey('applications:write'), authenticateToken, checkClientActive, async (req, res) => {
     try {
         const userId = req.user.userId;
         const { projectId, applicationId } = req.params;
@@ -2489,6 +2812,15 @@ clientRouter.put('/projects/:projectId/applications/:applicationId/approve', aut
 
         await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
 
+        await recordAudit(req, {
+            action: 'application.approved',
+            targetType: 'APPLICATION',
+            targetId: applicationId,
+            projectId,
+            before: { status: application.status, projectStatus: project.status },
+            after: { status: 'APPROVED', projectStatus: result.updatedProject.status, assignedTo: application.freelancerId }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Application approved and project assigned successfully',
@@ -3324,11 +3656,12 @@ clientRouter.get('/freelancers/search', authenticateToken, async (req, res) => {
             };
         }
 
-        // Verification filter
+        // Verification filter - an expired badge no longer counts as verified
+        const currentVerification = { isVerified: true, verificationExpiresAt: { gt: new Date() } };
         if (verified === 'true') {
-            whereClause.isVerified = true;
+            Object.assign(whereClause, currentVerification);
         } else if (verified === 'false') {
-            whereClause.isVerified = false;
+            whereClause.NOT = currentVerification;
         }
 
         // Portfolio filter
@@ -3471,7 +3804,7 @@ clientRouter.get('/freelancers/search', authenticateToken, async (req, res) => {
             matchScore += Math.min(freelancer.projectsCompleted / 10, 1) * 20;
 
             // Verification score
-            if (freelancer.isVerified) matchScore += 10;
+            if (isVerificationCurrent(freelancer)) matchScore += 10;
 
             // Availability score
             if (freelancer.availability) matchScore += 5;
@@ -3490,7 +3823,7 @@ clientRouter.get('/freelancers/search', authenticateToken, async (req, res) => {
                     experience: freelancer.experience,
                     hourlyRate: freelancer.hourlyRate,
                     availability: freelancer.availability,
-                    isVerified: freelancer.isVerified
+                    isVerified: isVerificationCurrent(freelancer)
                 },
                 statistics: {
                     projectsCompleted: freelancer.projectsCompleted,
@@ -3860,7 +4193,7 @@ clientRouter.get('/freelancers/suggested', authenticateToken, async (req, res) =
                 hourlyRate: freelancer.hourlyRate,
                 rating: freelancer.ratings,
                 projectsCompleted: freelancer.projectsCompleted,
-                isVerified: freelancer.isVerified,
+                isVerified: isVerificationCurrent(freelancer),
                 relevanceScore: Math.round(relevanceScore),
                 reasonForSuggestion: preferredSkills.length > 0
                     ? `Matches your preferred skills: ${freelancer.skills.filter(skill =>
@@ -0,0 +1,321 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../prisma.config.js';
+import {
+    DELETION_GRACE_DAYS,
+    buildAccountExport,
+    countActiveEngagements
+} from '../utils/accountDeletion.js';
+import {
+    validatePassword,
+    isPasswordReused,
+    recordPasswordHistory
+} from '../utils/passwordPolicy.js';
+import { revokeAllSessions } from '../utils/session.js';
+import { deleteCache } from '../utils/redis.js';
+import { getPasswordChangedEmailTemplate } from '../utils/emailTemplates.js';
+import transporter from '../nodemailer.config.js';
+
+// GET /api/{client|freelancer}/me/export - Download a JSON archive of personal data
+export const exportAccountData = async (req, res) => {
+    try {
+        // Support staff viewing as the user must not walk away with their data
+        if (req.impersonation) {
+            return res.status(403).json({
+                success: false,
+                message: 'Data export is not available while an admin is viewing as this user.',
+                errorCode: 'IMPERSONATION_NOT_ALLOWED'
+            });
+        }
+
+        const archive = await buildAccountExport(req.user.userId);
+
+        if (!archive) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.setHeader('Content-Disposition', `attachment; filename="account-export-${req.user.userId}.json"`);
+        res.status(200).json({
+            success: true,
+            data: archive
+        });
+
+    } catch (error) {
+        console.error('Export account data error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// GET /api/{client|freelancer}/me/delete - Deletion status
+export const getAccountDeletionStatus = async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.userId },
+            select: {
+                deletionRequestedAt: true,
+                deletionScheduledFor: true
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                pending: !!user?.deletionScheduledFor,
+                deletionRequestedAt: user?.deletionRequestedAt || null,
+                deletionScheduledFor: user?.deletionScheduledFor || null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get account deletion status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer}/me/delete - Schedule account deletion after the grace period
+export const requestAccountDeletion = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is required to delete your account'
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                password: true,
+                deletionScheduledFor: true,
+                admin: { select: { id: true } }
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.admin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin accounts must be removed by a super admin'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+
+        if (user.deletionScheduledFor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Account deletion is already scheduled',
+                data: { deletionScheduledFor: user.deletionScheduledFor }
+            });
+        }
+
+        const activeProjects = await countActiveEngagements(userId);
+        if (activeProjects > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Finish or cancel your active projects before deleting your account',
+                errorCode: 'ACTIVE_PROJECTS',
+                data: { activeProjects }
+            });
+        }
+
+        const deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+        const updatedUser = await prisma.user.update({
+            where: { id: userId },
+            data: {
+                deletionRequestedAt: new Date(),
+                deletionScheduledFor
+            },
+            select: {
+                deletionRequestedAt: true,
+                deletionScheduledFor: true
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Your account will be deleted on ${deletionScheduledFor.toDateString()}. You can cancel until then.`,
+            data: {
+                pending: true,
+                ...updatedUser
+            }
+        });
+
+    } catch (error) {
+        console.error('Request account deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// DELETE /api/{client|freelancer}/me/delete - Cancel a pending deletion
+export const cancelAccountDeletion = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { deletionScheduledFor: true }
+        });
+
+        if (!user?.deletionScheduledFor) {
+            return res.status(400).json({
+                success: false,
+                message: 'No pending account deletion found'
+            });
+        }
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: {
+                deletionRequestedAt: null,
+                deletionScheduledFor: null
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Account deletion cancelled',
+            data: { pending: false }
+        });
+
+    } catch (error) {
+        console.error('Cancel account deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// PUT /api/{client|freelancer|admin}/me/password - Change password with the current one
+export const changePassword = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { currentPassword, newPassword, confirmPassword } = req.body;
+
+        if (!currentPassword || !newPassword || !confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password, new password, and confirm password are required'
+            });
+        }
+
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Passwords do not match'
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                id: true,
+                name: true,
+                email: true,
+                password: true
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        const passwordCheck = await validatePassword(newPassword, { email: user.email });
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+
+        if (await isPasswordReused(user.id, newPassword, user.password)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose a password you have not used recently'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { password: hashedPassword }
+        });
+        await recordPasswordHistory(user.id, user.password);
+
+        // Keep this device signed in, sign out the rest
+        await revokeAllSessions(user.id, req.user.sid);
+        await deleteCache(`client:login:${user.email}`);
+        await deleteCache(`freelancer:login:${user.email}`);
+
+        // Send confirmation email
+        const emailTemplate = getPasswordChangedEmailTemplate(user.name);
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: user.email,
+            subject: emailTemplate.subject,
+            text: emailTemplate.text,
+            html: emailTemplate.html
+        };
+
+        transporter.sendMail(mailOptions, (error, info) => {
+            if (error) {
+                console.error('Password change email error:', error);
+            } else {
+                console.log('Password change confirmation sent:', info.response);
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully. All other devices have been signed out.'
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
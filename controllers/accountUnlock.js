@@ -0,0 +1,40 @@
+import { redeemUnlockToken } from '../utils/loginProtection.js';
+
+// POST /api/email/unlock-account - Redeem the link from the "account locked" email
+export const unlockAccountWithToken = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unlock token is required'
+            });
+        }
+
+        const email = await redeemUnlockToken(token);
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unlock link is invalid or has expired'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Your account has been unlocked. You can now log in.',
+            data: {
+                unlocked: true
+            }
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+            error: error.message
+        });
+    }
+};
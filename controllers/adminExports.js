@@ -0,0 +1,184 @@
+import { once } from 'events';
+import prisma from '../prisma.config.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { getPrivateDownloadUrl } from '../utils/cloudinary.js';
+import {
+    EXPORT_RESOURCES,
+    MAX_STREAMED_ROWS,
+    parseExportRequest,
+    countExportRows,
+    exportRows,
+    exportChunks,
+    exportFilename,
+    runExportJob,
+    serializeExportJob
+} from '../utils/adminExports.js';
+
+const DOWNLOAD_URL_TTL = 15 * 60; // seconds
+
+// GET /api/admin/{users|projects|applications}/export - Stream an export, or queue it when large
+export const exportResource = (resourceName) => async (req, res) => {
+    try {
+        const parsed = parseExportRequest(resourceName, req.query);
+
+        if (!parsed.valid) {
+            return res.status(400).json({
+                success: false,
+                message: parsed.error
+            });
+        }
+
+        const { format, fields, filters } = parsed;
+        const includePii = req.adminPermissions.includes(PERMISSIONS.USERS_READ_PII);
+        const where = await EXPORT_RESOURCES[resourceName].buildWhere(filters, { includePii });
+        const total = await countExportRows(resourceName, where);
+
+        if (req.query.background === 'true' || total > MAX_STREAMED_ROWS) {
+            const job = await prisma.exportJob.create({
+                data: {
+                    adminUserId: req.user.userId,
+                    resource: resourceName,
+                    format,
+                    filters,
+                    fields,
+                    includePii
+                }
+            });
+
+            await recordAudit(req, {
+                action: 'data.exported',
+                targetType: 'EXPORT',
+                targetId: job.id,
+                metadata: { resource: resourceName, format, fields, filters, includePii, estimatedRows: total, background: true }
+            });
+
+            // Runs after the response; progress is polled through GET /exports/:jobId
+            runExportJob(job.id).catch(error => console.error('Export job error:', error));
+
+            return res.status(202).json({
+                success: true,
+                message: `Export of ${total} ${resourceName} queued. Check the job status for a download link.`,
+                data: {
+                    job: serializeExportJob(job),
+                    statusUrl: `/api/v1/admin/exports/${job.id}`
+                }
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'data.exported',
+            targetType: 'EXPORT',
+            targetId: resourceName,
+            metadata: { resource: resourceName, format, fields, filters, includePii, rowCount: total, background: false }
+        });
+
+        res.status(200);
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${exportFilename(resourceName, format)}"`);
+
+        const rows = exportRows(resourceName, where, { fields, includePii });
+
+        try {
+            for await (const chunk of exportChunks(rows, { format, fields })) {
+                if (res.destroyed) return;
+                if (!res.write(chunk)) {
+                    await once(res, 'drain');
+                }
+            }
+            res.end();
+        } catch (error) {
+            // Headers are already sent, so the client sees a truncated download
+            console.error('Export stream error:', error);
+            res.destroy(error);
+        }
+
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// GET /api/admin/exports - The admin's own export jobs
+export const listExportJobs = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = { adminUserId: req.user.userId };
+
+        if (status && status !== 'all') {
+            whereClause.status = status.toUpperCase();
+        }
+
+        const [jobs, total] = await Promise.all([
+            prisma.exportJob.findMany({
+                where: whereClause,
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.exportJob.count({ where: whereClause })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                jobs: jobs.map(serializeExportJob),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('List export jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// GET /api/admin/exports/:jobId - Job status, with a short-lived download link once finished
+export const getExportJob = async (req, res) => {
+    try {
+        const job = await prisma.exportJob.findUnique({
+            where: { id: req.params.jobId }
+        });
+
+        // Exports may contain PII, so only the admin who requested one can fetch it
+        if (!job || job.adminUserId !== req.user.userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export not found'
+            });
+        }
+
+        const downloadReady = job.status === 'COMPLETED' && job.fileId;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                job: serializeExportJob(job),
+                ...(downloadReady && {
+                    downloadUrl: getPrivateDownloadUrl(job.fileId, DOWNLOAD_URL_TTL),
+                    downloadUrlExpiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL * 1000)
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Get export job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
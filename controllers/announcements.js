@@ -0,0 +1,108 @@
+import prisma from '../prisma.config.js';
+import {
+    getActiveAnnouncements,
+    getAnnouncementState,
+    matchesAnnouncement
+} from '../utils/announcements.js';
+
+const getProfile = (userId, role) => {
+    return role === 'FREELANCER' ?
+        prisma.freelancer.findUnique({ where: { userId }, select: { isVerified: true, skills: true } }) :
+        prisma.client.findUnique({ where: { userId }, select: { isVerified: true } });
+};
+
+// GET /api/{client|freelancer}/announcements - Announcements for the active profile
+export const getMyAnnouncements = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const includeDismissed = req.query.includeDismissed === 'true';
+
+        const [announcements, profile] = await Promise.all([
+            getActiveAnnouncements(),
+            getProfile(userId, req.user.role)
+        ]);
+
+        const targeted = announcements.filter(announcement =>
+            getAnnouncementState(announcement) === 'ACTIVE' &&
+            matchesAnnouncement(announcement, req.user.role, profile)
+        );
+
+        const dismissals = await prisma.announcementDismissal.findMany({
+            where: {
+                userId,
+                announcementId: { in: targeted.map(announcement => announcement.id) }
+            },
+            select: { announcementId: true, dismissedAt: true }
+        });
+        const dismissedAt = Object.fromEntries(dismissals.map(dismissal => [dismissal.announcementId, dismissal.dismissedAt]));
+
+        const visible = targeted
+            .filter(announcement => includeDismissed || !dismissedAt[announcement.id])
+            .map(announcement => ({
+                id: announcement.id,
+                title: announcement.title,
+                message: announcement.message,
+                startsAt: announcement.startsAt,
+                endsAt: announcement.endsAt,
+                dismissedAt: dismissedAt[announcement.id] || null
+            }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                announcements: visible,
+                undismissedCount: targeted.length - dismissals.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get announcements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer}/announcements/:announcementId/dismiss - Hide an announcement for this user
+export const dismissAnnouncement = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { announcementId } = req.params;
+
+        const announcement = await prisma.announcement.findUnique({
+            where: { id: announcementId },
+            select: { id: true }
+        });
+
+        if (!announcement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
+
+        // Dismissing twice is harmless
+        const dismissal = await prisma.announcementDismissal.upsert({
+            where: { announcementId_userId: { announcementId, userId } },
+            update: {},
+            create: { announcementId, userId }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Announcement dismissed',
+            data: {
+                announcementId,
+                dismissedAt: dismissal.dismissedAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Dismiss announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
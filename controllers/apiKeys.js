@@ -0,0 +1,150 @@
+import prisma from '../prisma.config.js';
+import {
+    API_KEY_SCOPES,
+    MAX_ACTIVE_API_KEYS,
+    isValidScopeList,
+    createApiKey as generateApiKey,
+    serializeApiKey
+} from '../utils/apiKeys.js';
+
+// POST /api/client/api-keys - Create a key; the secret is only returned here
+export const createApiKey = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, scopes, expiresAt } = req.body;
+
+        if (!name || !name.trim() || name.trim().length > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Key name is required (max 100 characters)'
+            });
+        }
+
+        if (!isValidScopeList(scopes)) {
+            return res.status(400).json({
+                success: false,
+                message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`
+            });
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expiry must be a valid future date'
+                });
+            }
+        }
+
+        const activeKeys = await prisma.apiKey.count({
+            where: {
+                userId,
+                revokedAt: null,
+                OR: [
+                    { expiresAt: null },
+                    { expiresAt: { gt: new Date() } }
+                ]
+            }
+        });
+
+        if (activeKeys >= MAX_ACTIVE_API_KEYS) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_ACTIVE_API_KEYS} active API keys. Revoke one first.`
+            });
+        }
+
+        const { apiKey, key } = await generateApiKey(userId, name.trim(), scopes, expiry);
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now - it will not be shown again.',
+            data: {
+                apiKey: serializeApiKey(apiKey),
+                key
+            }
+        });
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// GET /api/client/api-keys - List keys with usage
+export const listApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await prisma.apiKey.findMany({
+            where: { userId: req.user.userId },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                apiKeys: apiKeys.map(serializeApiKey),
+                availableScopes: API_KEY_SCOPES
+            }
+        });
+
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// DELETE /api/client/api-keys/:keyId - Revoke a key
+export const revokeApiKey = async (req, res) => {
+    try {
+        const { keyId } = req.params;
+
+        const apiKey = await prisma.apiKey.findFirst({
+            where: {
+                id: keyId,
+                userId: req.user.userId
+            }
+        });
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        if (apiKey.revokedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'API key is already revoked'
+            });
+        }
+
+        const revokedKey = await prisma.apiKey.update({
+            where: { id: keyId },
+            data: { revokedAt: new Date() }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'API key revoked successfully',
+            data: {
+                apiKey: serializeApiKey(revokedKey)
+            }
+        });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,307 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../prisma.config.js';
+import {
+    generateEmailVerificationOTP,
+    storeEmailVerificationOTP,
+    verifyEmailVerificationOTP,
+    sendEmailVerificationOTP,
+    invalidateEmailVerificationOTP
+} from '../utils/emailVerification.js';
+import {
+    storePendingEmailChange,
+    getPendingEmailChange,
+    clearPendingEmailChange,
+    getEmailChangeCooldown,
+    startEmailChangeCooldown,
+    createEmailRevertToken,
+    redeemEmailRevertToken,
+    sendEmailChangedNotification,
+    invalidateUserEmailCaches
+} from '../utils/emailChange.js';
+import { setCache, getCache } from '../utils/redis.js';
+import { revokeAllSessions } from '../utils/session.js';
+
+// Helper function to validate email
+const isValidEmail = (email) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+};
+
+// POST /api/email/change/request - Send OTP to the new address
+export const requestEmailChange = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { newEmail, password } = req.body;
+
+        if (!newEmail || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'New email and current password are required'
+            });
+        }
+
+        if (!isValidEmail(newEmail)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid email address'
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                email: true,
+                password: true
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (newEmail === user.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'New email must be different from your current email'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+
+        const cooldown = await getEmailChangeCooldown(userId);
+        if (cooldown) {
+            return res.status(429).json({
+                success: false,
+                message: 'You changed your email recently. Please try again later.',
+                data: {
+                    availableAt: cooldown.availableAt
+                }
+            });
+        }
+
+        const existingUser = await prisma.user.findUnique({
+            where: { email: newEmail },
+            select: { id: true }
+        });
+
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'This email address is already in use'
+            });
+        }
+
+        // Check rate limiting (prevent spam)
+        const rateLimitKey = `email_verification_rate_limit:${newEmail}`;
+        const existingRequest = await getCache(rateLimitKey);
+
+        if (existingRequest) {
+            return res.status(429).json({
+                success: false,
+                message: 'OTP already sent. Please wait 2 minutes before requesting again.'
+            });
+        }
+
+        const otp = generateEmailVerificationOTP();
+        await storeEmailVerificationOTP(newEmail, otp);
+        await storePendingEmailChange(userId, user.email, newEmail);
+        await setCache(rateLimitKey, true, 120);
+        await sendEmailVerificationOTP(newEmail, otp);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification OTP has been sent to your new email address.',
+            data: {
+                otpSent: true,
+                newEmail,
+                expiresIn: '10 minutes'
+            }
+        });
+
+    } catch (error) {
+        console.error('Request email change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/email/change/confirm - Verify OTP and complete the change
+export const confirmEmailChange = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { otp } = req.body;
+
+        if (!otp || otp.length !== 6 || !/^\d{6}$/.test(otp)) {
+            return res.status(400).json({
+                success: false,
+                message: 'OTP must be 6 digits'
+            });
+        }
+
+        const pendingChange = await getPendingEmailChange(userId);
+        if (!pendingChange) {
+            return res.status(400).json({
+                success: false,
+                message: 'No pending email change found or it has expired. Please request a new one.'
+            });
+        }
+
+        const verification = await verifyEmailVerificationOTP(pendingChange.newEmail, otp);
+        if (!verification.valid) {
+            return res.status(400).json({
+                success: false,
+                message: verification.error
+            });
+        }
+
+        let updatedUser;
+        try {
+            updatedUser = await prisma.user.update({
+                where: { id: userId },
+                data: {
+                    email: pendingChange.newEmail,
+                    emailVerifiedAt: new Date()
+                },
+                select: {
+                    id: true,
+                    name: true,
+                    email: true,
+                    emailVerifiedAt: true
+                }
+            });
+        } catch (error) {
+            // Someone registered the address in the meantime
+            if (error.code === 'P2002') {
+                await clearPendingEmailChange(userId);
+                return res.status(409).json({
+                    success: false,
+                    message: 'This email address is already in use'
+                });
+            }
+            throw error;
+        }
+
+        await clearPendingEmailChange(userId);
+        await invalidateEmailVerificationOTP(pendingChange.newEmail);
+        await startEmailChangeCooldown(userId);
+        await invalidateUserEmailCaches(userId, [pendingChange.oldEmail, pendingChange.newEmail]);
+
+        // Other devices must log in again with the new address
+        await revokeAllSessions(userId, req.user.sid);
+
+        const revertToken = await createEmailRevertToken(userId, pendingChange.oldEmail, pendingChange.newEmail);
+        await sendEmailChangedNotification(pendingChange.oldEmail, updatedUser.name, pendingChange.newEmail, revertToken);
+
+        res.status(200).json({
+            success: true,
+            message: 'Email address changed successfully',
+            data: {
+                email: updatedUser.email,
+                emailVerifiedAt: updatedUser.emailVerifiedAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Confirm email change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/email/change/revert - One-click revert from the old address
+export const revertEmailChange = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revert token is required'
+            });
+        }
+
+        const revert = await redeemEmailRevertToken(token);
+        if (!revert) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revert link is invalid or has expired'
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: revert.userId },
+            select: { id: true, email: true }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // The address has changed again since this link was sent - it no longer describes the account
+        if (user.email !== revert.newEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revert link is invalid or has expired'
+            });
+        }
+
+        try {
+            await prisma.user.update({
+                where: { id: user.id },
+                data: {
+                    email: revert.oldEmail,
+                    emailVerifiedAt: new Date()
+                }
+            });
+        } catch (error) {
+            if (error.code === 'P2002') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Your previous email address is now used by another account. Please contact support.'
+                });
+            }
+            throw error;
+        }
+
+        await clearPendingEmailChange(user.id);
+        await invalidateUserEmailCaches(user.id, [revert.oldEmail, user.email]);
+
+        // Whoever changed the address must not stay logged in
+        await revokeAllSessions(user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Your email address has been restored and all devices have been signed out. We recommend resetting your password.',
+            data: {
+                email: revert.oldEmail,
+                reverted: true
+            }
+        });
+
+    } catch (error) {
+        console.error('Revert email change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+            error: error.message
+        });
+    }
+};
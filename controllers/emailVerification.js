@@ -4,9 +4,11 @@ import {
     storeEmailVerificationOTP, 
     verifyEmailVerificationOTP, 
     sendEmailVerificationOTP,
-    checkEmailRegistration
+    checkEmailRegistration,
+    generateEmailVerificationToken,
+    invalidateEmailVerificationOTP
 } from '../utils/emailVerification.js';
-import { setCache, getCache } from '../utils/redis.js';
+import { setCache, getCache, deleteCache } from '../utils/redis.js';
 
 const prisma = new PrismaClient();
 
@@ -145,6 +147,9 @@ export const verifyEmailOTP = async (req, res) => {
             });
         }
 
+        // Signed proof of verification - signup requires it
+        const emailVerificationToken = generateEmailVerificationToken(email);
+
         res.status(200).json({
             success: true,
             message: 'Email verified successfully. You can now proceed with registration.',
@@ -152,7 +157,9 @@ export const verifyEmailOTP = async (req, res) => {
                 verified: true,
                 email: email,
                 canProceedWithRegistration: true,
-                verifiedAt: new Date().toISOString()
+                verifiedAt: new Date().toISOString(),
+                emailVerificationToken,
+                expiresIn: '30 minutes'
             }
         });
 
@@ -217,4 +224,144 @@ export const checkEmailRegistrationStatus = async (req, res) => {
             error: error.message
         });
     }
-};
\ No newline at end of file
+};
+
+// POST /api/email/account/send-otp - Verify the email of an existing (unverified) account
+export const sendAccountVerificationOTP = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                email: true,
+                emailVerifiedAt: true
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.emailVerifiedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your email address is already verified'
+            });
+        }
+
+        // Check rate limiting (prevent spam)
+        const rateLimitKey = `email_verification_rate_limit:${user.email}`;
+        const existingRequest = await getCache(rateLimitKey);
+
+        if (existingRequest) {
+            return res.status(429).json({
+                success: false,
+                message: 'OTP already sent. Please wait 2 minutes before requesting again.'
+            });
+        }
+
+        const otp = generateEmailVerificationOTP();
+        await storeEmailVerificationOTP(user.email, otp);
+        await setCache(rateLimitKey, true, 120);
+        await sendEmailVerificationOTP(user.email, otp);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification OTP has been sent to your email address.',
+            data: {
+                otpSent: true,
+                email: user.email,
+                expiresIn: '10 minutes'
+            }
+        });
+
+    } catch (error) {
+        console.error('Send account verification OTP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+            error: error.message
+        });
+    }
+};
+
+// POST /api/email/account/verify - Confirm the OTP and mark the account verified
+export const verifyAccountEmail = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { otp } = req.body;
+
+        if (!otp || otp.length !== 6 || !/^\d{6}$/.test(otp)) {
+            return res.status(400).json({
+                success: false,
+                message: 'OTP must be 6 digits'
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                email: true,
+                emailVerifiedAt: true
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.emailVerifiedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your email address is already verified'
+            });
+        }
+
+        const verification = await verifyEmailVerificationOTP(user.email, otp);
+
+        if (!verification.valid) {
+            return res.status(400).json({
+                success: false,
+                message: verification.error
+            });
+        }
+
+        const updatedUser = await prisma.user.update({
+            where: { id: userId },
+            data: { emailVerifiedAt: new Date() },
+            select: { emailVerifiedAt: true }
+        });
+
+        await invalidateEmailVerificationOTP(user.email);
+        await Promise.all([
+            deleteCache(`client:login:${user.email}`),
+            deleteCache(`freelancer:login:${user.email}`),
+            deleteCache(`client:profile:${userId}`),
+            deleteCache(`freelancer:profile:${userId}`)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully. All account features are now available.',
+            data: {
+                verified: true,
+                emailVerifiedAt: updatedUser.emailVerifiedAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Account email verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+            error: error.message
+        });
+    }
+};
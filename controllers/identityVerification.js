@@ -0,0 +1,131 @@
+import prisma from '../prisma.config.js';
+import { recordAudit } from '../utils/auditLog.js';
+import {
+    DOCUMENT_TYPES,
+    getVerificationBadge,
+    storeVerificationDocuments,
+    serializeVerificationRequest
+} from '../utils/identityVerification.js';
+
+const getProfile = (userId, profileType) => {
+    return profileType === 'FREELANCER' ?
+        prisma.freelancer.findUnique({ where: { userId } }) :
+        prisma.client.findUnique({ where: { userId } });
+};
+
+// GET /api/{client|freelancer}/verification - Badge state and the latest request for the active profile
+export const getVerificationStatus = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const profileType = req.user.role;
+
+        const [profile, latestRequest] = await Promise.all([
+            getProfile(userId, profileType),
+            prisma.verificationRequest.findFirst({
+                where: { userId, profileType },
+                orderBy: { createdAt: 'desc' }
+            })
+        ]);
+
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Profile not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                profileType,
+                ...getVerificationBadge(profile),
+                documentTypes: DOCUMENT_TYPES[profileType],
+                latestRequest: latestRequest ? serializeVerificationRequest(latestRequest) : null,
+                canSubmit: latestRequest?.status !== 'PENDING'
+            }
+        });
+
+    } catch (error) {
+        console.error('Get verification status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer}/verification - Submit documents for review (multipart, "documents" field)
+export const submitVerificationRequest = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const profileType = req.user.role;
+        const { documentType, note } = req.body;
+        const files = req.files || [];
+
+        if (!DOCUMENT_TYPES[profileType].includes(documentType)) {
+            return res.status(400).json({
+                success: false,
+                message: `documentType must be one of: ${DOCUMENT_TYPES[profileType].join(', ')}`
+            });
+        }
+
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload at least one document in the "documents" field'
+            });
+        }
+
+        if (note && note.length > 1000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Note must be at most 1000 characters'
+            });
+        }
+
+        const pending = await prisma.verificationRequest.findFirst({
+            where: { userId, profileType, status: 'PENDING' }
+        });
+
+        if (pending) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a verification request waiting for review',
+                errorCode: 'VERIFICATION_PENDING',
+                data: { request: serializeVerificationRequest(pending) }
+            });
+        }
+
+        const documents = await storeVerificationDocuments(userId, files);
+
+        const request = await prisma.verificationRequest.create({
+            data: {
+                userId,
+                profileType,
+                documentType,
+                documents,
+                note: note?.trim() || null
+            }
+        });
+
+        await recordAudit(req, {
+            action: 'verification.requested',
+            targetType: 'VERIFICATION_REQUEST',
+            targetId: request.id,
+            metadata: { profile: profileType, documentType, documentCount: documents.length }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Verification request submitted. We will email you once it has been reviewed.',
+            data: { request: serializeVerificationRequest(request) }
+        });
+
+    } catch (error) {
+        console.error('Submit verification request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,419 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from '../prisma.config.js';
+import {
+    getProvider,
+    getEnabledProviders,
+    createAuthorizationRequest,
+    consumeAuthorizationState,
+    exchangeCodeForProfile,
+    createLinkRequest,
+    consumeLinkRequest
+} from '../utils/oauth.js';
+import { createSession, getAvailableRoles } from '../utils/session.js';
+import { isTwoFactorEnabled, createLoginChallenge } from '../utils/twoFactor.js';
+import { deleteCache } from '../utils/redis.js';
+import { checkLoginAllowed, recordFailedLogin, clearFailedLogins } from '../utils/loginProtection.js';
+
+const SIGNUP_ROLES = ['CLIENT', 'FREELANCER'];
+
+const userInclude = {
+    client: true,
+    freelancer: true,
+    admin: { select: { id: true } }
+};
+
+// Create a user (and the profile for the chosen role) from a provider profile
+const createUserFromProfile = async (providerName, profile, role) => {
+    // Social-only accounts get an unusable password; forgot-password can set a real one
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    return prisma.$transaction(async (tx) => {
+        const user = await tx.user.create({
+            data: {
+                name: profile.name || profile.email.split('@')[0],
+                email: profile.email,
+                password: placeholderPassword,
+                role,
+                emailVerifiedAt: new Date(),
+                profileImage: profile.picture
+            }
+        });
+
+        if (role === 'CLIENT') {
+            await tx.client.create({
+                data: { userId: user.id }
+            });
+        } else {
+            await tx.freelancer.create({
+                data: {
+                    userId: user.id,
+                    ...(providerName === 'github' && { githubUrl: profile.profileUrl })
+                }
+            });
+        }
+
+        await tx.oAuthAccount.create({
+            data: {
+                userId: user.id,
+                provider: providerName,
+                providerUserId: profile.providerUserId,
+                email: profile.email,
+                lastLoginAt: new Date()
+            }
+        });
+
+        return tx.user.findUnique({
+            where: { id: user.id },
+            include: userInclude
+        });
+    });
+};
+
+// Checks, bookkeeping and session (or 2FA challenge) shared by every way into an OAuth login
+const finishOAuthLogin = async (req, res, user, { provider, profile, role, isNewUser, linked }) => {
+    if (user.admin) {
+        return res.status(403).json({
+            success: false,
+            message: 'Admin accounts must sign in with email and password'
+        });
+    }
+
+    if (!user.isActive) {
+        return res.status(403).json({
+            success: false,
+            message: 'Your account has been suspended. Please contact support for assistance.',
+            errorCode: 'ACCOUNT_SUSPENDED'
+        });
+    }
+
+    if (!isNewUser) {
+        const updates = [
+            prisma.oAuthAccount.update({
+                where: {
+                    provider_providerUserId: {
+                        provider,
+                        providerUserId: profile.providerUserId
+                    }
+                },
+                data: { lastLoginAt: new Date() }
+            })
+        ];
+
+        // The provider just proved ownership of the address
+        if (!user.emailVerifiedAt && profile.emailVerified && profile.email === user.email) {
+            updates.push(prisma.user.update({
+                where: { id: user.id },
+                data: { emailVerifiedAt: new Date() }
+            }));
+        }
+
+        if (provider === 'github' && user.freelancer && !user.freelancer.githubUrl && profile.profileUrl) {
+            updates.push(prisma.freelancer.update({
+                where: { id: user.freelancer.id },
+                data: { githubUrl: profile.profileUrl }
+            }));
+            await deleteCache(`freelancer:profile:${user.id}`);
+        }
+
+        await Promise.all(updates);
+    }
+
+    const roles = getAvailableRoles(user);
+    const activeRole = roles.includes(role) ? role : roles[0];
+
+    if (await isTwoFactorEnabled(user.id)) {
+        const challengeToken = await createLoginChallenge(user.id, activeRole);
+        return res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication required',
+            data: {
+                twoFactorRequired: true,
+                challengeToken,
+                expiresIn: '5 minutes',
+                linked
+            }
+        });
+    }
+
+    const session = await createSession(user, req, activeRole);
+
+    res.status(isNewUser ? 201 : 200).json({
+        success: true,
+        message: isNewUser ? 'Account created successfully' : 'Login successful',
+        data: {
+            user: { ...user, password: undefined },
+            activeRole,
+            roles,
+            isNewUser,
+            linked,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        }
+    });
+};
+
+// GET /api/auth/oauth/providers - Providers available for sign-in
+export const getOAuthProviders = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            providers: getEnabledProviders()
+        }
+    });
+};
+
+// GET /api/auth/oauth/:provider/authorize - Start sign-in, returns the provider URL
+export const startOAuthLogin = async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const { role } = req.query;
+
+        if (!getProvider(provider)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Login provider not found'
+            });
+        }
+
+        if (role && !SIGNUP_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be either "CLIENT" or "FREELANCER"'
+            });
+        }
+
+        const request = await createAuthorizationRequest(provider, role || null);
+
+        res.status(200).json({
+            success: true,
+            data: request
+        });
+
+    } catch (error) {
+        console.error('Start OAuth login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/auth/oauth/:provider/callback - Finish sign-in with the code from the provider
+export const completeOAuthLogin = async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const { code, state } = req.body;
+
+        if (!code || !state) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authorization code and state are required'
+            });
+        }
+
+        if (!getProvider(provider)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Login provider not found'
+            });
+        }
+
+        const stateData = await consumeAuthorizationState(state);
+        if (!stateData || stateData.provider !== provider) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sign-in request expired or is invalid. Please try again.'
+            });
+        }
+
+        const exchange = await exchangeCodeForProfile(provider, code, stateData);
+        if (!exchange.valid) {
+            return res.status(401).json({
+                success: false,
+                message: exchange.error
+            });
+        }
+
+        const { profile } = exchange;
+
+        // Returning user - already linked to this provider account
+        const oauthAccount = await prisma.oAuthAccount.findUnique({
+            where: {
+                provider_providerUserId: {
+                    provider,
+                    providerUserId: profile.providerUserId
+                }
+            },
+            include: {
+                user: { include: userInclude }
+            }
+        });
+
+        let user = oauthAccount?.user;
+        let isNewUser = false;
+        let linked = false;
+
+        if (!user) {
+            // Only a verified email may be matched against or used for a new account
+            if (!profile.email || !profile.emailVerified) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your provider account has no verified email address',
+                    errorCode: 'EMAIL_NOT_VERIFIED'
+                });
+            }
+
+            user = await prisma.user.findUnique({
+                where: { email: profile.email },
+                include: userInclude
+            });
+
+            if (user && !user.admin && !user.emailVerifiedAt) {
+                // Nobody has proven they own this inbox yet - the account holder must confirm with their password
+                const linkRequest = await createLinkRequest(user.id, provider, profile, stateData.role);
+                return res.status(409).json({
+                    success: false,
+                    message: 'An account with this email already exists. Sign in with your password to link it.',
+                    errorCode: 'LINK_CONFIRMATION_REQUIRED',
+                    data: linkRequest
+                });
+            } else if (user && !user.admin) {
+                await prisma.oAuthAccount.create({
+                    data: {
+                        userId: user.id,
+                        provider,
+                        providerUserId: profile.providerUserId,
+                        email: profile.email
+                    }
+                });
+                linked = true;
+            } else if (!user) {
+                if (!stateData.role) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'No account exists for this email. Choose whether to join as a client or a freelancer.',
+                        errorCode: 'ROLE_REQUIRED'
+                    });
+                }
+
+                user = await createUserFromProfile(provider, profile, stateData.role);
+                isNewUser = true;
+            }
+        }
+
+        await finishOAuthLogin(req, res, user, { provider, profile, role: stateData.role, isNewUser, linked });
+
+    } catch (error) {
+        console.error('Complete OAuth login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/auth/oauth/link/confirm - Link a provider to an unverified account after a password sign-in
+export const confirmOAuthLink = async (req, res) => {
+    try {
+        const { linkToken, password } = req.body;
+
+        if (!linkToken || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Link token and password are required'
+            });
+        }
+
+        const linkRequest = await consumeLinkRequest(linkToken);
+        if (!linkRequest) {
+            return res.status(400).json({
+                success: false,
+                message: 'Link request expired or is invalid. Please sign in with your provider again.'
+            });
+        }
+
+        // Same brute-force protection as a password login
+        const loginCheck = await checkLoginAllowed(linkRequest.email, req.ip);
+        if (!loginCheck.allowed) {
+            return res.status(loginCheck.status).json({
+                success: false,
+                message: loginCheck.message,
+                errorCode: loginCheck.errorCode,
+                ...(loginCheck.retryAfter && { retryAfter: loginCheck.retryAfter }),
+                ...(loginCheck.lockedUntil && { lockedUntil: loginCheck.lockedUntil })
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: linkRequest.userId },
+            include: userInclude
+        });
+
+        if (!user || user.email !== linkRequest.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Link request expired or is invalid. Please sign in with your provider again.'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            const failure = await recordFailedLogin(linkRequest.email, req.ip, user);
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Too many failed login attempts. Your account has been temporarily locked and we have emailed you an unlock link.',
+                    errorCode: 'ACCOUNT_LOCKED',
+                    lockedUntil: failure.lockedUntil
+                });
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password. Please sign in with your provider again.'
+            });
+        }
+
+        await clearFailedLogins(linkRequest.email);
+
+        if (user.admin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin accounts must sign in with email and password'
+            });
+        }
+
+        await prisma.oAuthAccount.create({
+            data: {
+                userId: user.id,
+                provider: linkRequest.provider,
+                providerUserId: linkRequest.providerUserId,
+                email: linkRequest.email
+            }
+        });
+
+        // The provider verified the address and the password proved the account - that settles email verification
+        const profile = {
+            providerUserId: linkRequest.providerUserId,
+            email: linkRequest.email,
+            emailVerified: true,
+            profileUrl: linkRequest.profileUrl
+        };
+
+        await finishOAuthLogin(req, res, user, {
+            provider: linkRequest.provider,
+            profile,
+            role: linkRequest.role,
+            isNewUser: false,
+            linked: true
+        });
+
+    } catch (error) {
+        console.error('Confirm OAuth link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,187 @@
+import prisma from '../prisma.config.js';
+import { getCache, incrementCounter } from '../utils/redis.js';
+import {
+    REPORT_TYPES,
+    REPORT_TARGET_TYPES,
+    REPORT_TRANSITIONS,
+    MAX_REPORTS_PER_DAY,
+    resolveReportTarget
+} from '../utils/reports.js';
+
+// POST /api/{client|freelancer}/reports - Report a user, project, proposal or review
+export const createReport = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { targetType, targetId, reportType, reason, description } = req.body;
+
+        if (!REPORT_TARGET_TYPES.includes(targetType) || typeof targetId !== 'string' || !targetId) {
+            return res.status(400).json({
+                success: false,
+                message: `targetType (${REPORT_TARGET_TYPES.join(', ')}) and targetId are required`
+            });
+        }
+
+        if (!REPORT_TYPES.includes(reportType)) {
+            return res.status(400).json({
+                success: false,
+                message: `reportType must be one of: ${REPORT_TYPES.join(', ')}`
+            });
+        }
+
+        if (typeof reason !== 'string' || reason.trim().length < 10 || reason.trim().length > 500) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reason must be between 10 and 500 characters'
+            });
+        }
+
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Description must be text'
+            });
+        }
+
+        if (description && description.length > 5000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Description must be at most 5000 characters'
+            });
+        }
+
+        const target = await resolveReportTarget(targetType, targetId);
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reported item not found'
+            });
+        }
+
+        if (target.reportedId === userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot report yourself or your own content'
+            });
+        }
+
+        // One open report per reporter and target
+        const openReport = await prisma.report.findFirst({
+            where: {
+                reporterId: userId,
+                targetType,
+                targetId,
+                status: { in: ['PENDING', 'INVESTIGATING'] }
+            },
+            select: { id: true }
+        });
+
+        if (openReport) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have an open report for this item',
+                data: { reportId: openReport.id }
+            });
+        }
+
+        // Only reports that were actually filed count toward the daily limit
+        const reportsKey = `reports_filed:${userId}`;
+        const reportsToday = (await getCache(reportsKey)) || 0;
+        if (reportsToday >= MAX_REPORTS_PER_DAY) {
+            return res.status(429).json({
+                success: false,
+                message: 'You have filed too many reports today. Please try again tomorrow.'
+            });
+        }
+
+        const report = await prisma.report.create({
+            data: {
+                reporterId: userId,
+                reportedId: target.reportedId,
+                targetType,
+                targetId,
+                reportType,
+                reason: reason.trim(),
+                description: description?.trim() || null
+            }
+        });
+
+        await incrementCounter(reportsKey, 24 * 60 * 60);
+
+        res.status(201).json({
+            success: true,
+            message: 'Report submitted. Our moderation team will review it.',
+            data: {
+                report: {
+                    id: report.id,
+                    targetType: report.targetType,
+                    targetId: report.targetId,
+                    reportType: report.reportType,
+                    reason: report.reason,
+                    status: report.status,
+                    createdAt: report.createdAt
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Create report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// GET /api/{client|freelancer}/reports - Reports filed by the current user
+export const getMyReports = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const whereClause = { reporterId: req.user.userId };
+        if (status && Object.hasOwn(REPORT_TRANSITIONS, status)) {
+            whereClause.status = status;
+        }
+
+        const [reports, total] = await Promise.all([
+            prisma.report.findMany({
+                where: whereClause,
+                select: {
+                    id: true,
+                    targetType: true,
+                    targetId: true,
+                    reportType: true,
+                    reason: true,
+                    status: true,
+                    resolvedAt: true,
+                    createdAt: true
+                },
+                orderBy: { createdAt: 'desc' },
+                skip,
+                take: parseInt(limit)
+            }),
+            prisma.report.count({ where: whereClause })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reports,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / parseInt(limit))
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get my reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
@@ -0,0 +1,235 @@
+import prisma from '../prisma.config.js';
+import {
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    switchSessionRole,
+    getAvailableRoles
+} from '../utils/session.js';
+import { liftExpiredSuspension, getSuspensionDetails } from '../utils/suspension.js';
+
+// POST /api/{client|freelancer|admin}/refresh-token
+export const refreshAccessToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const rotation = await rotateRefreshToken(refreshToken);
+
+        if (!rotation.valid) {
+            return res.status(401).json({
+                success: false,
+                message: rotation.error,
+                errorCode: 'INVALID_REFRESH_TOKEN'
+            });
+        }
+
+        // Re-check the account so suspended users can't keep refreshing
+        const user = await prisma.user.findUnique({
+            where: { id: rotation.session.userId },
+            select: {
+                id: true,
+                isActive: true,
+                suspensionReason: true,
+                suspendedAt: true,
+                suspendedUntil: true,
+                admin: { select: { id: true } }
+            }
+        });
+
+        if (user && !user.isActive && await liftExpiredSuspension(user)) {
+            user.isActive = true;
+        }
+
+        if (!user || !user.isActive || (rotation.session.role === 'ADMIN' && !user.admin)) {
+            await revokeSession(rotation.session.userId, rotation.session.id);
+
+            const suspension = user && !user.isActive ? getSuspensionDetails(user) : null;
+            return res.status(403).json({
+                success: false,
+                message: suspension?.suspendedUntil ?
+                    `Your account has been suspended until ${new Date(suspension.suspendedUntil).toISOString()}.` :
+                    'Your account has been suspended. Please contact support for assistance.',
+                errorCode: 'ACCOUNT_SUSPENDED',
+                ...(suspension && { suspension, canAppeal: true })
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: rotation.tokens
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer|admin}/logout
+export const logout = async (req, res) => {
+    try {
+        const { userId, sid } = req.user;
+        const { allDevices } = req.body || {};
+
+        if (allDevices) {
+            await revokeAllSessions(userId);
+        } else if (sid) {
+            await revokeSession(userId, sid);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: allDevices ? 'Logged out from all devices' : 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// GET /api/{client|freelancer|admin}/sessions
+export const getSessions = async (req, res) => {
+    try {
+        const { userId, sid } = req.user;
+        const sessions = await listSessions(userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                sessions: sessions.map(session => ({
+                    ...session,
+                    current: session.sessionId === sid
+                })),
+                total: sessions.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// DELETE /api/{client|freelancer|admin}/sessions/:sessionId
+export const deleteSession = async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { sessionId } = req.params;
+
+        const sessions = await listSessions(userId);
+        if (!sessions.some(session => session.sessionId === sessionId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(userId, sessionId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully',
+            data: { sessionId }
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// DELETE /api/{client|freelancer|admin}/sessions - Revoke all other sessions
+export const deleteOtherSessions = async (req, res) => {
+    try {
+        const { userId, sid } = req.user;
+
+        await revokeAllSessions(userId, sid);
+
+        res.status(200).json({
+            success: true,
+            message: 'All other sessions revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer}/switch-role - Change the active role of a dual-role account
+export const switchRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!role || !['CLIENT', 'FREELANCER'].includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be either "CLIENT" or "FREELANCER"'
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.userId },
+            include: {
+                client: { select: { id: true } },
+                freelancer: { select: { id: true } }
+            }
+        });
+
+        const roles = getAvailableRoles(user);
+
+        if (!roles.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `You don't have a ${role.toLowerCase()} profile yet. Add one to your account first.`,
+                errorCode: 'ROLE_NOT_AVAILABLE'
+            });
+        }
+
+        const session = await switchSessionRole(user, req.user.sid, role, req);
+
+        res.status(200).json({
+            success: true,
+            message: `Switched to your ${role.toLowerCase()} profile`,
+            data: {
+                activeRole: role,
+                roles,
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn
+            }
+        });
+
+    } catch (error) {
+        console.error('Switch role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
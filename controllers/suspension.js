@@ -0,0 +1,106 @@
+import prisma from '../prisma.config.js';
+
+// GET /api/{client|freelancer}/suspension - Suspension details and appeals (reachable while suspended)
+export const getSuspensionStatus = async (req, res) => {
+    try {
+        const appeals = await prisma.suspensionAppeal.findMany({
+            where: { userId: req.user.userId },
+            select: {
+                id: true,
+                message: true,
+                status: true,
+                reviewNote: true,
+                reviewedAt: true,
+                createdAt: true
+            },
+            orderBy: { createdAt: 'desc' },
+            take: 10
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                isSuspended: !!req.suspension,
+                suspension: req.suspension || null,
+                appeals
+            }
+        });
+
+    } catch (error) {
+        console.error('Get suspension status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer}/suspension/appeal - Contest the current suspension
+export const createSuspensionAppeal = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { message } = req.body;
+
+        if (!req.suspension) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account is not suspended'
+            });
+        }
+
+        if (!message || message.trim().length < 20 || message.trim().length > 5000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Appeal message must be between 20 and 5000 characters'
+            });
+        }
+
+        // One appeal per suspension
+        const existingAppeal = await prisma.suspensionAppeal.findFirst({
+            where: {
+                userId,
+                suspendedAt: req.suspension.suspendedAt
+            },
+            select: { id: true, status: true }
+        });
+
+        if (existingAppeal) {
+            return res.status(409).json({
+                success: false,
+                message: existingAppeal.status === 'PENDING' ?
+                    'You already have an appeal under review' :
+                    'This suspension has already been appealed',
+                data: { appeal: existingAppeal }
+            });
+        }
+
+        const appeal = await prisma.suspensionAppeal.create({
+            data: {
+                userId,
+                message: message.trim(),
+                suspensionReason: req.suspension.reason,
+                suspendedAt: req.suspension.suspendedAt
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Appeal submitted. We will email you once it has been reviewed.',
+            data: {
+                appeal: {
+                    id: appeal.id,
+                    message: appeal.message,
+                    status: appeal.status,
+                    createdAt: appeal.createdAt
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Create suspension appeal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
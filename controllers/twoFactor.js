@@ -0,0 +1,366 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../prisma.config.js';
+import {
+    generateTOTPSecret,
+    verifyTOTP,
+    buildOtpauthUrl,
+    generateQRCode,
+    generateRecoveryCodes,
+    storePendingSecret,
+    getPendingSecret,
+    clearPendingSecret,
+    verifyTwoFactorCode,
+    verifyLoginChallenge,
+    countRecoveryCodes
+} from '../utils/twoFactor.js';
+import { getSetting, SETTINGS } from '../utils/settings.js';
+import { createSession, getAvailableRoles, revokeAllSessions } from '../utils/session.js';
+
+// GET /api/{client|freelancer|admin}/2fa/status
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const twoFactor = await prisma.twoFactorAuth.findUnique({
+            where: { userId },
+            select: {
+                id: true,
+                enabledAt: true,
+                lastUsedAt: true
+            }
+        });
+
+        const required = req.user.role === 'ADMIN' ?
+            await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false) :
+            false;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                enabled: !!twoFactor,
+                required,
+                enabledAt: twoFactor?.enabledAt || null,
+                lastUsedAt: twoFactor?.lastUsedAt || null,
+                recoveryCodesRemaining: twoFactor ? await countRecoveryCodes(twoFactor.id) : 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer|admin}/2fa/setup - Start enrollment
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                email: true,
+                twoFactor: { select: { id: true } }
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.twoFactor) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateTOTPSecret();
+        const otpauthUrl = buildOtpauthUrl(user.email, secret);
+        const qrCode = await generateQRCode(otpauthUrl);
+
+        await storePendingSecret(userId, secret);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code to enable 2FA.',
+            data: {
+                secret,
+                otpauthUrl,
+                qrCode,
+                expiresIn: '10 minutes'
+            }
+        });
+
+    } catch (error) {
+        console.error('Setup 2FA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer|admin}/2fa/enable - Confirm enrollment
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code is required'
+            });
+        }
+
+        const secret = await getPendingSecret(userId);
+        if (!secret) {
+            return res.status(400).json({
+                success: false,
+                message: 'No pending 2FA setup found. Please start setup again.'
+            });
+        }
+
+        if (verifyTOTP(secret, code) === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recovery = generateRecoveryCodes();
+
+        await prisma.twoFactorAuth.create({
+            data: {
+                userId,
+                secret,
+                recoveryCodes: {
+                    create: recovery.hashes.map(codeHash => ({ codeHash }))
+                }
+            }
+        });
+
+        await clearPendingSecret(userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.',
+            data: {
+                enabled: true,
+                recoveryCodes: recovery.codes
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        console.error('Enable 2FA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer|admin}/2fa/disable
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { password, code, recoveryCode } = req.body;
+
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and an authentication or recovery code are required'
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { password: true, role: true }
+        });
+
+        if (user.role === 'ADMIN' && await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for all admin accounts'
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+
+        const verification = await verifyTwoFactorCode(userId, { code, recoveryCode });
+        if (!verification.valid) {
+            return res.status(400).json({
+                success: false,
+                message: verification.error
+            });
+        }
+
+        await prisma.twoFactorAuth.delete({
+            where: { userId }
+        });
+
+        // Keep this device signed in, sign out the rest
+        await revokeAllSessions(userId, req.user.sid);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled',
+            data: { enabled: false }
+        });
+
+    } catch (error) {
+        console.error('Disable 2FA error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer|admin}/2fa/recovery-codes - Regenerate recovery codes
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code is required'
+            });
+        }
+
+        const verification = await verifyTwoFactorCode(userId, { code });
+        if (!verification.valid) {
+            return res.status(400).json({
+                success: false,
+                message: verification.error
+            });
+        }
+
+        const recovery = generateRecoveryCodes();
+
+        await prisma.twoFactorAuth.update({
+            where: { userId },
+            data: {
+                recoveryCodes: {
+                    deleteMany: {},
+                    create: recovery.hashes.map(codeHash => ({ codeHash }))
+                }
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated. Previous codes no longer work.',
+            data: {
+                recoveryCodes: recovery.codes
+            }
+        });
+
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
+
+// POST /api/{client|freelancer|admin}/login/2fa - Second login step
+export const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Challenge token and an authentication or recovery code are required'
+            });
+        }
+
+        const verification = await verifyLoginChallenge(challengeToken, { code, recoveryCode });
+        if (!verification.valid) {
+            return res.status(401).json({
+                success: false,
+                message: verification.error
+            });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: verification.userId },
+            include: {
+                client: true,
+                freelancer: true,
+                admin: true
+            }
+        });
+
+        if (!user || !user.isActive) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account suspended. Contact support.'
+            });
+        }
+
+        const session = await createSession(user, req, verification.role || user.role);
+
+        if (user.admin) {
+            await prisma.admin.update({
+                where: { userId: user.id },
+                data: { lastLoginAt: new Date() }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user: { ...user, password: undefined },
+                activeRole: verification.role || user.role,
+                roles: getAvailableRoles(user),
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn,
+                ...(user.admin && {
+                    admin: {
+                        id: user.id,
+                        name: user.name,
+                        email: user.email,
+                        permissions: user.admin.permissions
+                    }
+                }),
+                ...(verification.usedRecoveryCode && {
+                    recoveryCodesRemaining: verification.recoveryCodesRemaining
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+};
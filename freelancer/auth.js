@@ -1,8 +1,8 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '../prisma.config.js';
 import { uploadImage, deleteImage } from '../utils/cloudinary.js';
 import { setCache, getCache, deleteCache } from '../utils/redis.js';
+import { invalidateUserEmailCaches } from '../utils/emailChange.js';
 import { 
     generateOTP, 
     storeOTP, 
@@ -12,15 +12,28 @@ import {
     sendOTPEmail 
 } from '../utils/passwordReset.js';
 import transporter from '../nodemailer.config.js';
-
-// Helper function to generate JWT token
-const generateToken = (userId, role) => {
-    return jwt.sign(
-        { userId, role },
-        process.env.JWT_SECRET,
-        { expiresIn: '30d' }
-    );
-};
+import {
+    isEmailVerificationTokenValid,
+    invalidateEmailVerificationOTP
+} from '../utils/emailVerification.js';
+import {
+    createSession,
+    revokeAllSessions,
+    switchSessionRole,
+    getAvailableRoles
+} from '../utils/session.js';
+import { isTwoFactorEnabled, createLoginChallenge } from '../utils/twoFactor.js';
+import {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount
+} from '../utils/loginProtection.js';
+import {
+    validatePassword,
+    isPasswordReused,
+    recordPasswordHistory
+} from '../utils/passwordPolicy.js';
 
 // Helper function to validate email
 const isValidEmail = (email) => {
@@ -35,6 +48,7 @@ export const signup = async (req, res) => {
             name,
             email,
             password,
+            emailVerificationToken,
             age,
             skills,
             experience,
@@ -61,22 +75,37 @@ export const signup = async (req, res) => {
             });
         }
 
-        if (password.length < 6) {
+        const passwordCheck = await validatePassword(password, { email });
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+
+        // Email ownership must be proven through /api/v1/email/verify-otp first
+        if (!isEmailVerificationTokenValid(emailVerificationToken, email)) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 6 characters long'
+                message: 'Please verify your email address before signing up',
+                errorCode: 'EMAIL_NOT_VERIFIED'
             });
         }
 
         // Check if user already exists
         const existingUser = await prisma.user.findUnique({
-            where: { email }
+            where: { email },
+            include: { freelancer: true }
         });
 
         if (existingUser) {
             return res.status(400).json({
                 success: false,
-                message: 'User with this email already exists'
+                message: existingUser.freelancer ?
+                    'User with this email already exists' :
+                    'User with this email already exists. Log in to your account and add a freelancer profile instead.',
+                errorCode: existingUser.freelancer ? 'EMAIL_IN_USE' : 'ADD_PROFILE_AVAILABLE'
             });
         }
 
@@ -101,6 +130,7 @@ export const signup = async (req, res) => {
                     email,
                     password: hashedPassword,
                     role: 'FREELANCER',
+                    emailVerifiedAt: new Date(),
                     profileImage: profileImageUrl,
                     bio,
                     location
@@ -124,8 +154,10 @@ export const signup = async (req, res) => {
             return { user, freelancer };
         });
 
-        // Generate JWT token
-        const token = generateToken(result.user.id, result.user.role);
+        await invalidateEmailVerificationOTP(email);
+
+        // Start a session (short-lived access token + refresh token)
+        const session = await createSession(result.user, req);
 
         // Remove password from response
         const { password: _, ...userWithoutPassword } = result.user;
@@ -136,7 +168,9 @@ export const signup = async (req, res) => {
             data: {
                 user: userWithoutPassword,
                 freelancer: result.freelancer,
-                token
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn
             }
         });
 
@@ -150,57 +184,189 @@ export const signup = async (req, res) => {
     }
 };
 
+// POST /api/freelancer/add-profile - Add a freelancer profile to an existing client account
+export const addFreelancerProfile = async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const {
+            age,
+            skills,
+            experience,
+            hourlyRate,
+            githubUrl,
+            linkedinUrl,
+            portfolioUrl
+        } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            include: {
+                client: true,
+                freelancer: true
+            }
+        });
+
+        if (!user || user.role === 'ADMIN') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only client accounts can add a freelancer profile'
+            });
+        }
+
+        if (user.freelancer) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account already has a freelancer profile'
+            });
+        }
+
+        const freelancer = await prisma.freelancer.create({
+            data: {
+                userId,
+                age: age ? parseInt(age) : null,
+                skills: skills ? skills.split(',').map(skill => skill.trim()) : [],
+                experience,
+                hourlyRate: hourlyRate ? parseFloat(hourlyRate) : null,
+                githubUrl,
+                linkedinUrl,
+                portfolioUrl
+            }
+        });
+
+        // Continue this session as a freelancer
+        const session = await switchSessionRole(user, req.user.sid, 'FREELANCER', req);
+
+        await Promise.all([
+            deleteCache(`client:login:${user.email}`),
+            deleteCache(`freelancer:login:${user.email}`)
+        ]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Freelancer profile added. You are now acting as a freelancer.',
+            data: {
+                freelancer,
+                activeRole: 'FREELANCER',
+                roles: getAvailableRoles({ ...user, freelancer }),
+                token: session.token,
+                refreshToken: session.refreshToken,
+                expiresIn: session.expiresIn
+            }
+        });
+
+    } catch (error) {
+        console.error('Add freelancer profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+};
+
 // POST /api/freelancer/login
 export const login = async (req, res) => {
     try {
         const { email, password } = req.body;
         const cacheKey = `freelancer:login:${email}`;
 
-        // Check cache
-        const cachedUser = await getCache(cacheKey);
-        if (cachedUser) {
-            return res.status(200).json({
-                success: true,
-                message: 'Login successful',
-                data: cachedUser
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        // Brute-force protection (per-email and per-IP)
+        const loginCheck = await checkLoginAllowed(email, req.ip);
+        if (!loginCheck.allowed) {
+            return res.status(loginCheck.status).json({
+                success: false,
+                message: loginCheck.message,
+                errorCode: loginCheck.errorCode,
+                ...(loginCheck.retryAfter && { retryAfter: loginCheck.retryAfter }),
+                ...(loginCheck.lockedUntil && { lockedUntil: loginCheck.lockedUntil })
             });
         }
 
+        // Check cache (the account record only - every login is password-checked
+        // and gets its own session, so tokens are never served from cache)
+        let user = await getCache(cacheKey);
+
         // Fetch user from database
-        const user = await prisma.user.findUnique({
-            where: { email },
-            include: {
-                freelancer: true
+        if (!user) {
+            user = await prisma.user.findUnique({
+                where: { email },
+                include: {
+                    freelancer: true,
+                    client: true
+                }
+            });
+
+            if (user) {
+                // Cache for 10 minutes, without the password hash
+                await setCache(cacheKey, { ...user, password: undefined }, 600);
             }
-        });
+        }
 
-        if (!user || user.role !== 'FREELANCER') {
+        if (!user || !user.freelancer) {
+            await recordFailedLogin(email, req.ip);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials or not a freelancer account'
             });
         }
 
-        // Check password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        // Check password against the stored hash, never a cached copy
+        const credentials = await prisma.user.findUnique({
+            where: { id: user.id },
+            select: { password: true }
+        });
+        const isPasswordValid = !!credentials?.password && await bcrypt.compare(password, credentials.password);
         if (!isPasswordValid) {
+            const failure = await recordFailedLogin(email, req.ip, user);
+            if (failure.locked) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Too many failed login attempts. Your account has been temporarily locked and we have emailed you an unlock link.',
+                    errorCode: 'ACCOUNT_LOCKED',
+                    lockedUntil: failure.lockedUntil
+                });
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Generate JWT token
-        const token = generateToken(user.id, user.role);
+        await clearFailedLogins(email);
+
+        // Second factor required - hand out a short-lived challenge instead of a session
+        if (await isTwoFactorEnabled(user.id)) {
+            const challengeToken = await createLoginChallenge(user.id, 'FREELANCER');
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken,
+                    expiresIn: '5 minutes'
+                }
+            });
+        }
+
+        // Start a new session for this device, acting as a freelancer
+        const session = await createSession(user, req, 'FREELANCER');
 
         const responseData = {
             user: { ...user, password: undefined },
-            token
+            activeRole: 'FREELANCER',
+            roles: getAvailableRoles(user),
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
         };
 
-        // Cache the login data
-        await setCache(cacheKey, responseData, 600); // Cache for 10 minutes
-
         res.status(200).json({
             success: true,
             message: 'Login successful',
@@ -240,7 +406,7 @@ export const updateProfile = async (req, res) => {
             include: { freelancer: true }
         });
 
-        if (!existingUser || existingUser.role !== 'FREELANCER') {
+        if (!existingUser || !existingUser.freelancer) {
             return res.status(404).json({
                 success: false,
                 message: 'Freelancer not found'
@@ -346,7 +512,7 @@ export const getProfile = async (req, res) => {
             }
         });
 
-        if (!user || user.role !== 'FREELANCER') {
+        if (!user || !user.freelancer) {
             return res.status(404).json({
                 success: false,
                 message: 'Freelancer not found'
@@ -431,7 +597,7 @@ export const forgotPassword = async (req, res) => {
             include: { freelancer: true }
         });
 
-        if (!user || user.role !== 'FREELANCER') {
+        if (!user || !user.freelancer) {
             // For security, don't reveal if email exists
             return res.status(200).json({
                 success: true,
@@ -523,10 +689,12 @@ export const verifyOTPEndpoint = async (req, res) => {
             });
         }
 
-        if (newPassword.length < 6) {
+        const passwordCheck = await validatePassword(newPassword, { email });
+        if (!passwordCheck.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 6 characters long'
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
             });
         }
 
@@ -546,7 +714,7 @@ export const verifyOTPEndpoint = async (req, res) => {
             include: { freelancer: true }
         });
 
-        if (!user || user.role !== 'FREELANCER') {
+        if (!user || !user.freelancer) {
             return res.status(404).json({
                 success: false,
                 message: 'Freelancer account not found'
@@ -561,6 +729,13 @@ export const verifyOTPEndpoint = async (req, res) => {
             });
         }
 
+        if (await isPasswordReused(user.id, newPassword, user.password)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose a password you have not used recently'
+            });
+        }
+
         // Hash new password
         const hashedPassword = await bcrypt.hash(newPassword, 12);
 
@@ -572,15 +747,22 @@ export const verifyOTPEndpoint = async (req, res) => {
                 updatedAt: new Date()
             }
         });
+        await recordPasswordHistory(user.id, user.password);
 
-        // Generate new JWT token
-        const token = generateToken(user.id, user.role);
+        // Sign out every existing session and start a fresh one
+        // (accounts with 2FA still have to pass the second factor)
+        await revokeAllSessions(user.id);
+        const twoFactorRequired = await isTwoFactorEnabled(user.id);
+        const session = twoFactorRequired ?
+            { challengeToken: await createLoginChallenge(user.id, 'FREELANCER') } :
+            await createSession(user, req, 'FREELANCER');
 
         // Invalidate OTP
         await invalidateOTP(email, 'FREELANCER');
 
-        // Clear login cache
-        await deleteCache(`freelancer:login:${email}`);
+        // Clear the login caches for both roles and any lockout - the owner just proved access to the inbox
+        await invalidateUserEmailCaches(user.id, [email]);
+        await unlockAccount(email);
 
         // Send confirmation email
         const mailOptions = {
@@ -601,7 +783,7 @@ export const verifyOTPEndpoint = async (req, res) => {
                         </div>
                         <div style="background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0;">
                             <strong>🔐 Login Information:</strong>
-                            <p>You have been automatically logged in with a new authentication token.</p>
+                            <p>You have been automatically logged in with a new authentication token. All other devices have been signed out.</p>
                         </div>
                         <p>You can now access your account with the new password.</p>
                         <p>Best regards,<br>The FreeLanceAog Team</p>
@@ -629,7 +811,14 @@ export const verifyOTPEndpoint = async (req, res) => {
                 verified: true,
                 passwordReset: true,
                 user: userWithoutPassword,
-                token: token
+                ...(twoFactorRequired ? {
+                    twoFactorRequired: true,
+                    challengeToken: session.challengeToken
+                } : {
+                    token: session.token,
+                    refreshToken: session.refreshToken,
+                    expiresIn: session.expiresIn
+                })
             }
         });
 
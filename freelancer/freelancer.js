@@ -7,11 +7,42 @@ import {
     getProfile,
     updateAvailability,
     forgotPassword,
-    verifyOTPEndpoint
+    verifyOTPEndpoint,
+    addFreelancerProfile
 } from "./auth.js";
 
-import { authenticateToken, checkFreelancerActive } from "../middleware/auth.js";
+import {
+    refreshAccessToken,
+    logout,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
+    switchRole
+} from "../controllers/session.js";
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactorLogin
+} from "../controllers/twoFactor.js";
+import {
+    exportAccountData,
+    getAccountDeletionStatus,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+    changePassword
+} from "../controllers/account.js";
+import { createReport, getMyReports } from "../controllers/reports.js";
+import { getSuspensionStatus, createSuspensionAppeal } from "../controllers/suspension.js";
+import { getVerificationStatus, submitVerificationRequest } from "../controllers/identityVerification.js";
+import { receiveVerificationDocuments } from "../utils/identityVerification.js";
+import { getMyAnnouncements, dismissAnnouncement } from "../controllers/announcements.js";
+import { authenticateToken, checkFreelancerActive, rejectImpersonation, allowSuspended } from "../middleware/auth.js";
 import { setCache, getCache, deleteCache } from "../utils/redis.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { screenApplication } from "../utils/contentScreening.js";
 import prisma from "../prisma.config.js";
 // Add these imports at the top
 
@@ -40,6 +71,48 @@ flRouter.post('/login', login);
 // Add these routes
 flRouter.post('/forgot-password', forgotPassword);
 flRouter.post('/verify-otp', verifyOTPEndpoint);
+flRouter.post('/login/2fa', verifyTwoFactorLogin);
+flRouter.post('/refresh-token', refreshAccessToken);
+
+// Session Management Routes (Protected)
+flRouter.post('/logout', authenticateToken, rejectImpersonation, logout);
+flRouter.get('/sessions', authenticateToken, getSessions);
+flRouter.delete('/sessions', authenticateToken, rejectImpersonation, deleteOtherSessions);
+flRouter.delete('/sessions/:sessionId', authenticateToken, rejectImpersonation, deleteSession);
+
+// Dual-Role Account Routes (Protected)
+flRouter.post('/add-profile', authenticateToken, rejectImpersonation, addFreelancerProfile);
+flRouter.post('/switch-role', authenticateToken, rejectImpersonation, switchRole);
+
+// Two-Factor Authentication Routes (Protected, opt-in)
+flRouter.get('/2fa/status', authenticateToken, getTwoFactorStatus);
+flRouter.post('/2fa/setup', authenticateToken, rejectImpersonation, setupTwoFactor);
+flRouter.post('/2fa/enable', authenticateToken, rejectImpersonation, enableTwoFactor);
+flRouter.post('/2fa/disable', authenticateToken, rejectImpersonation, disableTwoFactor);
+flRouter.post('/2fa/recovery-codes', authenticateToken, rejectImpersonation, regenerateRecoveryCodes);
+
+// Personal data export and account deletion
+flRouter.get('/me/export', authenticateToken, exportAccountData);
+flRouter.get('/me/delete', authenticateToken, getAccountDeletionStatus);
+flRouter.post('/me/delete', authenticateToken, rejectImpersonation, requestAccountDeletion);
+flRouter.delete('/me/delete', authenticateToken, rejectImpersonation, cancelAccountDeletion);
+flRouter.put('/me/password', authenticateToken, rejectImpersonation, changePassword);
+
+// Suspension status and appeals (Protected, reachable while suspended)
+flRouter.get('/suspension', allowSuspended, authenticateToken, getSuspensionStatus);
+flRouter.post('/suspension/appeal', allowSuspended, authenticateToken, rejectImpersonation, createSuspensionAppeal);
+
+// Reports to the moderation team (Protected)
+flRouter.post('/reports', authenticateToken, rejectImpersonation, checkFreelancerActive, createReport);
+flRouter.get('/reports', authenticateToken, getMyReports);
+
+// Identity verification (Protected, documents are stored privately)
+flRouter.get('/verification', authenticateToken, getVerificationStatus);
+flRouter.post('/verification', authenticateToken, rejectImpersonation, checkFreelancerActive, receiveVerificationDocuments, submitVerificationRequest);
+
+// Announcements from the platform (Protected)
+flRouter.get('/announcements', authenticateToken, getMyAnnouncements);
+flRouter.post('/announcements/:announcementId/dismiss', authenticateToken, rejectImpersonation, dismissAnnouncement);
 
 flRouter.get('/profile', authenticateToken, async (req, res) => {
     try {
@@ -63,19 +136,20 @@ flRouter.get('/profile', authenticateToken, async (req, res) => {
             }
         });
 
-        if (!user || user.role !== 'FREELANCER') {
+        if (!user || !user.freelancer) {
             return res.status(404).json({
                 success: false,
                 message: 'Freelancer not found'
             });
         }
 
-        // Cache the profile
-        await setCache(cacheKey, user, 600); // Cache for 10 minutes
+        // Cache the profile (never the password hash)
+        const profile = { ...user, password: undefined };
+        await setCache(cacheKey, profile, 600); // Cache for 10 minutes
 
         res.status(200).json({
             success: true,
-            data: user
+            data: profile
         });
     } catch (error) {
         console.error('Get profile error:', error);
@@ -635,6 +709,17 @@ flRouter.post('/projects/:projectId/apply', authenticateToken, checkFreelancerAc
 
         await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
 
+        // Flag contact details, off-platform payment and copy-pasted text for moderators
+        await screenApplication(application);
+
+        await recordAudit(req, {
+            action: 'application.submitted',
+            targetType: 'APPLICATION',
+            targetId: application.id,
+            projectId,
+            after: { status: application.status }
+        });
+
         res.status(201).json({
             success: true,
             message: 'Application submitted successfully',
@@ -921,6 +1006,15 @@ flRouter.put('/projects/:projectId/request-completion', authenticateToken, check
 
         await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
 
+        await recordAudit(req, {
+            action: 'project.completion_requested',
+            targetType: 'PROJECT',
+            targetId: projectId,
+            projectId,
+            before: { status: project.status },
+            after: { status: updatedProject.status }
+        });
+
         res.status(200).json({
             success: true,
             message: 'Completion request submitted. Awaiting client approval.',
@@ -1021,7 +1115,8 @@ flRouter.post('/projects/:projectId/rate-client', authenticateToken, checkFreela
             const clientRatings = await tx.rating.findMany({
                 where: {
                     ratedId: project.client.userId,
-                    raterType: 'FREELANCER_TO_CLIENT'
+                    raterType: 'FREELANCER_TO_CLIENT',
+                    status: 'VISIBLE'
                 },
                 select: {
                     rating: true
@@ -1134,20 +1229,22 @@ flRouter.get('/ratings', authenticateToken, async (req, res) => {
             // Ratings given by this freelancer to clients
             whereClause = {
                 raterId: userId,
-                raterType: 'FREELANCER_TO_CLIENT'
+                raterType: 'FREELANCER_TO_CLIENT',
+                status: { not: 'REMOVED' }
             };
         } else if (type === 'received') {
             // Ratings received by this freelancer from clients
             whereClause = {
                 ratedId: userId,
-                raterType: 'CLIENT_TO_FREELANCER'
+                raterType: 'CLIENT_TO_FREELANCER',
+                status: 'VISIBLE'
             };
         } else {
             // All ratings (given and received)
             whereClause = {
                 OR: [
-                    { raterId: userId },
-                    { ratedId: userId }
+                    { raterId: userId, status: { not: 'REMOVED' } },
+                    { ratedId: userId, status: 'VISIBLE' }
                 ]
             };
         }
@@ -1198,6 +1295,7 @@ flRouter.get('/ratings', authenticateToken, async (req, res) => {
             review: rating.review,
             type: rating.raterType,
             isGivenByMe: rating.raterId === userId,
+            status: rating.status,
             project: {
                 title: rating.project.title
             },
@@ -1263,7 +1361,8 @@ flRouter.put('/ratings/:ratingId', authenticateToken, checkFreelancerActive, asy
             where: {
                 id: ratingId,
                 raterId: userId,
-                raterType: 'FREELANCER_TO_CLIENT'
+                raterType: 'FREELANCER_TO_CLIENT',
+                status: { not: 'REMOVED' }
             },
             include: {
                 project: {
@@ -1281,6 +1380,15 @@ flRouter.put('/ratings/:ratingId', authenticateToken, checkFreelancerActive, asy
             });
         }
 
+        // A hidden review can't be edited back into view
+        if (existingRating.status !== 'VISIBLE') {
+            return res.status(403).json({
+                success: false,
+                message: 'This review has been hidden by a moderator and can no longer be edited',
+                errorCode: 'RATING_MODERATED'
+            });
+        }
+
         // Update rating in transaction to recalculate client's average rating
         const result = await prisma.$transaction(async (tx) => {
             // Update the rating
@@ -1297,7 +1405,8 @@ flRouter.put('/ratings/:ratingId', authenticateToken, checkFreelancerActive, asy
             const clientRatings = await tx.rating.findMany({
                 where: {
                     ratedId: existingRating.project.client.userId,
-                    raterType: 'FREELANCER_TO_CLIENT'
+                    raterType: 'FREELANCER_TO_CLIENT',
+                    status: 'VISIBLE'
                 },
                 select: {
                     rating: true
@@ -1398,7 +1507,8 @@ flRouter.get('/ratings/stats', authenticateToken, async (req, res) => {
             prisma.rating.findMany({
                 where: {
                     ratedId: userId,
-                    raterType: 'CLIENT_TO_FREELANCER'
+                    raterType: 'CLIENT_TO_FREELANCER',
+                    status: 'VISIBLE'
                 },
                 select: {
                     rating: true,
@@ -1409,7 +1519,8 @@ flRouter.get('/ratings/stats', authenticateToken, async (req, res) => {
             prisma.rating.count({
                 where: {
                     raterId: userId,
-                    raterType: 'FREELANCER_TO_CLIENT'
+                    raterType: 'FREELANCER_TO_CLIENT',
+                    status: { not: 'REMOVED' }
                 }
             }),
             // Rating distribution
@@ -1417,7 +1528,8 @@ flRouter.get('/ratings/stats', authenticateToken, async (req, res) => {
                 by: ['rating'],
                 where: {
                     ratedId: userId,
-                    raterType: 'CLIENT_TO_FREELANCER'
+                    raterType: 'CLIENT_TO_FREELANCER',
+                    status: 'VISIBLE'
                 },
                 _count: {
                     rating: true
@@ -13,6 +13,13 @@ import { publicRouter } from './publicRoutes/publicroutes.js';
 import { adminRouter } from './admin/admin.js';
 import transporter  from './nodemailer.config.js'; // Importing the nodemailer configuration
 import emailRouter from './routes/emailVerification.js';
+import oauthRouter from './routes/oauth.js';
+import { processDueAccountDeletions } from './utils/accountDeletion.js';
+import { processExpiredSuspensions } from './utils/suspension.js';
+import { processExpiredExports } from './utils/adminExports.js';
+import { processExpiredVerifications } from './utils/identityVerification.js';
+import { processAnnouncementEmails } from './utils/announcements.js';
+import { processVerificationSlaAlerts } from './utils/verificationQueue.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -39,6 +46,11 @@ const app = express();
 dotenv.config();
 
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For (login throttling is per IP)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : Number(process.env.TRUST_PROXY));
+}
+
 app.use(cors());
 app.use(compression());
 app.use(express.json());
@@ -49,7 +61,61 @@ app.use('/api/v1/client', clientRouter);
 app.use('/api/v1/public', publicRouter);
 app.use('/api/v1/admin', adminRouter);
 app.use('/api/v1/email', emailRouter);
+app.use('/api/v1/auth/oauth', oauthRouter);
+
+
+// Anonymize accounts whose deletion grace period has ended
+const ACCOUNT_DELETION_INTERVAL = 60 * 60 * 1000; // hourly
+setInterval(() => {
+  processDueAccountDeletions()
+    .then(processed => processed && console.log(`Anonymized ${processed} deleted account(s)`))
+    .catch(error => console.error('Account deletion job error:', error));
+}, ACCOUNT_DELETION_INTERVAL);
+
+// Reactivate accounts whose timed suspension has ended (authenticateToken also lifts them on the next request)
+const SUSPENSION_EXPIRY_INTERVAL = 15 * 60 * 1000; // every 15 minutes
+setInterval(() => {
+  processExpiredSuspensions()
+    .then(lifted => lifted && console.log(`Lifted ${lifted} expired suspension(s)`))
+    .catch(error => console.error('Suspension expiry job error:', error));
+}, SUSPENSION_EXPIRY_INTERVAL);
+
+// Remove verified badges whose verification period has ended
+const VERIFICATION_EXPIRY_INTERVAL = 60 * 60 * 1000; // hourly
+setInterval(() => {
+  processExpiredVerifications()
+    .then(expired => expired && console.log(`Expired ${expired} identity verification(s)`))
+    .catch(error => console.error('Verification expiry job error:', error));
+}, VERIFICATION_EXPIRY_INTERVAL);
+
+// Delete admin export files once their download window has passed
+const EXPORT_CLEANUP_INTERVAL = 60 * 60 * 1000; // hourly
+setInterval(() => {
+  processExpiredExports()
+    .then(expired => expired && console.log(`Removed ${expired} expired export(s)`))
+    .catch(error => console.error('Export cleanup job error:', error));
+}, EXPORT_CLEANUP_INTERVAL);
+
+// Email announcements in throttled batches (one batch per run)
+const ANNOUNCEMENT_EMAIL_INTERVAL = 60 * 1000; // every minute
+let announcementEmailsRunning = false;
+setInterval(() => {
+  if (announcementEmailsRunning) return;
+  announcementEmailsRunning = true;
+
+  processAnnouncementEmails()
+    .then(sent => sent && console.log(`Sent ${sent} announcement email(s)`))
+    .catch(error => console.error('Announcement email job error:', error))
+    .finally(() => { announcementEmailsRunning = false; });
+}, ANNOUNCEMENT_EMAIL_INTERVAL);
 
+// Alert on projects waiting in the verification queue past the SLA
+const VERIFICATION_SLA_INTERVAL = 15 * 60 * 1000; // every 15 minutes
+setInterval(() => {
+  processVerificationSlaAlerts()
+    .then(flagged => flagged && console.log(`Flagged ${flagged} project(s) past the verification SLA`))
+    .catch(error => console.error('Verification SLA job error:', error));
+}, VERIFICATION_SLA_INTERVAL);
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
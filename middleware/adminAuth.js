@@ -1,7 +1,10 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../prisma.config.js';
+import { isSessionRevoked, isAccessTokenPayload } from '../utils/session.js';
+import { getSetting, SETTINGS } from '../utils/settings.js';
+import { resolveAdminPermissions } from '../utils/permissions.js';
 
-export const authenticateAdmin = async (req, res, next) => {
+const verifyAdmin = (enforceTwoFactor) => async (req, res, next) => {
     try {
         const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -13,12 +16,39 @@ export const authenticateAdmin = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (!isAccessTokenPayload(decoded)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token'
+            });
+        }
+
+        // Impersonation tokens act as the target user and never reach admin routes
+        if (decoded.impersonation) {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin routes are not available while impersonating',
+                errorCode: 'IMPERSONATION_NOT_ALLOWED'
+            });
+        }
+
+        if (await isSessionRevoked(decoded.sid)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please log in again.',
+                errorCode: 'SESSION_REVOKED'
+            });
+        }
         
         // Check if user exists and is admin
         const user = await prisma.user.findUnique({
             where: { id: decoded.userId },
             include: {
-                admin: true
+                admin: true,
+                twoFactor: {
+                    select: { id: true }
+                }
             }
         });
 
@@ -36,8 +66,18 @@ export const authenticateAdmin = async (req, res, next) => {
             });
         }
 
+        // SUPER_ADMIN can require 2FA for every admin
+        if (enforceTwoFactor && !user.twoFactor && await getSetting(SETTINGS.ADMIN_TWO_FACTOR_REQUIRED, false)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for admin accounts. Please set it up to continue.',
+                errorCode: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
         req.user = decoded;
         req.admin = user.admin;
+        req.adminPermissions = await resolveAdminPermissions(user.admin);
         next();
     } catch (error) {
         res.status(401).json({
@@ -47,27 +87,26 @@ export const authenticateAdmin = async (req, res, next) => {
     }
 };
 
-export const requirePermission = (requiredPermissions) => {
-    return (req, res, next) => {
-        const adminPermissions = req.admin.permissions;
-        
-        // Super admin has all permissions
-        if (adminPermissions.includes('SUPER_ADMIN')) {
-            return next();
-        }
+export const authenticateAdmin = verifyAdmin(true);
 
-        // Check if admin has required permission
-        const hasPermission = requiredPermissions.some(permission => 
-            adminPermissions.includes(permission)
+// Same checks, but lets admins without 2FA reach the enrollment routes
+export const authenticateAdminForTwoFactorSetup = verifyAdmin(false);
+
+// Require every listed named permission (e.g. 'projects.approve')
+export const requireAdminPermission = (...requiredPermissions) => {
+    return (req, res, next) => {
+        const missing = requiredPermissions.filter(permission =>
+            !req.adminPermissions.includes(permission)
         );
 
-        if (!hasPermission) {
+        if (missing.length > 0) {
             return res.status(403).json({
                 success: false,
-                message: 'Insufficient permissions'
+                message: 'Insufficient permissions',
+                requiredPermissions: missing
             });
         }
 
         next();
     };
-};
\ No newline at end of file
+};
@@ -1,5 +1,10 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../prisma.config.js';
+import { isSessionRevoked, getAvailableRoles, isAccessTokenPayload } from '../utils/session.js';
+import { isApiKey, findActiveApiKey, recordApiKeyUsage } from '../utils/apiKeys.js';
+import { liftExpiredSuspension, getSuspensionDetails } from '../utils/suspension.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 export const authenticateToken = async (req, res, next) => {
     try {
@@ -12,7 +17,67 @@ export const authenticateToken = async (req, res, next) => {
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        let decoded;
+
+        if (isApiKey(token)) {
+            // API keys only reach routes that opted in with allowApiKey(scope)
+            if (!req.apiKeyScope) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This endpoint does not accept API keys.',
+                    errorCode: 'API_KEY_NOT_ALLOWED'
+                });
+            }
+
+            const apiKey = await findActiveApiKey(token);
+
+            if (!apiKey) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid, expired or revoked API key',
+                    errorCode: 'INVALID_API_KEY'
+                });
+            }
+
+            if (!apiKey.scopes.includes(req.apiKeyScope)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `This API key is missing the "${req.apiKeyScope}" scope.`,
+                    errorCode: 'INSUFFICIENT_SCOPE',
+                    requiredScope: req.apiKeyScope
+                });
+            }
+
+            await recordApiKeyUsage(apiKey, req);
+
+            decoded = {
+                userId: apiKey.userId,
+                role: 'CLIENT',
+                sid: null,
+                apiKey: {
+                    id: apiKey.id,
+                    scopes: apiKey.scopes
+                }
+            };
+        } else {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            if (!isAccessTokenPayload(decoded)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid token'
+                });
+            }
+
+            // Check if the session behind this token was revoked (logout, password reset)
+            if (await isSessionRevoked(decoded.sid)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has been revoked. Please log in again.',
+                    errorCode: 'SESSION_REVOKED'
+                });
+            }
+        }
         
         // Check if user exists and is active
         const user = await prisma.user.findUnique({
@@ -22,7 +87,13 @@ export const authenticateToken = async (req, res, next) => {
                 email: true,
                 role: true,
                 isActive: true,
-                name: true
+                suspensionReason: true,
+                suspendedAt: true,
+                suspendedUntil: true,
+                name: true,
+                emailVerifiedAt: true,
+                client: { select: { id: true } },
+                freelancer: { select: { id: true } }
             }
         });
 
@@ -33,17 +104,79 @@ export const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Check if user account is suspended
-        if (!user.isActive) {
+        // The role claim is the active role; it must still be backed by a profile
+        const roles = getAvailableRoles(user);
+        if (!roles.includes(decoded.role)) {
             return res.status(403).json({
                 success: false,
-                message: 'Your account has been suspended. Please contact support for assistance.',
-                errorCode: 'ACCOUNT_SUSPENDED'
+                message: `Your account no longer has a ${decoded.role.toLowerCase()} profile. Please log in again.`,
+                errorCode: 'ROLE_NOT_AVAILABLE'
             });
         }
 
+        // Timed suspensions lift themselves once their end date passes
+        if (!user.isActive && await liftExpiredSuspension(user)) {
+            user.isActive = true;
+        }
+
+        // Check if user account is suspended
+        if (!user.isActive) {
+            const suspension = getSuspensionDetails(user);
+
+            // Appeal routes stay reachable while suspended
+            if (!req.allowSuspended) {
+                return res.status(403).json({
+                    success: false,
+                    message: suspension.suspendedUntil ?
+                        `Your account has been suspended until ${new Date(suspension.suspendedUntil).toISOString()}.` :
+                        'Your account has been suspended. Please contact support for assistance.',
+                    errorCode: 'ACCOUNT_SUSPENDED',
+                    suspension,
+                    canAppeal: true
+                });
+            }
+
+            req.suspension = suspension;
+        }
+
+        // Admin "view as user" tokens: read-only unless minted otherwise, and marked in every response
+        if (decoded.impersonation) {
+            if (decoded.impersonation.readOnly && !SAFE_METHODS.includes(req.method)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This action is not available while an admin is viewing as this user.',
+                    errorCode: 'IMPERSONATION_READ_ONLY'
+                });
+            }
+
+            const marker = {
+                active: true,
+                sessionId: decoded.impersonation.sessionId,
+                adminUserId: decoded.impersonation.adminUserId,
+                readOnly: decoded.impersonation.readOnly,
+                expiresAt: new Date(decoded.exp * 1000).toISOString()
+            };
+
+            const sendJson = res.json.bind(res);
+            res.json = (body) => sendJson(
+                body && typeof body === 'object' && !Array.isArray(body) ?
+                    { ...body, impersonation: marker } :
+                    body
+            );
+            res.set('X-Impersonation-Session', marker.sessionId);
+
+            req.impersonation = marker;
+        }
+
+        const { client, freelancer, suspensionReason, suspendedAt, suspendedUntil, ...userInfo } = user;
+
         req.user = decoded;
-        req.userInfo = user; // Add user info for easy access
+        req.userInfo = {
+            ...userInfo,
+            emailVerified: !!userInfo.emailVerifiedAt,
+            roles,
+            activeRole: decoded.role
+        }; // Add user info for easy access
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -67,10 +200,31 @@ export const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Let client API keys with this scope through authenticateToken (place before it)
+export const allowApiKey = (scope) => (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+};
+
+// Let suspended users through authenticateToken, e.g. to appeal (place before it)
+export const allowSuspended = (req, res, next) => {
+    req.allowSuspended = true;
+    next();
+};
+
 // New middleware specifically for freelancer actions
 export const checkFreelancerActive = async (req, res, next) => {
     try {
         const userId = req.user.userId;
+
+        // Actions are only allowed while acting as a freelancer
+        if (req.user.role !== 'FREELANCER') {
+            return res.status(403).json({
+                success: false,
+                message: 'Switch to your freelancer profile to perform this action.',
+                errorCode: 'ROLE_SWITCH_REQUIRED'
+            });
+        }
         
         const freelancer = await prisma.freelancer.findUnique({
             where: { userId },
@@ -78,7 +232,8 @@ export const checkFreelancerActive = async (req, res, next) => {
                 user: {
                     select: {
                         isActive: true,
-                        name: true
+                        name: true,
+                        emailVerifiedAt: true
                     }
                 }
             }
@@ -99,6 +254,15 @@ export const checkFreelancerActive = async (req, res, next) => {
             });
         }
 
+        // Unverified (legacy) accounts can browse but not act until they verify
+        if (!freelancer.user.emailVerifiedAt) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email address to perform this action.',
+                errorCode: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
         req.freelancer = freelancer;
         next();
     } catch (error) {
@@ -114,6 +278,15 @@ export const checkFreelancerActive = async (req, res, next) => {
 export const checkClientActive = async (req, res, next) => {
     try {
         const userId = req.user.userId;
+
+        // Actions are only allowed while acting as a client
+        if (req.user.role !== 'CLIENT') {
+            return res.status(403).json({
+                success: false,
+                message: 'Switch to your client profile to perform this action.',
+                errorCode: 'ROLE_SWITCH_REQUIRED'
+            });
+        }
         
         const client = await prisma.client.findUnique({
             where: { userId },
@@ -121,7 +294,8 @@ export const checkClientActive = async (req, res, next) => {
                 user: {
                     select: {
                         isActive: true,
-                        name: true
+                        name: true,
+                        emailVerifiedAt: true
                     }
                 }
             }
@@ -142,6 +316,15 @@ export const checkClientActive = async (req, res, next) => {
             });
         }
 
+        // Unverified (legacy) accounts can browse but not act until they verify
+        if (!client.user.emailVerifiedAt) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email address to perform this action.',
+                errorCode: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
         req.client = client;
         next();
     } catch (error) {
@@ -151,4 +334,17 @@ export const checkClientActive = async (req, res, next) => {
             message: 'Internal server error'
         });
     }
-};
\ No newline at end of file
+};
+
+// Account-security routes stay off limits even for write-enabled impersonation tokens
+export const rejectImpersonation = (req, res, next) => {
+    if (req.impersonation) {
+        return res.status(403).json({
+            success: false,
+            message: 'This action is not available while an admin is viewing as this user.',
+            errorCode: 'IMPERSONATION_NOT_ALLOWED'
+        });
+    }
+
+    next();
+};
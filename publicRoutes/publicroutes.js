@@ -1,6 +1,7 @@
 import { Router } from "express";
 import prisma from "../prisma.config.js";
 import { setCache, getCache } from "../utils/redis.js";
+import { getVerificationBadge, isVerificationCurrent } from "../utils/identityVerification.js";
 
 export const publicRouter = Router();
 
@@ -645,14 +646,16 @@ publicRouter.get('/users/:userId/ratings', async (req, res) => {
             // For freelancers, show ratings received from clients
             whereClause = {
                 ratedId: userId,
-                raterType: 'CLIENT_TO_FREELANCER'
+                raterType: 'CLIENT_TO_FREELANCER',
+                status: 'VISIBLE'
             };
             raterType = 'CLIENT_TO_FREELANCER';
         } else if (user.role === 'CLIENT') {
             // For clients, show ratings received from freelancers
             whereClause = {
                 ratedId: userId,
-                raterType: 'FREELANCER_TO_CLIENT'
+                raterType: 'FREELANCER_TO_CLIENT',
+                status: 'VISIBLE'
             };
             raterType = 'FREELANCER_TO_CLIENT';
         } else {
@@ -840,12 +843,14 @@ publicRouter.get('/users/:userId/ratings/summary', async (req, res) => {
         if (user.role === 'FREELANCER') {
             whereClause = {
                 ratedId: userId,
-                raterType: 'CLIENT_TO_FREELANCER'
+                raterType: 'CLIENT_TO_FREELANCER',
+                status: 'VISIBLE'
             };
         } else if (user.role === 'CLIENT') {
             whereClause = {
                 ratedId: userId,
-                raterType: 'FREELANCER_TO_CLIENT'
+                raterType: 'FREELANCER_TO_CLIENT',
+                status: 'VISIBLE'
             };
         } else {
             return res.status(400).json({
@@ -1029,7 +1034,8 @@ publicRouter.get('/freelancers/:freelancerId/profile', async (req, res) => {
             prisma.rating.findMany({
                 where: {
                     ratedId: freelancer.user.id,
-                    raterType: 'CLIENT_TO_FREELANCER'
+                    raterType: 'CLIENT_TO_FREELANCER',
+                    status: 'VISIBLE'
                 },
                 select: {
                     id: true,
@@ -1047,6 +1053,7 @@ publicRouter.get('/freelancers/:freelancerId/profile', async (req, res) => {
                                     companyName: true,
                                     industry: true,
                                     isVerified: true,
+                                    verificationExpiresAt: true,
                                     user: {
                                         select: {
                                             id: true,
@@ -1070,7 +1077,8 @@ publicRouter.get('/freelancers/:freelancerId/profile', async (req, res) => {
             prisma.rating.aggregate({
                 where: {
                     ratedId: freelancer.user.id,
-                    raterType: 'CLIENT_TO_FREELANCER'
+                    raterType: 'CLIENT_TO_FREELANCER',
+                    status: 'VISIBLE'
                 },
                 _avg: {
                     rating: true
@@ -1085,7 +1093,8 @@ publicRouter.get('/freelancers/:freelancerId/profile', async (req, res) => {
                 by: ['rating'],
                 where: {
                     ratedId: freelancer.user.id,
-                    raterType: 'CLIENT_TO_FREELANCER'
+                    raterType: 'CLIENT_TO_FREELANCER',
+                    status: 'VISIBLE'
                 },
                 _count: {
                     rating: true
@@ -1144,7 +1153,7 @@ publicRouter.get('/freelancers/:freelancerId/profile', async (req, res) => {
                     experience: freelancer.experience,
                     hourlyRate: freelancer.hourlyRate,
                     availability: freelancer.availability,
-                    isVerified: freelancer.isVerified
+                    ...getVerificationBadge(freelancer)
                 },
                 portfolioLinks: {
                     github: freelancer.githubUrl,
@@ -1187,7 +1196,7 @@ publicRouter.get('/freelancers/:freelancerId/profile', async (req, res) => {
                         location: rating.project.client.user.location,
                         companyName: rating.project.client.companyName,
                         industry: rating.project.client.industry,
-                        isVerified: rating.project.client.isVerified
+                        isVerified: isVerificationCurrent(rating.project.client)
                     }
                 }))
             },
@@ -1326,7 +1335,8 @@ publicRouter.get('/clients/:clientId/profile', async (req, res) => {
             prisma.rating.findMany({
                 where: {
                     ratedId: client.user.id,
-                    raterType: 'FREELANCER_TO_CLIENT'
+                    raterType: 'FREELANCER_TO_CLIENT',
+                    status: 'VISIBLE'
                 },
                 select: {
                     id: true,
@@ -1349,7 +1359,8 @@ publicRouter.get('/clients/:clientId/profile', async (req, res) => {
             prisma.rating.aggregate({
                 where: {
                     ratedId: client.user.id,
-                    raterType: 'FREELANCER_TO_CLIENT'
+                    raterType: 'FREELANCER_TO_CLIENT',
+                    status: 'VISIBLE'
                 },
                 _avg: {
                     rating: true
@@ -1364,7 +1375,8 @@ publicRouter.get('/clients/:clientId/profile', async (req, res) => {
                 by: ['rating'],
                 where: {
                     ratedId: client.user.id,
-                    raterType: 'FREELANCER_TO_CLIENT'
+                    raterType: 'FREELANCER_TO_CLIENT',
+                    status: 'VISIBLE'
                 },
                 _count: {
                     rating: true
@@ -1413,7 +1425,7 @@ publicRouter.get('/clients/:clientId/profile', async (req, res) => {
                     industry: client.industry,
                     companySize: client.companySize,
                     website: client.website,
-                    isVerified: client.isVerified
+                    ...getVerificationBadge(client)
                 },
                 statistics: {
                     projectsPosted: client.projectsPosted,
@@ -1579,7 +1591,8 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                 prisma.rating.findMany({
                     where: {
                         ratedId: freelancer.user.id,
-                        raterType: 'CLIENT_TO_FREELANCER'
+                        raterType: 'CLIENT_TO_FREELANCER',
+                        status: 'VISIBLE'
                     },
                     select: {
                         id: true,
@@ -1601,7 +1614,8 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                 prisma.rating.aggregate({
                     where: {
                         ratedId: freelancer.user.id,
-                        raterType: 'CLIENT_TO_FREELANCER'
+                        raterType: 'CLIENT_TO_FREELANCER',
+                        status: 'VISIBLE'
                     },
                     _avg: {
                         rating: true
@@ -1615,7 +1629,8 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                     by: ['rating'],
                     where: {
                         ratedId: freelancer.user.id,
-                        raterType: 'CLIENT_TO_FREELANCER'
+                        raterType: 'CLIENT_TO_FREELANCER',
+                        status: 'VISIBLE'
                     },
                     _count: {
                         rating: true
@@ -1658,7 +1673,7 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                         experience: freelancer.experience,
                         hourlyRate: freelancer.hourlyRate,
                         availability: freelancer.availability,
-                        isVerified: freelancer.isVerified
+                        ...getVerificationBadge(freelancer)
                     },
                     portfolioLinks: {
                         github: freelancer.githubUrl,
@@ -1779,7 +1794,8 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                 prisma.rating.findMany({
                     where: {
                         ratedId: client.user.id,
-                        raterType: 'FREELANCER_TO_CLIENT'
+                        raterType: 'FREELANCER_TO_CLIENT',
+                        status: 'VISIBLE'
                     },
                     select: {
                         id: true,
@@ -1801,7 +1817,8 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                 prisma.rating.aggregate({
                     where: {
                         ratedId: client.user.id,
-                        raterType: 'FREELANCER_TO_CLIENT'
+                        raterType: 'FREELANCER_TO_CLIENT',
+                        status: 'VISIBLE'
                     },
                     _avg: {
                         rating: true
@@ -1815,7 +1832,8 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                     by: ['rating'],
                     where: {
                         ratedId: client.user.id,
-                        raterType: 'FREELANCER_TO_CLIENT'
+                        raterType: 'FREELANCER_TO_CLIENT',
+                        status: 'VISIBLE'
                     },
                     _count: {
                         rating: true
@@ -1865,7 +1883,7 @@ publicRouter.get('/users/:userId/profile', async (req, res) => {
                         industry: client.industry,
                         companySize: client.companySize,
                         website: client.website,
-                        isVerified: client.isVerified
+                        ...getVerificationBadge(client)
                     },
                     statistics: {
                         projectsPosted: client.projectsPosted,
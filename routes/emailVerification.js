@@ -2,8 +2,17 @@ import { Router } from 'express';
 import { 
     sendVerificationOTP, 
     verifyEmailOTP, 
-    checkEmailRegistrationStatus 
+    checkEmailRegistrationStatus,
+    sendAccountVerificationOTP,
+    verifyAccountEmail
 } from '../controllers/emailVerification.js';
+import { unlockAccountWithToken } from '../controllers/accountUnlock.js';
+import {
+    requestEmailChange,
+    confirmEmailChange,
+    revertEmailChange
+} from '../controllers/emailChange.js';
+import { authenticateToken, rejectImpersonation } from '../middleware/auth.js';
 
 const emailRouter = Router();
 
@@ -16,4 +25,16 @@ emailRouter.post('/verify-otp', verifyEmailOTP);
 // Check email registration status
 emailRouter.get('/check-registration/:email', checkEmailRegistrationStatus);
 
+// Verify email of an existing account (accounts created before verification was required)
+emailRouter.post('/account/send-otp', authenticateToken, sendAccountVerificationOTP);
+emailRouter.post('/account/verify', authenticateToken, verifyAccountEmail);
+
+// Unlock account after too many failed logins
+emailRouter.post('/unlock-account', unlockAccountWithToken);
+
+// Change account email (OTP to the new address, revert link to the old one)
+emailRouter.post('/change/request', authenticateToken, rejectImpersonation, requestEmailChange);
+emailRouter.post('/change/confirm', authenticateToken, rejectImpersonation, confirmEmailChange);
+emailRouter.post('/change/revert', revertEmailChange);
+
 export default emailRouter;
\ No newline at end of file
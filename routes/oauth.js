@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import {
+    getOAuthProviders,
+    startOAuthLogin,
+    completeOAuthLogin,
+    confirmOAuthLink
+} from '../controllers/oauth.js';
+
+const oauthRouter = Router();
+
+// List configured social / OIDC login providers
+oauthRouter.get('/providers', getOAuthProviders);
+
+// Get the provider authorization URL (optional ?role=CLIENT|FREELANCER for new accounts)
+oauthRouter.get('/:provider/authorize', startOAuthLogin);
+
+// Link a provider to an existing account whose email isn't verified yet (password required)
+oauthRouter.post('/link/confirm', confirmOAuthLink);
+
+// Exchange the authorization code and log in, link or sign up
+oauthRouter.post('/:provider/callback', completeOAuthLogin);
+
+export default oauthRouter;
@@ -0,0 +1,300 @@
+// utils/accountDeletion.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from '../prisma.config.js';
+import { deleteImage } from './cloudinary.js';
+import { deleteVerificationDocuments } from './identityVerification.js';
+import { revokeAllSessions } from './session.js';
+import { invalidateUserEmailCaches } from './emailChange.js';
+
+export const DELETION_GRACE_DAYS = 30;
+
+// Projects in these states still involve a counterparty
+const ACTIVE_PROJECT_STATUSES = ['ASSIGNED', 'PENDING_COMPLETION', 'REJECTED_COMPLETION'];
+
+// Build the personal data archive for /me/export
+export const buildAccountExport = async (userId) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        include: {
+            client: true,
+            freelancer: true,
+            twoFactor: { select: { enabledAt: true } },
+            oauthAccounts: {
+                select: {
+                    provider: true,
+                    email: true,
+                    createdAt: true,
+                    lastLoginAt: true
+                }
+            },
+            apiKeys: {
+                select: {
+                    name: true,
+                    prefix: true,
+                    scopes: true,
+                    usageCount: true,
+                    lastUsedAt: true,
+                    createdAt: true,
+                    revokedAt: true
+                }
+            },
+            verificationRequests: {
+                select: {
+                    profileType: true,
+                    documentType: true,
+                    status: true,
+                    rejectionReason: true,
+                    reviewedAt: true,
+                    expiresAt: true,
+                    createdAt: true
+                }
+            }
+        }
+    });
+
+    if (!user) {
+        return null;
+    }
+
+    const clientId = user.client?.id;
+    const freelancerId = user.freelancer?.id;
+
+    const meetingFilters = [
+        ...(clientId ? [{ clientId }] : []),
+        ...(freelancerId ? [{ freelancerId }] : [])
+    ];
+
+    const [postedProjects, assignedProjects, applications, meetings, meetingRequests, ratingsGiven, ratingsReceived] = await Promise.all([
+        clientId ? prisma.project.findMany({ where: { clientId }, orderBy: { createdAt: 'asc' } }) : [],
+        freelancerId ? prisma.project.findMany({ where: { assignedTo: freelancerId }, orderBy: { createdAt: 'asc' } }) : [],
+        freelancerId ? prisma.application.findMany({
+            where: { freelancerId },
+            include: { project: { select: { id: true, title: true } } },
+            orderBy: { createdAt: 'asc' }
+        }) : [],
+        meetingFilters.length ? prisma.meeting.findMany({ where: { OR: meetingFilters }, orderBy: { scheduledDate: 'asc' } }) : [],
+        meetingFilters.length ? prisma.meetingRequest.findMany({ where: { OR: meetingFilters }, orderBy: { createdAt: 'asc' } }) : [],
+        prisma.rating.findMany({ where: { raterId: userId }, orderBy: { createdAt: 'asc' } }),
+        prisma.rating.findMany({ where: { ratedId: userId }, orderBy: { createdAt: 'asc' } })
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            profileImage: user.profileImage,
+            bio: user.bio,
+            location: user.location,
+            isActive: user.isActive,
+            emailVerifiedAt: user.emailVerifiedAt,
+            twoFactorEnabledAt: user.twoFactor?.enabledAt || null,
+            deletionScheduledFor: user.deletionScheduledFor,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt,
+            client: user.client,
+            freelancer: user.freelancer,
+            linkedLoginProviders: user.oauthAccounts,
+            apiKeys: user.apiKeys,
+            verificationRequests: user.verificationRequests
+        },
+        projects: {
+            posted: postedProjects,
+            assigned: assignedProjects
+        },
+        applications,
+        meetings,
+        meetingRequests,
+        ratings: {
+            given: ratingsGiven,
+            received: ratingsReceived
+        }
+    };
+};
+
+// Count projects where the user is still working with someone
+export const countActiveEngagements = async (userId) => {
+    return prisma.project.count({
+        where: {
+            status: { in: ACTIVE_PROJECT_STATUSES },
+            OR: [
+                { client: { userId } },
+                { freelancer: { userId } }
+            ]
+        }
+    });
+};
+
+// Remove personal data but keep the row so ratings and project history stay intact
+export const anonymizeUser = async (userId) => {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        include: {
+            client: { select: { id: true } },
+            freelancer: { select: { id: true } }
+        }
+    });
+
+    if (!user || user.deletedAt) {
+        return null;
+    }
+
+    const verificationRequests = await prisma.verificationRequest.findMany({
+        where: { userId },
+        select: { documents: true }
+    });
+
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    await prisma.$transaction(async (tx) => {
+        if (user.client) {
+            // Withdraw projects nobody is working on yet
+            await tx.project.updateMany({
+                where: {
+                    clientId: user.client.id,
+                    status: { in: ['ADMIN_VERIFICATION', 'CHANGES_REQUESTED', 'OPEN'] }
+                },
+                data: { status: 'CANCELLED' }
+            });
+
+            await tx.client.update({
+                where: { id: user.client.id },
+                data: {
+                    companyName: null,
+                    industry: null,
+                    website: null,
+                    isVerified: false,
+                    verifiedAt: null,
+                    verificationExpiresAt: null
+                }
+            });
+        }
+
+        if (user.freelancer) {
+            await tx.application.updateMany({
+                where: {
+                    freelancerId: user.freelancer.id,
+                    status: 'PENDING'
+                },
+                data: { status: 'REJECTED' }
+            });
+
+            await tx.freelancer.update({
+                where: { id: user.freelancer.id },
+                data: {
+                    age: null,
+                    skills: [],
+                    experience: null,
+                    hourlyRate: null,
+                    availability: false,
+                    githubUrl: null,
+                    linkedinUrl: null,
+                    portfolioUrl: null,
+                    isVerified: false,
+                    verifiedAt: null,
+                    verificationExpiresAt: null
+                }
+            });
+        }
+
+        await tx.meetingRequest.updateMany({
+            where: {
+                requesterId: userId,
+                status: 'PENDING'
+            },
+            data: { status: 'CANCELLED' }
+        });
+
+        await tx.twoFactorAuth.deleteMany({
+            where: { userId }
+        });
+
+        await tx.passwordHistory.deleteMany({
+            where: { userId }
+        });
+
+        await tx.oAuthAccount.deleteMany({
+            where: { userId }
+        });
+
+        await tx.apiKey.deleteMany({
+            where: { userId }
+        });
+
+        await tx.suspensionAppeal.deleteMany({
+            where: { userId }
+        });
+
+        await tx.verificationRequest.deleteMany({
+            where: { userId }
+        });
+
+        // Audit entries stay for accountability, but not where the user connected from
+        await tx.auditLog.updateMany({
+            where: { actorId: userId },
+            data: {
+                ipAddress: null,
+                userAgent: null
+            }
+        });
+
+        await tx.user.update({
+            where: { id: userId },
+            data: {
+                name: 'Deleted User',
+                email: `deleted-${userId}@deleted.invalid`,
+                password: placeholderPassword,
+                profileImage: null,
+                bio: null,
+                location: null,
+                isActive: false,
+                emailVerifiedAt: null,
+                deletionRequestedAt: null,
+                deletionScheduledFor: null,
+                deletedAt: new Date()
+            }
+        });
+    });
+
+    if (user.profileImage) {
+        const publicId = user.profileImage.split('/').slice(-2).join('/').split('.')[0];
+        await deleteImage(publicId);
+    }
+
+    for (const request of verificationRequests) {
+        await deleteVerificationDocuments(request.documents);
+    }
+
+    await revokeAllSessions(userId);
+    await invalidateUserEmailCaches(userId, [user.email]);
+
+    return userId;
+};
+
+// Anonymize every account whose grace period has ended
+export const processDueAccountDeletions = async () => {
+    const dueUsers = await prisma.user.findMany({
+        where: {
+            deletedAt: null,
+            deletionScheduledFor: { lte: new Date() }
+        },
+        select: { id: true }
+    });
+
+    let processed = 0;
+
+    for (const { id } of dueUsers) {
+        try {
+            if (await anonymizeUser(id)) {
+                processed += 1;
+            }
+        } catch (error) {
+            console.error(`Account deletion failed for user ${id}:`, error);
+        }
+    }
+
+    return processed;
+};
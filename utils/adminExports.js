@@ -0,0 +1,344 @@
+// utils/adminExports.js
+import prisma from '../prisma.config.js';
+import { maskEmail } from './permissions.js';
+import { getLockedAccounts } from './loginProtection.js';
+import { uploadPrivateFile, deletePrivateFile } from './cloudinary.js';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+export const EXPORT_BATCH_SIZE = 500;
+export const MAX_STREAMED_ROWS = 10000; // Larger exports run as background jobs
+export const EXPORT_RETENTION_HOURS = 24;
+
+const email = (value, ctx) => ctx.includePii ? value : maskEmail(value);
+
+const createdWindow = ({ createdFrom, createdTo }) => {
+    const window = {};
+    if (createdFrom) window.gte = new Date(createdFrom);
+    if (createdTo) window.lte = new Date(createdTo);
+    return Object.keys(window).length > 0 ? window : undefined;
+};
+
+// Each resource: the model to read, its exportable fields, and how to
+// turn query filters into a where clause (same filters as the list endpoints)
+export const EXPORT_RESOURCES = {
+    users: {
+        model: 'user',
+        include: { freelancer: true, client: true },
+        fields: {
+            id: (user) => user.id,
+            name: (user) => user.name,
+            email: (user, ctx) => email(user.email, ctx),
+            role: (user) => user.role,
+            isActive: (user) => user.isActive,
+            emailVerifiedAt: (user) => user.emailVerifiedAt,
+            suspendedUntil: (user) => user.suspendedUntil,
+            location: (user) => user.location,
+            freelancerVerified: (user) => user.freelancer?.isVerified ?? null,
+            projectsCompleted: (user) => user.freelancer?.projectsCompleted ?? null,
+            freelancerRating: (user) => user.freelancer?.ratings ?? null,
+            clientVerified: (user) => user.client?.isVerified ?? null,
+            companyName: (user) => user.client?.companyName ?? null,
+            projectsPosted: (user) => user.client?.projectsPosted ?? null,
+            clientRating: (user) => user.client?.ratings ?? null,
+            createdAt: (user) => user.createdAt
+        },
+        buildWhere: async ({ role, isActive, locked, search, createdFrom, createdTo }, ctx) => {
+            const where = {};
+
+            if (role && role !== 'all') {
+                where.role = role.toUpperCase();
+            }
+
+            if (locked === 'true') {
+                const lockedAccounts = await getLockedAccounts();
+                where.email = { in: lockedAccounts.map(lock => lock.email) };
+            }
+
+            if (isActive !== undefined) {
+                where.isActive = isActive === 'true';
+            }
+
+            // Searching by email would reveal addresses to admins without users.read_pii
+            if (search) {
+                where.OR = [
+                    { name: { contains: search, mode: 'insensitive' } },
+                    ...(ctx.includePii ? [{ email: { contains: search, mode: 'insensitive' } }] : [])
+                ];
+            }
+
+            const createdAt = createdWindow({ createdFrom, createdTo });
+            if (createdAt) where.createdAt = createdAt;
+
+            return where;
+        }
+    },
+    projects: {
+        model: 'project',
+        include: {
+            client: { include: { user: { select: { name: true, email: true } } } },
+            freelancer: { include: { user: { select: { name: true, email: true } } } },
+            _count: { select: { applications: true } }
+        },
+        fields: {
+            id: (project) => project.id,
+            title: (project) => project.title,
+            description: (project) => project.description,
+            status: (project) => project.status,
+            skillsRequired: (project) => project.skillsRequired,
+            budgetMin: (project) => project.budgetMin,
+            budgetMax: (project) => project.budgetMax,
+            duration: (project) => project.duration,
+            isFeatured: (project) => project.isFeatured,
+            applicationsCount: (project) => project._count.applications,
+            clientName: (project) => project.client.user.name,
+            clientEmail: (project, ctx) => email(project.client.user.email, ctx),
+            clientCompany: (project) => project.client.companyName,
+            freelancerName: (project) => project.freelancer?.user.name ?? null,
+            freelancerEmail: (project, ctx) => project.freelancer ? email(project.freelancer.user.email, ctx) : null,
+            createdAt: (project) => project.createdAt,
+            updatedAt: (project) => project.updatedAt
+        },
+        buildWhere: async ({ status, search, createdFrom, createdTo }) => {
+            const where = {};
+
+            if (status && status !== 'all') {
+                where.status = status.toUpperCase();
+            }
+
+            if (search) {
+                where.OR = [
+                    { title: { contains: search, mode: 'insensitive' } },
+                    { description: { contains: search, mode: 'insensitive' } }
+                ];
+            }
+
+            const createdAt = createdWindow({ createdFrom, createdTo });
+            if (createdAt) where.createdAt = createdAt;
+
+            return where;
+        }
+    },
+    applications: {
+        model: 'application',
+        include: {
+            project: { select: { title: true, status: true } },
+            freelancer: { include: { user: { select: { name: true, email: true } } } }
+        },
+        fields: {
+            id: (application) => application.id,
+            projectId: (application) => application.projectId,
+            projectTitle: (application) => application.project.title,
+            projectStatus: (application) => application.project.status,
+            status: (application) => application.status,
+            freelancerId: (application) => application.freelancerId,
+            freelancerName: (application) => application.freelancer.user.name,
+            freelancerEmail: (application, ctx) => email(application.freelancer.user.email, ctx),
+            proposal: (application) => application.proposal,
+            coverLetter: (application) => application.coverLetter,
+            createdAt: (application) => application.createdAt,
+            updatedAt: (application) => application.updatedAt
+        },
+        buildWhere: async ({ status, projectId, freelancerId, createdFrom, createdTo }) => {
+            const where = {};
+
+            if (status && status !== 'all') {
+                where.status = status.toUpperCase();
+            }
+
+            if (projectId) where.projectId = projectId;
+            if (freelancerId) where.freelancerId = freelancerId;
+
+            const createdAt = createdWindow({ createdFrom, createdTo });
+            if (createdAt) where.createdAt = createdAt;
+
+            return where;
+        }
+    }
+};
+
+const FILTER_KEYS = ['role', 'isActive', 'locked', 'search', 'status', 'projectId', 'freelancerId', 'createdFrom', 'createdTo'];
+
+// Validate ?format=&fields=&createdFrom=&createdTo= and keep the filters worth storing on a job
+export const parseExportRequest = (resourceName, query) => {
+    const resource = EXPORT_RESOURCES[resourceName];
+    const format = query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { valid: false, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const available = Object.keys(resource.fields);
+    const fields = query.fields ?
+        query.fields.split(',').map(field => field.trim()).filter(Boolean) :
+        available;
+    const unknown = fields.filter(field => !available.includes(field));
+
+    if (fields.length === 0 || unknown.length > 0) {
+        return {
+            valid: false,
+            error: `Unknown fields: ${unknown.join(', ') || '(none selected)'}. Available fields: ${available.join(', ')}`
+        };
+    }
+
+    for (const key of ['createdFrom', 'createdTo']) {
+        if (query[key] && isNaN(new Date(query[key]).getTime())) {
+            return { valid: false, error: `${key} must be a valid date` };
+        }
+    }
+
+    const filters = Object.fromEntries(
+        FILTER_KEYS.filter(key => query[key] !== undefined).map(key => [key, query[key]])
+    );
+
+    return { valid: true, format, fields, filters };
+};
+
+export const countExportRows = async (resourceName, where) => {
+    return prisma[EXPORT_RESOURCES[resourceName].model].count({ where });
+};
+
+// Rows in batches with cursor pagination, newest first
+export async function* exportRows(resourceName, where, { fields, includePii }) {
+    const resource = EXPORT_RESOURCES[resourceName];
+    const ctx = { includePii };
+    let cursor;
+
+    while (true) {
+        const records = await prisma[resource.model].findMany({
+            where,
+            include: resource.include,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: EXPORT_BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        for (const record of records) {
+            yield Object.fromEntries(fields.map(field => [field, resource.fields[field](record, ctx)]));
+        }
+
+        if (records.length < EXPORT_BATCH_SIZE) return;
+        cursor = records[records.length - 1].id;
+    }
+}
+
+const csvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    const text = Array.isArray(value) ? value.join('; ') :
+        value instanceof Date ? value.toISOString() :
+        String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialized chunks for the chosen format (a JSON export is one array)
+export async function* exportChunks(rows, { format, fields }) {
+    if (format === 'csv') {
+        yield fields.join(',') + '\n';
+        for await (const row of rows) {
+            yield fields.map(field => csvValue(row[field])).join(',') + '\n';
+        }
+        return;
+    }
+
+    let first = true;
+    yield '[';
+    for await (const row of rows) {
+        yield (first ? '\n' : ',\n') + JSON.stringify(row);
+        first = false;
+    }
+    yield '\n]\n';
+}
+
+export const exportFilename = (resourceName, format, date = new Date()) => {
+    return `${resourceName}-${date.toISOString().replace(/[:.]/g, '-')}.${format}`;
+};
+
+// Build the file for a queued job and store it privately
+export const runExportJob = async (jobId) => {
+    const job = await prisma.exportJob.update({
+        where: { id: jobId },
+        data: { status: 'PROCESSING', startedAt: new Date() }
+    });
+
+    try {
+        const resource = EXPORT_RESOURCES[job.resource];
+        const where = await resource.buildWhere(job.filters || {}, { includePii: job.includePii });
+
+        const rows = [];
+        for await (const row of exportRows(job.resource, where, { fields: job.fields, includePii: job.includePii })) {
+            rows.push(row);
+        }
+
+        const chunks = [];
+        for await (const chunk of exportChunks(rows, { format: job.format, fields: job.fields })) {
+            chunks.push(chunk);
+        }
+
+        const upload = await uploadPrivateFile(Buffer.from(chunks.join(''), 'utf8'), {
+            folder: 'admin-exports',
+            filename: exportFilename(job.resource, job.format, job.createdAt)
+        });
+
+        return await prisma.exportJob.update({
+            where: { id: jobId },
+            data: {
+                status: 'COMPLETED',
+                rowCount: rows.length,
+                fileId: upload.public_id,
+                completedAt: new Date(),
+                expiresAt: new Date(Date.now() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000)
+            }
+        });
+    } catch (error) {
+        console.error('Export job error:', error);
+
+        return prisma.exportJob.update({
+            where: { id: jobId },
+            data: {
+                status: 'FAILED',
+                error: error.message || error.error || 'Export failed',
+                completedAt: new Date()
+            }
+        });
+    }
+};
+
+// Delete files of exports past their retention period
+export const processExpiredExports = async () => {
+    const expired = await prisma.exportJob.findMany({
+        where: {
+            status: 'COMPLETED',
+            expiresAt: { lte: new Date() }
+        },
+        select: { id: true, fileId: true }
+    });
+
+    for (const job of expired) {
+        if (job.fileId) {
+            await deletePrivateFile(job.fileId);
+        }
+
+        await prisma.exportJob.update({
+            where: { id: job.id },
+            data: { status: 'EXPIRED', fileId: null }
+        });
+    }
+
+    return expired.length;
+};
+
+export const serializeExportJob = (job) => ({
+    id: job.id,
+    resource: job.resource,
+    format: job.format,
+    filters: job.filters,
+    fields: job.fields,
+    includePii: job.includePii,
+    status: job.status,
+    rowCount: job.rowCount,
+    error: job.error,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt
+});
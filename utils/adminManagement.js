@@ -0,0 +1,104 @@
+// utils/adminManagement.js
+import crypto from 'crypto';
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { getAdminInvitationEmailTemplate } from './emailTemplates.js';
+
+export const ADMIN_PERMISSIONS = ['SUPER_ADMIN', 'MODERATOR', 'SUPPORT'];
+const INVITATION_TTL_HOURS = 72;
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Validate an AdminRole[] list from a request body
+export const isValidPermissionList = (permissions) => {
+    return Array.isArray(permissions) &&
+        permissions.length > 0 &&
+        permissions.every(permission => ADMIN_PERMISSIONS.includes(permission));
+};
+
+// Active super admins left - used to prevent locking everyone out
+export const countActiveSuperAdmins = async () => {
+    return prisma.admin.count({
+        where: {
+            permissions: { has: 'SUPER_ADMIN' },
+            user: { isActive: true }
+        }
+    });
+};
+
+// Check the bootstrap secret for /create-super-admin (constant-time compare)
+export const isValidSetupSecret = (providedSecret) => {
+    const setupSecret = process.env.ADMIN_SETUP_SECRET;
+
+    if (!setupSecret || typeof providedSecret !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(hashToken(setupSecret));
+    const provided = Buffer.from(hashToken(providedSecret));
+
+    return crypto.timingSafeEqual(expected, provided);
+};
+
+// Create an invitation (replacing any pending one for the same email) and return its token
+export const createAdminInvitation = async (email, permissions, invitedBy) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await prisma.adminInvitation.updateMany({
+        where: {
+            email,
+            acceptedAt: null,
+            revokedAt: null
+        },
+        data: { revokedAt: new Date() }
+    });
+
+    const invitation = await prisma.adminInvitation.create({
+        data: {
+            email,
+            permissions,
+            tokenHash: hashToken(token),
+            invitedBy,
+            expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000)
+        }
+    });
+
+    return { invitation, token };
+};
+
+// Pending invitation for a token, or null if unknown, used, revoked or expired
+export const findPendingInvitation = async (token) => {
+    const invitation = await prisma.adminInvitation.findUnique({
+        where: { tokenHash: hashToken(token) }
+    });
+
+    if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt < new Date()) {
+        return null;
+    }
+
+    return invitation;
+};
+
+// Send the invitation link
+export const sendAdminInvitationEmail = async (email, inviterName, permissions, token) => {
+    const acceptUrl = `${process.env.FRONTEND_URL}/admin/accept-invitation?token=${token}`;
+    const emailTemplate = getAdminInvitationEmailTemplate(inviterName, acceptUrl, permissions, INVITATION_TTL_HOURS);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Admin invitation email error:', error);
+        } else {
+            console.log('Admin invitation email sent:', info.response);
+        }
+    });
+};
@@ -0,0 +1,279 @@
+// utils/analytics.js
+import prisma from '../prisma.config.js';
+import { setCache, getCache } from './redis.js';
+
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+const CACHE_TTL = 600; // 10 minutes while the range includes today
+const HISTORIC_CACHE_TTL = 6 * 60 * 60; // Closed ranges don't change
+
+// Start of the bucket a date falls into (UTC; weeks start on Monday)
+const bucketStart = (date, granularity) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    if (granularity === 'week') {
+        const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+        start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+    } else if (granularity === 'month') {
+        start.setUTCDate(1);
+    }
+
+    return start;
+};
+
+const nextBucket = (start, granularity) => {
+    const next = new Date(start);
+
+    if (granularity === 'day') next.setUTCDate(next.getUTCDate() + 1);
+    else if (granularity === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    else next.setUTCMonth(next.getUTCMonth() + 1);
+
+    return next;
+};
+
+const bucketKey = (date, granularity) => bucketStart(date, granularity).toISOString().slice(0, 10);
+
+// Validate ?from=&to=&granularity= (defaults: last 30 days by day)
+export const parseAnalyticsRange = ({ from, to, granularity = 'day' }) => {
+    if (!GRANULARITIES.includes(granularity)) {
+        return { valid: false, error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return { valid: false, error: 'from and to must be valid dates' };
+    }
+
+    if (fromDate >= toDate) {
+        return { valid: false, error: 'from must be before to' };
+    }
+
+    const range = {
+        from: bucketStart(fromDate, granularity),
+        to: toDate,
+        granularity
+    };
+
+    let buckets = 0;
+    for (let start = range.from; start < range.to && buckets <= MAX_BUCKETS; start = nextBucket(start, granularity)) {
+        buckets++;
+    }
+
+    if (buckets > MAX_BUCKETS) {
+        return { valid: false, error: `Range is too long for ${granularity} granularity (max ${MAX_BUCKETS} periods)` };
+    }
+
+    return { valid: true, range };
+};
+
+const emptyPoint = (period) => ({
+    period,
+    signups: { CLIENT: 0, FREELANCER: 0, total: 0 },
+    projectsPosted: 0,
+    projectsApproved: 0,
+    applications: 0,
+    projectsAssigned: 0,
+    assignedNowCompleted: 0,
+    completionRate: null,
+    avgOpenToAssignedHours: null,
+    meetings: { total: 0, completed: 0, cancelled: 0 }
+});
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Time series for the admin dashboard, built from users, projects, applications,
+// meetings and the audit log (approvals and assignments)
+const buildTimeSeries = async ({ from, to, granularity }) => {
+    const window = { gte: from, lt: to };
+
+    const [users, projects, applications, meetings, approvals, assignments] = await Promise.all([
+        prisma.user.findMany({
+            where: { createdAt: window, role: { in: ['CLIENT', 'FREELANCER'] } },
+            select: { createdAt: true, role: true }
+        }),
+        prisma.project.findMany({
+            where: { createdAt: window },
+            select: { createdAt: true }
+        }),
+        prisma.application.findMany({
+            where: { createdAt: window },
+            select: { createdAt: true }
+        }),
+        prisma.meeting.findMany({
+            where: { scheduledDate: window },
+            select: { scheduledDate: true, status: true }
+        }),
+        prisma.auditLog.findMany({
+            where: { action: { in: ['project.approved', 'project.auto_approved'] }, createdAt: window },
+            select: { createdAt: true }
+        }),
+        prisma.auditLog.findMany({
+            where: { action: 'application.approved', createdAt: window },
+            select: { createdAt: true, projectId: true }
+        })
+    ]);
+
+    // For OPEN -> ASSIGNED time and completion, look at every project assigned in the range
+    const assignedProjectIds = [...new Set(assignments.map(entry => entry.projectId).filter(Boolean))];
+    const [openedEvents, assignedProjects] = await Promise.all([
+        prisma.auditLog.findMany({
+            where: {
+                action: { in: ['project.approved', 'project.auto_approved'] },
+                projectId: { in: assignedProjectIds }
+            },
+            select: { projectId: true, createdAt: true },
+            orderBy: { createdAt: 'asc' }
+        }),
+        prisma.project.findMany({
+            where: { id: { in: assignedProjectIds } },
+            select: { id: true, status: true }
+        })
+    ]);
+    const statusByProject = Object.fromEntries(assignedProjects.map(project => [project.id, project.status]));
+
+    const points = new Map();
+    for (let start = from; start < to; start = nextBucket(start, granularity)) {
+        const key = bucketKey(start, granularity);
+        points.set(key, emptyPoint(key));
+    }
+    const pointFor = (date) => points.get(bucketKey(date, granularity));
+
+    for (const user of users) {
+        const point = pointFor(user.createdAt);
+        point.signups[user.role]++;
+        point.signups.total++;
+    }
+
+    for (const project of projects) {
+        pointFor(project.createdAt).projectsPosted++;
+    }
+
+    for (const approval of approvals) {
+        pointFor(approval.createdAt).projectsApproved++;
+    }
+
+    for (const application of applications) {
+        pointFor(application.createdAt).applications++;
+    }
+
+    for (const meeting of meetings) {
+        const point = pointFor(meeting.scheduledDate);
+        point.meetings.total++;
+        if (meeting.status === 'COMPLETED') point.meetings.completed++;
+        if (meeting.status === 'CANCELLED') point.meetings.cancelled++;
+    }
+
+    const openToAssigned = new Map();
+    for (const assignment of assignments) {
+        const point = pointFor(assignment.createdAt);
+        point.projectsAssigned++;
+
+        if (statusByProject[assignment.projectId] === 'COMPLETED') {
+            point.assignedNowCompleted++;
+        }
+
+        // Latest approval before the assignment (projects can be re-verified)
+        const opened = openedEvents
+            .filter(event => event.projectId === assignment.projectId && event.createdAt <= assignment.createdAt)
+            .pop();
+
+        if (opened) {
+            const hours = (assignment.createdAt - opened.createdAt) / (60 * 60 * 1000);
+            const durations = openToAssigned.get(point.period) || [];
+            durations.push(hours);
+            openToAssigned.set(point.period, durations);
+        }
+    }
+
+    for (const point of points.values()) {
+        if (point.projectsAssigned > 0) {
+            point.completionRate = round((point.assignedNowCompleted / point.projectsAssigned) * 100);
+        }
+
+        const durations = openToAssigned.get(point.period);
+        if (durations?.length) {
+            point.avgOpenToAssignedHours = round(durations.reduce((sum, hours) => sum + hours, 0) / durations.length);
+        }
+    }
+
+    const series = [...points.values()];
+    const allDurations = [...openToAssigned.values()].flat();
+    const totalAssigned = assignments.length;
+    const totalAssignedCompleted = series.reduce((sum, point) => sum + point.assignedNowCompleted, 0);
+
+    return {
+        range: {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            granularity
+        },
+        series,
+        totals: {
+            signups: {
+                CLIENT: users.filter(user => user.role === 'CLIENT').length,
+                FREELANCER: users.filter(user => user.role === 'FREELANCER').length,
+                total: users.length
+            },
+            projectsPosted: projects.length,
+            projectsApproved: approvals.length,
+            applications: applications.length,
+            projectsAssigned: totalAssigned,
+            completionRate: totalAssigned > 0 ? round((totalAssignedCompleted / totalAssigned) * 100) : null,
+            avgOpenToAssignedHours: allDurations.length > 0 ?
+                round(allDurations.reduce((sum, hours) => sum + hours, 0) / allDurations.length) :
+                null,
+            meetings: meetings.length
+        },
+        notes: {
+            completionRate: 'Share of projects assigned in the period that are now COMPLETED',
+            avgOpenToAssignedHours: 'Hours from admin approval to the first approved application, for projects assigned in the period'
+        }
+    };
+};
+
+// Cached time series for a validated range
+export const getAnalyticsTimeSeries = async (range) => {
+    const cacheKey = `admin:analytics:${range.granularity}:${range.from.toISOString()}:${range.to.toISOString()}`;
+
+    const cached = await getCache(cacheKey);
+    if (cached) {
+        return { ...cached, cached: true };
+    }
+
+    const result = await buildTimeSeries(range);
+    await setCache(cacheKey, result, range.to < bucketStart(new Date(), 'day') ? HISTORIC_CACHE_TTL : CACHE_TTL);
+
+    return result;
+};
+
+const CSV_COLUMNS = [
+    ['period', point => point.period],
+    ['signups_client', point => point.signups.CLIENT],
+    ['signups_freelancer', point => point.signups.FREELANCER],
+    ['signups_total', point => point.signups.total],
+    ['projects_posted', point => point.projectsPosted],
+    ['projects_approved', point => point.projectsApproved],
+    ['applications', point => point.applications],
+    ['projects_assigned', point => point.projectsAssigned],
+    ['completion_rate', point => point.completionRate],
+    ['avg_open_to_assigned_hours', point => point.avgOpenToAssignedHours],
+    ['meetings_total', point => point.meetings.total],
+    ['meetings_completed', point => point.meetings.completed],
+    ['meetings_cancelled', point => point.meetings.cancelled]
+];
+
+// One row per period
+export const timeSeriesToCsv = (result) => {
+    const rows = [CSV_COLUMNS.map(([name]) => name).join(',')];
+
+    for (const point of result.series) {
+        rows.push(CSV_COLUMNS.map(([, value]) => value(point) ?? '').join(','));
+    }
+
+    return rows.join('\n');
+};
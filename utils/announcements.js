@@ -0,0 +1,278 @@
+// utils/announcements.js
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { setCache, getCache, deleteCache } from './redis.js';
+import { getAnnouncementEmailTemplate } from './emailTemplates.js';
+
+export const ANNOUNCEMENT_ROLES = ['CLIENT', 'FREELANCER'];
+export const VERIFICATION_TARGETS = ['VERIFIED', 'UNVERIFIED'];
+export const MAX_TARGET_SKILLS = 20;
+
+// Email throttling: one batch per job run
+export const EMAIL_BATCH_SIZE = parseInt(process.env.ANNOUNCEMENT_EMAIL_BATCH_SIZE) || 50;
+const EMAIL_DELAY_MS = parseInt(process.env.ANNOUNCEMENT_EMAIL_DELAY_MS) || 200; // Between messages in a batch
+
+const ACTIVE_CACHE_KEY = 'announcements:active';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Validate create/update input. Returns the fields to write or an error.
+export const normalizeAnnouncement = (input, current = null) => {
+    const data = {};
+
+    if (input.title !== undefined || !current) {
+        if (typeof input.title !== 'string' || !input.title.trim() || input.title.trim().length > 200) {
+            return { valid: false, error: 'Title is required and must be at most 200 characters' };
+        }
+        data.title = input.title.trim();
+    }
+
+    if (input.message !== undefined || !current) {
+        if (typeof input.message !== 'string' || !input.message.trim() || input.message.trim().length > 5000) {
+            return { valid: false, error: 'Message is required and must be at most 5000 characters' };
+        }
+        data.message = input.message.trim();
+    }
+
+    if (input.targetRoles !== undefined) {
+        if (!Array.isArray(input.targetRoles) || input.targetRoles.some(role => !ANNOUNCEMENT_ROLES.includes(role))) {
+            return { valid: false, error: `targetRoles must be a list of: ${ANNOUNCEMENT_ROLES.join(', ')}` };
+        }
+        data.targetRoles = [...new Set(input.targetRoles)];
+    }
+
+    if (input.verification !== undefined) {
+        if (input.verification !== null && !VERIFICATION_TARGETS.includes(input.verification)) {
+            return { valid: false, error: `verification must be null or one of: ${VERIFICATION_TARGETS.join(', ')}` };
+        }
+        data.verification = input.verification;
+    }
+
+    if (input.targetSkills !== undefined) {
+        if (!Array.isArray(input.targetSkills) ||
+            input.targetSkills.length > MAX_TARGET_SKILLS ||
+            input.targetSkills.some(skill => typeof skill !== 'string' || !skill.trim())) {
+            return { valid: false, error: `targetSkills must be a list of at most ${MAX_TARGET_SKILLS} skills` };
+        }
+        data.targetSkills = [...new Set(input.targetSkills.map(skill => skill.trim()))];
+    }
+
+    for (const key of ['startsAt', 'endsAt']) {
+        if (input[key] !== undefined && input[key] !== null) {
+            const date = new Date(input[key]);
+            if (isNaN(date.getTime())) {
+                return { valid: false, error: `${key} must be a valid date` };
+            }
+            data[key] = date;
+        } else if (input[key] === null && key === 'endsAt') {
+            data.endsAt = null;
+        }
+    }
+
+    if (!current && !data.startsAt) {
+        data.startsAt = new Date();
+    }
+
+    const startsAt = data.startsAt || current?.startsAt;
+    const endsAt = data.endsAt !== undefined ? data.endsAt : current?.endsAt;
+
+    if (endsAt && endsAt <= startsAt) {
+        return { valid: false, error: 'endsAt must be after startsAt' };
+    }
+
+    const targetRoles = data.targetRoles || current?.targetRoles || [];
+    const targetSkills = data.targetSkills || current?.targetSkills || [];
+
+    if (targetSkills.length > 0 && targetRoles.length > 0 && !targetRoles.includes('FREELANCER')) {
+        return { valid: false, error: 'Skill targeting only applies to freelancers' };
+    }
+
+    if (input.sendEmail !== undefined) {
+        if (typeof input.sendEmail !== 'boolean') {
+            return { valid: false, error: 'sendEmail must be a boolean' };
+        }
+        data.sendEmail = input.sendEmail;
+    }
+
+    return { valid: true, data };
+};
+
+// Roles an announcement reaches (skills narrow it to freelancers)
+const audienceRoles = (announcement) => {
+    const roles = announcement.targetRoles.length > 0 ? announcement.targetRoles : ANNOUNCEMENT_ROLES;
+    return announcement.targetSkills.length > 0 ? roles.filter(role => role === 'FREELANCER') : roles;
+};
+
+// Prisma filter for every user an announcement reaches, for emailing and audience counts
+export const buildAudienceWhere = (announcement) => ({
+    isActive: true,
+    deletedAt: null,
+    emailVerifiedAt: { not: null },
+    OR: audienceRoles(announcement).map(role => ({
+        [role === 'FREELANCER' ? 'freelancer' : 'client']: {
+            is: {
+                ...(announcement.verification && { isVerified: announcement.verification === 'VERIFIED' }),
+                ...(role === 'FREELANCER' && announcement.targetSkills.length > 0 && {
+                    skills: { hasSome: announcement.targetSkills }
+                })
+            }
+        }
+    }))
+});
+
+// Whether an announcement targets a user acting as `role` with this profile
+export const matchesAnnouncement = (announcement, role, profile) => {
+    if (!audienceRoles(announcement).includes(role) || !profile) {
+        return false;
+    }
+
+    if (announcement.verification && profile.isVerified !== (announcement.verification === 'VERIFIED')) {
+        return false;
+    }
+
+    if (announcement.targetSkills.length > 0 && !announcement.targetSkills.some(skill => profile.skills?.includes(skill))) {
+        return false;
+    }
+
+    return true;
+};
+
+export const getAnnouncementState = (announcement, now = new Date()) => {
+    if (announcement.cancelledAt) return 'CANCELLED';
+    if (new Date(announcement.startsAt) > now) return 'SCHEDULED';
+    if (announcement.endsAt && new Date(announcement.endsAt) <= now) return 'ENDED';
+    return 'ACTIVE';
+};
+
+// Announcements showing right now (cached briefly; cleared when admins change one)
+export const getActiveAnnouncements = async () => {
+    const cached = await getCache(ACTIVE_CACHE_KEY);
+    if (cached) {
+        return cached;
+    }
+
+    const now = new Date();
+    const announcements = await prisma.announcement.findMany({
+        where: {
+            cancelledAt: null,
+            startsAt: { lte: now },
+            OR: [{ endsAt: null }, { endsAt: { gt: now } }]
+        },
+        select: {
+            id: true,
+            title: true,
+            message: true,
+            targetRoles: true,
+            verification: true,
+            targetSkills: true,
+            startsAt: true,
+            endsAt: true
+        },
+        orderBy: { startsAt: 'desc' }
+    });
+
+    await setCache(ACTIVE_CACHE_KEY, announcements, 60);
+    return announcements;
+};
+
+export const clearAnnouncementCache = () => deleteCache(ACTIVE_CACHE_KEY);
+
+const sendAnnouncementEmail = async (user, announcement) => {
+    const emailTemplate = getAnnouncementEmailTemplate(user.name, announcement.title, announcement.message);
+
+    await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    });
+};
+
+// Background job: email the next batch of recipients for each started announcement
+export const processAnnouncementEmails = async () => {
+    const announcements = await prisma.announcement.findMany({
+        where: {
+            emailStatus: { in: ['PENDING', 'SENDING'] },
+            startsAt: { lte: new Date() }
+        },
+        orderBy: { startsAt: 'asc' }
+    });
+
+    let sent = 0;
+
+    for (const announcement of announcements) {
+        if (getAnnouncementState(announcement) !== 'ACTIVE') {
+            await prisma.announcement.update({
+                where: { id: announcement.id },
+                data: { emailStatus: 'CANCELLED', emailCompletedAt: new Date() }
+            });
+            continue;
+        }
+
+        const recipients = await prisma.user.findMany({
+            where: buildAudienceWhere(announcement),
+            select: { id: true, name: true, email: true },
+            orderBy: { id: 'asc' },
+            take: EMAIL_BATCH_SIZE,
+            ...(announcement.emailCursor && { cursor: { id: announcement.emailCursor }, skip: 1 })
+        });
+
+        let batchSent = 0;
+        let batchFailed = 0;
+
+        for (const user of recipients) {
+            try {
+                await sendAnnouncementEmail(user, announcement);
+                batchSent++;
+            } catch (error) {
+                console.error(`Announcement email error for user ${user.id}:`, error);
+                batchFailed++;
+            }
+            await sleep(EMAIL_DELAY_MS);
+        }
+
+        const finished = recipients.length < EMAIL_BATCH_SIZE;
+
+        await prisma.announcement.update({
+            where: { id: announcement.id },
+            data: {
+                emailStatus: finished ? 'SENT' : 'SENDING',
+                emailCursor: recipients.length > 0 ? recipients[recipients.length - 1].id : announcement.emailCursor,
+                emailSentCount: { increment: batchSent },
+                emailFailedCount: { increment: batchFailed },
+                ...(finished && { emailCompletedAt: new Date() })
+            }
+        });
+
+        sent += batchSent;
+
+        // One batch per run keeps the SMTP rate down
+        if (recipients.length > 0) break;
+    }
+
+    return sent;
+};
+
+export const serializeAnnouncement = (announcement) => ({
+    id: announcement.id,
+    title: announcement.title,
+    message: announcement.message,
+    targetRoles: announcement.targetRoles,
+    verification: announcement.verification,
+    targetSkills: announcement.targetSkills,
+    startsAt: announcement.startsAt,
+    endsAt: announcement.endsAt,
+    state: getAnnouncementState(announcement),
+    sendEmail: announcement.sendEmail,
+    email: announcement.emailStatus ? {
+        status: announcement.emailStatus,
+        sent: announcement.emailSentCount,
+        failed: announcement.emailFailedCount,
+        completedAt: announcement.emailCompletedAt
+    } : null,
+    createdBy: announcement.createdBy,
+    cancelledAt: announcement.cancelledAt,
+    createdAt: announcement.createdAt,
+    updatedAt: announcement.updatedAt
+});
@@ -0,0 +1,84 @@
+// utils/apiKeys.js
+import crypto from 'crypto';
+import prisma from '../prisma.config.js';
+
+// Scopes a client can grant to a key; routes opt in with allowApiKey(scope)
+export const API_KEY_SCOPES = [
+    'projects:read',
+    'projects:write',
+    'applications:read',
+    'applications:write'
+];
+
+export const API_KEY_PREFIX = 'gig_';
+export const MAX_ACTIVE_API_KEYS = 10;
+
+const hashApiKey = (key) => {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Whether a bearer credential is an API key rather than a JWT
+export const isApiKey = (token) => {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+};
+
+// Validate a scope list from a request body
+export const isValidScopeList = (scopes) => {
+    return Array.isArray(scopes) &&
+        scopes.length > 0 &&
+        scopes.every(scope => API_KEY_SCOPES.includes(scope));
+};
+
+// Create a key and return it with the plain secret (never stored)
+export const createApiKey = async (userId, name, scopes, expiresAt = null) => {
+    const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiKey = await prisma.apiKey.create({
+        data: {
+            userId,
+            name,
+            prefix,
+            keyHash: hashApiKey(key),
+            scopes: [...new Set(scopes)],
+            expiresAt
+        }
+    });
+
+    return { apiKey, key };
+};
+
+// Usable key for a credential, or null if unknown, revoked or expired
+export const findActiveApiKey = async (key) => {
+    const apiKey = await prisma.apiKey.findUnique({
+        where: { keyHash: hashApiKey(key) }
+    });
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+        return null;
+    }
+
+    return apiKey;
+};
+
+// Bump the usage counter and last-used details
+export const recordApiKeyUsage = async (apiKey, req) => {
+    await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: {
+            usageCount: { increment: 1 },
+            lastUsedAt: new Date(),
+            lastUsedIp: req?.ip || null
+        }
+    });
+};
+
+// Listing shape - never includes the hash
+export const serializeApiKey = (apiKey) => {
+    const { keyHash, ...rest } = apiKey;
+
+    return {
+        ...rest,
+        isActive: !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > new Date())
+    };
+};
@@ -0,0 +1,96 @@
+// utils/auditLog.js
+import prisma from '../prisma.config.js';
+
+// Human-readable descriptions for timelines
+const ACTION_DESCRIPTIONS = {
+    'project.created': 'Project created and submitted for admin verification',
+    'project.approved': 'Project approved by admin and made public',
+    'project.auto_approved': 'Project passed automated screening and was published',
+    'project.rejected': 'Project rejected by admin',
+    'project.changes_requested': 'Admin requested changes before approval',
+    'project.resubmitted': 'Client edited and resubmitted the project for verification',
+    'project.featured': 'Project featured by admin',
+    'project.unfeatured': 'Project removed from featured by admin',
+    'project.unpublished': 'Project unpublished after a report',
+    'project.removed': 'Project cancelled when its owner was suspended in bulk',
+    'project.claimed': 'Admin claimed the project for review',
+    'project.claim_released': 'Admin released their review claim',
+    'project.reassigned': 'Project review reassigned to another admin',
+    'project.sla_breached': 'Project waited in the verification queue past the SLA',
+    'project.completion_requested': 'Freelancer requested completion',
+    'project.completion_approved': 'Client approved completion',
+    'project.completion_rejected': 'Client rejected completion',
+    'application.submitted': 'Freelancer applied',
+    'application.approved': 'Client approved an application',
+    'application.rejected': 'Client rejected an application',
+    'user.suspended': 'User suspended by admin',
+    'user.activated': 'User reactivated by admin',
+    'user.verified': 'User verified by admin',
+    'user.unverified': 'User verification removed by admin',
+    'user.suspension_expired': 'Timed suspension ended automatically',
+    'user.verification_expired': 'Identity verification expired',
+    'verification.requested': 'User submitted identity documents for verification',
+    'verification.approved': 'Identity verification approved by admin',
+    'verification.rejected': 'Identity verification rejected by admin',
+    'suspension_appeal.approved': 'Suspension appeal approved by admin',
+    'suspension_appeal.rejected': 'Suspension appeal rejected by admin',
+    'report.updated': 'Report updated by admin',
+    'rating.hidden': 'Review hidden by admin',
+    'rating.removed': 'Review removed by admin',
+    'rating.restored': 'Review restored by admin',
+    'data.exported': 'Data exported by admin',
+    'announcement.created': 'Announcement created by admin',
+    'announcement.updated': 'Announcement updated by admin',
+    'announcement.cancelled': 'Announcement cancelled by admin'
+};
+
+export const describeAuditAction = (action) => ACTION_DESCRIPTIONS[action] || action;
+
+// Append an entry. Never throws - a failed audit write must not undo the action it describes.
+// Json columns are left unset (undefined) rather than null, which Prisma rejects.
+export const recordAudit = async (req, { action, targetType, targetId, projectId = null, before, after, metadata }) => {
+    try {
+        const details = {
+            ...metadata,
+            ...(req?.impersonation && { impersonationSessionId: req.impersonation.sessionId }),
+            ...(req?.user?.apiKey && { apiKeyId: req.user.apiKey.id })
+        };
+
+        await prisma.auditLog.create({
+            data: {
+                actorId: req?.user?.userId || null,
+                actorRole: req?.admin ? 'ADMIN' : (req?.user?.role || 'SYSTEM'),
+                action,
+                targetType,
+                targetId,
+                projectId,
+                before,
+                after,
+                metadata: Object.keys(details).length > 0 ? details : undefined,
+                ipAddress: req?.ip || null,
+                userAgent: req?.get('user-agent') || null
+            }
+        });
+    } catch (error) {
+        console.error('Audit log write error:', error);
+    }
+};
+
+// Attach actor names/emails to a page of entries
+export const withAuditActors = async (entries, formatEmail = (email) => email) => {
+    const actorIds = [...new Set(entries.map(entry => entry.actorId).filter(Boolean))];
+    const actors = await prisma.user.findMany({
+        where: { id: { in: actorIds } },
+        select: { id: true, name: true, email: true, role: true }
+    });
+    const actorsById = Object.fromEntries(actors.map(actor => [
+        actor.id,
+        { ...actor, email: formatEmail(actor.email) }
+    ]));
+
+    return entries.map(entry => ({
+        ...entry,
+        description: describeAuditAction(entry.action),
+        actor: entry.actorId ? actorsById[entry.actorId] || null : null
+    }));
+};
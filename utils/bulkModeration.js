@@ -0,0 +1,281 @@
+// utils/bulkModeration.js
+import prisma from '../prisma.config.js';
+import { deleteCache } from './redis.js';
+import { PERMISSIONS } from './permissions.js';
+import { recordAudit } from './auditLog.js';
+import { suspendUser, liftSuspension } from './suspension.js';
+import { isVerificationCurrent, grantVerification } from './identityVerification.js';
+
+export const MAX_BULK_USERS = 500;
+
+// Action -> permission it needs
+export const BULK_USER_ACTIONS = {
+    suspend: PERMISSIONS.USERS_SUSPEND,
+    unsuspend: PERMISSIONS.USERS_SUSPEND,
+    verify: PERMISSIONS.USERS_VERIFY
+};
+
+// Projects taken down when their owner is suspended in bulk (spam rarely waits for approval)
+const CLEANUP_PROJECT_STATUSES = ['ADMIN_VERIFICATION', 'CHANGES_REQUESTED', 'OPEN'];
+
+const targetSelect = {
+    id: true,
+    name: true,
+    email: true,
+    role: true,
+    isActive: true,
+    suspensionReason: true,
+    suspendedUntil: true,
+    deletedAt: true,
+    createdAt: true,
+    client: true,
+    freelancer: true
+};
+
+// Users picked by an ID list or by a filter (created window, email domain, role, status)
+export const resolveBulkTargets = async ({ userIds, filter }) => {
+    if (userIds && filter) {
+        return { valid: false, error: 'Provide either userIds or filter, not both' };
+    }
+
+    if (userIds) {
+        if (!Array.isArray(userIds) || userIds.length === 0 || userIds.length > MAX_BULK_USERS) {
+            return { valid: false, error: `userIds must be a list of 1 to ${MAX_BULK_USERS} IDs` };
+        }
+
+        const users = await prisma.user.findMany({
+            where: { id: { in: userIds } },
+            select: targetSelect
+        });
+        const foundIds = users.map(user => user.id);
+
+        return {
+            valid: true,
+            users,
+            notFound: [...new Set(userIds)].filter(id => !foundIds.includes(id))
+        };
+    }
+
+    if (!filter || typeof filter !== 'object') {
+        return { valid: false, error: 'Either userIds or filter is required' };
+    }
+
+    const { createdFrom, createdTo, emailDomain, role, isActive } = filter;
+
+    // A filter must narrow things down; "everyone" is never a bulk target
+    if (!createdFrom && !createdTo && !emailDomain) {
+        return { valid: false, error: 'filter needs at least one of createdFrom, createdTo or emailDomain' };
+    }
+
+    const where = {};
+
+    if (createdFrom || createdTo) {
+        where.createdAt = {};
+        for (const [key, op] of [['createdFrom', 'gte'], ['createdTo', 'lte']]) {
+            if (!filter[key]) continue;
+            const date = new Date(filter[key]);
+            if (isNaN(date.getTime())) {
+                return { valid: false, error: `${key} must be a valid date` };
+            }
+            where.createdAt[op] = date;
+        }
+    }
+
+    if (emailDomain) {
+        const domain = String(emailDomain).trim().replace(/^@/, '').toLowerCase();
+        if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain)) {
+            return { valid: false, error: 'emailDomain must be a domain such as example.com' };
+        }
+        where.email = { endsWith: `@${domain}`, mode: 'insensitive' };
+    }
+
+    if (role) {
+        if (!['CLIENT', 'FREELANCER'].includes(role)) {
+            return { valid: false, error: 'filter.role must be CLIENT or FREELANCER' };
+        }
+        where.role = role;
+    }
+
+    if (isActive !== undefined) {
+        where.isActive = isActive === true || isActive === 'true';
+    }
+
+    const total = await prisma.user.count({ where });
+    if (total > MAX_BULK_USERS) {
+        return {
+            valid: false,
+            error: `The filter matches ${total} users; narrow it to at most ${MAX_BULK_USERS}`
+        };
+    }
+
+    const users = await prisma.user.findMany({
+        where,
+        select: targetSelect,
+        orderBy: { createdAt: 'asc' }
+    });
+
+    return { valid: true, users, notFound: [] };
+};
+
+// Why a user would be left out of an action, or null if it applies
+export const getSkipReason = (action, user, adminUserId) => {
+    if (user.id === adminUserId) return 'You cannot moderate your own account';
+    if (user.role === 'ADMIN') return 'Admin accounts are excluded from bulk actions';
+    if (user.deletedAt) return 'Account has been deleted';
+
+    if (action === 'suspend' && !user.isActive) return 'Already suspended';
+    if (action === 'unsuspend' && user.isActive) return 'Not suspended';
+
+    if (action === 'verify') {
+        if (!user.client && !user.freelancer) return 'User has no client or freelancer profile';
+        if ([user.client, user.freelancer].filter(Boolean).every(isVerificationCurrent)) return 'Already verified';
+    }
+
+    return null;
+};
+
+// Pending applications a cleanup rejects: the user's own, and everyone's on the projects it cancels
+const pendingApplicationsWhere = (user) => ({
+    status: 'PENDING',
+    OR: [
+        ...(user.freelancer ? [{ freelancerId: user.freelancer.id }] : []),
+        ...(user.client ? [{ project: { clientId: user.client.id, status: { in: CLEANUP_PROJECT_STATUSES } } }] : [])
+    ]
+});
+
+// What a suspension would take down
+export const countUserContent = async (user) => {
+    const [projects, applications] = await Promise.all([
+        user.client ? prisma.project.count({
+            where: { clientId: user.client.id, status: { in: CLEANUP_PROJECT_STATUSES } }
+        }) : 0,
+        prisma.application.count({ where: pendingApplicationsWhere(user) })
+    ]);
+
+    return { projectsCancelled: projects, applicationsRejected: applications };
+};
+
+// Cancel the user's unassigned projects and reject the pending applications tied to the user or those projects
+export const cleanupUserContent = async (req, user, bulkId) => {
+    const projects = user.client ? await prisma.project.findMany({
+        where: { clientId: user.client.id, status: { in: CLEANUP_PROJECT_STATUSES } },
+        select: { id: true, status: true }
+    }) : [];
+
+    // Applications first - their filter follows the projects' status, which the second step changes
+    const applications = await prisma.$transaction(async (tx) => {
+        const rejected = await tx.application.updateMany({
+            where: pendingApplicationsWhere(user),
+            data: { status: 'REJECTED' }
+        });
+
+        if (projects.length > 0) {
+            await tx.project.updateMany({
+                where: { id: { in: projects.map(project => project.id) } },
+                data: {
+                    status: 'CANCELLED',
+                    isFeatured: false,
+                    rejectedReason: 'Removed by moderation'
+                }
+            });
+        }
+
+        return rejected;
+    });
+
+    if (projects.length > 0) {
+        await Promise.all(projects.map(project => recordAudit(req, {
+            action: 'project.removed',
+            targetType: 'PROJECT',
+            targetId: project.id,
+            projectId: project.id,
+            before: { status: project.status },
+            after: { status: 'CANCELLED' },
+            metadata: { ownerId: user.id, bulkId }
+        })));
+    }
+
+    await Promise.all([
+        deleteCache('admin:dashboard:stats'),
+        deleteCache('public:projects:available'),
+        deleteCache('public:projects:recent'),
+        deleteCache('public:featured:projects'),
+        ...projects.map(project => deleteCache(`project:${project.id}`)),
+        ...(user.client ? [deleteCache(`client:dashboard:${user.id}`)] : []),
+        ...(user.freelancer ? [deleteCache(`freelancer:dashboard:${user.id}`)] : [])
+    ]);
+
+    return {
+        projectsCancelled: projects.length,
+        applicationsRejected: applications.count
+    };
+};
+
+// Apply one action to one eligible user and audit it
+export const applyBulkAction = async (req, action, user, { reason, suspendedUntil, bulkId, cleanup }) => {
+    if (action === 'suspend') {
+        const updated = await suspendUser(user.id, {
+            reason,
+            suspendedUntil,
+            suspendedBy: req.user.userId
+        });
+        const cleaned = cleanup ? await cleanupUserContent(req, user, bulkId) : null;
+
+        await recordAudit(req, {
+            action: 'user.suspended',
+            targetType: 'USER',
+            targetId: user.id,
+            before: { isActive: true },
+            after: { isActive: false, suspensionReason: updated.suspensionReason, suspendedUntil: updated.suspendedUntil },
+            metadata: { bulkId, ...(cleaned && { cleanup: cleaned }) }
+        });
+
+        return { cleanup: cleaned };
+    }
+
+    if (action === 'unsuspend') {
+        await liftSuspension(user.id);
+
+        // Lifting by hand settles any appeal still waiting
+        await prisma.suspensionAppeal.updateMany({
+            where: { userId: user.id, status: 'PENDING' },
+            data: {
+                status: 'APPROVED',
+                reviewedBy: req.user.userId,
+                reviewNote: 'Suspension lifted by an admin',
+                reviewedAt: new Date()
+            }
+        });
+
+        await recordAudit(req, {
+            action: 'user.activated',
+            targetType: 'USER',
+            targetId: user.id,
+            before: { isActive: false, suspensionReason: user.suspensionReason, suspendedUntil: user.suspendedUntil },
+            after: { isActive: true },
+            metadata: { bulkId }
+        });
+
+        return {};
+    }
+
+    // verify: every profile the user has that isn't currently verified
+    const profiles = [
+        ...(user.freelancer && !isVerificationCurrent(user.freelancer) ? ['FREELANCER'] : []),
+        ...(user.client && !isVerificationCurrent(user.client) ? ['CLIENT'] : [])
+    ];
+
+    for (const profileType of profiles) {
+        await grantVerification(user.id, profileType);
+        await recordAudit(req, {
+            action: 'user.verified',
+            targetType: 'USER',
+            targetId: user.id,
+            before: { isVerified: false },
+            after: { isVerified: true },
+            metadata: { profile: profileType, manual: true, bulkId }
+        });
+    }
+
+    return { profiles };
+};
@@ -92,4 +92,63 @@ export const getThumbnailUrl = (publicId, width = 150, height = 150) => {
         fetch_format: 'auto',
         quality: 'auto'
     });
-};
\ No newline at end of file
+};
+
+// Upload a non-public file (exports, documents); only reachable through signed download URLs
+export const uploadPrivateFile = (buffer, { folder, filename }) => {
+    return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+            {
+                folder,
+                public_id: filename,
+                resource_type: 'raw',
+                type: 'private'
+            },
+            (error, result) => {
+                if (error) {
+                    console.error('Cloudinary private upload error:', error);
+                    return reject({
+                        success: false,
+                        error: error.message
+                    });
+                }
+                resolve({
+                    success: true,
+                    public_id: result.public_id,
+                    bytes: result.bytes
+                });
+            }
+        );
+        stream.end(buffer);
+    });
+};
+
+// Short-lived signed URL for a private file
+export const getPrivateDownloadUrl = (publicId, expiresInSeconds = 15 * 60) => {
+    return cloudinary.utils.private_download_url(publicId, '', {
+        resource_type: 'raw',
+        type: 'private',
+        attachment: true,
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+    });
+};
+
+// Delete a private file
+export const deletePrivateFile = async (publicId) => {
+    try {
+        const result = await cloudinary.uploader.destroy(publicId, {
+            resource_type: 'raw',
+            type: 'private'
+        });
+        return {
+            success: true,
+            result
+        };
+    } catch (error) {
+        console.error('Cloudinary delete error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
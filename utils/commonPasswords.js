@@ -0,0 +1,19 @@
+// utils/commonPasswords.js
+// Frequently breached passwords, compared case-insensitively by the password policy
+const COMMON_PASSWORDS = [
+    '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '123123', '111111',
+    '000000', '654321', '666666', '121212', '112233', '123321', '987654321', '11111111',
+    '1q2w3e4r', '1q2w3e4r5t', '1qaz2wsx', 'qwerty', 'qwerty123', 'qwertyuiop', 'qwe123',
+    'asdfgh', 'asdfghjkl', 'zxcvbnm', 'zxcvbn', 'abc123', 'abcd1234', 'a1b2c3d4', 'aa123456',
+    'password', 'password1', 'password12', 'password123', 'password!', 'passw0rd', 'p@ssw0rd',
+    'p@ssword', 'pass1234', 'passpass', 'admin', 'admin123', 'admin@123', 'administrator',
+    'root', 'toor', 'letmein', 'welcome', 'welcome1', 'welcome123', 'login', 'changeme',
+    'default', 'guest', 'secret', 'master', 'iloveyou', 'iloveyou1', 'princess', 'sunshine',
+    'monkey', 'dragon', 'football', 'baseball', 'soccer', 'superman', 'batman', 'starwars',
+    'shadow', 'michael', 'jennifer', 'charlie', 'jordan23', 'hunter2', 'trustno1', 'freedom',
+    'whatever', 'qazwsx', 'ninja', 'mustang', 'access', 'flower', 'hello123', 'lovely',
+    'google', 'computer', 'internet', 'summer2024', 'winter2024', 'spring2024', 'autumn2024',
+    'freelance', 'freelancer', 'client123', 'thegigup', 'gigup123', 'freelanceaog'
+];
+
+export const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS);
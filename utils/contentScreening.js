@@ -0,0 +1,379 @@
+// utils/contentScreening.js
+import prisma from '../prisma.config.js';
+import { getSetting, SETTINGS } from './settings.js';
+
+export const DEFAULT_SCREENING_CONFIG = {
+    rules: [], // Custom rules: { name, type: 'keyword' | 'regex', pattern, weight }
+    weights: {
+        phone: 25,
+        email: 25,
+        offPlatformPayment: 40,
+        offPlatformContact: 20,
+        duplicate: 30
+    },
+    thresholds: {
+        medium: 30, // riskScore at or above this is MEDIUM
+        high: 60 // ...and at or above this is HIGH
+    },
+    duplicateSimilarity: 0.8, // Jaccard similarity of 5-word shingles
+    autoApprove: {
+        enabled: false,
+        maxRiskScore: 0,
+        minApprovedProjects: 3 // A client is trusted once this many earlier projects passed verification
+    }
+};
+
+const RULE_TYPES = ['keyword', 'regex'];
+const MAX_RULES = 100;
+const MAX_MATCHES_PER_RULE = 10;
+const DUPLICATE_CANDIDATES = 200;
+const SHINGLE_SIZE = 5;
+const CONTEXT_CHARS = 30;
+
+// Statuses a project only reaches after passing verification
+const APPROVED_PROJECT_STATUSES = ['OPEN', 'ASSIGNED', 'PENDING_COMPLETION', 'COMPLETED', 'REJECTED_COMPLETION'];
+
+// Built-in detectors
+const DETECTORS = {
+    phone: /\+?\(?\d[\d\s().-]{7,}\d/g,
+    email: /[a-z0-9._%+-]+\s?(?:@|\(at\)|\[at\])\s?[a-z0-9.-]+\s?(?:\.|\(dot\)|\[dot\])\s?[a-z]{2,}/gi,
+    offPlatformPayment: /\b(?:paypal|venmo|cash\s?app|zelle|western\s+union|moneygram|wire\s+transfer|bank\s+transfer|crypto(?:currency)?|bitcoin|btc|usdt|pay(?:ment)?\s+(?:me\s+)?(?:outside|directly|off[-\s]?platform)|outside\s+(?:the\s+|this\s+)?(?:platform|site)|off[-\s]?platform)\b/gi,
+    offPlatformContact: /\b(?:whats\s?app|telegram|skype|signal|wechat|discord|contact\s+me\s+(?:directly|at|on)|text\s+me|call\s+me)\b/gi
+};
+
+// Current config (SUPER_ADMIN overrides merged over the defaults)
+export const getScreeningConfig = async () => {
+    const overrides = await getSetting(SETTINGS.CONTENT_SCREENING, {});
+
+    return {
+        ...DEFAULT_SCREENING_CONFIG,
+        ...overrides,
+        weights: { ...DEFAULT_SCREENING_CONFIG.weights, ...overrides.weights },
+        thresholds: { ...DEFAULT_SCREENING_CONFIG.thresholds, ...overrides.thresholds },
+        autoApprove: { ...DEFAULT_SCREENING_CONFIG.autoApprove, ...overrides.autoApprove }
+    };
+};
+
+const isWeight = (value) => Number.isInteger(value) && value >= 0 && value <= 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compileRule = (rule) => {
+    return rule.type === 'keyword' ?
+        new RegExp(`(?<!\\w)${escapeRegex(rule.pattern)}(?!\\w)`, 'gi') :
+        new RegExp(rule.pattern, 'gi');
+};
+
+// Validate a config update. Returns the merged config or an error.
+export const normalizeScreeningConfig = (updates, currentConfig = DEFAULT_SCREENING_CONFIG) => {
+    const config = {
+        ...currentConfig,
+        weights: { ...currentConfig.weights },
+        thresholds: { ...currentConfig.thresholds },
+        autoApprove: { ...currentConfig.autoApprove }
+    };
+
+    for (const [key, value] of Object.entries(updates || {})) {
+        if (!Object.hasOwn(DEFAULT_SCREENING_CONFIG, key)) {
+            return { valid: false, error: `Unknown screening field: ${key}` };
+        }
+
+        if (key === 'rules') {
+            if (!Array.isArray(value) || value.length > MAX_RULES) {
+                return { valid: false, error: `rules must be a list of at most ${MAX_RULES} rules` };
+            }
+
+            const rules = [];
+            for (const rule of value) {
+                if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+                    return { valid: false, error: 'Every rule needs a name' };
+                }
+                if (!RULE_TYPES.includes(rule.type)) {
+                    return { valid: false, error: `Rule "${rule.name}": type must be one of ${RULE_TYPES.join(', ')}` };
+                }
+                if (typeof rule.pattern !== 'string' || !rule.pattern.trim() || rule.pattern.length > 200) {
+                    return { valid: false, error: `Rule "${rule.name}": pattern is required (max 200 characters)` };
+                }
+                if (!isWeight(rule.weight)) {
+                    return { valid: false, error: `Rule "${rule.name}": weight must be an integer from 0 to 100` };
+                }
+
+                const normalizedRule = {
+                    name: rule.name.trim(),
+                    type: rule.type,
+                    pattern: rule.pattern,
+                    weight: rule.weight
+                };
+
+                try {
+                    compileRule(normalizedRule);
+                } catch (error) {
+                    return { valid: false, error: `Rule "${rule.name}": invalid regular expression` };
+                }
+
+                rules.push(normalizedRule);
+            }
+
+            config.rules = rules;
+        } else if (key === 'weights') {
+            for (const [detector, weight] of Object.entries(value || {})) {
+                if (!Object.hasOwn(DEFAULT_SCREENING_CONFIG.weights, detector)) {
+                    return { valid: false, error: `Unknown detector: ${detector}` };
+                }
+                if (!isWeight(weight)) {
+                    return { valid: false, error: `weights.${detector} must be an integer from 0 to 100` };
+                }
+                config.weights[detector] = weight;
+            }
+        } else if (key === 'thresholds') {
+            for (const [level, threshold] of Object.entries(value || {})) {
+                if (!Object.hasOwn(DEFAULT_SCREENING_CONFIG.thresholds, level)) {
+                    return { valid: false, error: `Unknown threshold: ${level}` };
+                }
+                if (!isWeight(threshold)) {
+                    return { valid: false, error: `thresholds.${level} must be an integer from 0 to 100` };
+                }
+                config.thresholds[level] = threshold;
+            }
+        } else if (key === 'duplicateSimilarity') {
+            if (typeof value !== 'number' || value <= 0 || value > 1) {
+                return { valid: false, error: 'duplicateSimilarity must be a number above 0 and at most 1' };
+            }
+            config.duplicateSimilarity = value;
+        } else if (key === 'autoApprove') {
+            for (const [field, fieldValue] of Object.entries(value || {})) {
+                if (field === 'enabled') {
+                    if (typeof fieldValue !== 'boolean') {
+                        return { valid: false, error: 'autoApprove.enabled must be a boolean value' };
+                    }
+                } else if (field === 'maxRiskScore') {
+                    if (!isWeight(fieldValue)) {
+                        return { valid: false, error: 'autoApprove.maxRiskScore must be an integer from 0 to 100' };
+                    }
+                } else if (field === 'minApprovedProjects') {
+                    if (!Number.isInteger(fieldValue) || fieldValue < 1) {
+                        return { valid: false, error: 'autoApprove.minApprovedProjects must be a positive integer' };
+                    }
+                } else {
+                    return { valid: false, error: `Unknown autoApprove field: ${field}` };
+                }
+                config.autoApprove[field] = fieldValue;
+            }
+        }
+    }
+
+    if (config.thresholds.high < config.thresholds.medium) {
+        return { valid: false, error: 'thresholds.high must be greater than or equal to thresholds.medium' };
+    }
+
+    return { valid: true, config };
+};
+
+// Every match of a pattern in one field, with surrounding text for highlighting
+const findMatches = (pattern, field, text, type, rule) => {
+    const matches = [];
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null && matches.length < MAX_MATCHES_PER_RULE) {
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+
+        // Phone numbers: 9-15 digits, and not a spaced budget range like "5000 - 10000"
+        if (type === 'phone') {
+            const digits = match[0].replace(/\D/g, '').length;
+            if (digits < 9 || digits > 15 || / - /.test(match[0])) continue;
+        }
+
+        matches.push({
+            type,
+            rule,
+            field,
+            match: match[0],
+            index: match.index,
+            context: text.slice(Math.max(0, match.index - CONTEXT_CHARS), match.index + match[0].length + CONTEXT_CHARS)
+        });
+    }
+
+    return matches;
+};
+
+const scanFields = (fields, config) => {
+    const matches = [];
+
+    for (const [field, text] of Object.entries(fields)) {
+        if (!text) continue;
+
+        for (const [type, pattern] of Object.entries(DETECTORS)) {
+            matches.push(...findMatches(pattern, field, text, type, type));
+        }
+
+        for (const rule of config.rules) {
+            matches.push(...findMatches(compileRule(rule), field, text, rule.type, rule.name));
+        }
+    }
+
+    return matches;
+};
+
+const shingles = (text) => {
+    const words = (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+
+    if (words.length < SHINGLE_SIZE) {
+        return new Set(words.length ? [words.join(' ')] : []);
+    }
+
+    const set = new Set();
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+        set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return set;
+};
+
+const similarity = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    for (const shingle of a) {
+        if (b.has(shingle)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+};
+
+// Recent items of the same kind whose text is nearly identical
+const findDuplicates = async (targetType, targetId, text, authorId, threshold) => {
+    const candidates = targetType === 'PROJECT' ?
+        (await prisma.project.findMany({
+            where: { id: { not: targetId } },
+            select: { id: true, title: true, description: true, clientId: true },
+            orderBy: { createdAt: 'desc' },
+            take: DUPLICATE_CANDIDATES
+        })).map(project => ({
+            id: project.id,
+            authorId: project.clientId,
+            text: `${project.title}\n${project.description || ''}`
+        })) :
+        (await prisma.application.findMany({
+            where: { id: { not: targetId } },
+            select: { id: true, proposal: true, coverLetter: true, freelancerId: true },
+            orderBy: { createdAt: 'desc' },
+            take: DUPLICATE_CANDIDATES
+        })).map(application => ({
+            id: application.id,
+            authorId: application.freelancerId,
+            text: `${application.proposal || ''}\n${application.coverLetter || ''}`
+        }));
+
+    const source = shingles(text);
+
+    return candidates
+        .map(candidate => ({
+            targetId: candidate.id,
+            similarity: Math.round(similarity(source, shingles(candidate.text)) * 100) / 100,
+            sameAuthor: candidate.authorId === authorId
+        }))
+        .filter(candidate => candidate.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, 5);
+};
+
+// Each detector or rule counts once, however often it matched
+const scoreScreening = (matches, duplicates, config) => {
+    const weights = new Map();
+
+    for (const match of matches) {
+        const weight = match.type in config.weights ?
+            config.weights[match.type] :
+            config.rules.find(rule => rule.name === match.rule)?.weight || 0;
+        weights.set(`${match.type}:${match.rule}`, weight);
+    }
+
+    let riskScore = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+    if (duplicates.length > 0) {
+        riskScore += config.weights.duplicate;
+    }
+    riskScore = Math.min(riskScore, 100);
+
+    const riskLevel = riskScore >= config.thresholds.high ? 'HIGH' :
+        riskScore >= config.thresholds.medium ? 'MEDIUM' : 'LOW';
+
+    return { riskScore, riskLevel };
+};
+
+// Screen some text fields and store the result (replacing any earlier screening).
+// Never throws - a failed screening leaves the item for manual review.
+const screenContent = async ({ targetType, targetId, projectId, fields, authorId, config }) => {
+    try {
+        const matches = scanFields(fields, config);
+        const duplicates = await findDuplicates(
+            targetType,
+            targetId,
+            Object.values(fields).filter(Boolean).join('\n'),
+            authorId,
+            config.duplicateSimilarity
+        );
+        const { riskScore, riskLevel } = scoreScreening(matches, duplicates, config);
+
+        const data = { projectId, riskScore, riskLevel, matches, duplicates };
+
+        return await prisma.contentScreening.upsert({
+            where: { targetType_targetId: { targetType, targetId } },
+            update: data,
+            create: { targetType, targetId, ...data }
+        });
+    } catch (error) {
+        console.error(`Content screening error (${targetType} ${targetId}):`, error);
+        return null;
+    }
+};
+
+// Screen a project; returns the screening and whether it may skip admin verification
+export const screenProject = async (project) => {
+    const config = await getScreeningConfig();
+
+    const screening = await screenContent({
+        targetType: 'PROJECT',
+        targetId: project.id,
+        projectId: project.id,
+        fields: {
+            title: project.title,
+            description: project.description,
+            duration: project.duration
+        },
+        authorId: project.clientId,
+        config
+    });
+
+    let autoApprove = false;
+    if (screening && config.autoApprove.enabled && screening.riskScore <= config.autoApprove.maxRiskScore) {
+        const approvedProjects = await prisma.project.count({
+            where: {
+                clientId: project.clientId,
+                id: { not: project.id },
+                status: { in: APPROVED_PROJECT_STATUSES }
+            }
+        });
+        autoApprove = approvedProjects >= config.autoApprove.minApprovedProjects;
+    }
+
+    return { screening, autoApprove };
+};
+
+// Screen an application's proposal and cover letter
+export const screenApplication = async (application) => {
+    const config = await getScreeningConfig();
+
+    return screenContent({
+        targetType: 'APPLICATION',
+        targetId: application.id,
+        projectId: application.projectId,
+        fields: {
+            proposal: application.proposal,
+            coverLetter: application.coverLetter
+        },
+        authorId: application.freelancerId,
+        config
+    });
+};
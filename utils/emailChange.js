@@ -0,0 +1,109 @@
+// utils/emailChange.js
+import crypto from 'crypto';
+import { setCache, getCache, deleteCache } from './redis.js';
+import transporter from '../nodemailer.config.js';
+import { getEmailChangedNotificationTemplate } from './emailTemplates.js';
+
+const PENDING_CHANGE_TTL = 10 * 60; // Matches the OTP lifetime
+const REVERT_TOKEN_TTL = 7 * 24 * 60 * 60; // 7 days
+export const EMAIL_CHANGE_COOLDOWN = 24 * 60 * 60; // One change per 24 hours
+
+// Pending change waiting for the OTP sent to the new address
+export const storePendingEmailChange = async (userId, oldEmail, newEmail) => {
+    await setCache(`email_change:${userId}`, {
+        oldEmail,
+        newEmail,
+        requestedAt: new Date().toISOString()
+    }, PENDING_CHANGE_TTL);
+};
+
+export const getPendingEmailChange = async (userId) => {
+    return getCache(`email_change:${userId}`);
+};
+
+export const clearPendingEmailChange = async (userId) => {
+    await deleteCache(`email_change:${userId}`);
+};
+
+// Cooldown between completed changes
+export const getEmailChangeCooldown = async (userId) => {
+    return getCache(`email_change_cooldown:${userId}`);
+};
+
+export const startEmailChangeCooldown = async (userId) => {
+    const availableAt = new Date(Date.now() + EMAIL_CHANGE_COOLDOWN * 1000).toISOString();
+    await setCache(`email_change_cooldown:${userId}`, { availableAt }, EMAIL_CHANGE_COOLDOWN);
+};
+
+// One-click revert token sent to the old address. Only the latest change can be reverted,
+// so issuing a new token cancels the previous one.
+export const createEmailRevertToken = async (userId, oldEmail, newEmail) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const latestKey = `email_change_revert_latest:${userId}`;
+
+    const previousToken = await getCache(latestKey);
+    if (previousToken) {
+        await deleteCache(`email_change_revert:${previousToken}`);
+    }
+
+    await setCache(`email_change_revert:${token}`, {
+        userId,
+        oldEmail,
+        newEmail
+    }, REVERT_TOKEN_TTL);
+    await setCache(latestKey, token, REVERT_TOKEN_TTL);
+
+    return token;
+};
+
+export const redeemEmailRevertToken = async (token) => {
+    const key = `email_change_revert:${token}`;
+    const data = await getCache(key);
+
+    if (!data) {
+        return null;
+    }
+
+    await deleteCache(key);
+    await deleteCache(`email_change_revert_latest:${data.userId}`);
+    return data;
+};
+
+// Notify the old address, with a link to undo the change
+export const sendEmailChangedNotification = async (oldEmail, userName, newEmail, revertToken) => {
+    const revertUrl = `${process.env.FRONTEND_URL}/revert-email-change?token=${revertToken}`;
+    const emailTemplate = getEmailChangedNotificationTemplate(userName, oldEmail, newEmail, revertUrl);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: oldEmail,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Email change notification error:', error);
+        } else {
+            console.log('Email change notification sent:', info.response);
+        }
+    });
+};
+
+// Drop every cache keyed by the user's email or profile
+export const invalidateUserEmailCaches = async (userId, emails) => {
+    const cacheKeysToDelete = [
+        `client:profile:${userId}`,
+        `freelancer:profile:${userId}`,
+        `client:dashboard:${userId}`,
+        `freelancer:dashboard:${userId}`,
+        `user:${userId}`,
+        ...emails.flatMap(email => [
+            `client:login:${email}`,
+            `freelancer:login:${email}`
+        ])
+    ];
+
+    await Promise.all(cacheKeysToDelete.map(key => deleteCache(key)));
+};
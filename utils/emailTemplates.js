@@ -243,4 +243,772 @@ export const getEmailVerificationOTPTemplate = (otp, email) => {
             The TheGigUp Team
         `
     };
-};
\ No newline at end of file
+};
+
+export const getAccountLockedEmailTemplate = (userName, unlockUrl, lockMinutes) => {
+    return {
+        subject: `Your Account Has Been Temporarily Locked - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #DC2626; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .button { 
+                        display: inline-block; 
+                        background-color: #4F46E5; 
+                        color: white; 
+                        padding: 12px 24px; 
+                        text-decoration: none; 
+                        border-radius: 5px; 
+                        margin: 20px 0; 
+                    }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .warning { background-color: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>🔒 Account Temporarily Locked</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>We detected several failed login attempts on your account, so we locked it for <strong>${lockMinutes} minutes</strong> to keep it safe.</p>
+                        
+                        <p>If this was you, you can unlock your account right away:</p>
+                        
+                        <div style="text-align: center;">
+                            <a href="${unlockUrl}" class="button">Unlock My Account</a>
+                        </div>
+                        
+                        <p>Or copy and paste this link into your browser:</p>
+                        <p style="word-break: break-all; color: #4F46E5;">${unlockUrl}</p>
+                        
+                        <div class="warning">
+                            <strong>⚠️ Wasn't you?</strong>
+                            <ul>
+                                <li>Someone may be trying to guess your password</li>
+                                <li>Consider resetting your password and enabling two-factor authentication</li>
+                                <li>This unlock link will expire in <strong>1 hour</strong></li>
+                            </ul>
+                        </div>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            We detected several failed login attempts on your account, so we locked it for ${lockMinutes} minutes.
+            
+            If this was you, unlock your account here:
+            ${unlockUrl}
+            
+            If it wasn't you, consider resetting your password and enabling two-factor authentication.
+            This unlock link will expire in 1 hour.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getEmailChangedNotificationTemplate = (userName, oldEmail, newEmail, revertUrl) => {
+    return {
+        subject: `Your Email Address Was Changed - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .button { 
+                        display: inline-block; 
+                        background-color: #DC2626; 
+                        color: white; 
+                        padding: 12px 24px; 
+                        text-decoration: none; 
+                        border-radius: 5px; 
+                        margin: 20px 0; 
+                    }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .warning { background-color: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>📧 Email Address Changed</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>The email address on your TheGigUp account was changed from <strong>${oldEmail}</strong> to <strong>${newEmail}</strong>.</p>
+                        <p>If you made this change, no action is needed.</p>
+                        
+                        <div class="warning">
+                            <strong>⚠️ Didn't make this change?</strong>
+                            <p>Click the button below to restore your old email address and sign out every device. This link will expire in <strong>7 days</strong>.</p>
+                        </div>
+                        
+                        <div style="text-align: center;">
+                            <a href="${revertUrl}" class="button">This Wasn't Me - Revert</a>
+                        </div>
+                        
+                        <p>Or copy and paste this link into your browser:</p>
+                        <p style="word-break: break-all; color: #4F46E5;">${revertUrl}</p>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            The email address on your TheGigUp account was changed from ${oldEmail} to ${newEmail}.
+            If you made this change, no action is needed.
+            
+            Didn't make this change? Restore your old email address and sign out every device:
+            ${revertUrl}
+            
+            This link will expire in 7 days.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getPasswordChangedEmailTemplate = (userName) => {
+    return {
+        subject: `Password Changed - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #10B981; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .warning { background-color: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>✅ Password Changed</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>The password for your TheGigUp account was just changed.</p>
+                        
+                        <div class="warning">
+                            <strong>⚠️ Security Notice:</strong>
+                            <p>If you did not make this change, reset your password right away using "Forgot password" and contact our support team.</p>
+                        </div>
+                        
+                        <div class="security-tip">
+                            <strong>🔐 Sessions:</strong>
+                            <p>All other devices have been signed out. The device you used to change the password stays logged in.</p>
+                        </div>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            The password for your TheGigUp account was just changed.
+            All other devices have been signed out.
+            
+            If you did not make this change, reset your password right away using "Forgot password" and contact our support team.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getAdminInvitationEmailTemplate = (inviterName, acceptUrl, permissions, expiresInHours) => {
+    return {
+        subject: `You're Invited to Join the TheGigUp Admin Team`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .button { 
+                        display: inline-block; 
+                        background-color: #4F46E5; 
+                        color: white; 
+                        padding: 12px 24px; 
+                        text-decoration: none; 
+                        border-radius: 5px; 
+                        margin: 20px 0; 
+                    }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>🛡️ Admin Invitation</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello,</h2>
+                        <p>${inviterName} has invited you to become an administrator on TheGigUp with the following roles: <strong>${permissions.join(', ')}</strong>.</p>
+                        
+                        <div style="text-align: center;">
+                            <a href="${acceptUrl}" class="button">Accept Invitation</a>
+                        </div>
+                        
+                        <p>Or copy and paste this link into your browser:</p>
+                        <p style="word-break: break-all; color: #4F46E5;">${acceptUrl}</p>
+                        
+                        <div class="security-tip">
+                            <strong>🔐 Note:</strong>
+                            <p>This invitation expires in <strong>${expiresInHours} hours</strong> and can only be used once. If you weren't expecting it, you can ignore this email.</p>
+                        </div>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello,
+            
+            ${inviterName} has invited you to become an administrator on TheGigUp with the following roles: ${permissions.join(', ')}.
+            
+            Accept the invitation here:
+            ${acceptUrl}
+            
+            This invitation expires in ${expiresInHours} hours and can only be used once.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getReportResolvedEmailTemplate = (userName, outcome, reportType, resolutionNote) => {
+    const resolved = outcome === 'RESOLVED';
+
+    return {
+        subject: `Update on Your Report - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>🛡️ Report ${resolved ? 'Resolved' : 'Reviewed'}</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>Thank you for your ${reportType.replace(/_/g, ' ').toLowerCase()} report. Our moderation team has reviewed it.</p>
+                        <p>${resolved ?
+                            'We found that it broke our community guidelines and have taken action.' :
+                            'After reviewing it, we did not find a violation of our community guidelines, so no action was taken.'}</p>
+                        
+                        ${resolutionNote ? `
+                        <div class="security-tip">
+                            <strong>📝 Note from our team:</strong>
+                            <p>${resolutionNote}</p>
+                        </div>
+                        ` : ''}
+                        
+                        <p>For privacy reasons we can't share details about actions taken on other accounts.</p>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            Thank you for your ${reportType.replace(/_/g, ' ').toLowerCase()} report. Our moderation team has reviewed it.
+            ${resolved ?
+                'We found that it broke our community guidelines and have taken action.' :
+                'After reviewing it, we did not find a violation of our community guidelines, so no action was taken.'}
+            ${resolutionNote ? `
+            Note from our team: ${resolutionNote}
+            ` : ''}
+            For privacy reasons we can't share details about actions taken on other accounts.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getAccountSuspendedEmailTemplate = (userName, reason, suspendedUntil) => {
+    const untilText = suspendedUntil ?
+        `until ${new Date(suspendedUntil).toUTCString()}` :
+        'until further notice';
+
+    return {
+        subject: `Your Account Has Been Suspended - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #DC2626; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .warning { background-color: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 20px 0; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>⛔ Account Suspended</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>Your TheGigUp account has been suspended <strong>${untilText}</strong>.</p>
+                        
+                        <div class="warning">
+                            <strong>📝 Reason:</strong>
+                            <p>${reason}</p>
+                        </div>
+                        
+                        <div class="security-tip">
+                            <strong>⚖️ Think this is a mistake?</strong>
+                            <p>You can still sign in and submit an appeal from your account. Our team will review it and email you the outcome.</p>
+                        </div>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            Your TheGigUp account has been suspended ${untilText}.
+            
+            Reason: ${reason}
+            
+            Think this is a mistake? You can still sign in and submit an appeal from your account.
+            Our team will review it and email you the outcome.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getSuspensionAppealDecisionEmailTemplate = (userName, approved, reviewNote) => {
+    return {
+        subject: `Your Suspension Appeal Was ${approved ? 'Approved' : 'Declined'} - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: ${approved ? '#10B981' : '#4F46E5'}; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>${approved ? '✅ Appeal Approved' : '⚖️ Appeal Reviewed'}</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>${approved ?
+                            'We reviewed your appeal and lifted the suspension on your account. You can use TheGigUp again right away.' :
+                            'We reviewed your appeal and decided to keep the suspension in place.'}</p>
+                        
+                        ${reviewNote ? `
+                        <div class="security-tip">
+                            <strong>📝 Note from our team:</strong>
+                            <p>${reviewNote}</p>
+                        </div>
+                        ` : ''}
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            ${approved ?
+                'We reviewed your appeal and lifted the suspension on your account. You can use TheGigUp again right away.' :
+                'We reviewed your appeal and decided to keep the suspension in place.'}
+            ${reviewNote ? `
+            Note from our team: ${reviewNote}
+            ` : ''}
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getIdentityVerificationEmailTemplate = (userName, outcome, { reason, expiresAt } = {}) => {
+    const content = {
+        APPROVED: {
+            subject: 'Your Identity Verification Was Approved - TheGigUp',
+            color: '#10B981',
+            heading: '✅ Verification Approved',
+            message: `We reviewed your documents and your profile now shows the verified badge${expiresAt ? ` until ${new Date(expiresAt).toDateString()}` : ''}.`
+        },
+        REJECTED: {
+            subject: 'Your Identity Verification Needs Attention - TheGigUp',
+            color: '#4F46E5',
+            heading: '📄 Verification Not Approved',
+            message: 'We reviewed your documents but could not verify your identity. You can submit a new request with updated documents at any time.'
+        },
+        EXPIRED: {
+            subject: 'Your Verification Has Expired - TheGigUp',
+            color: '#F59E0B',
+            heading: '⏰ Verification Expired',
+            message: 'Your verified badge has expired and is no longer shown on your profile. Submit a new verification request to renew it.'
+        }
+    }[outcome];
+
+    return {
+        subject: content.subject,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: ${content.color}; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>${content.heading}</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>${content.message}</p>
+                        
+                        ${reason ? `
+                        <div class="security-tip">
+                            <strong>📝 Reason:</strong>
+                            <p>${reason}</p>
+                        </div>
+                        ` : ''}
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            ${content.message}
+            ${reason ? `
+            Reason: ${reason}
+            ` : ''}
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getAnnouncementEmailTemplate = (userName, title, message) => {
+    return {
+        subject: `${title} - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>📢 ${title}</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p style="white-space: pre-line;">${message}</p>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>You are receiving this because you have a TheGigUp account. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            ${title}
+            
+            ${message}
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getProjectChangesRequestedEmailTemplate = (userName, projectTitle, fieldComments, note) => {
+    const comments = Object.entries(fieldComments || {});
+
+    return {
+        subject: `Changes Requested for "${projectTitle}" - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #F59E0B; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>✏️ Changes Requested</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>Our team reviewed your project <strong>${projectTitle}</strong>. It needs a few changes before it can be published.</p>
+                        
+                        ${comments.length > 0 ? `
+                        <ul>
+                            ${comments.map(([field, comment]) => `<li><strong>${field}:</strong> ${comment}</li>`).join('')}
+                        </ul>
+                        ` : ''}
+                        
+                        ${note ? `
+                        <div class="security-tip">
+                            <strong>📝 Note from our team:</strong>
+                            <p>${note}</p>
+                        </div>
+                        ` : ''}
+                        
+                        <p>Edit the project and resubmit it from your dashboard, and we'll review it again.</p>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            Our team reviewed your project "${projectTitle}". It needs a few changes before it can be published.
+            ${comments.map(([field, comment]) => `
+            - ${field}: ${comment}`).join('')}
+            ${note ? `
+            Note from our team: ${note}
+            ` : ''}
+            Edit the project and resubmit it from your dashboard, and we'll review it again.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getReviewModeratedEmailTemplate = (userName, outcome, projectTitle, reason) => {
+    const restored = outcome === 'VISIBLE';
+    const summary = restored ?
+        `A review you received for <strong>${projectTitle}</strong> has been restored to your profile after moderation.` :
+        `A review you received for <strong>${projectTitle}</strong> has been ${outcome === 'REMOVED' ? 'removed' : 'hidden'} by our moderation team. It no longer appears on your public profile or counts toward your rating.`;
+
+    return {
+        subject: `A Review on Your Profile Was ${restored ? 'Restored' : 'Moderated'} - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #4F46E5; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                    .security-tip { background-color: #DBEAFE; border-left: 4px solid #3B82F6; padding: 15px; margin: 20px 0; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>⭐ Review ${restored ? 'Restored' : 'Moderated'}</h1>
+                    </div>
+                    <div class="content">
+                        <h2>Hello ${userName},</h2>
+                        <p>${summary}</p>
+                        
+                        ${reason ? `
+                        <div class="security-tip">
+                            <strong>📝 Reason:</strong>
+                            <p>${reason}</p>
+                        </div>
+                        ` : ''}
+                        
+                        <p>Your average rating has been updated to reflect this change.</p>
+                        
+                        <p>Best regards,<br>The TheGigUp Team</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            Hello ${userName},
+            
+            ${summary.replace(/<\/?strong>/g, '"')}
+            ${reason ? `
+            Reason: ${reason}
+            ` : ''}
+            Your average rating has been updated to reflect this change.
+            
+            Best regards,
+            The TheGigUp Team
+        `
+    };
+};
+
+export const getVerificationSlaAlertEmailTemplate = (projects, slaHours) => {
+    return {
+        subject: `${projects.length} Project${projects.length === 1 ? '' : 's'} Past the Verification SLA - TheGigUp`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    .container { max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif; }
+                    .header { background-color: #DC2626; color: white; padding: 20px; text-align: center; }
+                    .content { padding: 30px; background-color: #f9f9f9; }
+                    .footer { background-color: #374151; color: white; padding: 20px; text-align: center; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>⏰ Verification SLA Exceeded</h1>
+                    </div>
+                    <div class="content">
+                        <p>These projects have waited in the verification queue for more than <strong>${slaHours} hours</strong>:</p>
+                        
+                        <ul>
+                            ${projects.map(project => `<li><strong>${project.title}</strong> - ${project.hoursInQueue}h in queue${project.claimedBy ? `, claimed by ${project.claimedBy}` : ', unclaimed'}</li>`).join('')}
+                        </ul>
+                        
+                        <p>Please review them from the admin verification queue.</p>
+                    </div>
+                    <div class="footer">
+                        <p>&copy; 2024 TheGigUp. All rights reserved.</p>
+                        <p>This is an automated email. Please do not reply to this message.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+            These projects have waited in the verification queue for more than ${slaHours} hours:
+            ${projects.map(project => `
+            - ${project.title}: ${project.hoursInQueue}h in queue${project.claimedBy ? `, claimed by ${project.claimedBy}` : ', unclaimed'}`).join('')}
+            
+            Please review them from the admin verification queue.
+        `
+    };
+};
@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import { setCache, getCache, deleteCache } from './redis.js';
 import transporter from '../nodemailer.config.js';
 import { getEmailVerificationOTPTemplate } from './emailTemplates.js';
@@ -62,6 +63,35 @@ export const isEmailOTPVerified = async (email) => {
     return data && data.verified === true;
 };
 
+// Audience that keeps verification proofs apart from access tokens signed with the same secret
+const EMAIL_VERIFICATION_AUDIENCE = 'email_verification';
+
+// Issue short-lived proof that an email address was verified (required by signup)
+export const generateEmailVerificationToken = (email) => {
+    return jwt.sign(
+        { email, purpose: 'email_verification' },
+        process.env.JWT_SECRET,
+        { expiresIn: '30m', audience: EMAIL_VERIFICATION_AUDIENCE, subject: email }
+    );
+};
+
+// Check that a verification proof is valid and belongs to this email
+export const isEmailVerificationTokenValid = (token, email) => {
+    if (!token) {
+        return false;
+    }
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+            audience: EMAIL_VERIFICATION_AUDIENCE,
+            subject: email
+        });
+        return decoded.purpose === 'email_verification' && decoded.email === email;
+    } catch (error) {
+        return false;
+    }
+};
+
 // Delete email verification OTP
 export const invalidateEmailVerificationOTP = async (email) => {
     const key = `email_verification_otp:${email}`;
@@ -113,14 +143,13 @@ export const checkEmailRegistration = async (email) => {
             return { registered: false };
         }
 
-        let userType = '';
-        if (user.role === 'CLIENT') {
-            userType = 'client';
-        } else if (user.role === 'FREELANCER') {
-            userType = 'freelancer';
-        } else {
-            userType = user.role.toLowerCase();
-        }
+        // Accounts can hold both a client and a freelancer profile
+        const profiles = [
+            user.client && 'client',
+            user.freelancer && 'freelancer'
+        ].filter(Boolean);
+
+        const userType = profiles.length > 0 ? profiles.join(' and ') : user.role.toLowerCase();
 
         return {
             registered: true,
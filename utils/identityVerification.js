@@ -0,0 +1,276 @@
+// utils/identityVerification.js
+import multer from 'multer';
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { deleteCache } from './redis.js';
+import { getSetting, SETTINGS } from './settings.js';
+import { recordAudit } from './auditLog.js';
+import { uploadPrivateFile, deletePrivateFile, getPrivateDownloadUrl } from './cloudinary.js';
+import { getIdentityVerificationEmailTemplate } from './emailTemplates.js';
+
+// Documents accepted for each profile type
+export const DOCUMENT_TYPES = {
+    FREELANCER: ['PASSPORT', 'NATIONAL_ID', 'DRIVERS_LICENSE'],
+    CLIENT: ['PASSPORT', 'NATIONAL_ID', 'DRIVERS_LICENSE', 'COMPANY_REGISTRATION', 'TAX_CERTIFICATE']
+};
+
+export const MAX_VERIFICATION_DOCUMENTS = 3;
+export const MIN_REJECTION_REASON_LENGTH = 10;
+
+const DOCUMENT_MIME_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf'
+};
+
+const DOCUMENT_URL_TTL = 10 * 60; // seconds
+
+export const DEFAULT_VERIFICATION_CONFIG = {
+    validityMonths: 12 // How long an approved verification lasts
+};
+
+// Multer for verification documents (images or PDFs, kept in memory until uploaded privately)
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB per document
+        files: MAX_VERIFICATION_DOCUMENTS
+    },
+    fileFilter: (req, file, cb) => {
+        if (DOCUMENT_MIME_TYPES[file.mimetype]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only JPEG, PNG, WebP or PDF documents are allowed'), false);
+        }
+    }
+});
+
+// Parse the "documents" files, answering upload errors here rather than in each router's error handler
+export const receiveVerificationDocuments = (req, res, next) => {
+    documentUpload.array('documents', MAX_VERIFICATION_DOCUMENTS)(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        const messages = {
+            LIMIT_FILE_SIZE: 'Each document must be at most 10MB.',
+            LIMIT_FILE_COUNT: `Upload at most ${MAX_VERIFICATION_DOCUMENTS} documents.`,
+            LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_VERIFICATION_DOCUMENTS} documents in the "documents" field.`
+        };
+
+        res.status(400).json({
+            success: false,
+            message: error instanceof multer.MulterError ? messages[error.code] || error.message : error.message
+        });
+    });
+};
+
+// Current config (SUPER_ADMIN overrides merged over the defaults)
+export const getVerificationConfig = async () => {
+    const overrides = await getSetting(SETTINGS.IDENTITY_VERIFICATION, {});
+    return { ...DEFAULT_VERIFICATION_CONFIG, ...overrides };
+};
+
+// Validate a config update. Returns the merged config or an error.
+export const normalizeVerificationConfig = (updates, currentConfig = DEFAULT_VERIFICATION_CONFIG) => {
+    const config = { ...currentConfig };
+
+    for (const [key, value] of Object.entries(updates || {})) {
+        if (!Object.hasOwn(DEFAULT_VERIFICATION_CONFIG, key)) {
+            return { valid: false, error: `Unknown verification field: ${key}` };
+        }
+
+        if (key === 'validityMonths' && (!Number.isInteger(value) || value < 1 || value > 60)) {
+            return { valid: false, error: 'validityMonths must be a whole number between 1 and 60' };
+        }
+
+        config[key] = value;
+    }
+
+    return { valid: true, config };
+};
+
+// A badge only counts while it has an expiry date in the future
+export const isVerificationCurrent = (profile) => {
+    return !!profile?.isVerified &&
+        !!profile.verificationExpiresAt &&
+        new Date(profile.verificationExpiresAt) > new Date();
+};
+
+// Verification state shown on profiles
+export const getVerificationBadge = (profile) => {
+    const current = isVerificationCurrent(profile);
+
+    return {
+        isVerified: current,
+        verifiedAt: current ? profile.verifiedAt : null,
+        verifiedUntil: current ? profile.verificationExpiresAt : null
+    };
+};
+
+const profileModel = (profileType) => profileType === 'FREELANCER' ? prisma.freelancer : prisma.client;
+
+const invalidateProfileCaches = async (userId, profile, profileType) => {
+    await Promise.all([
+        deleteCache(`public:user:profile:${userId}`),
+        deleteCache(profileType === 'FREELANCER' ?
+            `public:freelancer:profile:${profile.id}` :
+            `public:client:profile:${profile.id}`),
+        deleteCache('public:featured:freelancers')
+    ]);
+};
+
+// Mark a profile verified for the configured number of months
+export const grantVerification = async (userId, profileType) => {
+    const { validityMonths } = await getVerificationConfig();
+
+    const verifiedAt = new Date();
+    const verificationExpiresAt = new Date(verifiedAt);
+    verificationExpiresAt.setMonth(verificationExpiresAt.getMonth() + validityMonths);
+
+    const profile = await profileModel(profileType).update({
+        where: { userId },
+        data: { isVerified: true, verifiedAt, verificationExpiresAt }
+    });
+
+    await invalidateProfileCaches(userId, profile, profileType);
+    return profile;
+};
+
+export const revokeVerification = async (userId, profileType) => {
+    const profile = await profileModel(profileType).update({
+        where: { userId },
+        data: { isVerified: false, verifiedAt: null, verificationExpiresAt: null }
+    });
+
+    await invalidateProfileCaches(userId, profile, profileType);
+    return profile;
+};
+
+// Upload documents to the user's private folder
+export const storeVerificationDocuments = async (userId, files) => {
+    const uploads = await Promise.all(files.map((file, index) => uploadPrivateFile(file.buffer, {
+        folder: `identity-verification/${userId}`,
+        filename: `${Date.now()}-${index + 1}.${DOCUMENT_MIME_TYPES[file.mimetype]}`
+    })));
+
+    return uploads.map((upload, index) => ({
+        fileId: upload.public_id,
+        filename: files[index].originalname,
+        mimeType: files[index].mimetype,
+        bytes: upload.bytes
+    }));
+};
+
+export const deleteVerificationDocuments = async (documents) => {
+    await Promise.all((documents || []).map(document => deletePrivateFile(document.fileId)));
+};
+
+// Documents with short-lived signed links for reviewers
+export const withDocumentUrls = (documents) => {
+    const expiresAt = new Date(Date.now() + DOCUMENT_URL_TTL * 1000);
+
+    return (documents || []).map(document => ({
+        filename: document.filename,
+        mimeType: document.mimeType,
+        bytes: document.bytes,
+        url: getPrivateDownloadUrl(document.fileId, DOCUMENT_URL_TTL),
+        urlExpiresAt: expiresAt
+    }));
+};
+
+export const serializeVerificationRequest = (request) => ({
+    id: request.id,
+    profileType: request.profileType,
+    documentType: request.documentType,
+    documentCount: (request.documents || []).length,
+    note: request.note,
+    status: request.status,
+    rejectionReason: request.rejectionReason,
+    reviewedAt: request.reviewedAt,
+    expiresAt: request.expiresAt,
+    createdAt: request.createdAt
+});
+
+export const sendVerificationEmail = (user, outcome, details) => {
+    const emailTemplate = getIdentityVerificationEmailTemplate(user.name, outcome, details);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Identity verification email error:', error);
+        } else {
+            console.log('Identity verification email sent:', info.response);
+        }
+    });
+};
+
+// Remove lapsed badges, and badges that were never backed by a review (the old default)
+export const processExpiredVerifications = async () => {
+    const now = new Date();
+    const lapsed = {
+        isVerified: true,
+        OR: [
+            { verificationExpiresAt: null },
+            { verificationExpiresAt: { lte: now } }
+        ]
+    };
+
+    const [freelancers, clients] = await Promise.all([
+        prisma.freelancer.findMany({
+            where: lapsed,
+            select: { id: true, userId: true, verificationExpiresAt: true, user: { select: { name: true, email: true } } }
+        }),
+        prisma.client.findMany({
+            where: lapsed,
+            select: { id: true, userId: true, verificationExpiresAt: true, user: { select: { name: true, email: true } } }
+        })
+    ]);
+
+    const expired = [
+        ...freelancers.map(profile => ({ ...profile, profileType: 'FREELANCER' })),
+        ...clients.map(profile => ({ ...profile, profileType: 'CLIENT' }))
+    ];
+
+    for (const profile of expired) {
+        await revokeVerification(profile.userId, profile.profileType);
+
+        // Approved documents are only kept while the verification they back is valid
+        const requests = await prisma.verificationRequest.findMany({
+            where: { userId: profile.userId, profileType: profile.profileType, status: 'APPROVED' },
+            select: { id: true, documents: true }
+        });
+
+        for (const request of requests) {
+            await deleteVerificationDocuments(request.documents);
+            await prisma.verificationRequest.update({
+                where: { id: request.id },
+                data: { documents: [] }
+            });
+        }
+
+        await recordAudit(null, {
+            action: 'user.verification_expired',
+            targetType: 'USER',
+            targetId: profile.userId,
+            before: { isVerified: true, verificationExpiresAt: profile.verificationExpiresAt },
+            after: { isVerified: false },
+            metadata: { profile: profile.profileType, unreviewed: !profile.verificationExpiresAt }
+        });
+
+        // Legacy badges were never requested, so there is nothing to tell the user
+        if (profile.verificationExpiresAt) {
+            sendVerificationEmail(profile.user, 'EXPIRED');
+        }
+    }
+
+    return expired.length;
+};
@@ -0,0 +1,58 @@
+// utils/impersonation.js
+import jwt from 'jsonwebtoken';
+import prisma from '../prisma.config.js';
+import { ACCESS_TOKEN_TTL, revokeSession } from './session.js';
+
+// Tokens can't outlive the access-token revocation window
+export const MAX_IMPERSONATION_MINUTES = ACCESS_TOKEN_TTL / 60;
+
+// Record the session and mint a token acting as the target user.
+// The session id doubles as the token's `sid`, so the normal revocation list can end it early.
+export const startImpersonation = async ({ adminUserId, targetUser, role, reason, readOnly, durationMinutes, req }) => {
+    const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+
+    const session = await prisma.impersonationSession.create({
+        data: {
+            adminUserId,
+            targetUserId: targetUser.id,
+            role,
+            reason,
+            readOnly,
+            ipAddress: req?.ip || null,
+            userAgent: req?.get('user-agent') || null,
+            expiresAt
+        }
+    });
+
+    const token = jwt.sign(
+        {
+            userId: targetUser.id,
+            role,
+            sid: session.id,
+            impersonation: {
+                sessionId: session.id,
+                adminUserId,
+                readOnly
+            }
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: durationMinutes * 60 }
+    );
+
+    return { session, token };
+};
+
+// End a session before it expires
+export const endImpersonation = async (session) => {
+    await revokeSession(session.targetUserId, session.id);
+
+    return prisma.impersonationSession.update({
+        where: { id: session.id },
+        data: { endedAt: new Date() }
+    });
+};
+
+// Whether a session's token is still usable
+export const isImpersonationActive = (session) => {
+    return !session.endedAt && session.expiresAt > new Date();
+};
@@ -0,0 +1,191 @@
+// utils/loginProtection.js
+import crypto from 'crypto';
+import {
+    setCache,
+    getCache,
+    deleteCache,
+    addToSet,
+    removeFromSet,
+    getSetMembers,
+    incrementCounter
+} from './redis.js';
+import transporter from '../nodemailer.config.js';
+import { getAccountLockedEmailTemplate } from './emailTemplates.js';
+
+const FAILURE_WINDOW = 15 * 60; // Failed attempts are counted over 15 minutes
+const LOCK_DURATION = 15 * 60; // Temporary lockout after too many failures
+const MAX_EMAIL_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+const DELAY_THRESHOLD = 3; // Progressive delays start at the 3rd failure
+const MAX_DELAY = 30; // seconds
+const UNLOCK_TOKEN_TTL = 60 * 60; // 1 hour
+
+const LOCKED_ACCOUNTS_KEY = 'locked_accounts';
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+const attemptsKey = (email) => `login_attempts:${normalizeEmail(email)}`;
+const ipAttemptsKey = (ipAddress) => `login_attempts_ip:${ipAddress}`;
+const delayKey = (email) => `login_delay:${normalizeEmail(email)}`;
+const lockKey = (email) => `login_lock:${normalizeEmail(email)}`;
+
+// Check if a login attempt may proceed for this email and IP
+export const checkLoginAllowed = async (email, ipAddress) => {
+    const ipFailures = await getCache(ipAttemptsKey(ipAddress));
+    if (ipFailures && ipFailures >= MAX_IP_FAILURES) {
+        return {
+            allowed: false,
+            status: 429,
+            errorCode: 'TOO_MANY_ATTEMPTS',
+            message: 'Too many failed login attempts from your network. Please try again in 15 minutes.'
+        };
+    }
+
+    const lock = await getCache(lockKey(email));
+    if (lock) {
+        return {
+            allowed: false,
+            status: 423,
+            errorCode: 'ACCOUNT_LOCKED',
+            message: 'Your account is temporarily locked due to too many failed login attempts. Check your email to unlock it or try again later.',
+            lockedUntil: lock.lockedUntil
+        };
+    }
+
+    const delay = await getCache(delayKey(email));
+    if (delay?.nextAttemptAt && new Date(delay.nextAttemptAt) > new Date()) {
+        const retryAfter = Math.ceil((new Date(delay.nextAttemptAt) - new Date()) / 1000);
+        return {
+            allowed: false,
+            status: 429,
+            errorCode: 'LOGIN_DELAYED',
+            message: `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`,
+            retryAfter
+        };
+    }
+
+    return { allowed: true };
+};
+
+// Send the "unlock your account" email
+const sendAccountLockedEmail = async (email, userName) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await setCache(`account_unlock:${token}`, { email: normalizeEmail(email) }, UNLOCK_TOKEN_TTL);
+
+    const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${token}`;
+    const emailTemplate = getAccountLockedEmailTemplate(userName, unlockUrl, LOCK_DURATION / 60);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Account locked email error:', error);
+        } else {
+            console.log('Account locked email sent:', info.response);
+        }
+    });
+};
+
+// Lock an account for LOCK_DURATION
+const lockAccount = async (email, user, ipAddress, failures) => {
+    const lock = {
+        email: user?.email || email,
+        userId: user?.id || null,
+        failures,
+        ipAddress,
+        lockedAt: new Date().toISOString(),
+        lockedUntil: new Date(Date.now() + LOCK_DURATION * 1000).toISOString()
+    };
+
+    await setCache(lockKey(email), lock, LOCK_DURATION);
+    await addToSet(LOCKED_ACCOUNTS_KEY, normalizeEmail(email), LOCK_DURATION);
+
+    if (user) {
+        await sendAccountLockedEmail(user.email, user.name);
+    }
+
+    return lock;
+};
+
+// Record a failed login (unknown emails are counted too, so probing gets throttled)
+export const recordFailedLogin = async (email, ipAddress, user = null) => {
+    await incrementCounter(ipAttemptsKey(ipAddress), FAILURE_WINDOW);
+
+    // INCR keeps concurrent failures from overwriting each other's count
+    const failures = await incrementCounter(attemptsKey(email), FAILURE_WINDOW);
+
+    if (failures >= MAX_EMAIL_FAILURES) {
+        await deleteCache(attemptsKey(email));
+        await deleteCache(delayKey(email));
+        const lock = await lockAccount(email, user, ipAddress, failures);
+        return { locked: true, lockedUntil: lock.lockedUntil };
+    }
+
+    if (failures >= DELAY_THRESHOLD) {
+        const delay = Math.min(2 ** (failures - DELAY_THRESHOLD + 1), MAX_DELAY);
+        await setCache(delayKey(email), {
+            nextAttemptAt: new Date(Date.now() + delay * 1000).toISOString()
+        }, delay);
+    }
+
+    return { locked: false, failures };
+};
+
+// Reset counters after a successful login
+export const clearFailedLogins = async (email) => {
+    await deleteCache(attemptsKey(email));
+    await deleteCache(delayKey(email));
+};
+
+// Get current lock of an account (null if not locked)
+export const getAccountLock = async (email) => {
+    return getCache(lockKey(email));
+};
+
+// Remove lock and failure counters
+export const unlockAccount = async (email) => {
+    await deleteCache(lockKey(email));
+    await deleteCache(attemptsKey(email));
+    await deleteCache(delayKey(email));
+    await removeFromSet(LOCKED_ACCOUNTS_KEY, normalizeEmail(email));
+};
+
+// Redeem an unlock token from the email. Returns the unlocked email or null.
+export const redeemUnlockToken = async (token) => {
+    const key = `account_unlock:${token}`;
+    const data = await getCache(key);
+
+    if (!data) {
+        return null;
+    }
+
+    await deleteCache(key);
+    await unlockAccount(data.email);
+
+    return data.email;
+};
+
+// List currently locked accounts
+export const getLockedAccounts = async () => {
+    const emails = await getSetMembers(LOCKED_ACCOUNTS_KEY);
+    const locks = [];
+
+    for (const email of emails) {
+        const lock = await getCache(lockKey(email));
+
+        if (!lock) {
+            // Lock expired - drop it from the index
+            await removeFromSet(LOCKED_ACCOUNTS_KEY, email);
+            continue;
+        }
+
+        locks.push(lock);
+    }
+
+    return locks;
+};
@@ -0,0 +1,312 @@
+// utils/oauth.js
+// Generic OAuth2 / OpenID Connect login.
+//
+// Providers are enabled with OAUTH_PROVIDERS=github,google,... and configured per provider:
+//   OAUTH_<NAME>_CLIENT_ID, OAUTH_<NAME>_CLIENT_SECRET
+//   OAUTH_<NAME>_ISSUER             OIDC issuer, endpoints come from discovery
+//   OAUTH_<NAME>_AUTHORIZATION_URL, OAUTH_<NAME>_TOKEN_URL, OAUTH_<NAME>_USERINFO_URL  (plain OAuth2)
+//   OAUTH_<NAME>_SCOPES             space separated
+//   OAUTH_<NAME>_REDIRECT_URI       defaults to ${FRONTEND_URL}/oauth/<name>/callback
+// Any OIDC issuer works, including a local mock IdP (e.g. OAUTH_MOCK_ISSUER=http://localhost:8080/default).
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { setCache, getCache, deleteCache } from './redis.js';
+
+const STATE_TTL = 10 * 60; // 10 minutes to complete the provider round trip
+const LINK_TTL = 10 * 60; // 10 minutes to confirm a link with the account password
+const DISCOVERY_TTL = 60 * 60; // 1 hour
+
+const PROVIDER_PRESETS = {
+    google: {
+        issuer: 'https://accounts.google.com',
+        scopes: ['openid', 'email', 'profile']
+    },
+    github: {
+        authorizationUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        userInfoUrl: 'https://api.github.com/user',
+        emailsUrl: 'https://api.github.com/user/emails',
+        scopes: ['read:user', 'user:email']
+    }
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+// Provider config from presets + environment (null if not enabled or incomplete)
+export const getProvider = (name) => {
+    const enabled = (process.env.OAUTH_PROVIDERS || '')
+        .split(',')
+        .map(provider => provider.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (!name || !enabled.includes(name)) {
+        return null;
+    }
+
+    const prefix = `OAUTH_${name.toUpperCase()}_`;
+    const env = (key) => process.env[prefix + key];
+    const preset = PROVIDER_PRESETS[name] || {};
+
+    const provider = {
+        name,
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        issuer: env('ISSUER') || preset.issuer,
+        authorizationUrl: env('AUTHORIZATION_URL') || preset.authorizationUrl,
+        tokenUrl: env('TOKEN_URL') || preset.tokenUrl,
+        userInfoUrl: env('USERINFO_URL') || preset.userInfoUrl,
+        emailsUrl: preset.emailsUrl,
+        scopes: env('SCOPES') ? env('SCOPES').split(' ') : (preset.scopes || ['openid', 'email', 'profile']),
+        redirectUri: env('REDIRECT_URI') || `${process.env.FRONTEND_URL}/oauth/${name}/callback`
+    };
+
+    if (!provider.clientId || (!provider.issuer && (!provider.authorizationUrl || !provider.tokenUrl))) {
+        return null;
+    }
+
+    return provider;
+};
+
+// Names of all usable providers
+export const getEnabledProviders = () => {
+    return (process.env.OAUTH_PROVIDERS || '')
+        .split(',')
+        .map(provider => getProvider(provider.trim().toLowerCase()))
+        .filter(Boolean)
+        .map(provider => ({
+            name: provider.name,
+            type: provider.issuer ? 'oidc' : 'oauth2'
+        }));
+};
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            Accept: 'application/json',
+            'User-Agent': 'TheGigUp',
+            ...options.headers
+        }
+    });
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+        throw new Error(`Request to ${url} failed with status ${response.status}`);
+    }
+
+    return body;
+};
+
+// OIDC discovery document, merged into the provider's endpoints
+const resolveEndpoints = async (provider) => {
+    if (!provider.issuer) {
+        return provider;
+    }
+
+    const cacheKey = `oauth_discovery:${provider.name}`;
+    let discovery = await getCache(cacheKey);
+
+    if (!discovery) {
+        discovery = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        await setCache(cacheKey, discovery, DISCOVERY_TTL);
+    }
+
+    return {
+        ...provider,
+        issuer: discovery.issuer,
+        authorizationUrl: provider.authorizationUrl || discovery.authorization_endpoint,
+        tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+        userInfoUrl: provider.userInfoUrl || discovery.userinfo_endpoint,
+        jwksUri: discovery.jwks_uri
+    };
+};
+
+// Build the provider redirect URL and remember state, nonce and PKCE verifier
+export const createAuthorizationRequest = async (providerName, role = null) => {
+    const provider = await resolveEndpoints(getProvider(providerName));
+
+    const state = base64Url(crypto.randomBytes(24));
+    const nonce = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await setCache(`oauth_state:${state}`, {
+        provider: providerName,
+        role,
+        nonce,
+        codeVerifier
+    }, STATE_TTL);
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scopes.join(' '),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+
+    if (provider.issuer) {
+        params.set('nonce', nonce);
+    }
+
+    return {
+        authorizationUrl: `${provider.authorizationUrl}?${params.toString()}`,
+        state,
+        expiresIn: STATE_TTL
+    };
+};
+
+// One-time use of the state created above
+export const consumeAuthorizationState = async (state) => {
+    const key = `oauth_state:${state}`;
+    const data = await getCache(key);
+
+    if (!data) {
+        return null;
+    }
+
+    await deleteCache(key);
+    return data;
+};
+
+// Park a provider login that matched an unverified account until the owner confirms with their password
+export const createLinkRequest = async (userId, providerName, profile, role = null) => {
+    const linkToken = base64Url(crypto.randomBytes(24));
+
+    await setCache(`oauth_link:${linkToken}`, {
+        userId,
+        provider: providerName,
+        providerUserId: profile.providerUserId,
+        email: profile.email,
+        profileUrl: profile.profileUrl || null,
+        role
+    }, LINK_TTL);
+
+    return { linkToken, expiresIn: LINK_TTL };
+};
+
+// One-time use of the link request created above
+export const consumeLinkRequest = async (linkToken) => {
+    const key = `oauth_link:${linkToken}`;
+    const data = await getCache(key);
+
+    if (!data) {
+        return null;
+    }
+
+    await deleteCache(key);
+    return data;
+};
+
+// Verify an OIDC ID token against the provider's JWKS
+const verifyIdToken = async (provider, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('Malformed ID token');
+    }
+
+    const jwks = await fetchJson(provider.jwksUri);
+    const jwk = jwks.keys?.find(key => key.kid === decoded.header.kid) || jwks.keys?.[0];
+    if (!jwk) {
+        throw new Error('No signing key found for ID token');
+    }
+
+    const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+        audience: provider.clientId,
+        issuer: provider.issuer
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+};
+
+// GitHub only returns the primary email through a separate endpoint
+const fetchGithubProfile = async (provider, accessToken) => {
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const [user, emails] = await Promise.all([
+        fetchJson(provider.userInfoUrl, { headers }),
+        fetchJson(provider.emailsUrl, { headers })
+    ]);
+
+    const primary = emails.find(email => email.primary) || emails.find(email => email.verified);
+
+    return {
+        providerUserId: String(user.id),
+        email: primary?.email || user.email || null,
+        emailVerified: !!primary?.verified,
+        name: user.name || user.login,
+        picture: user.avatar_url || null,
+        profileUrl: user.html_url || null
+    };
+};
+
+// Exchange the authorization code and return a normalized profile
+export const exchangeCodeForProfile = async (providerName, code, stateData) => {
+    try {
+        const provider = await resolveEndpoints(getProvider(providerName));
+
+        const tokens = await fetchJson(provider.tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: provider.redirectUri,
+                client_id: provider.clientId,
+                ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+                code_verifier: stateData.codeVerifier
+            }).toString()
+        });
+
+        if (!tokens.access_token) {
+            return { valid: false, error: tokens.error_description || 'Provider did not return an access token' };
+        }
+
+        if (provider.emailsUrl) {
+            return { valid: true, profile: await fetchGithubProfile(provider, tokens.access_token) };
+        }
+
+        const idClaims = tokens.id_token && provider.jwksUri ?
+            await verifyIdToken(provider, tokens.id_token, stateData.nonce) :
+            {};
+
+        const userInfo = provider.userInfoUrl ?
+            await fetchJson(provider.userInfoUrl, { headers: { Authorization: `Bearer ${tokens.access_token}` } }) :
+            {};
+
+        // The userinfo subject must belong to the ID token's user
+        if (idClaims.sub && userInfo.sub && idClaims.sub !== userInfo.sub) {
+            return { valid: false, error: 'Provider returned inconsistent user information' };
+        }
+
+        const claims = { ...idClaims, ...userInfo };
+        const providerUserId = claims.sub || claims.id;
+
+        if (!providerUserId) {
+            return { valid: false, error: 'Provider did not return a user identifier' };
+        }
+
+        return {
+            valid: true,
+            profile: {
+                providerUserId: String(providerUserId),
+                email: claims.email || null,
+                emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+                name: claims.name || claims.preferred_username || claims.email,
+                picture: claims.picture || null,
+                profileUrl: claims.profile || null
+            }
+        };
+
+    } catch (error) {
+        console.error(`OAuth code exchange error (${providerName}):`, error);
+        return { valid: false, error: 'Could not complete sign-in with the provider' };
+    }
+};
@@ -0,0 +1,162 @@
+// utils/passwordPolicy.js
+import bcrypt from 'bcryptjs';
+import prisma from '../prisma.config.js';
+import { getSetting, SETTINGS } from './settings.js';
+import { COMMON_PASSWORD_SET } from './commonPasswords.js';
+
+export const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    maxLength: 128,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: false,
+    blockCommonPasswords: true,
+    historySize: 5 // Last N passwords that can't be reused (0 disables the check)
+};
+
+const BOOLEAN_RULES = ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'blockCommonPasswords'];
+
+// Current policy (SUPER_ADMIN overrides merged over the defaults)
+export const getPasswordPolicy = async () => {
+    const overrides = await getSetting(SETTINGS.PASSWORD_POLICY, {});
+    return { ...DEFAULT_PASSWORD_POLICY, ...overrides };
+};
+
+// Validate a policy update. Returns the merged policy or an error.
+export const normalizePasswordPolicy = (updates, currentPolicy = DEFAULT_PASSWORD_POLICY) => {
+    const policy = { ...currentPolicy };
+
+    for (const [key, value] of Object.entries(updates || {})) {
+        if (!Object.hasOwn(DEFAULT_PASSWORD_POLICY, key)) {
+            return { valid: false, error: `Unknown policy field: ${key}` };
+        }
+
+        if (BOOLEAN_RULES.includes(key)) {
+            if (typeof value !== 'boolean') {
+                return { valid: false, error: `${key} must be a boolean value` };
+            }
+        } else if (!Number.isInteger(value) || value < 0) {
+            return { valid: false, error: `${key} must be a non-negative integer` };
+        }
+
+        policy[key] = value;
+    }
+
+    if (policy.minLength < 6) {
+        return { valid: false, error: 'minLength must be at least 6' };
+    }
+
+    if (policy.maxLength < policy.minLength) {
+        return { valid: false, error: 'maxLength must be greater than or equal to minLength' };
+    }
+
+    if (policy.historySize > 24) {
+        return { valid: false, error: 'historySize must be 24 or less' };
+    }
+
+    return { valid: true, policy };
+};
+
+// Check a new password against the policy. `context.email` is the account's email address.
+export const validatePassword = async (password, context = {}) => {
+    const policy = await getPasswordPolicy();
+    const errors = [];
+
+    if (typeof password !== 'string') {
+        return { valid: false, errors: ['Password is required'], message: 'Password is required' };
+    }
+
+    if (password.length < policy.minLength) {
+        errors.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+
+    if (password.length > policy.maxLength) {
+        errors.push(`Password must be at most ${policy.maxLength} characters long`);
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        errors.push('Password must contain an uppercase letter');
+    }
+
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        errors.push('Password must contain a lowercase letter');
+    }
+
+    if (policy.requireNumber && !/\d/.test(password)) {
+        errors.push('Password must contain a number');
+    }
+
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        errors.push('Password must contain a symbol');
+    }
+
+    const lowered = password.toLowerCase();
+
+    if (policy.blockCommonPasswords && COMMON_PASSWORD_SET.has(lowered)) {
+        errors.push('This password is too common. Please choose a less predictable one');
+    }
+
+    const emailName = context.email?.split('@')[0]?.toLowerCase();
+    if (emailName && emailName.length >= 3 && lowered.includes(emailName)) {
+        errors.push('Password must not contain your email address');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        message: errors[0] || null
+    };
+};
+
+// True if the password is the current one or one of the previous N-1
+export const isPasswordReused = async (userId, password, currentHash = null) => {
+    const policy = await getPasswordPolicy();
+
+    if (policy.historySize === 0) {
+        return false;
+    }
+
+    if (currentHash && await bcrypt.compare(password, currentHash)) {
+        return true;
+    }
+
+    const history = await prisma.passwordHistory.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        take: policy.historySize - 1 // The current password counts as one of the N
+    });
+
+    for (const entry of history) {
+        if (await bcrypt.compare(password, entry.passwordHash)) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+// Remember the replaced password hash and drop entries beyond the history size
+export const recordPasswordHistory = async (userId, previousHash) => {
+    const policy = await getPasswordPolicy();
+
+    await prisma.passwordHistory.create({
+        data: {
+            userId,
+            passwordHash: previousHash
+        }
+    });
+
+    const stale = await prisma.passwordHistory.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        skip: Math.max(policy.historySize - 1, 0),
+        select: { id: true }
+    });
+
+    if (stale.length > 0) {
+        await prisma.passwordHistory.deleteMany({
+            where: { id: { in: stale.map(entry => entry.id) } }
+        });
+    }
+};
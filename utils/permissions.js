@@ -0,0 +1,141 @@
+// utils/permissions.js
+import prisma from '../prisma.config.js';
+import { setCache, getCache, deleteCache } from './redis.js';
+
+// Named admin permissions checked by requireAdminPermission
+export const PERMISSIONS = {
+    USERS_READ: 'users.read',
+    USERS_READ_PII: 'users.read_pii',
+    USERS_SUSPEND: 'users.suspend',
+    USERS_VERIFY: 'users.verify',
+    USERS_UNLOCK: 'users.unlock',
+    USERS_IMPERSONATE: 'users.impersonate',
+    USERS_IMPERSONATE_WRITE: 'users.impersonate_write',
+    PROJECTS_READ: 'projects.read',
+    PROJECTS_APPROVE: 'projects.approve',
+    PROJECTS_FEATURE: 'projects.feature',
+    REPORTS_MANAGE: 'reports.manage',
+    REVIEWS_MODERATE: 'reviews.moderate',
+    AUDIT_READ: 'audit.read',
+    ANALYTICS_READ: 'analytics.read',
+    DATA_EXPORT: 'data.export',
+    ANNOUNCEMENTS_MANAGE: 'announcements.manage',
+    ADMINS_MANAGE: 'admins.manage',
+    ROLES_MANAGE: 'roles.manage',
+    SETTINGS_MANAGE: 'settings.manage'
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Used until a role is edited and saved in the database
+export const DEFAULT_ROLE_PERMISSIONS = {
+    MODERATOR: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.USERS_READ_PII,
+        PERMISSIONS.USERS_SUSPEND,
+        PERMISSIONS.USERS_VERIFY,
+        PERMISSIONS.USERS_UNLOCK,
+        PERMISSIONS.PROJECTS_READ,
+        PERMISSIONS.PROJECTS_APPROVE,
+        PERMISSIONS.PROJECTS_FEATURE,
+        PERMISSIONS.REPORTS_MANAGE,
+        PERMISSIONS.REVIEWS_MODERATE,
+        PERMISSIONS.AUDIT_READ,
+        PERMISSIONS.ANALYTICS_READ
+    ],
+    SUPPORT: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.USERS_READ_PII,
+        PERMISSIONS.USERS_UNLOCK,
+        PERMISSIONS.USERS_IMPERSONATE,
+        PERMISSIONS.PROJECTS_READ
+    ]
+};
+
+// SUPER_ADMIN always holds every permission and can't be edited
+export const SUPER_ADMIN_ROLE = 'SUPER_ADMIN';
+
+const ROLES_CACHE_KEY = 'admin_permission_roles';
+
+// All roles (built-in defaults merged with database rows), keyed by name
+export const getPermissionRoles = async () => {
+    const cached = await getCache(ROLES_CACHE_KEY);
+    if (cached) {
+        return cached;
+    }
+
+    const rows = await prisma.adminPermissionRole.findMany({
+        orderBy: { name: 'asc' }
+    });
+
+    const roles = {
+        [SUPER_ADMIN_ROLE]: {
+            name: SUPER_ADMIN_ROLE,
+            description: 'Full access, including admin and role management',
+            permissions: ALL_PERMISSIONS,
+            builtIn: true
+        }
+    };
+
+    for (const [name, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        roles[name] = { name, description: null, permissions, builtIn: true };
+    }
+
+    for (const row of rows) {
+        if (row.name === SUPER_ADMIN_ROLE) continue;
+
+        roles[row.name] = {
+            name: row.name,
+            description: row.description,
+            permissions: row.permissions.filter(permission => ALL_PERMISSIONS.includes(permission)),
+            builtIn: Object.hasOwn(DEFAULT_ROLE_PERMISSIONS, row.name),
+            updatedBy: row.updatedBy,
+            updatedAt: row.updatedAt
+        };
+    }
+
+    await setCache(ROLES_CACHE_KEY, roles, 300);
+    return roles;
+};
+
+export const clearPermissionRolesCache = async () => {
+    await deleteCache(ROLES_CACHE_KEY);
+};
+
+// Role names an admin holds: the AdminRole[] base roles plus any custom roles
+export const getAdminRoleNames = (admin) => {
+    return [...new Set([...(admin.permissions || []), ...(admin.customRoles || [])])];
+};
+
+// Effective permission list for an Admin row
+export const resolveAdminPermissions = async (admin) => {
+    const roles = await getPermissionRoles();
+    const permissions = new Set();
+
+    for (const roleName of getAdminRoleNames(admin)) {
+        for (const permission of roles[roleName]?.permissions || []) {
+            permissions.add(permission);
+        }
+    }
+
+    return [...permissions];
+};
+
+// Validate a permission list from a request body
+export const isValidPermissionNames = (permissions) => {
+    return Array.isArray(permissions) &&
+        permissions.every(permission => ALL_PERMISSIONS.includes(permission));
+};
+
+// Hide most of an email address from admins without users.read_pii
+export const maskEmail = (email) => {
+    if (!email) return email;
+
+    const [local, domain] = email.split('@');
+    return `${local.charAt(0)}***@${domain}`;
+};
+
+// Email as the requesting admin may see it
+export const visibleEmail = (req, email) => {
+    return req.adminPermissions?.includes(PERMISSIONS.USERS_READ_PII) ? email : maskEmail(email);
+};
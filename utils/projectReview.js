@@ -0,0 +1,147 @@
+// utils/projectReview.js
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { getProjectChangesRequestedEmailTemplate } from './emailTemplates.js';
+
+// Fields a moderator can comment on and a client can edit on resubmission
+export const REVIEWABLE_FIELDS = ['title', 'description', 'skillsRequired', 'budgetMin', 'budgetMax', 'duration'];
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// Validate { field: comment } from a moderator. Returns the trimmed comments or an error.
+export const normalizeFieldComments = (fieldComments) => {
+    if (fieldComments === undefined || fieldComments === null) {
+        return { valid: true, comments: {} };
+    }
+
+    if (typeof fieldComments !== 'object' || Array.isArray(fieldComments)) {
+        return { valid: false, error: 'fieldComments must be an object of { field: comment }' };
+    }
+
+    const comments = {};
+
+    for (const [field, comment] of Object.entries(fieldComments)) {
+        if (!REVIEWABLE_FIELDS.includes(field)) {
+            return { valid: false, error: `Unknown field "${field}". Fields: ${REVIEWABLE_FIELDS.join(', ')}` };
+        }
+
+        if (typeof comment !== 'string' || !comment.trim() || comment.trim().length > MAX_COMMENT_LENGTH) {
+            return { valid: false, error: `Comment for ${field} must be between 1 and ${MAX_COMMENT_LENGTH} characters` };
+        }
+
+        comments[field] = comment.trim();
+    }
+
+    return { valid: true, comments };
+};
+
+// Record an admin decision as the project's next review round
+export const recordProjectReview = async (projectId, { outcome, fieldComments, note, reviewedBy, queuedAt = null, claimedAt = null }) => {
+    const round = await prisma.projectReview.count({ where: { projectId } }) + 1;
+
+    return prisma.projectReview.create({
+        data: {
+            projectId,
+            round,
+            outcome,
+            fieldComments: fieldComments && Object.keys(fieldComments).length > 0 ? fieldComments : undefined,
+            note: note || null,
+            reviewedBy,
+            queuedAt,
+            claimedAt
+        }
+    });
+};
+
+// Client edits from a resubmission request. Returns the project fields to write or an error.
+export const parseResubmissionEdits = (body) => {
+    const data = {};
+
+    if (body.title !== undefined) {
+        if (typeof body.title !== 'string' || !body.title.trim()) {
+            return { valid: false, error: 'Project title cannot be empty' };
+        }
+        data.title = body.title.trim();
+    }
+
+    if (body.description !== undefined) {
+        data.description = body.description || null;
+    }
+
+    if (body.skillsRequired !== undefined) {
+        // Same comma-separated format as project creation; arrays are accepted too
+        const skills = Array.isArray(body.skillsRequired) ? body.skillsRequired : String(body.skillsRequired).split(',');
+        data.skillsRequired = skills.map(skill => String(skill).trim()).filter(Boolean);
+    }
+
+    for (const field of ['budgetMin', 'budgetMax']) {
+        if (body[field] !== undefined) {
+            const value = body[field] === null || body[field] === '' ? null : parseFloat(body[field]);
+            if (value !== null && (isNaN(value) || value < 0)) {
+                return { valid: false, error: `${field} must be a positive number` };
+            }
+            data[field] = value;
+        }
+    }
+
+    if (body.duration !== undefined) {
+        data.duration = body.duration || null;
+    }
+
+    return { valid: true, data };
+};
+
+// { field: { before, after } } for fields whose value actually changed
+export const diffProjectFields = (project, data) => {
+    const changes = {};
+
+    for (const [field, after] of Object.entries(data)) {
+        const before = project[field];
+        if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+            changes[field] = { before, after };
+        }
+    }
+
+    return changes;
+};
+
+// Every review round with the client's answer to it, oldest first
+export const getReviewHistory = async (projectId) => {
+    const reviews = await prisma.projectReview.findMany({
+        where: { projectId },
+        orderBy: { round: 'asc' }
+    });
+
+    return reviews.map(review => ({
+        round: review.round,
+        outcome: review.outcome,
+        fieldComments: review.fieldComments || {},
+        note: review.note,
+        reviewedBy: review.reviewedBy,
+        reviewedAt: review.createdAt,
+        resubmission: review.resubmittedAt ? {
+            resubmittedAt: review.resubmittedAt,
+            changes: review.changes || {}
+        } : null
+    }));
+};
+
+export const sendChangesRequestedEmail = (client, project, fieldComments, note) => {
+    const emailTemplate = getProjectChangesRequestedEmailTemplate(client.name, project.title, fieldComments, note);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: client.email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Changes requested email error:', error);
+        } else {
+            console.log('Changes requested email sent:', info.response);
+        }
+    });
+};
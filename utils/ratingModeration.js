@@ -0,0 +1,148 @@
+// utils/ratingModeration.js
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { deleteCache, deleteCachePattern } from './redis.js';
+import { recordAudit } from './auditLog.js';
+import { getReviewModeratedEmailTemplate } from './emailTemplates.js';
+
+export const RATING_STATUSES = ['VISIBLE', 'HIDDEN', 'REMOVED'];
+export const MIN_MODERATION_REASON_LENGTH = 10;
+
+// Admin action -> status it leaves the review in
+export const RATING_MODERATION_ACTIONS = {
+    hide: 'HIDDEN',
+    remove: 'REMOVED',
+    restore: 'VISIBLE'
+};
+
+const AUDIT_ACTIONS = {
+    HIDDEN: 'rating.hidden',
+    REMOVED: 'rating.removed',
+    VISIBLE: 'rating.restored'
+};
+
+// The profile a rating counts toward
+const ratedProfile = (raterType) => raterType === 'CLIENT_TO_FREELANCER' ? prisma.freelancer : prisma.client;
+
+// Recompute the stored average from visible reviews only. Returns the new average.
+export const recomputeRatingAverage = async (ratedId, raterType) => {
+    const { _avg } = await prisma.rating.aggregate({
+        where: { ratedId, raterType, status: 'VISIBLE' },
+        _avg: { rating: true }
+    });
+
+    const average = _avg.rating ? parseFloat(_avg.rating.toFixed(2)) : 0;
+
+    await ratedProfile(raterType).updateMany({
+        where: { userId: ratedId },
+        data: { ratings: average }
+    });
+
+    return average;
+};
+
+// Every cache that shows this review or the rated user's average
+export const clearRatingCaches = async (rating) => {
+    const profile = await ratedProfile(rating.raterType).findUnique({
+        where: { userId: rating.ratedId },
+        select: { id: true }
+    });
+
+    await Promise.all([
+        deleteCachePattern(`public:user:${rating.ratedId}:ratings:*`),
+        deleteCachePattern(`freelancer:ratings:${rating.ratedId}:*`),
+        deleteCachePattern(`client:ratings:${rating.ratedId}:*`),
+        deleteCachePattern(`freelancer:ratings:${rating.raterId}:*`),
+        deleteCachePattern(`client:ratings:${rating.raterId}:*`),
+        deleteCache(`freelancer:ratings:stats:${rating.ratedId}`),
+        // Listings and search results embed the average rating
+        deleteCachePattern('public:freelancers:*'),
+        deleteCachePattern('public:profiles:search:*'),
+        deleteCache(`public:user:profile:${rating.ratedId}`),
+        deleteCache(`client:profile:${rating.ratedId}`),
+        deleteCache(`freelancer:profile:${rating.ratedId}`),
+        ...(profile ? [deleteCache(rating.raterType === 'CLIENT_TO_FREELANCER' ?
+            `public:freelancer:profile:${profile.id}` :
+            `public:client:profile:${profile.id}`)] : []),
+        deleteCache('public:featured:freelancers'),
+        deleteCache('public:featured:clients'),
+        deleteCache('admin:dashboard:stats')
+    ]);
+};
+
+const sendReviewModeratedEmail = async (rating, status, projectTitle, reason) => {
+    const user = await prisma.user.findUnique({
+        where: { id: rating.ratedId },
+        select: { name: true, email: true, deletedAt: true }
+    });
+
+    if (!user || user.deletedAt) return;
+
+    const emailTemplate = getReviewModeratedEmailTemplate(user.name, status, projectTitle, reason);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: user.email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Review moderated email error:', error);
+        } else {
+            console.log('Review moderated email sent:', info.response);
+        }
+    });
+};
+
+// Move a review to a new status, then refresh the average, caches, audit trail and the rated user
+export const moderateRating = async (req, rating, status, reason) => {
+    const updated = await prisma.rating.update({
+        where: { id: rating.id },
+        data: {
+            status,
+            moderationReason: reason || null,
+            moderatedBy: req.user.userId,
+            moderatedAt: new Date()
+        },
+        include: { project: { select: { title: true } } }
+    });
+
+    const average = await recomputeRatingAverage(rating.ratedId, rating.raterType);
+    await clearRatingCaches(rating);
+
+    await recordAudit(req, {
+        action: AUDIT_ACTIONS[status],
+        targetType: 'RATING',
+        targetId: rating.id,
+        projectId: rating.projectId,
+        before: { status: rating.status, moderationReason: rating.moderationReason },
+        after: { status, moderationReason: updated.moderationReason },
+        metadata: { ratedId: rating.ratedId, raterId: rating.raterId, ratedAverage: average }
+    });
+
+    await sendReviewModeratedEmail(rating, status, updated.project.title, reason);
+
+    return { rating: updated, average };
+};
+
+export const serializeRating = (rating, users = {}) => ({
+    id: rating.id,
+    projectId: rating.projectId,
+    projectTitle: rating.project?.title || null,
+    rating: rating.rating,
+    review: rating.review,
+    raterType: rating.raterType,
+    rater: users[rating.raterId] || { id: rating.raterId },
+    rated: users[rating.ratedId] || { id: rating.ratedId },
+    status: rating.status,
+    moderation: rating.status !== 'VISIBLE' || rating.moderatedAt ? {
+        reason: rating.moderationReason,
+        moderatedBy: rating.moderatedBy,
+        moderatedAt: rating.moderatedAt
+    } : null,
+    createdAt: rating.createdAt,
+    updatedAt: rating.updatedAt
+});
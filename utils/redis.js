@@ -40,4 +40,67 @@ export const deleteCache = async (key) => {
     } catch (error) {
         console.error('Error deleting cache:', error);
     }
-};
\ No newline at end of file
+};
+
+// Delete every key matching a glob pattern (for caches keyed by page/limit)
+export const deleteCachePattern = async (pattern) => {
+    try {
+        const client = await initializeRedis();
+        for await (const keys of client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+            if (keys.length > 0) {
+                await client.del(keys);
+            }
+        }
+    } catch (error) {
+        console.error('Error deleting cache pattern:', error);
+    }
+};
+
+// Add member to a set (optionally refreshing the set's expiry)
+export const addToSet = async (key, member, ttl = null) => {
+    try {
+        const client = await initializeRedis();
+        await client.sAdd(key, member);
+        if (ttl) {
+            await client.expire(key, ttl);
+        }
+    } catch (error) {
+        console.error('Error adding to set:', error);
+    }
+};
+
+// Remove member from a set
+export const removeFromSet = async (key, member) => {
+    try {
+        const client = await initializeRedis();
+        await client.sRem(key, member);
+    } catch (error) {
+        console.error('Error removing from set:', error);
+    }
+};
+
+// Get all members of a set
+export const getSetMembers = async (key) => {
+    try {
+        const client = await initializeRedis();
+        return await client.sMembers(key);
+    } catch (error) {
+        console.error('Error getting set members:', error);
+        return [];
+    }
+};
+
+// Increment a counter, starting its expiry window on the first hit
+export const incrementCounter = async (key, ttl) => {
+    try {
+        const client = await initializeRedis();
+        const count = await client.incr(key);
+        if (count === 1) {
+            await client.expire(key, ttl);
+        }
+        return count;
+    } catch (error) {
+        console.error('Error incrementing counter:', error);
+        return 0;
+    }
+};
@@ -0,0 +1,182 @@
+// utils/reports.js
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { deleteCache } from './redis.js';
+import { suspendUser } from './suspension.js';
+import { requeueFields } from './verificationQueue.js';
+import { PERMISSIONS } from './permissions.js';
+import { getReportResolvedEmailTemplate } from './emailTemplates.js';
+
+export const REPORT_TYPES = ['USER_BEHAVIOR', 'INAPPROPRIATE_CONTENT', 'FRAUD', 'SPAM', 'OTHER'];
+export const REPORT_TARGET_TYPES = ['USER', 'PROJECT', 'PROPOSAL', 'REVIEW'];
+
+// Allowed status changes; RESOLVED and DISMISSED are final
+export const REPORT_TRANSITIONS = {
+    PENDING: ['INVESTIGATING', 'RESOLVED', 'DISMISSED'],
+    INVESTIGATING: ['RESOLVED', 'DISMISSED'],
+    RESOLVED: [],
+    DISMISSED: []
+};
+
+// Enforcement actions and the admin permission each one needs
+export const REPORT_ACTIONS = {
+    SUSPEND_USER: PERMISSIONS.USERS_SUSPEND,
+    UNPUBLISH_PROJECT: PERMISSIONS.PROJECTS_APPROVE
+};
+
+export const MAX_REPORTS_PER_DAY = 10;
+
+// Look up what is being reported and who owns it.
+// Returns { reportedId, projectId } or null if the target doesn't exist.
+export const resolveReportTarget = async (targetType, targetId) => {
+    switch (targetType) {
+        case 'USER': {
+            const user = await prisma.user.findUnique({
+                where: { id: targetId },
+                select: { id: true, role: true, deletedAt: true }
+            });
+            if (!user || user.role === 'ADMIN' || user.deletedAt) return null;
+            return { reportedId: user.id, projectId: null };
+        }
+        case 'PROJECT': {
+            const project = await prisma.project.findUnique({
+                where: { id: targetId },
+                select: { id: true, client: { select: { userId: true } } }
+            });
+            if (!project) return null;
+            return { reportedId: project.client.userId, projectId: project.id };
+        }
+        case 'PROPOSAL': {
+            const application = await prisma.application.findUnique({
+                where: { id: targetId },
+                select: { projectId: true, freelancer: { select: { userId: true } } }
+            });
+            if (!application) return null;
+            return { reportedId: application.freelancer.userId, projectId: application.projectId };
+        }
+        case 'REVIEW': {
+            const rating = await prisma.rating.findUnique({
+                where: { id: targetId },
+                select: { raterId: true, projectId: true }
+            });
+            if (!rating) return null;
+            return { reportedId: rating.raterId, projectId: rating.projectId };
+        }
+        default:
+            return null;
+    }
+};
+
+// Reported content for the admin detail view
+export const getReportTargetDetails = async (report) => {
+    const targetId = report.targetId || report.reportedId;
+
+    switch (report.targetType) {
+        case 'PROJECT':
+            return prisma.project.findUnique({
+                where: { id: targetId },
+                select: { id: true, title: true, description: true, status: true, createdAt: true }
+            });
+        case 'PROPOSAL':
+            return prisma.application.findUnique({
+                where: { id: targetId },
+                select: { id: true, projectId: true, proposal: true, coverLetter: true, status: true, createdAt: true }
+            });
+        case 'REVIEW':
+            return prisma.rating.findUnique({
+                where: { id: targetId },
+                select: { id: true, projectId: true, rating: true, review: true, raterType: true, createdAt: true }
+            });
+        default:
+            return null;
+    }
+};
+
+// Apply an enforcement action. Returns { applied, error }.
+export const applyReportEnforcement = async (report, action, { adminUserId = null, suspensionReason = null } = {}) => {
+    if (action === 'SUSPEND_USER') {
+        const user = await prisma.user.findUnique({
+            where: { id: report.reportedId },
+            select: { id: true, role: true, isActive: true }
+        });
+
+        if (!user || user.role === 'ADMIN') {
+            return { applied: false, error: 'Reported user cannot be suspended' };
+        }
+
+        if (user.isActive) {
+            await suspendUser(user.id, {
+                reason: suspensionReason || `Violation of our community guidelines (${report.reportType.replace(/_/g, ' ').toLowerCase()})`,
+                suspendedBy: adminUserId
+            });
+        }
+
+        return { applied: true };
+    }
+
+    if (action === 'UNPUBLISH_PROJECT') {
+        if (report.targetType !== 'PROJECT') {
+            return { applied: false, error: 'Only project reports can unpublish a project' };
+        }
+
+        const project = await prisma.project.findUnique({
+            where: { id: report.targetId },
+            include: { client: { select: { userId: true } } }
+        });
+
+        if (!project || project.status !== 'OPEN') {
+            return { applied: false, error: 'Only OPEN projects can be unpublished' };
+        }
+
+        // Back to the verification queue, off the public listings
+        await prisma.project.update({
+            where: { id: project.id },
+            data: {
+                ...requeueFields(),
+                isFeatured: false
+            }
+        });
+
+        await Promise.all([
+            deleteCache('admin:dashboard:stats'),
+            deleteCache('public:projects:available'),
+            deleteCache('public:projects:recent'),
+            deleteCache('public:featured:projects'),
+            deleteCache(`project:${project.id}`),
+            deleteCache(`client:projects:${project.clientId}`),
+            deleteCache(`client:dashboard:${project.client.userId}`)
+        ]);
+
+        return { applied: true };
+    }
+
+    return { applied: false, error: 'Unknown enforcement action' };
+};
+
+// Let the reporter know their report was closed
+export const sendReportResolvedEmail = async (report, reporterMessage) => {
+    const reporter = await prisma.user.findUnique({
+        where: { id: report.reporterId },
+        select: { name: true, email: true, deletedAt: true }
+    });
+
+    if (!reporter || reporter.deletedAt) return;
+
+    const emailTemplate = getReportResolvedEmailTemplate(reporter.name, report.status, report.reportType, reporterMessage);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: reporter.email,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Report resolved email error:', error);
+        } else {
+            console.log('Report resolved email sent:', info.response);
+        }
+    });
+};
@@ -0,0 +1,177 @@
+// utils/session.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+    setCache,
+    getCache,
+    deleteCache,
+    addToSet,
+    removeFromSet,
+    getSetMembers
+} from './redis.js';
+
+// Access tokens are short-lived; refresh tokens rotate on every use
+export const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const userSessionsKey = (userId) => `user_sessions:${userId}`;
+const revokedSessionKey = (sessionId) => `revoked_session:${sessionId}`;
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate short-lived JWT access token bound to a session
+export const generateAccessToken = (userId, role, sessionId) => {
+    return jwt.sign(
+        { userId, role, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Access tokens carry a user and no audience or purpose - anything else (e.g. an email verification proof) is not a login
+export const isAccessTokenPayload = (decoded) => {
+    return !!decoded?.userId && !decoded.aud && !decoded.purpose;
+};
+
+// Issue a new refresh secret for a session and return the token pair
+const issueTokens = async (session) => {
+    const refreshSecret = crypto.randomBytes(48).toString('hex');
+
+    session.refreshTokenHash = hashToken(refreshSecret);
+    session.lastUsedAt = new Date().toISOString();
+
+    await setCache(sessionKey(session.id), session, REFRESH_TOKEN_TTL);
+    await addToSet(userSessionsKey(session.userId), session.id, REFRESH_TOKEN_TTL);
+
+    return {
+        token: generateAccessToken(session.userId, session.role, session.id),
+        refreshToken: `${session.id}.${refreshSecret}`,
+        sessionId: session.id,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+};
+
+// Roles a user can act as (one account may hold both a client and a freelancer profile)
+export const getAvailableRoles = (user) => {
+    if (user.role === 'ADMIN') {
+        return ['ADMIN'];
+    }
+
+    const roles = [];
+    if (user.client) roles.push('CLIENT');
+    if (user.freelancer) roles.push('FREELANCER');
+
+    return roles.length > 0 ? roles : [user.role];
+};
+
+// Create a new session for a user and return access + refresh tokens.
+// `role` is the active role carried in the token claim.
+export const createSession = async (user, req = null, role = user.role) => {
+    const session = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        role,
+        userAgent: req?.get('user-agent') || null,
+        ipAddress: req?.ip || null,
+        createdAt: new Date().toISOString()
+    };
+
+    return issueTokens(session);
+};
+
+// Change the active role of an existing session and re-issue its tokens
+export const switchSessionRole = async (user, sessionId, role, req = null) => {
+    const session = sessionId ? await getCache(sessionKey(sessionId)) : null;
+
+    if (!session || session.userId !== user.id) {
+        return createSession(user, req, role);
+    }
+
+    session.role = role;
+    return issueTokens(session);
+};
+
+// Rotate a refresh token. A reused (already rotated) token revokes the session.
+export const rotateRefreshToken = async (refreshToken) => {
+    const [sessionId, refreshSecret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !refreshSecret) {
+        return { valid: false, error: 'Invalid refresh token' };
+    }
+
+    const session = await getCache(sessionKey(sessionId));
+    if (!session) {
+        return { valid: false, error: 'Session expired or revoked' };
+    }
+
+    const expected = Buffer.from(session.refreshTokenHash, 'hex');
+    const provided = Buffer.from(hashToken(refreshSecret), 'hex');
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        // Token reuse - someone is holding an old refresh token
+        await revokeSession(session.userId, sessionId);
+        return { valid: false, error: 'Refresh token reuse detected. Session revoked.' };
+    }
+
+    const tokens = await issueTokens(session);
+    return { valid: true, session, tokens };
+};
+
+// Revoke a single session
+export const revokeSession = async (userId, sessionId) => {
+    await deleteCache(sessionKey(sessionId));
+    await removeFromSet(userSessionsKey(userId), sessionId);
+
+    // Outstanding access tokens stay on the revocation list until they expire
+    await setCache(revokedSessionKey(sessionId), true, ACCESS_TOKEN_TTL);
+};
+
+// Revoke every session of a user, optionally keeping one
+export const revokeAllSessions = async (userId, exceptSessionId = null) => {
+    const sessionIds = await getSetMembers(userSessionsKey(userId));
+
+    await Promise.all(
+        sessionIds
+            .filter(sessionId => sessionId !== exceptSessionId)
+            .map(sessionId => revokeSession(userId, sessionId))
+    );
+};
+
+// Check access token's session against the revocation list
+export const isSessionRevoked = async (sessionId) => {
+    if (!sessionId) {
+        return false;
+    }
+
+    const revoked = await getCache(revokedSessionKey(sessionId));
+    return revoked === true;
+};
+
+// List active sessions of a user
+export const listSessions = async (userId) => {
+    const sessionIds = await getSetMembers(userSessionsKey(userId));
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+        const session = await getCache(sessionKey(sessionId));
+
+        if (!session) {
+            // Expired - drop it from the index
+            await removeFromSet(userSessionsKey(userId), sessionId);
+            continue;
+        }
+
+        sessions.push({
+            sessionId: session.id,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt
+        });
+    }
+
+    return sessions.sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+};
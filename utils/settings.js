@@ -0,0 +1,43 @@
+// utils/settings.js
+import prisma from '../prisma.config.js';
+import { setCache, getCache, deleteCache } from './redis.js';
+
+// Platform-wide settings editable by SUPER_ADMIN
+export const SETTINGS = {
+    ADMIN_TWO_FACTOR_REQUIRED: 'admin_two_factor_required',
+    PASSWORD_POLICY: 'password_policy',
+    CONTENT_SCREENING: 'content_screening',
+    IDENTITY_VERIFICATION: 'identity_verification',
+    VERIFICATION_QUEUE: 'verification_queue'
+};
+
+// Get setting value (cached for 5 minutes)
+export const getSetting = async (key, defaultValue = null) => {
+    const cacheKey = `settings:${key}`;
+
+    const cached = await getCache(cacheKey);
+    if (cached !== null) {
+        return cached.value;
+    }
+
+    const setting = await prisma.platformSetting.findUnique({
+        where: { key }
+    });
+
+    const value = setting ? setting.value : defaultValue;
+    await setCache(cacheKey, { value }, 300);
+
+    return value;
+};
+
+// Update setting value
+export const setSetting = async (key, value, updatedBy = null) => {
+    const setting = await prisma.platformSetting.upsert({
+        where: { key },
+        update: { value, updatedBy },
+        create: { key, value, updatedBy }
+    });
+
+    await deleteCache(`settings:${key}`);
+    return setting;
+};
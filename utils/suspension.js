@@ -0,0 +1,158 @@
+// utils/suspension.js
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { deleteCache } from './redis.js';
+import { recordAudit } from './auditLog.js';
+import {
+    getAccountSuspendedEmailTemplate,
+    getSuspensionAppealDecisionEmailTemplate
+} from './emailTemplates.js';
+
+export const MAX_SUSPENSION_DAYS = 365;
+
+const suspensionFields = {
+    suspensionReason: null,
+    suspendedAt: null,
+    suspendedUntil: null,
+    suspendedBy: null
+};
+
+const sendMail = (to, emailTemplate, label) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error(`${label} email error:`, error);
+        } else {
+            console.log(`${label} email sent:`, info.response);
+        }
+    });
+};
+
+// What a suspended user is told about their suspension
+export const getSuspensionDetails = (user) => ({
+    reason: user.suspensionReason || null,
+    suspendedAt: user.suspendedAt || null,
+    suspendedUntil: user.suspendedUntil || null
+});
+
+// Optional end date, either as a number of days or an explicit date. Returns { valid, endsAt } or an error.
+export const parseSuspensionEnd = ({ durationDays, suspendedUntil }) => {
+    if (durationDays !== undefined && durationDays !== null) {
+        const days = parseInt(durationDays);
+        if (!days || days < 1 || days > MAX_SUSPENSION_DAYS) {
+            return { valid: false, error: `durationDays must be between 1 and ${MAX_SUSPENSION_DAYS}` };
+        }
+        return { valid: true, endsAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+    }
+
+    if (suspendedUntil) {
+        const endsAt = new Date(suspendedUntil);
+        const maxEnd = new Date(Date.now() + MAX_SUSPENSION_DAYS * 24 * 60 * 60 * 1000);
+        if (isNaN(endsAt.getTime()) || endsAt <= new Date() || endsAt > maxEnd) {
+            return { valid: false, error: `suspendedUntil must be a future date within ${MAX_SUSPENSION_DAYS} days` };
+        }
+        return { valid: true, endsAt };
+    }
+
+    return { valid: true, endsAt: null };
+};
+
+// A timed suspension whose end date has passed
+export const isSuspensionExpired = (user) => {
+    return !user.isActive && !!user.suspendedUntil && new Date(user.suspendedUntil) <= new Date();
+};
+
+// Suspend an account and email the user
+export const suspendUser = async (userId, { reason, suspendedUntil = null, suspendedBy = null }) => {
+    const user = await prisma.user.update({
+        where: { id: userId },
+        data: {
+            isActive: false,
+            suspensionReason: reason,
+            suspendedAt: new Date(),
+            suspendedUntil,
+            suspendedBy
+        }
+    });
+
+    // Sessions stay alive on purpose: authenticateToken rejects every request with the reason and
+    // end date, and the appeal routes stay reachable. Revoking them would hide both behind SESSION_REVOKED.
+    await deleteCache(`user:${userId}`);
+
+    sendMail(user.email, getAccountSuspendedEmailTemplate(user.name, reason, suspendedUntil), 'Account suspended');
+
+    return user;
+};
+
+// Reactivate an account and clear the suspension details
+export const liftSuspension = async (userId) => {
+    const user = await prisma.user.update({
+        where: { id: userId },
+        data: {
+            isActive: true,
+            ...suspensionFields
+        }
+    });
+
+    await deleteCache(`user:${userId}`);
+
+    return user;
+};
+
+// Lift a timed suspension if it has run out. Returns true if the account was reactivated.
+export const liftExpiredSuspension = async (user) => {
+    if (!isSuspensionExpired(user)) {
+        return false;
+    }
+
+    await liftSuspension(user.id);
+    await recordAudit(null, {
+        action: 'user.suspension_expired',
+        targetType: 'USER',
+        targetId: user.id,
+        before: { isActive: false, suspendedUntil: user.suspendedUntil },
+        after: { isActive: true }
+    });
+
+    return true;
+};
+
+// Background job: reactivate every account whose suspension has ended
+export const processExpiredSuspensions = async () => {
+    const users = await prisma.user.findMany({
+        where: {
+            isActive: false,
+            suspendedUntil: { lte: new Date() }
+        },
+        select: { id: true, isActive: true, suspendedUntil: true }
+    });
+
+    let lifted = 0;
+    for (const user of users) {
+        try {
+            if (await liftExpiredSuspension(user)) {
+                lifted++;
+            }
+        } catch (error) {
+            console.error(`Failed to lift suspension for user ${user.id}:`, error);
+        }
+    }
+
+    return lifted;
+};
+
+// Tell the user how their appeal was decided
+export const sendAppealDecisionEmail = (user, approved, reviewNote) => {
+    sendMail(
+        user.email,
+        getSuspensionAppealDecisionEmailTemplate(user.name, approved, reviewNote),
+        'Suspension appeal decision'
+    );
+};
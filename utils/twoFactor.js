@@ -0,0 +1,290 @@
+// utils/twoFactor.js
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import prisma from '../prisma.config.js';
+import { setCache, getCache, deleteCache, incrementCounter } from './redis.js';
+
+const TOTP_ISSUER = 'TheGigUp';
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const FAILURE_WINDOW = 15 * 60; // Failed codes are counted per user over 15 minutes, across challenges
+const LOCK_DURATION = 15 * 60;
+const MAX_FAILURES = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+// Decode RFC 4648 base32 string into a buffer
+const base32Decode = (input) => {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+const hashCode = (code) => {
+    return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+// Generate a new random TOTP secret (160 bits, base32)
+export const generateTOTPSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+// Generate TOTP code for a given time step (RFC 6238, HMAC-SHA1)
+export const generateTOTP = (secret, timeStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD)) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timeStep));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Verify TOTP code allowing one step of clock drift. Returns the matched step or null.
+export const verifyTOTP = (secret, code, window = 1) => {
+    if (!code || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = generateTOTP(secret, currentStep + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return currentStep + drift;
+        }
+    }
+
+    return null;
+};
+
+// Build otpauth:// URI and QR code for authenticator apps
+export const buildOtpauthUrl = (email, secret) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+};
+
+export const generateQRCode = async (otpauthUrl) => {
+    return QRCode.toDataURL(otpauthUrl);
+};
+
+// Generate one-time recovery codes. Returns plain codes (shown once) and their hashes (stored).
+export const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map(hashCode)
+    };
+};
+
+// Pending enrollment (secret not active until the first code is confirmed)
+export const storePendingSecret = async (userId, secret) => {
+    await setCache(`two_factor_setup:${userId}`, { secret }, 600);
+};
+
+export const getPendingSecret = async (userId) => {
+    const data = await getCache(`two_factor_setup:${userId}`);
+    return data ? data.secret : null;
+};
+
+export const clearPendingSecret = async (userId) => {
+    await deleteCache(`two_factor_setup:${userId}`);
+};
+
+// Check whether a user has 2FA enabled
+export const isTwoFactorEnabled = async (userId) => {
+    const twoFactor = await prisma.twoFactorAuth.findUnique({
+        where: { userId },
+        select: { id: true }
+    });
+
+    return !!twoFactor;
+};
+
+// Unused recovery codes left for an enrollment
+export const countRecoveryCodes = async (twoFactorId) => {
+    return prisma.twoFactorRecoveryCode.count({
+        where: { twoFactorId, usedAt: null }
+    });
+};
+
+const failuresKey = (userId) => `two_factor_failures:${userId}`;
+const lockKey = (userId) => `two_factor_lock:${userId}`;
+
+// Count a wrong code against the user; too many lock 2FA for LOCK_DURATION whatever the challenge
+const recordTwoFactorFailure = async (userId) => {
+    const failures = await incrementCounter(failuresKey(userId), FAILURE_WINDOW);
+
+    if (failures >= MAX_FAILURES) {
+        await deleteCache(failuresKey(userId));
+        await setCache(lockKey(userId), {
+            lockedUntil: new Date(Date.now() + LOCK_DURATION * 1000).toISOString()
+        }, LOCK_DURATION);
+    }
+};
+
+// Verify a TOTP or recovery code against the user's enrolled secret
+export const verifyTwoFactorCode = async (userId, { code, recoveryCode }) => {
+    const lock = await getCache(lockKey(userId));
+    if (lock) {
+        return {
+            valid: false,
+            locked: true,
+            error: 'Too many invalid authentication codes. Please try again in 15 minutes.'
+        };
+    }
+
+    const twoFactor = await prisma.twoFactorAuth.findUnique({
+        where: { userId }
+    });
+
+    if (!twoFactor) {
+        return { valid: false, error: 'Two-factor authentication is not enabled' };
+    }
+
+    if (recoveryCode) {
+        // Recovery codes are single-use - only one request can flip usedAt
+        const consumed = await prisma.twoFactorRecoveryCode.updateMany({
+            where: {
+                twoFactorId: twoFactor.id,
+                codeHash: hashCode(recoveryCode),
+                usedAt: null
+            },
+            data: { usedAt: new Date() }
+        });
+
+        if (consumed.count !== 1) {
+            await recordTwoFactorFailure(userId);
+            return { valid: false, error: 'Invalid recovery code' };
+        }
+
+        await prisma.twoFactorAuth.update({
+            where: { userId },
+            data: { lastUsedAt: new Date() }
+        });
+        await deleteCache(failuresKey(userId));
+
+        return {
+            valid: true,
+            usedRecoveryCode: true,
+            recoveryCodesRemaining: await countRecoveryCodes(twoFactor.id)
+        };
+    }
+
+    const step = verifyTOTP(twoFactor.secret, code);
+    if (step === null) {
+        await recordTwoFactorFailure(userId);
+        return { valid: false, error: 'Invalid authentication code' };
+    }
+
+    // Reject a code that was already used (replay)
+    const lastStepKey = `totp_last_step:${userId}`;
+    const lastStep = await getCache(lastStepKey);
+    if (lastStep !== null && step <= lastStep) {
+        return { valid: false, error: 'Authentication code already used. Wait for the next code.' };
+    }
+    await setCache(lastStepKey, step, TOTP_PERIOD * 3);
+
+    await prisma.twoFactorAuth.update({
+        where: { userId },
+        data: { lastUsedAt: new Date() }
+    });
+    await deleteCache(failuresKey(userId));
+
+    return { valid: true, usedRecoveryCode: false };
+};
+
+// Login challenge issued after a correct password when 2FA is enabled.
+// `role` is the role the user is logging in as.
+export const createLoginChallenge = async (userId, role) => {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+
+    await setCache(`two_factor_challenge:${challengeToken}`, {
+        userId,
+        role,
+        attempts: 0
+    }, 300); // 5 minutes
+
+    return challengeToken;
+};
+
+// Verify a login challenge. Caps attempts like the OTP flows do (verifyTwoFactorCode also caps them per user).
+export const verifyLoginChallenge = async (challengeToken, codes) => {
+    const key = `two_factor_challenge:${challengeToken}`;
+    const challenge = await getCache(key);
+
+    if (!challenge) {
+        return { valid: false, error: 'Login challenge expired or invalid. Please log in again.' };
+    }
+
+    const verification = await verifyTwoFactorCode(challenge.userId, codes);
+
+    if (!verification.valid) {
+        challenge.attempts = (challenge.attempts || 0) + 1;
+
+        if (verification.locked) {
+            await deleteCache(key);
+            return verification;
+        }
+
+        if (challenge.attempts >= 5) {
+            await deleteCache(key);
+            return { valid: false, error: 'Too many failed attempts. Please log in again.' };
+        }
+
+        await setCache(key, challenge, 300);
+        return verification;
+    }
+
+    await deleteCache(key);
+    return { ...verification, userId: challenge.userId, role: challenge.role };
+};
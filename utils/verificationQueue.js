@@ -0,0 +1,355 @@
+// utils/verificationQueue.js
+import prisma from '../prisma.config.js';
+import transporter from '../nodemailer.config.js';
+import { getSetting, SETTINGS } from './settings.js';
+import { recordAudit } from './auditLog.js';
+import { getVerificationSlaAlertEmailTemplate } from './emailTemplates.js';
+
+export const DEFAULT_QUEUE_CONFIG = {
+    claimMinutes: 30,      // How long a claim locks a project before others can take it
+    assignmentHours: 24,   // Lock length when a project is assigned to someone else
+    slaHours: 48,          // Time in ADMIN_VERIFICATION before an alert goes out
+    alertEmails: []        // Extra alert recipients (the claiming admin is always told)
+};
+
+const MAX_ALERT_EMAILS = 20;
+const MAX_METRICS_DAYS = 366;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Claim fields cleared once a project leaves the queue or is released
+export const CLEARED_CLAIM = {
+    claimedBy: null,
+    claimedAt: null,
+    claimExpiresAt: null
+};
+
+export const getQueueConfig = async () => {
+    const overrides = await getSetting(SETTINGS.VERIFICATION_QUEUE, {});
+    return { ...DEFAULT_QUEUE_CONFIG, ...overrides };
+};
+
+// Validate a config update. Returns the merged config or an error.
+export const normalizeQueueConfig = (updates, currentConfig = DEFAULT_QUEUE_CONFIG) => {
+    const config = { ...currentConfig };
+    const ranges = {
+        claimMinutes: [5, 480],
+        assignmentHours: [1, 168],
+        slaHours: [1, 720]
+    };
+
+    for (const [key, value] of Object.entries(updates || {})) {
+        if (!Object.hasOwn(DEFAULT_QUEUE_CONFIG, key)) {
+            return { valid: false, error: `Unknown verification queue field: ${key}` };
+        }
+
+        if (ranges[key]) {
+            const [min, max] = ranges[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                return { valid: false, error: `${key} must be a whole number between ${min} and ${max}` };
+            }
+        }
+
+        if (key === 'alertEmails') {
+            if (!Array.isArray(value) || value.length > MAX_ALERT_EMAILS ||
+                value.some(email => typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+                return { valid: false, error: `alertEmails must be a list of at most ${MAX_ALERT_EMAILS} email addresses` };
+            }
+            config.alertEmails = [...new Set(value.map(email => email.trim().toLowerCase()))];
+            continue;
+        }
+
+        config[key] = value;
+    }
+
+    return { valid: true, config };
+};
+
+// Fields that put a project (back) at the end of the queue with no claim or alert
+export const requeueFields = () => ({
+    status: 'ADMIN_VERIFICATION',
+    verificationQueuedAt: new Date(),
+    slaAlertedAt: null,
+    ...CLEARED_CLAIM
+});
+
+export const getQueueEnteredAt = (project) => project.verificationQueuedAt || project.createdAt;
+
+export const isClaimActive = (project, now = new Date()) => {
+    return !!project.claimedBy && !!project.claimExpiresAt && new Date(project.claimExpiresAt) > now;
+};
+
+// Claimed by another admin and still locked
+export const isClaimedByOther = (project, adminUserId) => {
+    return isClaimActive(project) && project.claimedBy !== adminUserId;
+};
+
+// When the current admin claimed a project they are now deciding on, for review metrics
+export const getOwnClaimedAt = (project, adminUserId) => {
+    return isClaimActive(project) && project.claimedBy === adminUserId ? project.claimedAt : null;
+};
+
+export const getSlaState = (project, slaHours, now = new Date()) => {
+    const dueAt = new Date(new Date(getQueueEnteredAt(project)).getTime() + slaHours * HOUR_MS);
+
+    return {
+        dueAt,
+        breached: dueAt <= now,
+        hoursRemaining: Math.round((dueAt - now) / HOUR_MS * 10) / 10
+    };
+};
+
+export const serializeClaim = (project, adminUserId, admins = {}) => {
+    if (!isClaimActive(project)) {
+        return null;
+    }
+
+    return {
+        claimedBy: admins[project.claimedBy] || { id: project.claimedBy },
+        claimedAt: project.claimedAt,
+        expiresAt: project.claimExpiresAt,
+        mine: project.claimedBy === adminUserId
+    };
+};
+
+// Admin names for a set of admin user IDs
+export const getAdminNames = async (userIds) => {
+    const users = await prisma.user.findMany({
+        where: { id: { in: [...new Set(userIds.filter(Boolean))] } },
+        select: { id: true, name: true }
+    });
+
+    return Object.fromEntries(users.map(user => [user.id, user]));
+};
+
+// Lock a queued project for one admin. Succeeds if it is unclaimed, the claim lapsed,
+// or the admin already holds it (which renews the lock). Returns the project or null.
+export const claimProject = async (projectId, adminUserId, minutes) => {
+    const now = new Date();
+    const current = await prisma.project.findUnique({ where: { id: projectId } });
+
+    if (!current || current.status !== 'ADMIN_VERIFICATION' || isClaimedByOther(current, adminUserId)) {
+        return null;
+    }
+
+    const renewing = isClaimActive(current, now);
+
+    // Conditional write so two admins claiming at once can't both win
+    const { count } = await prisma.project.updateMany({
+        where: {
+            id: projectId,
+            status: 'ADMIN_VERIFICATION',
+            OR: [
+                { claimedBy: null },
+                { claimExpiresAt: { lte: now } },
+                { claimedBy: adminUserId }
+            ]
+        },
+        data: {
+            claimedBy: adminUserId,
+            claimedAt: renewing ? current.claimedAt : now,
+            claimExpiresAt: new Date(now.getTime() + minutes * 60 * 1000)
+        }
+    });
+
+    return count > 0 ? prisma.project.findUnique({ where: { id: projectId } }) : null;
+};
+
+// Hand a queued project to an admin, replacing any current claim
+export const assignProject = async (projectId, adminUserId, hours) => {
+    const now = new Date();
+
+    const { count } = await prisma.project.updateMany({
+        where: { id: projectId, status: 'ADMIN_VERIFICATION' },
+        data: {
+            claimedBy: adminUserId,
+            claimedAt: now,
+            claimExpiresAt: new Date(now.getTime() + hours * HOUR_MS)
+        }
+    });
+
+    return count > 0 ? prisma.project.findUnique({ where: { id: projectId } }) : null;
+};
+
+const rangeSummary = (reviews, slaHours) => {
+    const waits = reviews.map(review => review.hoursInQueue).filter(hours => hours !== null).sort((a, b) => a - b);
+    const handling = reviews.map(review => review.hoursClaimed).filter(hours => hours !== null);
+    const average = (values) => values.length > 0 ?
+        Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10 :
+        null;
+    const breaches = waits.filter(hours => hours > slaHours).length;
+
+    return {
+        reviews: reviews.length,
+        outcomes: {
+            APPROVED: reviews.filter(review => review.outcome === 'APPROVED').length,
+            REJECTED: reviews.filter(review => review.outcome === 'REJECTED').length,
+            CHANGES_REQUESTED: reviews.filter(review => review.outcome === 'CHANGES_REQUESTED').length
+        },
+        avgHoursInQueue: average(waits),
+        medianHoursInQueue: waits.length > 0 ? waits[Math.floor(waits.length / 2)] : null,
+        maxHoursInQueue: waits.length > 0 ? waits[waits.length - 1] : null,
+        avgHoursClaimedToDecision: average(handling),
+        slaBreaches: breaches,
+        slaCompliance: waits.length > 0 ? Math.round((1 - breaches / waits.length) * 1000) / 10 : null
+    };
+};
+
+// Validate a metrics window (defaults to the last 30 days)
+export const parseMetricsRange = ({ from, to }) => {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * HOUR_MS);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { valid: false, error: 'from and to must be valid dates' };
+    }
+
+    if (start >= end) {
+        return { valid: false, error: 'from must be before to' };
+    }
+
+    if (end - start > MAX_METRICS_DAYS * 24 * HOUR_MS) {
+        return { valid: false, error: `The range can span at most ${MAX_METRICS_DAYS} days` };
+    }
+
+    return { valid: true, range: { from: start, to: end } };
+};
+
+// Time spent in ADMIN_VERIFICATION for decisions made in a window, overall and per moderator
+export const getQueueMetrics = async ({ from, to }, slaHours) => {
+    const rows = await prisma.projectReview.findMany({
+        where: { createdAt: { gte: from, lte: to } },
+        select: {
+            round: true,
+            outcome: true,
+            reviewedBy: true,
+            queuedAt: true,
+            claimedAt: true,
+            createdAt: true,
+            project: { select: { createdAt: true } }
+        }
+    });
+
+    const hoursBetween = (start, end) => start ? Math.round((new Date(end) - new Date(start)) / HOUR_MS * 10) / 10 : null;
+
+    const reviews = rows.map(row => ({
+        outcome: row.outcome,
+        reviewedBy: row.reviewedBy,
+        // Rows from before queue tracking only know the entry time of the first round
+        hoursInQueue: hoursBetween(row.queuedAt || (row.round === 1 ? row.project.createdAt : null), row.createdAt),
+        hoursClaimed: hoursBetween(row.claimedAt, row.createdAt)
+    }));
+
+    const admins = await getAdminNames(reviews.map(review => review.reviewedBy));
+    const moderatorIds = [...new Set(reviews.map(review => review.reviewedBy))];
+
+    return {
+        overall: rangeSummary(reviews, slaHours),
+        moderators: moderatorIds
+            .map(id => ({
+                moderator: admins[id] || { id },
+                ...rangeSummary(reviews.filter(review => review.reviewedBy === id), slaHours)
+            }))
+            .sort((a, b) => b.reviews - a.reviews)
+    };
+};
+
+// The queue as it stands right now
+export const getQueueSnapshot = async (slaHours) => {
+    const now = new Date();
+    const projects = await prisma.project.findMany({
+        where: { status: 'ADMIN_VERIFICATION' },
+        select: { createdAt: true, verificationQueuedAt: true, claimedBy: true, claimExpiresAt: true }
+    });
+
+    const waits = projects.map(project => (now - new Date(getQueueEnteredAt(project))) / HOUR_MS);
+    const claimed = projects.filter(project => isClaimActive(project, now)).length;
+
+    return {
+        pending: projects.length,
+        claimed,
+        unclaimed: projects.length - claimed,
+        slaBreached: waits.filter(hours => hours > slaHours).length,
+        oldestHoursInQueue: waits.length > 0 ? Math.round(Math.max(...waits) * 10) / 10 : 0
+    };
+};
+
+const sendSlaAlertEmail = (to, projects, slaHours) => {
+    const emailTemplate = getVerificationSlaAlertEmailTemplate(projects, slaHours);
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to,
+        subject: emailTemplate.subject,
+        text: emailTemplate.text,
+        html: emailTemplate.html
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+        if (error) {
+            console.error('Verification SLA alert email error:', error);
+        } else {
+            console.log('Verification SLA alert email sent:', info.response);
+        }
+    });
+};
+
+// Background job: alert once per queue stay for projects waiting past the SLA. Returns the number flagged.
+export const processVerificationSlaAlerts = async () => {
+    const { slaHours, alertEmails } = await getQueueConfig();
+    const cutoff = new Date(Date.now() - slaHours * HOUR_MS);
+
+    const projects = await prisma.project.findMany({
+        where: {
+            status: 'ADMIN_VERIFICATION',
+            slaAlertedAt: null,
+            OR: [
+                { verificationQueuedAt: { lte: cutoff } },
+                { verificationQueuedAt: null, createdAt: { lte: cutoff } }
+            ]
+        },
+        select: { id: true, title: true, createdAt: true, verificationQueuedAt: true, claimedBy: true, claimExpiresAt: true }
+    });
+
+    if (projects.length === 0) {
+        return 0;
+    }
+
+    await prisma.project.updateMany({
+        where: { id: { in: projects.map(project => project.id) } },
+        data: { slaAlertedAt: new Date() }
+    });
+
+    const claimants = await prisma.user.findMany({
+        where: { id: { in: projects.filter(project => isClaimActive(project)).map(project => project.claimedBy) } },
+        select: { id: true, name: true, email: true }
+    });
+    const claimantsById = Object.fromEntries(claimants.map(user => [user.id, user]));
+
+    const alerts = projects.map(project => ({
+        id: project.id,
+        title: project.title,
+        hoursInQueue: Math.round((Date.now() - new Date(getQueueEnteredAt(project))) / HOUR_MS),
+        claimedBy: isClaimActive(project) ? claimantsById[project.claimedBy]?.name || null : null
+    }));
+
+    await Promise.all(projects.map(project => recordAudit(null, {
+        action: 'project.sla_breached',
+        targetType: 'PROJECT',
+        targetId: project.id,
+        projectId: project.id,
+        metadata: { slaHours, claimedBy: isClaimActive(project) ? project.claimedBy : undefined }
+    })));
+
+    if (alertEmails.length > 0) {
+        sendSlaAlertEmail(alertEmails.join(', '), alerts, slaHours);
+    }
+
+    // Claimants hear about their own projects only
+    for (const claimant of claimants) {
+        if (alertEmails.includes(claimant.email.toLowerCase())) continue;
+        const own = alerts.filter((alert, index) => isClaimActive(projects[index]) && projects[index].claimedBy === claimant.id);
+        sendSlaAlertEmail(claimant.email, own, slaHours);
+    }
+
+    return projects.length;
+};